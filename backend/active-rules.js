@@ -0,0 +1,76 @@
+/**
+ * active-rules.js
+ * The active block rules, cached in memory for checking live flows at ingest time. A flow is
+ * rule-blocked when an active temporary_block or permanent_block rule covers it (address or CIDR,
+ * direction, protocol and ports, see rule-matcher.js) and it is not allowlisted. Lower response
+ * levels never block. The cache is reloaded every refreshIntervalMs and as soon as a rule is
+ * created, changed, expired or revoked (invalidate), so ingestion never needs a query per flow.
+ */
+
+const { fetchAllRows, applyStatusFilter } = require('./defense-rules');
+const { createRuleMatcher } = require('./rule-matcher');
+const { isBlockingLevel } = require('./response-levels');
+
+
+/**
+ * Creates the cache.
+ * @param {object} options
+ * @param {object} options.supabase
+ * @param {number} [options.refreshIntervalMs=30000] - How long a loaded rule set is trusted.
+ */
+function createActiveRuleCache({ supabase, refreshIntervalMs = 30000 }) {
+    let matcher = createRuleMatcher();
+    let loadedAt = 0;
+    let loading = null;
+    // Bumped by invalidate, so a load that started before a rule change isn't trusted afterwards
+    let generation = 0;
+
+    const load = async () => {
+        const startedAt = generation;
+        try {
+            // Read in pages: a single response stops at 1000 rows, and a missing rule lets its flows through
+            const nowIso = new Date().toISOString();
+            const rules = await fetchAllRows(() => applyStatusFilter(supabase.from('defense_rules').select('*').order('id'), 'active', nowIso));
+            matcher = createRuleMatcher(rules.filter(rule => isBlockingLevel(rule.response_level)));
+        } catch (error) {
+            // Keep the last good rule set rather than letting everything through
+            console.error('🚨 Failed to load active defense rules:', error.message);
+        }
+        if (generation === startedAt) loadedAt = Date.now();
+    };
+
+    const ensureFresh = async () => {
+        if (Date.now() - loadedAt < refreshIntervalMs) return;
+        if (!loading) {
+            loading = load().finally(() => { loading = null; });
+        }
+        await loading;
+        // Rules changed while that load ran; load again so the change is seen
+        if (loadedAt === 0) await ensureFresh();
+    };
+
+    return {
+        /**
+         * A synchronous lookup over the current rule set, for checking many flows at once: the
+         * block rule covering the flow, or null. Rules past expires_at the sweep hasn't reached yet never match.
+         */
+        async getFlowMatcher() {
+            await ensureFresh();
+            const snapshot = matcher;
+            return row => {
+                const now = Date.now();
+                return snapshot.match(row, rule => !rule.expires_at || new Date(rule.expires_at).getTime() > now);
+            };
+        },
+
+        /** Reloads on the next lookup. */
+        invalidate() {
+            generation++;
+            loadedAt = 0;
+        },
+    };
+}
+
+module.exports = {
+    createActiveRuleCache,
+};
@@ -0,0 +1,237 @@
+/**
+ * allowlist.js
+ * Networks and assets that must never be blocked (gateways, DNS resolvers, scanners...).
+ * Entries live in the allowlist_entries table as an IP, a CIDR block or a hostname; hostnames
+ * are resolved to their current addresses when the cache loads. The cache works like the
+ * detection policy store: refreshed periodically and dropped on every write.
+ * Each entry counts the blocks it prevented (suppressed_count): one per time an allowlisted
+ * address reached its detection policy's threshold.
+ */
+
+const dns = require('dns');
+const { parseCidr, formatCidr, createIpTrie } = require('./ip-trie');
+
+const MAX_TARGET_LENGTH = 253;
+const MAX_TEXT_LENGTH = 500;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*\.?$/i;
+const ALLOWLIST_FIELDS = ['target', 'note', 'owner'];
+
+
+/**
+ * Validates an allowlist entry. Fields missing from input are taken from base (for updates).
+ * @param {object} input - { target, note, owner }; target is an IP, CIDR block or hostname.
+ * @param {object} [base] - The entry being updated.
+ * @returns {{ entry: object, errors: Array<string> }} - entry.kind is 'ip', 'cidr' or 'hostname'.
+ */
+function validateAllowlistInput(input, base = {}) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { entry: {}, errors: ['Allowlist entry must be a JSON object.'] };
+    }
+    for (const key of Object.keys(input)) {
+        if (!ALLOWLIST_FIELDS.includes(key)) errors.push(`Unknown field "${key}".`);
+    }
+
+    const merged = { ...base, ...input };
+    const entry = {};
+
+    const target = typeof merged.target === 'string' ? merged.target.trim() : '';
+    const network = parseCidr(target);
+    if (!target || target.length > MAX_TARGET_LENGTH) {
+        errors.push('"target" must be an IP address, CIDR block or hostname.');
+    } else if (network) {
+        entry.target = formatCidr(network);
+        entry.kind = target.includes('/') ? 'cidr' : 'ip';
+    } else if (HOSTNAME_PATTERN.test(target) && !/^[\d.]+$/.test(target)) {
+        entry.target = target.toLowerCase().replace(/\.$/, '');
+        entry.kind = 'hostname';
+    } else {
+        errors.push(`"target" must be an IP address, CIDR block or hostname (got "${target}").`);
+    }
+
+    for (const field of ['note', 'owner']) {
+        const value = merged[field];
+        if (value === undefined || value === null || value === '') {
+            entry[field] = null;
+        } else if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+            errors.push(`"${field}" must be text of at most ${MAX_TEXT_LENGTH} characters.`);
+        } else {
+            entry[field] = value.trim();
+        }
+    }
+
+    return { entry, errors };
+}
+
+
+/**
+ * Creates the cached allowlist.
+ * @param {object} options
+ * @param {object} options.supabase
+ * @param {number} [options.refreshIntervalMs=60000] - How long a loaded cache (and hostname resolution) is trusted.
+ * @param {function(string): Promise<Array<string>>} [options.resolveHostname] - Hostname to addresses (defaults to DNS).
+ */
+function createAllowlistStore({ supabase, refreshIntervalMs = 60000, resolveHostname }) {
+    const resolve = resolveHostname || (async hostname => {
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+        return addresses.map(({ address }) => address);
+    });
+
+    let entries = [];
+    let trie = createIpTrie();
+    let loadedAt = 0;
+    let loading = null;
+    // Bumped on every write, so a load that started before the write isn't trusted afterwards
+    let generation = 0;
+    // Suppressions not yet written back, by entry id
+    const pendingSuppressed = new Map();
+
+    const load = async () => {
+        const startedAt = generation;
+        const { data, error } = await supabase.from('allowlist_entries').select('*').order('created_at', { ascending: true });
+        if (error) {
+            // Keep the last good cache rather than letting everything be blocked
+            console.error('🚨 Failed to load the allowlist:', error.message);
+            if (generation === startedAt) loadedAt = Date.now();
+            return;
+        }
+
+        const nextTrie = createIpTrie();
+        const nextEntries = await Promise.all((data || []).map(async row => {
+            const entry = { ...row, addresses: [], resolve_error: null };
+            if (row.kind !== 'hostname') {
+                entry.addresses = [row.target];
+            } else {
+                try {
+                    entry.addresses = await resolve(row.target);
+                } catch (e) {
+                    entry.resolve_error = e.code || e.message;
+                }
+            }
+            entry.addresses.forEach(address => nextTrie.insert(address, entry));
+            return entry;
+        }));
+
+        entries = nextEntries;
+        trie = nextTrie;
+        if (generation === startedAt) loadedAt = Date.now();
+    };
+
+    const ensureFresh = async () => {
+        if (Date.now() - loadedAt < refreshIntervalMs) return;
+        if (!loading) {
+            loading = load().finally(() => { loading = null; });
+        }
+        await loading;
+        // An entry changed while that load ran; load again so the change is seen
+        if (loadedAt === 0) await ensureFresh();
+    };
+
+    const invalidate = () => {
+        generation++;
+        loadedAt = 0;
+    };
+
+    const entryFor = ip => (ip ? trie.lookup(String(ip))[0] || null : null);
+
+    const withCounts = entry => ({
+        ...entry,
+        suppressed_count: (entry.suppressed_count || 0) + (pendingSuppressed.get(entry.id) || 0),
+    });
+
+    return {
+        /** The entry covering ip, or null. */
+        async findEntry(ip) {
+            await ensureFresh();
+            return entryFor(ip);
+        },
+
+        /**
+         * A synchronous lookup over the current cache, for walking many flows at once: the entry
+         * covering either of the flow's IPs, or null.
+         */
+        async getFlowMatcher() {
+            await ensureFresh();
+            const snapshot = trie;
+            return row => {
+                for (const ip of [row.src_ip, row.dst_ip]) {
+                    const entry = ip ? snapshot.lookup(String(ip))[0] : null;
+                    if (entry) return entry;
+                }
+                return null;
+            };
+        },
+
+        /** Counts a block the entry prevented; written back by flushSuppressedCounts. */
+        recordSuppressed(entry) {
+            if (!entry || entry.id === undefined) return;
+            pendingSuppressed.set(entry.id, (pendingSuppressed.get(entry.id) || 0) + 1);
+        },
+
+        /** Adds pending suppression counts to the stored ones. */
+        async flushSuppressedCounts() {
+            const pending = [...pendingSuppressed.entries()];
+            pendingSuppressed.clear();
+            const now = new Date().toISOString();
+            await Promise.all(pending.map(async ([id, count]) => {
+                const entry = entries.find(candidate => candidate.id === id);
+                if (!entry) return; // Deleted since
+                const total = (entry.suppressed_count || 0) + count;
+                const { error } = await supabase
+                    .from('allowlist_entries')
+                    .update({ suppressed_count: total, last_suppressed_at: now })
+                    .eq('id', id);
+                if (error) {
+                    // Put the count back so it is retried on the next flush
+                    pendingSuppressed.set(id, (pendingSuppressed.get(id) || 0) + count);
+                    throw error;
+                }
+                entry.suppressed_count = total;
+                entry.last_suppressed_at = now;
+            }));
+        },
+
+        async listEntries() {
+            await ensureFresh();
+            return entries.map(withCounts);
+        },
+
+        async getEntry(id) {
+            await ensureFresh();
+            const entry = entries.find(candidate => String(candidate.id) === String(id));
+            return entry ? withCounts(entry) : null;
+        },
+
+        async createEntry(entry) {
+            const { data, error } = await supabase.from('allowlist_entries').insert([entry]).select();
+            if (error) throw error;
+            invalidate();
+            return data[0];
+        },
+
+        async updateEntry(id, entry) {
+            const { data, error } = await supabase
+                .from('allowlist_entries')
+                .update({ ...entry, updated_at: new Date().toISOString() })
+                .eq('id', id)
+                .select();
+            if (error) throw error;
+            invalidate();
+            return data && data.length > 0 ? data[0] : null;
+        },
+
+        async deleteEntry(id) {
+            const { data, error } = await supabase.from('allowlist_entries').delete().eq('id', id).select();
+            if (error) throw error;
+            invalidate();
+            if (!data || data.length === 0) return null;
+            pendingSuppressed.delete(data[0].id);
+            return data[0];
+        },
+    };
+}
+
+module.exports = {
+    validateAllowlistInput,
+    createAllowlistStore,
+};
@@ -3,215 +3,339 @@ const COMMON_PORTS = {
   25: 'SMTP', 53: 'DNS', 3389: 'RDP',
 };
 
-function transformPredictionData(rows) {
-  if (!rows || rows.length === 0) {
-    return { dashboardData: {}, trafficData: {}, behaviourData: {}, packetData: {}, rawData: [] };
+// Blocked flows listed individually in the re-analysis response
+const BLOCKED_SAMPLE_SIZE = 50;
+
+const getPrediction = (row) => (row.prediction || row.original_prediction || "unknown").toLowerCase();
+// Helper to get value from snake_case or PascalCase keys
+const getKey = (row, key_snake, key_pascal) => row[key_snake] ?? row[key_pascal];
+
+// The part of a source's ip_profiles row (see ip-profiles.js) shown next to its flows
+const summarizeSourceHistory = profile => profile ? {
+  firstSeen: profile.first_seen_at,
+  lastSeen: profile.last_seen_at,
+  totalFlows: Number(profile.total_flows) || 0,
+  maliciousRatio: Number(profile.malicious_ratio) || 0,
+  threatLabels: Object.entries(profile.threat_labels || {})
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 3)
+    .map(([label]) => label),
+  ruleCount: profile.rule_count || 0,
+  lastRuleAt: profile.last_rule_at || null,
+} : null;
+
+const isMaliciousRow = (row) => {
+  const prediction = getPrediction(row);
+  return prediction !== 'benign' && prediction !== 'error' && prediction !== 'rule_override_blocked';
+};
+
+// Distinct detection times counted exactly before the threats-over-time counts switch to buckets
+const TIME_HISTOGRAM_SIZE = 4096;
+
+/**
+ * Counts timestamps for the threats-over-time chart in bounded memory. Times are counted exactly
+ * until more than `size` distinct ones are seen; from then on they go into `size` equal-width
+ * buckets, which double in width whenever a time falls outside them. Invalid times are ignored.
+ */
+function createTimeHistogram(size = TIME_HISTOGRAM_SIZE) {
+  let exact = new Map(); // time (ms) -> count, until it outgrows size
+  let buckets = null; // { start, width, counts } afterwards
+
+  const indexOf = time => Math.max(0, Math.min(size - 1, Math.floor((time - buckets.start) / buckets.width)));
+
+  function fold(entries, start, width) {
+    buckets = { start, width, counts: new Array(size).fill(0) };
+    for (const [time, count] of entries) buckets.counts[indexOf(time)] += count;
   }
-  const getPrediction = (row) => (row.prediction || row.original_prediction || "unknown").toLowerCase();
-  // Helper to get value from snake_case or PascalCase keys
-  const getKey = (row, key_snake, key_pascal) => row[key_snake] ?? row[key_pascal];
-
-  // --- 1. Filter and Categorize All Rows ---
-  // We now exclusively use the 'prediction' key for all logic.
-  const maliciousRows = rows.filter(r => 
-        getPrediction(r) !== 'benign' && getPrediction(r) !== 'error' && getPrediction(r) !== 'rule_override_blocked'
-    );
-  const benignRows = rows.filter(r => getPrediction(r) === 'benign');
-
-  // --- 2. Calculate Dashboard Data ---
-  const threatLevel = Math.round((maliciousRows.length / rows.length) * 100);
-
-  const threatBreakdown = maliciousRows.reduce((acc, row) => {
-    const prediction = row.prediction || 'Unknown Attack';
-    acc[prediction] = (acc[prediction] || 0) + 1;
-    return acc;
-  }, {});
-
-  const topAttackedPorts = maliciousRows.reduce((acc, row) => {
-    const port = getKey(row, 'dst_port', 'Dst Port');
-    if (port) acc[port] = (acc[port] || 0) + 1;
-    return acc;
-  }, {});
-
-  // --- 3. Calculate Traffic Data ---
-  const protocolBreakdown = rows.reduce((acc, row) => {
-    const protoNum = getKey(row, 'protocol', 'Protocol');
-    const proto = protoNum === 6 ? 'TCP' : (protoNum === 17 ? 'UDP' : 'Other');
-    acc[proto] = (acc[proto] || 0) + 1;
-    return acc;
-  }, {});
 
-  // --- 4. Calculate Behaviour Data ---
-  const sampleSize = 50;
-  const behaviourData = {
-    flowDuration: {
-      benign: benignRows.slice(0, sampleSize).map(r => ({
-        duration: getKey(r, 'flow_duration', 'Flow Duration'), 
-        packets: (getKey(r, 'tot_fwd_pkts', 'Tot Fwd Pkts') || 0) + (getKey(r, 'tot_bwd_pkts', 'Tot Bwd Pkts') || 0)
-      })),
-      malicious: maliciousRows.slice(0, sampleSize).map(r => ({
-        duration: getKey(r, 'flow_duration', 'Flow Duration'),
-        packets: (getKey(r, 'tot_fwd_pkts', 'Tot Fwd Pkts') || 0) + (getKey(r, 'tot_bwd_pkts', 'Tot Bwd Pkts') || 0)
-      })),
+  // Each bucket stands for its midpoint
+  const bucketEntries = () => buckets.counts
+    .map((count, i) => [buckets.start + (i + 0.5) * buckets.width, count])
+    .filter(([, count]) => count > 0);
+
+  return {
+    add(time) {
+      if (isNaN(time)) return;
+      if (!buckets) {
+        exact.set(time, (exact.get(time) || 0) + 1);
+        if (exact.size <= size) return;
+        let min = Infinity;
+        let max = -Infinity;
+        for (const stamp of exact.keys()) {
+          if (stamp < min) min = stamp;
+          if (stamp > max) max = stamp;
+        }
+        fold(exact, min, (max - min + 1) / size);
+        exact = null;
+        return;
+      }
+      const end = buckets.start + size * buckets.width;
+      if (time < buckets.start || time >= end) {
+        const start = Math.min(buckets.start, time);
+        let width = buckets.width;
+        while (start + size * width <= Math.max(end, time)) width *= 2;
+        fold(bucketEntries(), start, width);
+      }
+      buckets.counts[indexOf(time)] += 1;
+    },
+
+    /** [time, count] pairs: exact times, or bucket midpoints once the counts are bucketed. */
+    entries() {
+      return buckets ? bucketEntries() : [...exact.entries()];
     },
-    packetTiming: {
-      benign: benignRows.slice(0, sampleSize).map(r => ({ 
-        iatMean: getKey(r, 'flow_iat_mean', 'Flow IAT Mean'), 
-        iatStd: getKey(r, 'flow_iat_std', 'Flow IAT Std') 
-      })),
-      malicious: maliciousRows.slice(0, sampleSize).map(r => ({ 
-        iatMean: getKey(r, 'flow_iat_mean', 'Flow IAT Mean'), 
-        iatStd: getKey(r, 'flow_iat_std', 'Flow IAT Std') 
-      })),
-    }
   };
+}
 
-  // --- 5. Calculate ALL Packet Flags Profile ---
-  const flagProfiles = { SYN: {benign: 0, malicious: 0}, ACK: {benign: 0, malicious: 0}, FIN: {benign: 0, malicious: 0}, RST: {benign: 0, malicious: 0}, PSH: {benign: 0, malicious: 0}, URG: {benign: 0, malicious: 0} };
-
-  benignRows.forEach(r => {
-    flagProfiles.SYN.benign += getKey(r, 'syn_flag_cnt', 'SYN Flag Cnt') || 0;
-    flagProfiles.ACK.benign += getKey(r, 'ack_flag_cnt', 'ACK Flag Cnt') || 0;
-    flagProfiles.FIN.benign += getKey(r, 'fin_flag_cnt', 'FIN Flag Cnt') || 0;
-    flagProfiles.RST.benign += getKey(r, 'rst_flag_cnt', 'RST Flag Cnt') || 0;
-    flagProfiles.PSH.benign += getKey(r, 'psh_flag_cnt', 'PSH Flag Cnt') || 0;
-    flagProfiles.URG.benign += getKey(r, 'urg_flag_cnt', 'URG Flag Cnt') || 0;
-  });
-
-  maliciousRows.forEach(r => {
-    flagProfiles.SYN.malicious += getKey(r, 'syn_flag_cnt', 'SYN Flag Cnt') || 0;
-    flagProfiles.ACK.malicious += getKey(r, 'ack_flag_cnt', 'ACK Flag Cnt') || 0;
-    flagProfiles.FIN.malicious += getKey(r, 'fin_flag_cnt', 'FIN Flag Cnt') || 0;
-    flagProfiles.RST.malicious += getKey(r, 'rst_flag_cnt', 'RST Flag Cnt') || 0;
-    flagProfiles.PSH.malicious += getKey(r, 'psh_flag_cnt', 'PSH Flag Cnt') || 0;
-    flagProfiles.URG.malicious += getKey(r, 'urg_flag_cnt', 'URG Flag Cnt') || 0;
-  });
-
-  // --- 6. Transformations for Recharts data (Internal Helper Functions) ---
-
-  function transformToTrafficVolume(rawData) {
-    const timeMap = {};
-    rawData.forEach(item => {
-      const date = new Date(item.timestamp || item.created_at);
-      const hour = date.getHours().toString().padStart(2, "0");
-      const timeStr = `${hour}:00`;
-      const volumeBytes = (item.totlen_fwd_pkts || 0) + (item.totlen_bwd_pkts || 0);
-      const volumeMB = volumeBytes / (1024 * 1024);
-      timeMap[timeStr] = (timeMap[timeStr] || 0) + volumeMB;
-    });
-    return Object.keys(timeMap).sort().map(time => ({
-      time,
-      volume: parseFloat(timeMap[time].toFixed(2)),
-    }));
+/**
+ * Builds the dashboard payload incrementally, one batch of predicted rows at a time.
+ * Only aggregates and small samples are kept, so memory stays flat no matter how many
+ * rows are added. transformPredictionData(rows) is the one-shot version of the same thing.
+ */
+function createPredictionAccumulator() {
+  const sampleSize = 50;
+  const state = {
+    totalRows: 0,
+    maliciousCount: 0,
+    threatBreakdown: {},
+    topAttackedPorts: {},
+    // Malicious flows by source country and source AS (filled when GeoIP enrichment is on, see geoip.js)
+    topSourceCountries: {},
+    topAsns: {},
+    protocolBreakdown: {},
+    behaviourSamples: { benign: [], malicious: [] },
+    flagProfiles: { SYN: {benign: 0, malicious: 0}, ACK: {benign: 0, malicious: 0}, FIN: {benign: 0, malicious: 0}, RST: {benign: 0, malicious: 0}, PSH: {benign: 0, malicious: 0}, URG: {benign: 0, malicious: 0} },
+    trafficVolume: {},
+    sentReceived: {},
+    avgPacketSize: {},
+    // Malicious detection times (ms) for the threats-over-time chart, and their range
+    maliciousTimes: createTimeHistogram(),
+    maliciousTimeRange: null,
+    recentFlows: [],
+    rawData: undefined,
+  };
+
+  function addFlags(row, bucket) {
+    const flags = state.flagProfiles;
+    flags.SYN[bucket] += getKey(row, 'syn_flag_cnt', 'SYN Flag Cnt') || 0;
+    flags.ACK[bucket] += getKey(row, 'ack_flag_cnt', 'ACK Flag Cnt') || 0;
+    flags.FIN[bucket] += getKey(row, 'fin_flag_cnt', 'FIN Flag Cnt') || 0;
+    flags.RST[bucket] += getKey(row, 'rst_flag_cnt', 'RST Flag Cnt') || 0;
+    flags.PSH[bucket] += getKey(row, 'psh_flag_cnt', 'PSH Flag Cnt') || 0;
+    flags.URG[bucket] += getKey(row, 'urg_flag_cnt', 'URG Flag Cnt') || 0;
   }
 
-  function transformToSentReceived(rawData) {
-    const labelMap = {};
-    rawData.forEach(item => {
-      const label = item.prediction || "Unknown"; // Use .prediction
-      if (!labelMap[label]) {
-        labelMap[label] = { name: label, sent: 0, received: 0 };
-      }
-      labelMap[label].sent += item.totlen_fwd_pkts || 0;
-      labelMap[label].received += item.totlen_bwd_pkts || 0;
-    });
-    return Object.values(labelMap).map(item => ({
-      name: item.name,
-      sent: parseFloat((item.sent / (1024 * 1024 * 1024)).toFixed(3)),
-      received: parseFloat((item.received / (1024 * 1024 * 1024)).toFixed(3)),
-    }));
+  function addBehaviourSample(row, bucket) {
+    const samples = state.behaviourSamples[bucket];
+    if (samples.length >= sampleSize) return;
+    samples.push(row);
   }
 
-  function transformToAvgPacketSize(rawData) {
-    const typeMap = {};
-    rawData.forEach(item => {
-      const label = item.prediction || "Unknown"; // Use .prediction
-      if (!typeMap[label]) {
-        typeMap[label] = { name: label, total: 0, count: 0 };
+  function addRow(row) {
+    // The 8th row overall is kept as a raw sample (same as before streaming support)
+    if (state.totalRows === 7) state.rawData = row;
+    state.totalRows += 1;
+
+    const prediction = getPrediction(row);
+    const isMalicious = isMaliciousRow(row);
+
+    // --- Dashboard Data ---
+    if (isMalicious) {
+      state.maliciousCount += 1;
+
+      const label = row.prediction || 'Unknown Attack';
+      state.threatBreakdown[label] = (state.threatBreakdown[label] || 0) + 1;
+
+      const port = getKey(row, 'dst_port', 'Dst Port');
+      if (port) state.topAttackedPorts[port] = (state.topAttackedPorts[port] || 0) + 1;
+
+      if (row.src_country) state.topSourceCountries[row.src_country] = (state.topSourceCountries[row.src_country] || 0) + 1;
+      if (row.src_asn) {
+        const as = `AS${row.src_asn}${row.src_as_org ? ` ${row.src_as_org}` : ''}`;
+        state.topAsns[as] = (state.topAsns[as] || 0) + 1;
       }
-      typeMap[label].total += item.pkt_size_avg || 0;
-      typeMap[label].count += 1;
-    });
-    return Object.values(typeMap).map(item => ({
-      name: item.name,
-      count: parseFloat((item.total / item.count).toFixed(2)),
-    }));
+
+      const detectedAt = new Date(row.created_at).getTime();
+      const range = state.maliciousTimeRange;
+      if (range === null) {
+        state.maliciousTimeRange = { min: detectedAt, max: detectedAt };
+      } else {
+        if (detectedAt < range.min) range.min = detectedAt;
+        if (detectedAt > range.max) range.max = detectedAt;
+      }
+      state.maliciousTimes.add(detectedAt);
+
+      if (state.recentFlows.length < 5) {
+        state.recentFlows.push({
+          source: getKey(row, 'src_ip', 'Src IP') || 'N/A',
+          dest: getKey(row, 'dst_ip', 'Dst IP') || 'N/A',
+          port: getKey(row, 'dst_port', 'Dst Port'),
+          protocol: getKey(row, 'protocol', 'Protocol') === 6 ? 'TCP' : 'UDP',
+          type: row.prediction, // Use .prediction
+        });
+      }
+
+      addBehaviourSample(row, 'malicious');
+      addFlags(row, 'malicious');
+    } else if (prediction === 'benign') {
+      addBehaviourSample(row, 'benign');
+      addFlags(row, 'benign');
+    }
+
+    // --- Traffic Data ---
+    const protoNum = getKey(row, 'protocol', 'Protocol');
+    const proto = protoNum === 6 ? 'TCP' : (protoNum === 17 ? 'UDP' : 'Other');
+    state.protocolBreakdown[proto] = (state.protocolBreakdown[proto] || 0) + 1;
+
+    const date = new Date(row.timestamp || row.created_at);
+    const timeStr = `${date.getHours().toString().padStart(2, "0")}:00`;
+    const volumeBytes = (row.totlen_fwd_pkts || 0) + (row.totlen_bwd_pkts || 0);
+    state.trafficVolume[timeStr] = (state.trafficVolume[timeStr] || 0) + volumeBytes / (1024 * 1024);
+
+    const label = row.prediction || "Unknown"; // Use .prediction
+    if (!state.sentReceived[label]) {
+      state.sentReceived[label] = { name: label, sent: 0, received: 0 };
+    }
+    state.sentReceived[label].sent += row.totlen_fwd_pkts || 0;
+    state.sentReceived[label].received += row.totlen_bwd_pkts || 0;
+
+    // --- Packet Data ---
+    if (!state.avgPacketSize[label]) {
+      state.avgPacketSize[label] = { name: label, total: 0, count: 0 };
+    }
+    state.avgPacketSize[label].total += row.pkt_size_avg || 0;
+    state.avgPacketSize[label].count += 1;
   }
 
-  function transformToThreatsOverTime(maliciousData) {
-    if (maliciousData.length < 2) {
-      return [{ time: new Date().toLocaleTimeString(), threats: maliciousData.length }];
+  function transformToThreatsOverTime() {
+    if (state.maliciousCount < 2) {
+      return [{ time: new Date().toLocaleTimeString(), threats: state.maliciousCount }];
     }
-    const dateRange = maliciousData.reduce((acc, row) => {
-      const currentDate = new Date(row.created_at);
-      if (currentDate < acc.min) acc.min = currentDate;
-      if (currentDate > acc.max) acc.max = currentDate;
-      return acc;
-    }, { min: new Date(maliciousData[0].created_at), max: new Date(maliciousData[0].created_at) });
-
-    const { min: minDate, max: maxDate } = dateRange;
-    const totalDuration = maxDate.getTime() - minDate.getTime();
-    
+    const { min: minTime, max: maxTime } = state.maliciousTimeRange;
+
+    const totalDuration = maxTime - minTime;
     if (totalDuration === 0) {
-        return [{ time: minDate.toLocaleTimeString(), threats: maliciousData.length }];
+        return [{ time: new Date(minTime).toLocaleTimeString(), threats: state.maliciousCount }];
     }
     const numIntervals = 6;
     const intervalSize = totalDuration / numIntervals;
     const intervals = [];
     for (let i = 1; i <= numIntervals; i++) {
       intervals.push({
-        endTime: new Date(minDate.getTime() + i * intervalSize),
+        endTime: new Date(minTime + i * intervalSize),
         threats: 0,
       });
     }
-    maliciousData.forEach(row => {
-      const rowDate = new Date(row.created_at);
+    for (const [time, count] of state.maliciousTimes.entries()) {
+      // A bucket midpoint can lie past the last detection
+      const at = Math.min(time, maxTime);
       for (const interval of intervals) {
-        if (rowDate <= interval.endTime) {
-          interval.threats++;
+        if (at <= interval.endTime.getTime()) {
+          interval.threats += count;
           break;
         }
       }
-    });
+    }
     return intervals.map(interval => ({
       time: interval.endTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
       threats: interval.threats,
     }));
   }
 
-  // --- 7. Assemble the Final Object ---
-  // The structure of this returned object is the same as before.
+  const topEntries = counts => Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 5)
+    .map(([name, count]) => ({ name, count }));
+
+  /**
+   * @param {object} [options]
+   * @param {Map<string, object>} [options.profiles] - ip_profiles rows by IP; recent flows get their source's history.
+   */
+  function finalize({ profiles = new Map() } = {}) {
+    if (state.totalRows === 0) {
+      return { dashboardData: {}, trafficData: {}, behaviourData: {}, packetData: {}, rawData: [] };
+    }
+
+    const { benign, malicious } = state.behaviourSamples;
+    const toFlowDuration = r => ({
+      duration: getKey(r, 'flow_duration', 'Flow Duration'),
+      packets: (getKey(r, 'tot_fwd_pkts', 'Tot Fwd Pkts') || 0) + (getKey(r, 'tot_bwd_pkts', 'Tot Bwd Pkts') || 0)
+    });
+    const toPacketTiming = r => ({
+      iatMean: getKey(r, 'flow_iat_mean', 'Flow IAT Mean'),
+      iatStd: getKey(r, 'flow_iat_std', 'Flow IAT Std')
+    });
+
+    // The structure of this returned object is the same as before.
+    return {
+      dashboardData: {
+        threatLevel: Math.round((state.maliciousCount / state.totalRows) * 100),
+        threatBreakdown: Object.entries(state.threatBreakdown).map(([name, value]) => ({ name, value })),
+        topAttackedPorts: Object.entries(state.topAttackedPorts)
+          .sort(([, a], [, b]) => b - a)
+          .slice(0, 5)
+          .map(([port, count]) => ({ name: `Port ${port} (${COMMON_PORTS[port] || 'Unknown'})`, count })),
+        threatsOverTime: transformToThreatsOverTime(),
+        topSourceCountries: topEntries(state.topSourceCountries),
+        topAsns: topEntries(state.topAsns),
+      },
+      trafficData: {
+        protocolBreakdown: Object.entries(state.protocolBreakdown).map(([name, value]) => ({ name, value })),
+        trafficVolume: Object.keys(state.trafficVolume).sort().map(time => ({
+          time,
+          volume: parseFloat(state.trafficVolume[time].toFixed(2)),
+        })),
+        sentReceived: Object.values(state.sentReceived).map(item => ({
+          name: item.name,
+          sent: parseFloat((item.sent / (1024 * 1024 * 1024)).toFixed(3)),
+          received: parseFloat((item.received / (1024 * 1024 * 1024)).toFixed(3)),
+        })),
+        recentFlows: state.recentFlows.map(flow => ({ ...flow, sourceHistory: summarizeSourceHistory(profiles.get(flow.source)) })),
+      },
+      behaviourData: {
+        flowDuration: {
+          benign: benign.map(toFlowDuration),
+          malicious: malicious.map(toFlowDuration),
+        },
+        packetTiming: {
+          benign: benign.map(toPacketTiming),
+          malicious: malicious.map(toPacketTiming),
+        }
+      },
+      packetData: {
+        flagProfiles: Object.entries(state.flagProfiles).map(([flag, values]) => ({ flag, ...values })),
+        avgPacketSize: Object.values(state.avgPacketSize).map(item => ({
+          name: item.name,
+          count: parseFloat((item.total / item.count).toFixed(2)),
+        })),
+      },
+      rawData: state.rawData,
+    };
+  }
+
   return {
-    dashboardData: {
-      threatLevel,
-      threatBreakdown: Object.entries(threatBreakdown).map(([name, value]) => ({ name, value })),
-      topAttackedPorts: Object.entries(topAttackedPorts)
-        .sort(([, a], [, b]) => b - a)
-        .slice(0, 5)
-        .map(([port, count]) => ({ name: `Port ${port} (${COMMON_PORTS[port] || 'Unknown'})`, count })),
-      threatsOverTime: transformToThreatsOverTime(maliciousRows),
+    add(rows) {
+      rows.forEach(addRow);
     },
-    trafficData: {
-      protocolBreakdown: Object.entries(protocolBreakdown).map(([name, value]) => ({ name, value })),
-      trafficVolume: transformToTrafficVolume(rows),
-      sentReceived: transformToSentReceived(rows),
-      recentFlows: maliciousRows.slice(0, 5).map(r => ({
-        source: getKey(r, 'src_ip', 'Src IP') || 'N/A',
-        dest: getKey(r, 'dst_ip', 'Dst IP') || 'N/A',
-        port: getKey(r, 'dst_port', 'Dst Port'),
-        protocol: getKey(r, 'protocol', 'Protocol') === 6 ? 'TCP' : 'UDP',
-        type: r.prediction, // Use .prediction
-      })),
+    get rowCount() {
+      return state.totalRows;
     },
-    behaviourData,
-    packetData: {
-      flagProfiles: Object.entries(flagProfiles).map(([flag, values]) => ({ flag, ...values })),
-      avgPacketSize: transformToAvgPacketSize(rows),
+    // Source IPs of the sampled recent flows, whose profiles finalize can attach
+    get recentSourceIps() {
+      return [...new Set(state.recentFlows.map(flow => flow.source).filter(ip => ip !== 'N/A'))];
     },
-    rawData: rows[7],
+    finalize,
   };
 }
 
+function transformPredictionData(rows) {
+  if (!rows || rows.length === 0) {
+    return { dashboardData: {}, trafficData: {}, behaviourData: {}, packetData: {}, rawData: [] };
+  }
+  const accumulator = createPredictionAccumulator();
+  accumulator.add(rows);
+  return accumulator.finalize();
+}
+
 /**
  * Transforms the array of BLOCKED flows into a simplified structure 
  * for display in the frontend.
@@ -227,21 +351,40 @@ function transformBlockedData(blockedRows) {
         return acc;
     }, {});
 
-    // 2. Sample recent blocked flows for the table view
-    const recentFlows = blockedRows.slice(0, 5).map(r => ({
+    // 2. Count blocks per rule (a defense rule IP or a custom rule name)
+    const ruleBreakdown = blockedRows.reduce((acc, row) => {
+        const rule = row.blocked_by || 'Defense rule';
+        acc[rule] = (acc[rule] || 0) + 1;
+        return acc;
+    }, {});
+
+    // 3. Count blocks by where the blocking rule came from: threat intel, the model, an operator or a custom rule
+    const originBreakdown = blockedRows.reduce((acc, row) => {
+        const origin = row.blocked_origin || 'model';
+        acc[origin] = (acc[origin] || 0) + 1;
+        return acc;
+    }, {});
+
+    // 4. Sample recent blocked flows for the table view
+    const recentFlows = blockedRows.slice(0, BLOCKED_SAMPLE_SIZE).map(r => ({
         source: getKey(r, 'src_ip') || 'N/A',
         dest: getKey(r, 'dst_ip') || 'N/A',
         port: getKey(r, 'dst_port'),
         protocol: getKey(r, 'protocol') === 6 ? 'TCP' : 'UDP',
         // Use a consistent type for display
         type: r.prediction, 
+        originalType: r.original_prediction || null,
+        blockedBy: r.blocked_by || null,
+        origin: r.blocked_origin || 'model',
     }));
 
     return {
         blockedCount: blockedRows.length,
         threatBreakdown: Object.entries(threatBreakdown).map(([name, value]) => ({ name, value })),
+        ruleBreakdown: Object.entries(ruleBreakdown).map(([name, value]) => ({ name, value })),
+        originBreakdown: Object.entries(originBreakdown).map(([name, value]) => ({ name, value })),
         recentFlows: recentFlows,
     };
 }
 
-module.exports = { transformPredictionData, transformBlockedData };
\ No newline at end of file
+module.exports = { transformPredictionData, transformBlockedData, createPredictionAccumulator, summarizeSourceHistory };
\ No newline at end of file
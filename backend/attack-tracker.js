@@ -0,0 +1,130 @@
+/**
+ * attack-tracker.js
+ * Sliding-window detection counters behind manageDefenseRules. Each store records detection
+ * times per key ("ip|threat type") and answers how many fall inside a window ending at a
+ * flow's time. Two implementations share one interface:
+ *   - memory: a Map in this process (the default; lost on restart)
+ *   - postgres: the attack_detections table, so counts survive restarts and are shared
+ *     by every backend instance pointed at the same database
+ *
+ * Store interface (all methods return promises):
+ *   recordDetection(key, timeMs, windowMs) -> Array<number>  detection times in [timeMs - windowMs, timeMs], including this one
+ *   countDetections(key, timeMs, windowMs) -> number         how many recorded detections fall in that window (records nothing)
+ *   clear(key)                                              forget a key once its rule is created
+ *   prune(maxWindowMs)                                      drop detections no window can reach any more
+ */
+
+const TRACKER_STORES = ['memory', 'postgres'];
+
+
+/**
+ * In-process store. Keys untouched for longer than the longest window are pruned; that is
+ * measured in wall-clock time because flow times of uploaded captures can be years old.
+ */
+function createMemoryTrackerStore() {
+    const detections = new Map(); // key -> { times: Array<number>, touchedAt: number }
+
+    return {
+        name: 'memory',
+
+        async recordDetection(key, timeMs, windowMs) {
+            const entry = detections.get(key) || { times: [], touchedAt: 0 };
+            const recent = entry.times.filter(stamp => (timeMs - stamp) <= windowMs && (timeMs - stamp) >= 0);
+            recent.push(timeMs);
+            detections.set(key, { times: recent, touchedAt: Date.now() });
+            return recent;
+        },
+
+        async countDetections(key, timeMs, windowMs) {
+            const entry = detections.get(key);
+            return entry ? entry.times.filter(stamp => (timeMs - stamp) <= windowMs && (timeMs - stamp) >= 0).length : 0;
+        },
+
+        async clear(key) {
+            detections.delete(key);
+        },
+
+        async prune(maxWindowMs) {
+            const cutoff = Date.now() - maxWindowMs;
+            for (const [key, entry] of detections) {
+                if (entry.touchedAt < cutoff) detections.delete(key);
+            }
+        },
+    };
+}
+
+
+/**
+ * Durable store on the attack_detections table (see migrations/004_attack_detections.sql).
+ * Every instance inserts its own detections and counts everyone's, so a threshold is reached
+ * no matter which instance saw the flows.
+ */
+function createPostgresTrackerStore(supabase) {
+    return {
+        name: 'postgres',
+
+        async recordDetection(key, timeMs, windowMs) {
+            const { error: insertError } = await supabase
+                .from('attack_detections')
+                .insert([{ tracker_key: key, detected_at: new Date(timeMs).toISOString() }]);
+            if (insertError) throw insertError;
+
+            const { data, error } = await supabase
+                .from('attack_detections')
+                .select('detected_at')
+                .eq('tracker_key', key)
+                .gte('detected_at', new Date(timeMs - windowMs).toISOString())
+                .lte('detected_at', new Date(timeMs).toISOString());
+            if (error) throw error;
+            return data.map(row => new Date(row.detected_at).getTime());
+        },
+
+        async countDetections(key, timeMs, windowMs) {
+            const { count, error } = await supabase
+                .from('attack_detections')
+                .select('tracker_key', { count: 'exact', head: true })
+                .eq('tracker_key', key)
+                .gte('detected_at', new Date(timeMs - windowMs).toISOString())
+                .lte('detected_at', new Date(timeMs).toISOString());
+            if (error) throw error;
+            return count || 0;
+        },
+
+        async clear(key) {
+            const { error } = await supabase.from('attack_detections').delete().eq('tracker_key', key);
+            if (error) throw error;
+        },
+
+        async prune(maxWindowMs) {
+            const { error } = await supabase
+                .from('attack_detections')
+                .delete()
+                .lt('recorded_at', new Date(Date.now() - maxWindowMs).toISOString());
+            if (error) throw error;
+        },
+    };
+}
+
+
+/**
+ * Creates the tracker store named by kind.
+ * @param {string} kind - 'memory' or 'postgres'.
+ * @param {object} supabase - Required for 'postgres'.
+ */
+function createTrackerStore(kind, supabase) {
+    switch (kind) {
+        case 'memory':
+            return createMemoryTrackerStore();
+        case 'postgres':
+            return createPostgresTrackerStore(supabase);
+        default:
+            throw new Error(`Unknown attack tracker store "${kind}" (expected one of ${TRACKER_STORES.join(', ')}).`);
+    }
+}
+
+module.exports = {
+    TRACKER_STORES,
+    createMemoryTrackerStore,
+    createPostgresTrackerStore,
+    createTrackerStore,
+};
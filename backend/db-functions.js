@@ -133,36 +133,6 @@ async function saveAnalysisResults(supabase, analysisId, predictedRows) {
 }
 
 
-/**
- * Checks the defense_rules table to see if the given IP address is currently blocked.
- * @param {object} supabase - The initialized Supabase client object.
- * @param {string} ipAddress - The IP address to check.
- * @returns {Promise<boolean>} - True if the IP is actively blocked, false otherwise.
- */
-async function checkDefenseRule(supabase, ipAddress) {
-    if (!ipAddress || ipAddress === 'UNKNOWN') {
-        return false; // Cannot block an unknown or missing IP
-    }
-
-    // 1. Query the 'defense_rules' table
-    const { data, error } = await supabase
-        .from('defense_rules')
-        .select('ip_address') // Select only the column needed (for speed)
-        .eq('ip_address', ipAddress) // Match the IP
-        .eq('is_active', true) // Rule must be active
-        .gt('expires_at', new Date().toISOString()) // Expiration must be in the future
-        .limit(1); // Stop after finding the first match
-
-    if (error) {
-        console.error("Supabase Error: Failed to check defense rule:", error.message);
-        return false; 
-    }
-
-    // If data array has at least one result, the IP is blocked.
-    return data.length > 0; 
-}
-
-
 /**
  * Retrieves all rows from the analysis_results table for a specific job ID.
  * @param {object} supabase - The initialized Supabase client object.
@@ -187,6 +157,5 @@ async function getAnalysisResultsByJobId(supabase, analysisId) {
 
 module.exports = {
     saveAnalysisResults,
-    checkDefenseRule,
     getAnalysisResultsByJobId
 };
\ No newline at end of file
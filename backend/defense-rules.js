@@ -0,0 +1,519 @@
+/**
+ * defense-rules.js
+ * Validation and queries for the defense_rules table. Both the automatic rule creator
+ * (manageDefenseRules) and the /rules API build rows through validateRuleInput, so a rule
+ * created by hand always has the same shape as one created from a detection.
+ */
+
+const { PROTOCOL_NUMBERS } = require('./flow-adapters');
+const { normalizeCidr } = require('./ip-trie');
+const { RULE_DIRECTIONS } = require('./rule-matcher');
+const { RESPONSE_LEVELS } = require('./response-levels');
+
+const RULE_STATUSES = ['active', 'expired', 'revoked', 'all'];
+// Columns that say what a rule matches, for queries feeding a rule matcher
+const RULE_TARGET_COLUMNS = 'ip_address, direction, protocol, dst_port_min, dst_port_max';
+const MAX_THREAT_TYPE_LENGTH = 100;
+const MAX_LIST_LIMIT = 1000;
+// PostgREST returns at most this many rows per request (its max-rows setting)
+const PAGE_SIZE = 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SORTABLE_COLUMNS = ['created_at', 'expires_at', 'ip_address', 'threat_type'];
+// Search terms go into a PostgREST or() filter, so they are limited to characters found in IPs, CIDRs and labels
+const SEARCH_PATTERN = /^[\w.:\/\- ]{1,100}$/;
+
+// Columns a caller may set, and whether each is required when creating a rule
+const RULE_COLUMNS = {
+    ip_address: true,
+    threat_type: true,
+    direction: false,
+    protocol: false,
+    dst_port_min: false,
+    dst_port_max: false,
+    response_level: false,
+    expires_at: false,
+    is_active: false,
+    analysis_id: false,
+    raw_flow_data: false,
+};
+
+
+/**
+ * The columns that mark a rule as revoked by hand (as opposed to expired by the lifecycle sweep).
+ */
+function revokedColumns(now = Date.now()) {
+    return { is_active: false, deactivated_reason: 'revoked', deactivated_at: new Date(now).toISOString() };
+}
+
+
+/**
+ * Validates a rule (or a partial update) and converts it to a defense_rules row.
+ * @param {object} input - Column values; duration_minutes may be given instead of expires_at,
+ *   and expires_at: null makes the rule permanent. ip_address may be a CIDR block; direction,
+ *   protocol (number or name) and a destination port range narrow what the rule matches.
+ *   response_level defaults to permanent_block for a rule without expiry, temporary_block otherwise.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - True for updates: nothing is required and no defaults are filled in.
+ * @param {number} [options.defaultDurationMinutes] - Rule lifetime used when a new rule has no expiry.
+ * @param {number} [options.now=Date.now()]
+ * @returns {{ rule: object, errors: Array<string> }}
+ */
+function validateRuleInput(input, { partial = false, defaultDurationMinutes, now = Date.now() } = {}) {
+    const errors = [];
+    const rule = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { rule, errors: ['Rule must be a JSON object.'] };
+    }
+
+    for (const key of Object.keys(input)) {
+        if (!(key in RULE_COLUMNS) && key !== 'duration_minutes') {
+            errors.push(`Unknown field "${key}".`);
+        }
+    }
+    if (!partial) {
+        for (const [column, required] of Object.entries(RULE_COLUMNS)) {
+            if (required && (input[column] === undefined || input[column] === null || input[column] === '')) {
+                errors.push(`"${column}" is required.`);
+            }
+        }
+    }
+
+    if (input.ip_address !== undefined && input.ip_address !== null) {
+        const target = normalizeCidr(String(input.ip_address));
+        if (!target) {
+            errors.push(`"ip_address" must be a valid IPv4 or IPv6 address or CIDR block (got "${input.ip_address}").`);
+        } else {
+            rule.ip_address = target;
+        }
+    }
+
+    // Scope: which side of the flow the address is matched on, plus optional protocol and port range
+    if (input.direction !== undefined) {
+        if (!RULE_DIRECTIONS.includes(input.direction)) {
+            errors.push(`"direction" must be one of ${RULE_DIRECTIONS.join(', ')}.`);
+        } else {
+            rule.direction = input.direction;
+        }
+    } else if (!partial) {
+        rule.direction = 'both';
+    }
+
+    if (input.protocol !== undefined && input.protocol !== null && input.protocol !== '') {
+        const named = PROTOCOL_NUMBERS[String(input.protocol).toLowerCase()];
+        const protocol = named !== undefined ? named : Number(input.protocol);
+        if (!Number.isInteger(protocol) || protocol < 0 || protocol > 255) {
+            errors.push(`"protocol" must be a protocol number (0-255) or one of ${Object.keys(PROTOCOL_NUMBERS).join(', ')}.`);
+        } else {
+            rule.protocol = protocol;
+        }
+    } else if (input.protocol !== undefined || !partial) {
+        rule.protocol = null;
+    }
+
+    // A single port is a range of one; clearing dst_port_min clears the range
+    const isPort = value => Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= 65535;
+    const hasMin = input.dst_port_min !== undefined && input.dst_port_min !== null && input.dst_port_min !== '';
+    const hasMax = input.dst_port_max !== undefined && input.dst_port_max !== null && input.dst_port_max !== '';
+    if (hasMin) {
+        const min = Number(input.dst_port_min);
+        const max = hasMax ? Number(input.dst_port_max) : min;
+        if (!isPort(input.dst_port_min) || !isPort(max)) {
+            errors.push('"dst_port_min" and "dst_port_max" must be ports between 0 and 65535.');
+        } else if (max < min) {
+            errors.push('"dst_port_max" must not be below "dst_port_min".');
+        } else {
+            rule.dst_port_min = min;
+            rule.dst_port_max = max;
+        }
+    } else if (hasMax) {
+        errors.push('"dst_port_max" needs "dst_port_min".');
+    } else if (input.dst_port_min !== undefined || !partial) {
+        rule.dst_port_min = null;
+        rule.dst_port_max = null;
+    }
+
+    // An empty value on create is already reported as missing above
+    if (input.threat_type !== undefined && input.threat_type !== null && (partial || input.threat_type !== '')) {
+        const threatType = String(input.threat_type).trim();
+        if (!threatType || threatType.length > MAX_THREAT_TYPE_LENGTH) {
+            errors.push(`"threat_type" must be 1-${MAX_THREAT_TYPE_LENGTH} characters.`);
+        } else {
+            rule.threat_type = threatType;
+        }
+    }
+
+    // expires_at: null pins a rule as permanent
+    if (input.expires_at !== undefined && input.duration_minutes !== undefined) {
+        errors.push('Give either "expires_at" or "duration_minutes", not both.');
+    } else if (input.expires_at === null) {
+        rule.expires_at = null;
+    } else if (input.expires_at !== undefined) {
+        const expiresAt = new Date(input.expires_at).getTime();
+        if (Number.isNaN(expiresAt)) {
+            errors.push('"expires_at" must be an ISO 8601 timestamp or null (permanent).');
+        } else if (expiresAt <= now) {
+            errors.push('"expires_at" must be in the future.');
+        } else {
+            rule.expires_at = new Date(expiresAt).toISOString();
+        }
+    } else if (input.duration_minutes !== undefined) {
+        const minutes = Number(input.duration_minutes);
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            errors.push('"duration_minutes" must be a positive number.');
+        } else {
+            rule.expires_at = new Date(now + minutes * 60 * 1000).toISOString();
+        }
+    } else if (!partial && defaultDurationMinutes) {
+        rule.expires_at = new Date(now + defaultDurationMinutes * 60 * 1000).toISOString();
+    }
+
+    // Switching a rule off by hand revokes it; switching it back on clears why it was off
+    if (input.response_level !== undefined) {
+        if (!RESPONSE_LEVELS.includes(input.response_level)) {
+            errors.push(`"response_level" must be one of ${RESPONSE_LEVELS.join(', ')}.`);
+        } else {
+            rule.response_level = input.response_level;
+        }
+    } else if (!partial) {
+        rule.response_level = rule.expires_at === null ? 'permanent_block' : 'temporary_block';
+    }
+
+    if (input.is_active !== undefined) {
+        if (typeof input.is_active !== 'boolean') {
+            errors.push('"is_active" must be true or false.');
+        } else {
+            rule.is_active = input.is_active;
+            if (!input.is_active) {
+                Object.assign(rule, revokedColumns(now));
+            } else if (partial) {
+                Object.assign(rule, { deactivated_reason: null, deactivated_at: null });
+            }
+        }
+    } else if (!partial) {
+        rule.is_active = true;
+    }
+
+    if (input.analysis_id !== undefined) {
+        if (input.analysis_id !== null && !UUID_PATTERN.test(String(input.analysis_id))) {
+            errors.push('"analysis_id" must be a UUID or null.');
+        } else {
+            rule.analysis_id = input.analysis_id;
+        }
+    } else if (!partial) {
+        rule.analysis_id = null;
+    }
+
+    if (input.raw_flow_data !== undefined) {
+        if (input.raw_flow_data !== null && (typeof input.raw_flow_data !== 'object' || Array.isArray(input.raw_flow_data))) {
+            errors.push('"raw_flow_data" must be an object or null.');
+        } else {
+            rule.raw_flow_data = input.raw_flow_data;
+        }
+    } else if (!partial) {
+        rule.raw_flow_data = null;
+    }
+
+    return { rule, errors };
+}
+
+
+/**
+ * Reads the GET /rules query string into list filters.
+ * @returns {{ filters: object, errors: Array<string> }}
+ */
+function parseRuleFilters(query = {}) {
+    const errors = [];
+    const filters = {
+        ip: query.ip ? String(query.ip).trim() : undefined,
+        threat_type: query.threat_type ? String(query.threat_type) : undefined,
+        level: query.level ? String(query.level) : undefined,
+        analysis_id: query.analysis_id ? String(query.analysis_id) : undefined,
+        status: query.status ? String(query.status) : 'all',
+        search: query.search ? String(query.search).trim() : undefined,
+        sort: query.sort ? String(query.sort) : 'created_at',
+        order: query.order ? String(query.order).toLowerCase() : 'desc',
+        limit: query.limit !== undefined ? Number(query.limit) : 100,
+        offset: query.offset !== undefined ? Number(query.offset) : 0,
+    };
+
+    if (filters.ip) {
+        const target = normalizeCidr(filters.ip);
+        if (!target) errors.push('"ip" must be a valid IP address or CIDR block.');
+        else filters.ip = target;
+    }
+    if (filters.analysis_id && !UUID_PATTERN.test(filters.analysis_id)) errors.push('"analysis_id" must be a UUID.');
+    if (filters.level && !RESPONSE_LEVELS.includes(filters.level)) errors.push(`"level" must be one of ${RESPONSE_LEVELS.join(', ')}.`);
+    if (!RULE_STATUSES.includes(filters.status)) errors.push(`"status" must be one of ${RULE_STATUSES.join(', ')}.`);
+    if (filters.search && !SEARCH_PATTERN.test(filters.search)) {
+        errors.push('"search" may only contain letters, digits, spaces and . : / _ -');
+    }
+    if (!SORTABLE_COLUMNS.includes(filters.sort)) errors.push(`"sort" must be one of ${SORTABLE_COLUMNS.join(', ')}.`);
+    if (!['asc', 'desc'].includes(filters.order)) errors.push('"order" must be asc or desc.');
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_LIST_LIMIT) {
+        errors.push(`"limit" must be an integer between 1 and ${MAX_LIST_LIMIT}.`);
+    }
+    if (!Number.isInteger(filters.offset) || filters.offset < 0) errors.push('"offset" must be a non-negative integer.');
+
+    return { filters, errors };
+}
+
+
+/**
+ * Narrows a defense_rules query to one status. Active: switched on and not yet expired
+ * (permanent rules have no expires_at). Expired: past expires_at, whether or not the lifecycle
+ * sweep has switched it off yet (deactivated_reason 'expired'). Revoked: switched off by hand.
+ * @param {object} query - A Supabase query builder on defense_rules.
+ * @param {string} status - One of RULE_STATUSES.
+ * @param {string} [nowIso] - The reference time (defaults to now).
+ */
+function applyStatusFilter(query, status, nowIso = new Date().toISOString()) {
+    switch (status) {
+        case 'active':
+            return query.eq('is_active', true).or(`expires_at.is.null,expires_at.gt.${nowIso}`);
+        case 'expired':
+            return query.or(`and(is_active.eq.true,expires_at.lte.${nowIso}),and(is_active.eq.false,deactivated_reason.eq.expired)`);
+        case 'revoked':
+            return query.eq('is_active', false).or('deactivated_reason.is.null,deactivated_reason.neq.expired');
+        default:
+            return query;
+    }
+}
+
+function applyRuleFilters(query, filters, nowIso) {
+    let filtered = query;
+    if (filters.ip) filtered = filtered.eq('ip_address', filters.ip);
+    if (filters.threat_type) filtered = filtered.eq('threat_type', filters.threat_type);
+    if (filters.level) filtered = filtered.eq('response_level', filters.level);
+    if (filters.analysis_id) filtered = filtered.eq('analysis_id', filters.analysis_id);
+    if (filters.search) {
+        const term = `*${filters.search}*`;
+        filtered = filtered.or(`ip_address.ilike.${term},threat_type.ilike.${term}`);
+    }
+    return applyStatusFilter(filtered, filters.status || 'all', nowIso);
+}
+
+
+/**
+ * Adds the derived status (active / expired / revoked) to a defense_rules row.
+ */
+function withRuleStatus(rule, now = Date.now()) {
+    let status = rule.deactivated_reason === 'expired' ? 'expired' : 'revoked';
+    if (rule.is_active) {
+        status = rule.expires_at === null || new Date(rule.expires_at).getTime() > now ? 'active' : 'expired';
+    }
+    return { ...rule, status, is_permanent: rule.expires_at === null };
+}
+
+
+/**
+ * Lists one page of rules matching the filters, in the requested sort order.
+ * @returns {Promise<{ rules: Array<object>, total: number }>}
+ */
+async function listRules(supabase, filters) {
+    const nowIso = new Date().toISOString();
+    const query = supabase
+        .from('defense_rules')
+        .select('*', { count: 'exact' })
+        .order(filters.sort || 'created_at', { ascending: filters.order === 'asc', nullsFirst: false })
+        .range(filters.offset, filters.offset + filters.limit - 1);
+
+    const { data, error, count } = await applyRuleFilters(query, filters, nowIso);
+    if (error) throw error;
+    return { rules: (data || []).map(rule => withRuleStatus(rule)), total: count ?? (data || []).length };
+}
+
+
+/**
+ * Counts rules in each status (for the Rules tab summary).
+ * @returns {Promise<{ active: number, expired: number, revoked: number, all: number }>}
+ */
+async function countRulesByStatus(supabase) {
+    const nowIso = new Date().toISOString();
+    const counts = {};
+    await Promise.all(RULE_STATUSES.map(async status => {
+        const query = supabase.from('defense_rules').select('id', { count: 'exact', head: true });
+        const { count, error } = await applyStatusFilter(query, status, nowIso);
+        if (error) throw error;
+        counts[status] = count || 0;
+    }));
+    return counts;
+}
+
+
+async function getRuleById(supabase, id) {
+    const { data, error } = await supabase.from('defense_rules').select('*').eq('id', id).limit(1);
+    if (error) throw error;
+    return data && data.length > 0 ? withRuleStatus(data[0]) : null;
+}
+
+
+/**
+ * Reads a query page by page with range(), since a single response stops at PAGE_SIZE rows.
+ * buildQuery must return a fresh query each call, ordered on a unique column so pages don't
+ * overlap or skip rows.
+ * @param {() => object} buildQuery
+ * @param {{ limit?: number }} [options] - Stop after this many rows.
+ * @returns {Promise<Array<object>>}
+ */
+async function fetchAllRows(buildQuery, { limit = Infinity } = {}) {
+    const rows = [];
+    while (rows.length < limit) {
+        const size = Math.min(PAGE_SIZE, limit - rows.length);
+        const { data, error } = await buildQuery().range(rows.length, rows.length + size - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < size) break;
+    }
+    return rows;
+}
+
+
+/**
+ * Every active rule, oldest first (for exports).
+ */
+async function listActiveRules(supabase) {
+    const nowIso = new Date().toISOString();
+    const rules = await fetchAllRows(() => applyStatusFilter(
+        supabase.from('defense_rules').select('*').order('created_at', { ascending: true }).order('id', { ascending: true }),
+        'active',
+        nowIso
+    ));
+    return rules.map(rule => withRuleStatus(rule));
+}
+
+
+/**
+ * Narrows a defense_rules query to rules with exactly this target: address or CIDR, direction,
+ * protocol and port range. Missing scope fields mean an unscoped (whole address, both directions) rule.
+ */
+function applyTargetFilter(query, { ip_address, direction = 'both', protocol = null, dst_port_min = null, dst_port_max = null }) {
+    const equalOrNull = (filtered, column, value) => (value === null ? filtered.is(column, null) : filtered.eq(column, value));
+    let filtered = query.eq('ip_address', ip_address).eq('direction', direction);
+    filtered = equalOrNull(filtered, 'protocol', protocol);
+    filtered = equalOrNull(filtered, 'dst_port_min', dst_port_min);
+    return equalOrNull(filtered, 'dst_port_max', dst_port_max);
+}
+
+
+/**
+ * Returns the active (switched on, unexpired) rule with the same target and scope, or null.
+ * @param {object} target - { ip_address, direction, protocol, dst_port_min, dst_port_max }
+ */
+async function findActiveRuleForTarget(supabase, target) {
+    const query = applyTargetFilter(supabase.from('defense_rules').select('*'), target).limit(1);
+    const { data, error } = await applyStatusFilter(query, 'active', new Date().toISOString());
+    if (error) throw error;
+    return data && data.length > 0 ? withRuleStatus(data[0]) : null;
+}
+
+
+/**
+ * True for a Postgres unique violation, i.e. the target already has an active rule
+ * (see migrations/005_unique_active_rule.sql and 006_scoped_defense_rules.sql).
+ */
+function isUniqueViolation(error) {
+    return Boolean(error) && error.code === '23505';
+}
+
+
+async function insertRule(supabase, rule) {
+    const { data, error } = await supabase.from('defense_rules').insert([rule]).select();
+    if (error) throw error;
+    return withRuleStatus(data[0]);
+}
+
+
+async function updateRule(supabase, id, changes) {
+    const { data, error } = await supabase.from('defense_rules').update(changes).eq('id', id).select();
+    if (error) throw error;
+    return data && data.length > 0 ? withRuleStatus(data[0]) : null;
+}
+
+
+async function deleteRule(supabase, id) {
+    const { data, error } = await supabase.from('defense_rules').delete().eq('id', id).select();
+    if (error) throw error;
+    return data && data.length > 0 ? withRuleStatus(data[0]) : null;
+}
+
+
+/**
+ * Switches off every rule with one of the given IDs. Rules already off are left as they are.
+ * @returns {Promise<Array<object>>} - The revoked rules.
+ */
+async function revokeRules(supabase, ids) {
+    const { data, error } = await supabase
+        .from('defense_rules')
+        .update(revokedColumns())
+        .in('id', ids)
+        .eq('is_active', true)
+        .select();
+    if (error) throw error;
+    return (data || []).map(rule => withRuleStatus(rule));
+}
+
+
+/**
+ * Switches off every active rule matching the filters (IP, threat type and/or analysis).
+ * @returns {Promise<Array<object>>} - The revoked rules.
+ */
+async function revokeMatchingRules(supabase, filters) {
+    const query = supabase.from('defense_rules').update(revokedColumns());
+    const { data, error } = await applyRuleFilters(query, { ...filters, status: 'active' }, new Date().toISOString()).select();
+    if (error) throw error;
+    return (data || []).map(rule => withRuleStatus(rule));
+}
+
+
+/**
+ * Pushes the expiry of each rule out by the given number of minutes. Rules that have already
+ * expired are extended from now, so an extension always leaves the rule in force for that long;
+ * one the lifecycle sweep has switched off is switched back on, unless a newer rule now covers
+ * the same target. Permanent rules are left as they are.
+ * @returns {Promise<Array<object>>} - The updated rules.
+ */
+async function extendRules(supabase, ids, minutes) {
+    const { data: rules, error } = await supabase.from('defense_rules').select('*').in('id', ids);
+    if (error) throw error;
+
+    const now = Date.now();
+    const updated = await Promise.all((rules || []).filter(rule => rule.expires_at !== null).map(async rule => {
+        const base = Math.max(now, new Date(rule.expires_at).getTime() || now);
+        const changes = { expires_at: new Date(base + minutes * 60 * 1000).toISOString() };
+        if (rule.deactivated_reason === 'expired') {
+            Object.assign(changes, { is_active: true, deactivated_reason: null, deactivated_at: null });
+        }
+        try {
+            return await updateRule(supabase, rule.id, changes);
+        } catch (e) {
+            if (isUniqueViolation(e)) return null;
+            throw e;
+        }
+    }));
+    return updated.filter(Boolean);
+}
+
+module.exports = {
+    RULE_STATUSES,
+    RULE_TARGET_COLUMNS,
+    validateRuleInput,
+    revokedColumns,
+    applyStatusFilter,
+    parseRuleFilters,
+    withRuleStatus,
+    listRules,
+    fetchAllRows,
+    listActiveRules,
+    countRulesByStatus,
+    getRuleById,
+    applyTargetFilter,
+    findActiveRuleForTarget,
+    insertRule,
+    updateRule,
+    deleteRule,
+    revokeRules,
+    revokeMatchingRules,
+    extendRules,
+    isUniqueViolation,
+};
@@ -0,0 +1,192 @@
+/**
+ * detection-policies.js
+ * Per-threat-type detection policy: how many detections within what window count as an offense,
+ * how long the resulting rule lives, the threat's severity (where a first offense enters the
+ * response ladder, see response-levels.js) and its action (the highest level the ladder may
+ * reach for this threat). Policies live in the
+ * detection_policies table and are cached in memory; the cache is refreshed periodically and
+ * dropped on every write, so changes made through /policies apply without a restart.
+ * Labels without a stored policy use the defaults passed to createPolicyStore.
+ */
+
+const { RESPONSE_LEVELS, SEVERITIES } = require('./response-levels');
+
+// A policy's action is the top of its response ladder
+const POLICY_ACTIONS = RESPONSE_LEVELS;
+const MAX_THREAT_TYPE_LENGTH = 100;
+const MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_RULE_EXPIRATION_MINUTES = 365 * 24 * 60;
+const POLICY_FIELDS = ['threshold_count', 'window_ms', 'rule_expiration_minutes', 'action', 'severity'];
+
+
+/**
+ * Validates a policy for one threat type. Fields missing from input are taken from base.
+ * @param {object} input - { threshold_count, window_ms, rule_expiration_minutes, action, severity }
+ * @param {object} base - The policy being replaced (or the defaults).
+ * @returns {{ policy: object, errors: Array<string> }}
+ */
+function validatePolicyInput(input, base) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { policy: {}, errors: ['Policy must be a JSON object.'] };
+    }
+    for (const key of Object.keys(input)) {
+        if (!POLICY_FIELDS.includes(key)) errors.push(`Unknown field "${key}".`);
+    }
+
+    const merged = { ...base, ...input };
+    const policy = {};
+
+    if (!Number.isInteger(Number(merged.threshold_count)) || Number(merged.threshold_count) < 1) {
+        errors.push('"threshold_count" must be a positive integer.');
+    } else {
+        policy.threshold_count = Number(merged.threshold_count);
+    }
+
+    const windowMs = Number(merged.window_ms);
+    if (!Number.isInteger(windowMs) || windowMs < 1 || windowMs > MAX_WINDOW_MS) {
+        errors.push(`"window_ms" must be an integer between 1 and ${MAX_WINDOW_MS}.`);
+    } else {
+        policy.window_ms = windowMs;
+    }
+
+    if (!POLICY_ACTIONS.includes(merged.action)) {
+        errors.push(`"action" must be one of ${POLICY_ACTIONS.join(', ')}.`);
+    } else {
+        policy.action = merged.action;
+    }
+
+    if (!SEVERITIES.includes(merged.severity)) {
+        errors.push(`"severity" must be one of ${SEVERITIES.join(', ')}.`);
+    } else {
+        policy.severity = merged.severity;
+    }
+
+    // Every level below permanent_block expires; a policy without a lifetime uses the default one
+    const minutes = merged.rule_expiration_minutes;
+    if (minutes === null || minutes === undefined || minutes === '') {
+        if (merged.action === 'temporary_block') errors.push('"rule_expiration_minutes" is required for temporary_block.');
+        policy.rule_expiration_minutes = null;
+    } else if (!Number.isFinite(Number(minutes)) || Number(minutes) <= 0 || Number(minutes) > MAX_RULE_EXPIRATION_MINUTES) {
+        errors.push(`"rule_expiration_minutes" must be a positive number up to ${MAX_RULE_EXPIRATION_MINUTES}.`);
+    } else {
+        policy.rule_expiration_minutes = Number(minutes);
+    }
+
+    return { policy, errors };
+}
+
+
+function isValidThreatType(threatType) {
+    return typeof threatType === 'string' && threatType.trim() !== '' && threatType.length <= MAX_THREAT_TYPE_LENGTH;
+}
+
+
+/**
+ * Creates the cached policy store.
+ * @param {object} options
+ * @param {object} options.supabase
+ * @param {object} options.defaults - { threshold_count, window_ms, rule_expiration_minutes, action, severity } for labels without a policy.
+ * @param {number} [options.refreshIntervalMs=30000] - How long a loaded cache is trusted.
+ */
+function createPolicyStore({ supabase, defaults, refreshIntervalMs = 30000 }) {
+    let policies = new Map();
+    let loadedAt = 0;
+    let loading = null;
+    // Bumped on every write, so a load that started before the write isn't trusted afterwards
+    let generation = 0;
+
+    const load = async () => {
+        const startedAt = generation;
+        const { data, error } = await supabase.from('detection_policies').select('*');
+        if (error) {
+            // Keep the last good cache (or the defaults) rather than stopping rule creation
+            console.error('🚨 Failed to load detection policies:', error.message);
+        } else {
+            policies = new Map((data || []).map(row => [row.threat_type, row]));
+        }
+        if (generation === startedAt) loadedAt = Date.now();
+    };
+
+    const ensureFresh = async () => {
+        if (Date.now() - loadedAt < refreshIntervalMs) return;
+        if (!loading) {
+            loading = load().finally(() => { loading = null; });
+        }
+        await loading;
+        // A policy changed while that load ran; load again so the change is seen
+        if (loadedAt === 0) await ensureFresh();
+    };
+
+    const invalidate = () => {
+        generation++;
+        loadedAt = 0;
+    };
+
+    const resolve = threatType => {
+        const stored = policies.get(threatType);
+        return stored
+            ? { ...stored, is_default: false }
+            : { threat_type: threatType, ...defaults, is_default: true };
+    };
+
+    return {
+        defaults,
+
+        /** The policy for one prediction label. */
+        async getPolicy(threatType) {
+            await ensureFresh();
+            return resolve(threatType);
+        },
+
+        /** A synchronous lookup over the current cache, for walking many flows at once. */
+        async getResolver() {
+            await ensureFresh();
+            const snapshot = new Map(policies);
+            return threatType => (snapshot.has(threatType)
+                ? { ...snapshot.get(threatType), is_default: false }
+                : { threat_type: threatType, ...defaults, is_default: true });
+        },
+
+        /** Every known label (model labels plus stored policies) with its effective policy. */
+        async listPolicies(labels = []) {
+            await ensureFresh();
+            const threatTypes = [...new Set([...labels, ...policies.keys()])].sort();
+            return threatTypes.map(resolve);
+        },
+
+        /** The longest aggregation window in use, for pruning detection trackers. */
+        maxWindowMs() {
+            return Math.max(defaults.window_ms, ...[...policies.values()].map(policy => policy.window_ms));
+        },
+
+        async upsertPolicy(threatType, policy) {
+            const row = { threat_type: threatType, ...policy, updated_at: new Date().toISOString() };
+            const { data, error } = await supabase
+                .from('detection_policies')
+                .upsert([row], { onConflict: 'threat_type' })
+                .select();
+            if (error) throw error;
+            invalidate();
+            return { ...data[0], is_default: false };
+        },
+
+        async deletePolicy(threatType) {
+            const { data, error } = await supabase
+                .from('detection_policies')
+                .delete()
+                .eq('threat_type', threatType)
+                .select();
+            if (error) throw error;
+            invalidate();
+            return data && data.length > 0;
+        },
+    };
+}
+
+module.exports = {
+    POLICY_ACTIONS,
+    validatePolicyInput,
+    isValidThreatType,
+    createPolicyStore,
+};
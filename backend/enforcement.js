@@ -0,0 +1,283 @@
+/**
+ * enforcement.js
+ * Pushes rule changes to a firewall agent over a small HTTP webhook contract, so a rule in
+ * defense_rules is actually applied somewhere and not just recorded. Each change is POSTed as
+ *
+ *   { delivery_id, action: 'apply' | 'remove', sent_at, rule: { id, ip_address, direction,
+ *     protocol, dst_port_min, dst_port_max, threat_type, response_level, expires_at } }
+ *
+ * and counts as delivered only when the agent answers 2xx with an ack carrying the same
+ * delivery_id and a status of 'applied' or 'removed'. Anything else is retried with
+ * exponential backoff; the outcome is written to the rule's enforcement_* columns
+ * (migrations/008_rule_enforcement.sql). Only rate_limit and block level rules are sent; observe
+ * and alert rules never reach the agent (see response-levels.js). A reference nftables agent
+ * lives in enforcement-agent/.
+ */
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { listActiveRules, withRuleStatus, fetchAllRows } = require('./defense-rules');
+const { createKeyedLock } = require('./keyed-lock');
+const { ENFORCED_LEVELS, isEnforcedLevel } = require('./response-levels');
+
+// enforcement_status values, by action: while waiting for an ack, once acked, after giving up
+const STATUS_BY_ACTION = {
+    apply: { pending: 'pending', done: 'enforced', failed: 'failed' },
+    remove: { pending: 'removing', done: 'removed', failed: 'removal_failed' },
+};
+const ACK_STATUSES = { applied: 'enforced', removed: 'removed' };
+const RECENT_DELIVERY_LIMIT = 50;
+
+
+/**
+ * The part of a rule the agent needs to apply it.
+ */
+function toAgentRule(rule) {
+    return {
+        id: rule.id,
+        ip_address: rule.ip_address,
+        direction: rule.direction || 'both',
+        protocol: rule.protocol ?? null,
+        dst_port_min: rule.dst_port_min ?? null,
+        dst_port_max: rule.dst_port_max ?? null,
+        threat_type: rule.threat_type,
+        response_level: rule.response_level || 'temporary_block',
+        expires_at: rule.expires_at ?? null,
+    };
+}
+
+
+/**
+ * Creates the connector. Without a url it is disabled and every method is a no-op, so callers
+ * never have to check whether enforcement is configured.
+ * @param {object} options
+ * @param {object} options.supabase
+ * @param {string} [options.url] - The agent's webhook endpoint.
+ * @param {string} [options.token] - Sent as "Authorization: Bearer <token>".
+ * @param {number} [options.maxAttempts=5] - Deliveries per change before it is marked failed.
+ * @param {number} [options.retryBaseMs=2000] - First retry delay; doubles on each attempt.
+ * @param {number} [options.timeoutMs=5000] - Per-request timeout.
+ */
+function createEnforcementConnector({ supabase, url, token, maxAttempts = 5, retryBaseMs = 2000, timeoutMs = 5000 }) {
+    const enabled = Boolean(url);
+    // The change currently being delivered for each rule id; a newer change replaces it
+    const queue = new Map();
+    const recent = [];
+    // Requests for one rule reach the agent in order, so a removal never overtakes the apply it undoes
+    const sendLock = createKeyedLock();
+
+    const setRuleStatus = async (ruleId, changes) => {
+        const { error } = await supabase
+            .from('defense_rules')
+            .update({ ...changes, enforcement_updated_at: new Date().toISOString() })
+            .eq('id', ruleId);
+        if (error) console.error(`🚨 Failed to record enforcement status for rule ${ruleId}:`, error.message);
+    };
+
+    const remember = entry => {
+        recent.unshift(entry);
+        recent.length = Math.min(recent.length, RECENT_DELIVERY_LIMIT);
+    };
+
+    // One POST; resolves to the enforcement_status the ack maps to, or throws
+    const send = async delivery => {
+        const response = await axios.post(url, {
+            delivery_id: delivery.delivery_id,
+            action: delivery.action,
+            sent_at: new Date().toISOString(),
+            rule: toAgentRule(delivery.rule),
+        }, {
+            timeout: timeoutMs,
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+        });
+        const ack = response.data || {};
+        if (ack.delivery_id !== delivery.delivery_id) {
+            throw new Error(`Agent reply is not an ack for delivery ${delivery.delivery_id}.`);
+        }
+        if (!ACK_STATUSES[ack.status]) {
+            throw new Error(ack.error || ack.message || `Agent answered with status "${ack.status}".`);
+        }
+        return ACK_STATUSES[ack.status];
+    };
+
+    const describeFailure = error => {
+        if (error.response) {
+            const data = error.response.data || {};
+            return `HTTP ${error.response.status}${data.error ? `: ${data.error}` : ''}`;
+        }
+        return error.message;
+    };
+
+    const summarize = delivery => ({
+        delivery_id: delivery.delivery_id,
+        rule_id: delivery.rule.id,
+        ip_address: delivery.rule.ip_address,
+        action: delivery.action,
+        attempts: delivery.attempts,
+        last_error: delivery.last_error,
+        queued_at: delivery.queued_at,
+    });
+
+    const deliver = async delivery => {
+        const statuses = STATUS_BY_ACTION[delivery.action];
+        const isCurrent = () => queue.get(delivery.rule.id) === delivery;
+
+        while (isCurrent()) {
+            delivery.attempts++;
+            await setRuleStatus(delivery.rule.id, { enforcement_status: statuses.pending, enforcement_attempts: delivery.attempts });
+            try {
+                const status = await sendLock.run(delivery.rule.id, () => send(delivery));
+                if (!isCurrent()) return; // Superseded while in flight; the newer change records its own outcome
+                queue.delete(delivery.rule.id);
+                await setRuleStatus(delivery.rule.id, {
+                    enforcement_status: status,
+                    enforcement_error: null,
+                    ...(status === 'enforced' ? { enforced_at: new Date().toISOString() } : {}),
+                });
+                remember({ ...summarize(delivery), outcome: status, finished_at: new Date().toISOString() });
+                console.log(`🧱 Rule ${delivery.rule.id} (${delivery.rule.ip_address}) ${status} by the enforcement agent.`);
+                return;
+            } catch (error) {
+                delivery.last_error = describeFailure(error);
+            }
+
+            if (!isCurrent()) return;
+            if (delivery.attempts >= maxAttempts) {
+                queue.delete(delivery.rule.id);
+                await setRuleStatus(delivery.rule.id, { enforcement_status: statuses.failed, enforcement_error: delivery.last_error });
+                remember({ ...summarize(delivery), outcome: statuses.failed, finished_at: new Date().toISOString() });
+                console.error(`🚨 Gave up on ${delivery.action} for rule ${delivery.rule.id} after ${delivery.attempts} attempts: ${delivery.last_error}`);
+                return;
+            }
+
+            const delayMs = retryBaseMs * 2 ** (delivery.attempts - 1);
+            console.warn(`⚠️ Enforcement ${delivery.action} for rule ${delivery.rule.id} failed (${delivery.last_error}); retrying in ${delayMs} ms.`);
+            await new Promise(resolve => {
+                delivery.wake = resolve;
+                setTimeout(resolve, delayMs).unref();
+            });
+        }
+    };
+
+    const push = (action, rule) => {
+        if (!enabled || !rule || rule.id === undefined) return;
+        const previous = queue.get(rule.id);
+        const delivery = {
+            delivery_id: uuidv4(),
+            action,
+            rule,
+            attempts: 0,
+            last_error: null,
+            queued_at: new Date().toISOString(),
+        };
+        queue.set(rule.id, delivery);
+        // A change waiting out a retry delay is dropped straight away rather than after the delay
+        if (previous && previous.wake) previous.wake();
+        deliver(delivery).catch(error => {
+            console.error(`🚨 Enforcement delivery for rule ${rule.id} failed:`, error.message);
+        });
+    };
+
+    // Removals only go out for rules the agent may hold: sent at an enforced level, with a delivery
+    // under way, or with an enforcement status short of an acked removal
+    const pushRemoval = rule => {
+        if (!rule) return;
+        const mayBeHeld = isEnforcedLevel(rule.response_level)
+            || queue.has(rule.id)
+            || Boolean(rule.enforcement_status && rule.enforcement_status !== STATUS_BY_ACTION.remove.done);
+        if (mayBeHeld) push('remove', rule);
+    };
+
+    // Rules below rate_limit are not the agent's business; one that dropped there is taken back
+    const pushInForce = rule => {
+        if (!rule) return;
+        if (isEnforcedLevel(rule.response_level)) push('apply', rule);
+        else pushRemoval(rule);
+    };
+
+    return {
+        enabled,
+
+        /** Queues delivery of a new or changed rule that should be in force. */
+        apply(rule) {
+            pushInForce(rule);
+        },
+
+        /** Queues removal of a revoked, expired or deleted rule. */
+        remove(rule) {
+            pushRemoval(rule);
+        },
+
+        /** Applies the rule when it is active and removes it otherwise (after an edit). */
+        sync(rule) {
+            if (!rule) return;
+            if (rule.status === 'active') pushInForce(rule);
+            else pushRemoval(rule);
+        },
+
+        /**
+         * Re-sends every active rule the agent enforces, and removes rules the agent may still hold
+         * (enforced, or a removal that never got acked) that are inactive or no longer at an
+         * enforced level. Used after the agent restarts or an outage.
+         * @returns {Promise<{ applied: number, removed: number }>}
+         */
+        async resync() {
+            if (!enabled) return { applied: 0, removed: 0 };
+            const activeRules = (await listActiveRules(supabase)).filter(rule => isEnforcedLevel(rule.response_level));
+            const nowIso = new Date().toISOString();
+            // Every page is read before anything is queued, since deliveries change enforcement_status
+            const stale = await fetchAllRows(() => supabase
+                .from('defense_rules')
+                .select('*')
+                .in('enforcement_status', [STATUS_BY_ACTION.apply.done, STATUS_BY_ACTION.remove.pending, STATUS_BY_ACTION.remove.failed])
+                .or(`is_active.eq.false,expires_at.lte.${nowIso},response_level.not.in.(${ENFORCED_LEVELS.join(',')})`)
+                .order('id'));
+            activeRules.forEach(rule => push('apply', rule));
+            stale.forEach(rule => push('remove', rule));
+            return { applied: activeRules.length, removed: stale.length };
+        },
+
+        /**
+         * Picks up rules left waiting for an ack, e.g. by a restart mid-delivery. A pending apply
+         * for a rule that has since expired, been revoked or dropped below rate_limit is sent as a removal.
+         * @returns {Promise<number>} - How many deliveries were queued.
+         */
+        async retryUnacknowledged() {
+            if (!enabled) return 0;
+            const pending = await fetchAllRows(() => supabase
+                .from('defense_rules')
+                .select('*')
+                .in('enforcement_status', [STATUS_BY_ACTION.apply.pending, STATUS_BY_ACTION.remove.pending])
+                .order('id'));
+            const waiting = pending.filter(rule => !queue.has(rule.id));
+            waiting.forEach(rule => {
+                const stillInForce = withRuleStatus(rule).status === 'active' && isEnforcedLevel(rule.response_level);
+                push(rule.enforcement_status === STATUS_BY_ACTION.apply.pending && stillInForce ? 'apply' : 'remove', rule);
+            });
+            return waiting.length;
+        },
+
+        /** Connector state for GET /enforcement. */
+        getStatus() {
+            let endpoint = null;
+            if (enabled) {
+                // Never echo credentials embedded in the URL
+                const parsed = new URL(url);
+                parsed.username = '';
+                parsed.password = '';
+                endpoint = parsed.toString();
+            }
+            return {
+                enabled,
+                endpoint,
+                max_attempts: maxAttempts,
+                in_flight: [...queue.values()].map(summarize),
+                recent: recent.slice(),
+            };
+        },
+    };
+}
+
+module.exports = {
+    createEnforcementConnector,
+};
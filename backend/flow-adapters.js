@@ -0,0 +1,298 @@
+/**
+ * flow-adapters.js
+ * Detects Zeek conn.log (TSV or JSON) and Suricata EVE flow events and translates them into
+ * the CICFlowMeter feature schema the model was trained on. CICFlowMeter CSVs pass through.
+ * Features the sensors don't report are approximated from the flow totals and listed in
+ * each row's approximated_features (see flow-approximation.js).
+ */
+
+const { buildFlowRowFromTotals, TCP_FLAG_BITS } = require('./flow-approximation');
+
+const FLOW_FORMATS = {
+    CICFLOWMETER: 'cicflowmeter_csv',
+    ZEEK_TSV: 'zeek_conn_tsv',
+    ZEEK_JSON: 'zeek_conn_json',
+    SURICATA_EVE: 'suricata_eve',
+    // Not uploaded as flow files, but recorded as a job's or row's source the same way
+    PCAP: 'pcap',
+    NETFLOW: 'netflow',
+};
+
+const PROTOCOL_NUMBERS = { icmp: 1, tcp: 6, udp: 17, 'ipv6-icmp': 58, icmpv6: 58, sctp: 132 };
+
+// Ethernet framing is included in Suricata's byte counters
+const ETHERNET_HEADER_BYTES = 14;
+
+// Columns each sensor reports directly (the rest are approximated)
+const ZEEK_EXACT_FEATURES = [
+    'flow_duration', 'tot_fwd_pkts', 'tot_bwd_pkts', 'totlen_fwd_pkts', 'totlen_bwd_pkts',
+    'subflow_fwd_pkts', 'subflow_bwd_pkts', 'subflow_fwd_byts', 'subflow_bwd_byts',
+    'fwd_pkts_s', 'bwd_pkts_s', 'flow_pkts_s', 'flow_byts_s', 'down_up_ratio',
+    'fwd_pkt_len_mean', 'bwd_pkt_len_mean', 'fwd_seg_size_avg', 'bwd_seg_size_avg', 'pkt_size_avg',
+];
+// Zeek leaves duration/bytes unset ("-") for e.g. unanswered SYNs; these then become approximations
+const ZEEK_DURATION_FEATURES = ['flow_duration', 'fwd_pkts_s', 'bwd_pkts_s', 'flow_pkts_s', 'flow_byts_s'];
+const ZEEK_BYTE_FEATURES = [
+    'totlen_fwd_pkts', 'totlen_bwd_pkts', 'subflow_fwd_byts', 'subflow_bwd_byts', 'flow_byts_s',
+    'fwd_pkt_len_mean', 'bwd_pkt_len_mean', 'fwd_seg_size_avg', 'bwd_seg_size_avg', 'pkt_size_avg',
+];
+const SURICATA_EXACT_FEATURES = [
+    'flow_duration', 'tot_fwd_pkts', 'tot_bwd_pkts',
+    'subflow_fwd_pkts', 'subflow_bwd_pkts', 'fwd_pkts_s', 'bwd_pkts_s', 'flow_pkts_s', 'down_up_ratio',
+];
+
+// Zeek history letters: upper case is the originator, lower case the responder
+const ZEEK_HISTORY_FLAGS = {
+    s: TCP_FLAG_BITS.SYN,
+    h: TCP_FLAG_BITS.SYN | TCP_FLAG_BITS.ACK,
+    a: TCP_FLAG_BITS.ACK,
+    d: TCP_FLAG_BITS.PSH, // Data packets; Zeek doesn't log PSH itself
+    f: TCP_FLAG_BITS.FIN,
+    r: TCP_FLAG_BITS.RST,
+};
+
+// Used when a conn.log has no history column: flags implied by the connection state
+const ZEEK_CONN_STATE_FLAGS = {
+    S0: { fwd: TCP_FLAG_BITS.SYN, bwd: 0 },
+    S1: { fwd: TCP_FLAG_BITS.SYN | TCP_FLAG_BITS.ACK, bwd: TCP_FLAG_BITS.SYN | TCP_FLAG_BITS.ACK },
+    SF: { fwd: TCP_FLAG_BITS.SYN | TCP_FLAG_BITS.ACK | TCP_FLAG_BITS.FIN, bwd: TCP_FLAG_BITS.SYN | TCP_FLAG_BITS.ACK | TCP_FLAG_BITS.FIN },
+    REJ: { fwd: TCP_FLAG_BITS.SYN, bwd: TCP_FLAG_BITS.RST },
+    RSTO: { fwd: TCP_FLAG_BITS.RST | TCP_FLAG_BITS.ACK, bwd: TCP_FLAG_BITS.ACK },
+    RSTR: { fwd: TCP_FLAG_BITS.ACK, bwd: TCP_FLAG_BITS.RST | TCP_FLAG_BITS.ACK },
+    RSTOS0: { fwd: TCP_FLAG_BITS.SYN | TCP_FLAG_BITS.RST, bwd: 0 },
+    RSTRH: { fwd: 0, bwd: TCP_FLAG_BITS.SYN | TCP_FLAG_BITS.ACK | TCP_FLAG_BITS.RST },
+    SH: { fwd: TCP_FLAG_BITS.SYN | TCP_FLAG_BITS.FIN, bwd: 0 },
+    SHR: { fwd: 0, bwd: TCP_FLAG_BITS.SYN | TCP_FLAG_BITS.ACK | TCP_FLAG_BITS.FIN },
+};
+
+
+/**
+ * Works out the format of a flow file from its first non-empty line.
+ * @param {string} firstLine
+ * @returns {string} - One of FLOW_FORMATS.
+ */
+function detectFileFormat(firstLine) {
+    const line = firstLine.trim();
+    if (line.startsWith('#separator') || line.startsWith('#fields')) {
+        return FLOW_FORMATS.ZEEK_TSV;
+    }
+    if (line.startsWith('{')) {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw new Error('The file looks like JSON lines but its first line is not valid JSON.');
+        }
+        const format = detectRecordFormat(record);
+        if (format === FLOW_FORMATS.CICFLOWMETER) {
+            throw new Error('Unrecognised JSON records; expected Zeek conn.log or Suricata EVE events.');
+        }
+        return format;
+    }
+    return FLOW_FORMATS.CICFLOWMETER;
+}
+
+
+/**
+ * Works out the format of a single parsed record (e.g. one element of an /ingest/batch body).
+ * Anything that isn't recognisably Zeek or Suricata is treated as CICFlowMeter columns.
+ * @param {object} record
+ * @returns {string} - One of FLOW_FORMATS.
+ */
+function detectRecordFormat(record) {
+    if (!record || typeof record !== 'object') return FLOW_FORMATS.CICFLOWMETER;
+    if (typeof record.event_type === 'string' && ('src_ip' in record || 'flow' in record)) {
+        return FLOW_FORMATS.SURICATA_EVE;
+    }
+    if ('id.orig_h' in record || (record.id && typeof record.id === 'object' && 'orig_h' in record.id)) {
+        return FLOW_FORMATS.ZEEK_JSON;
+    }
+    return FLOW_FORMATS.CICFLOWMETER;
+}
+
+
+/**
+ * Translates one record of the given format into a flow row.
+ * @param {string} format - One of FLOW_FORMATS.
+ * @param {object} record - A parsed source record.
+ * @returns {object|null} - The flow row, or null if the record is not a flow (e.g. a Suricata alert).
+ */
+function adaptRecord(format, record) {
+    switch (format) {
+        case FLOW_FORMATS.ZEEK_TSV:
+        case FLOW_FORMATS.ZEEK_JSON:
+            return zeekConnToFlowRow(record);
+        case FLOW_FORMATS.SURICATA_EVE:
+            return suricataFlowToFlowRow(record);
+        default:
+            return record;
+    }
+}
+
+
+/**
+ * Maps a Zeek conn.log record (TSV fields or JSON, flat "id.orig_h" or nested id.orig_h keys).
+ */
+function zeekConnToFlowRow(record) {
+    const id = record.id && typeof record.id === 'object' ? record.id : {};
+    const field = name => {
+        const value = record[name] !== undefined ? record[name] : id[name.replace(/^id\./, '')];
+        return value === undefined || value === null || value === '-' || value === '(empty)' ? null : value;
+    };
+    const number = name => {
+        const value = Number(field(name));
+        return Number.isFinite(value) ? value : 0;
+    };
+
+    const srcIp = field('id.orig_h');
+    const dstIp = field('id.resp_h');
+    if (!srcIp || !dstIp) return null;
+
+    const protocol = PROTOCOL_NUMBERS[String(field('proto') || '').toLowerCase()] || 0;
+    const flags = zeekFlags(field('history'), field('conn_state'));
+    const exactFeatures = ZEEK_EXACT_FEATURES.filter(column =>
+        !(field('duration') === null && ZEEK_DURATION_FEATURES.includes(column)) &&
+        !((field('orig_bytes') === null || field('resp_bytes') === null) && ZEEK_BYTE_FEATURES.includes(column)));
+
+    return buildFlowRowFromTotals({
+        srcIp,
+        dstIp,
+        srcPort: number('id.orig_p'),
+        dstPort: number('id.resp_p'),
+        protocol,
+        startMs: parseTimestamp(field('ts')),
+        durationUs: number('duration') * 1e6,
+        // orig_bytes/resp_bytes count payload only, which is what CICFlowMeter's lengths measure
+        fwd: { packets: number('orig_pkts'), payloadBytes: number('orig_bytes'), flags: flags.fwd },
+        bwd: { packets: number('resp_pkts'), payloadBytes: number('resp_bytes'), flags: flags.bwd },
+    }, exactFeatures);
+}
+
+function zeekFlags(history, connState) {
+    if (!history) {
+        return ZEEK_CONN_STATE_FLAGS[connState] || { fwd: 0, bwd: 0 };
+    }
+    const flags = { fwd: 0, bwd: 0 };
+    for (const letter of String(history)) {
+        const bit = ZEEK_HISTORY_FLAGS[letter.toLowerCase()];
+        if (!bit) continue;
+        if (letter === letter.toUpperCase()) {
+            flags.fwd |= bit;
+        } else {
+            flags.bwd |= bit;
+        }
+    }
+    return flags;
+}
+
+
+/**
+ * Maps a Suricata EVE "flow" (or "netflow") event. Other event types are not flows and are skipped.
+ */
+function suricataFlowToFlowRow(event) {
+    if (event.event_type !== 'flow' && event.event_type !== 'netflow') return null;
+    const flow = event.flow || event.netflow || {};
+    if (!event.src_ip || !event.dest_ip) return null;
+
+    const protocol = PROTOCOL_NUMBERS[String(event.proto || '').toLowerCase()] || Number(event.proto) || 0;
+    const startMs = parseTimestamp(flow.start || event.timestamp);
+    const endMs = flow.end ? parseTimestamp(flow.end) : startMs + (Number(flow.age) || 0) * 1000;
+    const tcp = event.tcp || {};
+    const linkBytes = (bytes, packets) => Math.max(0, (Number(bytes) || 0) - (Number(packets) || 0) * ETHERNET_HEADER_BYTES);
+
+    // netflow events are unidirectional and use pkts/bytes; flow events are bidirectional
+    const toServerPackets = Number(flow.pkts_toserver !== undefined ? flow.pkts_toserver : flow.pkts) || 0;
+    const toClientPackets = Number(flow.pkts_toclient) || 0;
+    const toServerBytes = flow.bytes_toserver !== undefined ? flow.bytes_toserver : flow.bytes;
+
+    return buildFlowRowFromTotals({
+        srcIp: event.src_ip,
+        dstIp: event.dest_ip,
+        srcPort: Number(event.src_port) || 0,
+        dstPort: Number(event.dest_port) || 0,
+        protocol,
+        startMs,
+        durationUs: Math.max(0, endMs - startMs) * 1000,
+        fwd: {
+            packets: toServerPackets,
+            ipBytes: linkBytes(toServerBytes, toServerPackets),
+            flags: parseHexFlags(tcp.tcp_flags_ts !== undefined ? tcp.tcp_flags_ts : tcp.tcp_flags),
+        },
+        bwd: {
+            packets: toClientPackets,
+            ipBytes: linkBytes(flow.bytes_toclient, toClientPackets),
+            flags: parseHexFlags(tcp.tcp_flags_tc),
+        },
+    }, SURICATA_EXACT_FEATURES);
+}
+
+function parseHexFlags(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const parsed = parseInt(value, 16);
+    return Number.isFinite(parsed) ? parsed : 0;
+}
+
+// Zeek logs epoch seconds (or ISO strings with JSON ISO8601 output); Suricata logs ISO strings
+function parseTimestamp(value) {
+    if (value === null || value === undefined) return Date.now();
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+        return Math.round(Number(value) * 1000);
+    }
+    const parsed = Date.parse(String(value).replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+    return Number.isFinite(parsed) ? parsed : Date.now();
+}
+
+
+/**
+ * Creates a line parser for Zeek's TSV log format (#separator / #fields header lines, then rows).
+ * @returns {function(string): object|null} - Returns the record for a data line, null for headers.
+ */
+function createZeekTsvParser() {
+    let separator = '\t';
+    let fields = null;
+    let unsetField = '-';
+    let emptyField = '(empty)';
+
+    return function parseLine(line) {
+        if (line.startsWith('#')) {
+            const [directive, ...rest] = splitDirective(line, separator);
+            if (directive === '#separator') {
+                // The separator is written escaped, e.g. "\x09"
+                separator = rest[0].replace(/\\x([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+            } else if (directive === '#fields') {
+                fields = rest;
+            } else if (directive === '#unset_field') {
+                unsetField = rest[0];
+            } else if (directive === '#empty_field') {
+                emptyField = rest[0];
+            }
+            return null;
+        }
+        if (!fields || line.length === 0) return null;
+
+        const values = line.split(separator);
+        const record = {};
+        fields.forEach((name, i) => {
+            const value = values[i];
+            record[name] = value === undefined || value === unsetField || value === emptyField ? null : value;
+        });
+        return record;
+    };
+}
+
+// "#separator \x09" uses a space; every other header line uses the declared separator
+function splitDirective(line, separator) {
+    if (line.startsWith('#separator')) {
+        return ['#separator', line.slice('#separator'.length).trim()];
+    }
+    return line.split(separator);
+}
+
+module.exports = {
+    FLOW_FORMATS,
+    PROTOCOL_NUMBERS,
+    detectFileFormat,
+    detectRecordFormat,
+    adaptRecord,
+    createZeekTsvParser,
+};
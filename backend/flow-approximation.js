@@ -0,0 +1,177 @@
+/**
+ * flow-approximation.js
+ * Builds a CICFlowMeter-style feature row from per-direction flow totals, for sources
+ * (NetFlow/IPFIX, Zeek, Suricata) that summarise flows instead of exposing every packet.
+ * Per-packet statistics the source cannot know are filled in as if packets were evenly sized
+ * and spaced, and every such column is listed in the row's approximated_features.
+ */
+
+const { PROTOCOL_TCP, PROTOCOL_UDP } = require('./pcap-reader');
+
+// Summaries usually count IP-level bytes, so header sizes are assumed per packet
+const IPV4_HEADER_BYTES = 20;
+const IPV6_HEADER_BYTES = 40;
+const TCP_HEADER_BYTES = 20;
+const UDP_HEADER_BYTES = 8;
+
+const TCP_FLAG_BITS = { FIN: 0x01, SYN: 0x02, RST: 0x04, PSH: 0x08, ACK: 0x10, URG: 0x20, ECE: 0x40, CWR: 0x80 };
+
+// Columns that identify the flow rather than describe it; never reported as approximated
+const IDENTIFIER_COLUMNS = ['flow_id', 'created_at', 'src_ip', 'dst_ip', 'src_port', 'dst_port', 'protocol'];
+
+
+/**
+ * Estimates the IP + transport header bytes carried by each packet of a flow.
+ * @returns {{ ipHeaderBytes: number, transportHeaderBytes: number }}
+ */
+function estimateHeaderBytes(srcIp, protocol) {
+    return {
+        ipHeaderBytes: srcIp && String(srcIp).includes(':') ? IPV6_HEADER_BYTES : IPV4_HEADER_BYTES,
+        transportHeaderBytes: protocol === PROTOCOL_TCP ? TCP_HEADER_BYTES
+            : protocol === PROTOCOL_UDP ? UDP_HEADER_BYTES : 0,
+    };
+}
+
+
+/**
+ * Builds a full flow row from flow totals.
+ * @param {object} totals
+ * @param {string} totals.srcIp
+ * @param {string} totals.dstIp
+ * @param {number} totals.srcPort
+ * @param {number} totals.dstPort
+ * @param {number} totals.protocol - IANA protocol number.
+ * @param {number} totals.startMs - Flow start, epoch milliseconds.
+ * @param {number} totals.durationUs - Flow duration in microseconds.
+ * @param {object} totals.fwd - Forward direction: { packets, payloadBytes } or { packets, ipBytes },
+ *   plus optional minIpLength / maxIpLength and flags (TCP flag bitmask seen in this direction).
+ * @param {object} [totals.bwd] - Backward direction, same shape as fwd.
+ * @param {Array<string>} [exactFeatures] - Columns the source reports directly; every other feature
+ *   column is recorded in approximated_features.
+ * @returns {object} - A flow row keyed like network_flows, including approximated_features.
+ */
+function buildFlowRowFromTotals(totals, exactFeatures = []) {
+    const { ipHeaderBytes, transportHeaderBytes } = estimateHeaderBytes(totals.srcIp, totals.protocol);
+    const headerOverhead = ipHeaderBytes + transportHeaderBytes;
+    const isTcp = totals.protocol === PROTOCOL_TCP;
+
+    const direction = (side = {}) => {
+        const packets = side.packets || 0;
+        const payload = side.payloadBytes !== undefined && side.payloadBytes !== null
+            ? side.payloadBytes
+            : Math.max(0, (side.ipBytes || 0) - packets * headerOverhead);
+        const mean = packets > 0 ? payload / packets : 0;
+        // Sources that report min/max IP length bound the packet sizes a little better
+        const max = side.maxIpLength !== undefined && side.maxIpLength !== null ? Math.max(0, side.maxIpLength - headerOverhead) : mean;
+        const min = side.minIpLength !== undefined && side.minIpLength !== null ? Math.max(0, side.minIpLength - headerOverhead) : mean;
+        return { packets, payload, mean, max, min, flags: isTcp ? (side.flags || 0) : 0, headerBytes: packets * transportHeaderBytes };
+    };
+    const fwd = direction(totals.fwd);
+    const bwd = direction(totals.bwd);
+
+    const durationUs = Math.max(0, totals.durationUs || 0);
+    const durationSeconds = durationUs / 1e6;
+    const perSecond = value => (durationUs > 0 ? value / durationSeconds : 0);
+    const totalPackets = fwd.packets + bwd.packets;
+    const totalPayload = fwd.payload + bwd.payload;
+    const iat = packets => (packets > 1 ? durationUs / (packets - 1) : 0);
+    const seenIn = (side, bit) => (side.flags & bit ? 1 : 0);
+    const seen = bit => ((fwd.flags | bwd.flags) & bit ? 1 : 0);
+    const packetMean = totalPackets > 0 ? totalPayload / totalPackets : 0;
+
+    const row = {
+        flow_id: `${totals.srcIp}-${totals.dstIp}-${totals.srcPort}-${totals.dstPort}-${totals.protocol}`,
+        created_at: new Date(totals.startMs).toISOString(),
+        src_ip: totals.srcIp,
+        dst_ip: totals.dstIp,
+        src_port: totals.srcPort,
+        dst_port: totals.dstPort,
+        protocol: totals.protocol,
+        flow_duration: durationUs,
+        tot_fwd_pkts: fwd.packets,
+        tot_bwd_pkts: bwd.packets,
+        totlen_fwd_pkts: fwd.payload,
+        totlen_bwd_pkts: bwd.payload,
+        fwd_pkt_len_max: fwd.max,
+        fwd_pkt_len_min: fwd.min,
+        fwd_pkt_len_mean: fwd.mean,
+        fwd_pkt_len_std: 0,
+        bwd_pkt_len_max: bwd.max,
+        bwd_pkt_len_min: bwd.min,
+        bwd_pkt_len_mean: bwd.mean,
+        bwd_pkt_len_std: 0,
+        flow_byts_s: perSecond(totalPayload),
+        flow_pkts_s: perSecond(totalPackets),
+        flow_iat_mean: iat(totalPackets),
+        flow_iat_std: 0,
+        flow_iat_max: iat(totalPackets),
+        flow_iat_min: iat(totalPackets),
+        fwd_iat_tot: fwd.packets > 1 ? durationUs : 0,
+        fwd_iat_mean: iat(fwd.packets),
+        fwd_iat_std: 0,
+        fwd_iat_max: iat(fwd.packets),
+        fwd_iat_min: iat(fwd.packets),
+        bwd_iat_tot: bwd.packets > 1 ? durationUs : 0,
+        bwd_iat_mean: iat(bwd.packets),
+        bwd_iat_std: 0,
+        bwd_iat_max: iat(bwd.packets),
+        bwd_iat_min: iat(bwd.packets),
+        fwd_psh_flags: seenIn(fwd, TCP_FLAG_BITS.PSH),
+        bwd_psh_flags: seenIn(bwd, TCP_FLAG_BITS.PSH),
+        fwd_urg_flags: seenIn(fwd, TCP_FLAG_BITS.URG),
+        bwd_urg_flags: seenIn(bwd, TCP_FLAG_BITS.URG),
+        fwd_header_len: fwd.headerBytes,
+        bwd_header_len: bwd.headerBytes,
+        fwd_pkts_s: perSecond(fwd.packets),
+        bwd_pkts_s: perSecond(bwd.packets),
+        pkt_len_min: bwd.packets > 0 ? Math.min(fwd.min, bwd.min) : fwd.min,
+        pkt_len_max: bwd.packets > 0 ? Math.max(fwd.max, bwd.max) : fwd.max,
+        pkt_len_mean: packetMean,
+        pkt_len_std: 0,
+        pkt_len_var: 0,
+        fin_flag_cnt: seen(TCP_FLAG_BITS.FIN),
+        syn_flag_cnt: seen(TCP_FLAG_BITS.SYN),
+        rst_flag_cnt: seen(TCP_FLAG_BITS.RST),
+        psh_flag_cnt: seen(TCP_FLAG_BITS.PSH),
+        ack_flag_cnt: seen(TCP_FLAG_BITS.ACK),
+        urg_flag_cnt: seen(TCP_FLAG_BITS.URG),
+        cwe_flag_count: seen(TCP_FLAG_BITS.CWR),
+        ece_flag_cnt: seen(TCP_FLAG_BITS.ECE),
+        down_up_ratio: fwd.packets > 0 ? Math.floor(bwd.packets / fwd.packets) : 0,
+        pkt_size_avg: packetMean,
+        fwd_seg_size_avg: fwd.mean,
+        bwd_seg_size_avg: bwd.mean,
+        fwd_byts_b_avg: 0,
+        fwd_pkts_b_avg: 0,
+        fwd_blk_rate_avg: 0,
+        bwd_byts_b_avg: 0,
+        bwd_pkts_b_avg: 0,
+        bwd_blk_rate_avg: 0,
+        subflow_fwd_pkts: fwd.packets,
+        subflow_fwd_byts: fwd.payload,
+        subflow_bwd_pkts: bwd.packets,
+        subflow_bwd_byts: bwd.payload,
+        // Window sizes are never summarised; -1 is what CICFlowMeter reports when it never saw one
+        init_fwd_win_byts: -1,
+        init_bwd_win_byts: -1,
+        fwd_act_data_pkts: fwd.payload > 0 ? fwd.packets : 0,
+        fwd_seg_size_min: fwd.packets > 0 ? transportHeaderBytes : 0,
+        active_mean: durationUs,
+        active_std: 0,
+        active_max: durationUs,
+        active_min: durationUs,
+        idle_mean: 0,
+        idle_std: 0,
+        idle_max: 0,
+        idle_min: 0,
+    };
+
+    row.approximated_features = Object.keys(row)
+        .filter(column => !IDENTIFIER_COLUMNS.includes(column) && !exactFeatures.includes(column));
+    return row;
+}
+
+module.exports = {
+    TCP_FLAG_BITS,
+    buildFlowRowFromTotals,
+};
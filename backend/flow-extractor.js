@@ -0,0 +1,400 @@
+/**
+ * flow-extractor.js
+ * Rebuilds bidirectional flows from decoded packets and computes the CICFlowMeter
+ * feature columns used by network_flows / analysis_results and the model server.
+ */
+
+const { pipeline } = require('stream');
+const { openFlowFileStream } = require('./flow-file-stream');
+const { readCapturePackets, decodePacket, PROTOCOL_TCP } = require('./pcap-reader');
+
+// --- CICFLOWMETER DEFAULTS (all times in microseconds) ---
+const FLOW_TIMEOUT_US = 120 * 1000 * 1000;   // A flow is cut after 120s
+const ACTIVITY_TIMEOUT_US = 5 * 1000 * 1000; // Gaps over 5s count as idle time
+const BULK_GAP_US = 1 * 1000 * 1000;         // Bulk transfers break on gaps over 1s
+const BULK_MIN_PACKETS = 4;                  // A bulk needs at least 4 data packets in a row
+const EXPIRY_SCAN_INTERVAL_US = 1000 * 1000; // Look for timed-out flows once per capture second
+
+const TCP_FLAGS = {
+    FIN: 0x01, SYN: 0x02, RST: 0x04, PSH: 0x08, ACK: 0x10, URG: 0x20, ECE: 0x40, CWR: 0x80,
+};
+
+
+// Running mean/std/min/max (Welford). std and variance are the sample (n - 1) versions, as in CICFlowMeter.
+function createRunningStats() {
+    let count = 0;
+    let mean = 0;
+    let m2 = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+
+    return {
+        add(value) {
+            count += 1;
+            sum += value;
+            const delta = value - mean;
+            mean += delta / count;
+            m2 += delta * (value - mean);
+            if (value < min) min = value;
+            if (value > max) max = value;
+        },
+        get count() { return count; },
+        get sum() { return sum; },
+        get mean() { return count ? mean : 0; },
+        get variance() { return count > 1 ? m2 / (count - 1) : 0; },
+        get std() { return count > 1 ? Math.sqrt(m2 / (count - 1)) : 0; },
+        get min() { return count ? min : 0; },
+        get max() { return count ? max : 0; },
+    };
+}
+
+
+function createDirectionState() {
+    return {
+        lengths: createRunningStats(),
+        iats: createRunningStats(),
+        lastUs: null,
+        headerBytes: 0,
+        minHeader: null,
+        pshFlags: 0,
+        urgFlags: 0,
+        initWindow: -1,
+        dataPackets: 0,
+        bulk: {
+            startHelper: 0, lastTs: 0, packetHelper: 0, sizeHelper: 0,
+            stateCount: 0, packetCount: 0, sizeTotal: 0, duration: 0,
+        },
+    };
+}
+
+
+function createFlow(packet, timestampUs) {
+    return {
+        srcIp: packet.srcIp,
+        dstIp: packet.dstIp,
+        srcPort: packet.srcPort,
+        dstPort: packet.dstPort,
+        protocol: packet.protocol,
+        startUs: timestampUs,
+        lastUs: timestampUs,
+        fwd: createDirectionState(),
+        bwd: createDirectionState(),
+        packetLengths: createRunningStats(),
+        flowIats: createRunningStats(),
+        flagCounts: { FIN: 0, SYN: 0, RST: 0, PSH: 0, ACK: 0, URG: 0, ECE: 0, CWR: 0 },
+        active: createRunningStats(),
+        idle: createRunningStats(),
+        startActiveUs: timestampUs,
+        endActiveUs: timestampUs,
+        packetCount: 0,
+    };
+}
+
+
+// Bulk-transfer tracking, ported from CICFlowMeter's updateForwardBulk/updateBackwardBulk.
+function updateBulk(state, otherState, payloadLength, timestampUs) {
+    const bulk = state.bulk;
+    if (otherState.bulk.lastTs > bulk.startHelper) bulk.startHelper = 0;
+    if (payloadLength <= 0) return;
+
+    if (bulk.startHelper === 0 || (timestampUs - bulk.lastTs) > BULK_GAP_US) {
+        bulk.startHelper = timestampUs;
+        bulk.packetHelper = 1;
+        bulk.sizeHelper = payloadLength;
+    } else {
+        bulk.packetHelper += 1;
+        bulk.sizeHelper += payloadLength;
+        if (bulk.packetHelper === BULK_MIN_PACKETS) {
+            bulk.stateCount += 1;
+            bulk.packetCount += bulk.packetHelper;
+            bulk.sizeTotal += bulk.sizeHelper;
+            bulk.duration += timestampUs - bulk.startHelper;
+        } else if (bulk.packetHelper > BULK_MIN_PACKETS) {
+            bulk.packetCount += 1;
+            bulk.sizeTotal += payloadLength;
+            bulk.duration += timestampUs - bulk.lastTs;
+        }
+    }
+    bulk.lastTs = timestampUs;
+}
+
+
+function addPacketToFlow(flow, packet, timestampUs) {
+    const isForward = packet.srcIp === flow.srcIp && packet.srcPort === flow.srcPort
+        && packet.dstIp === flow.dstIp && packet.dstPort === flow.dstPort;
+    const state = isForward ? flow.fwd : flow.bwd;
+    const otherState = isForward ? flow.bwd : flow.fwd;
+
+    // CICFlowMeter seeds the flow-wide length stats with the first packet and then adds it
+    // again, so the first packet is counted twice in pkt_len_*. Kept for model compatibility.
+    if (flow.packetCount === 0) {
+        flow.packetLengths.add(packet.payloadLength);
+    } else {
+        flow.flowIats.add(timestampUs - flow.lastUs);
+    }
+    flow.packetCount += 1;
+    flow.packetLengths.add(packet.payloadLength);
+
+    if (state.lastUs !== null) state.iats.add(timestampUs - state.lastUs);
+    state.lastUs = timestampUs;
+    state.lengths.add(packet.payloadLength);
+    state.headerBytes += packet.headerLength;
+    state.minHeader = state.minHeader === null ? packet.headerLength : Math.min(state.minHeader, packet.headerLength);
+    if (packet.payloadLength >= 1) state.dataPackets += 1;
+    if (state.initWindow === -1 && packet.window !== null) state.initWindow = packet.window;
+
+    for (const flag in TCP_FLAGS) {
+        if (packet.flags & TCP_FLAGS[flag]) flow.flagCounts[flag] += 1;
+    }
+    if (packet.flags & TCP_FLAGS.PSH) state.pshFlags += 1;
+    if (packet.flags & TCP_FLAGS.URG) state.urgFlags += 1;
+
+    updateBulk(state, otherState, packet.payloadLength, timestampUs);
+
+    // Active/idle periods
+    if ((timestampUs - flow.endActiveUs) > ACTIVITY_TIMEOUT_US) {
+        if (flow.endActiveUs - flow.startActiveUs > 0) {
+            flow.active.add(flow.endActiveUs - flow.startActiveUs);
+        }
+        flow.idle.add(timestampUs - flow.endActiveUs);
+        flow.startActiveUs = timestampUs;
+    }
+    flow.endActiveUs = timestampUs;
+    flow.lastUs = timestampUs;
+}
+
+
+/**
+ * Converts a finished flow into a row keyed by the short (database/model) column names.
+ */
+function toFlowRow(flow) {
+    if (flow.endActiveUs - flow.startActiveUs > 0) {
+        flow.active.add(flow.endActiveUs - flow.startActiveUs);
+    }
+
+    const { fwd, bwd } = flow;
+    const durationUs = flow.lastUs - flow.startUs;
+    const durationSeconds = durationUs / 1e6;
+    const perSecond = value => (durationUs > 0 ? value / durationSeconds : 0);
+    const totalBytes = fwd.lengths.sum + bwd.lengths.sum;
+    const totalPackets = fwd.lengths.count + bwd.lengths.count;
+    const bulkAverages = bulk => ({
+        bytes: bulk.stateCount ? bulk.sizeTotal / bulk.stateCount : 0,
+        packets: bulk.stateCount ? bulk.packetCount / bulk.stateCount : 0,
+        rate: bulk.duration ? bulk.sizeTotal / (bulk.duration / 1e6) : 0,
+    });
+    const fwdBulk = bulkAverages(fwd.bulk);
+    const bwdBulk = bulkAverages(bwd.bulk);
+
+    return {
+        flow_id: `${flow.srcIp}-${flow.dstIp}-${flow.srcPort}-${flow.dstPort}-${flow.protocol}`,
+        created_at: new Date(Math.floor(flow.startUs / 1000)).toISOString(),
+        src_ip: flow.srcIp,
+        dst_ip: flow.dstIp,
+        src_port: flow.srcPort,
+        dst_port: flow.dstPort,
+        protocol: flow.protocol,
+        flow_duration: durationUs,
+        tot_fwd_pkts: fwd.lengths.count,
+        tot_bwd_pkts: bwd.lengths.count,
+        totlen_fwd_pkts: fwd.lengths.sum,
+        totlen_bwd_pkts: bwd.lengths.sum,
+        fwd_pkt_len_max: fwd.lengths.max,
+        fwd_pkt_len_min: fwd.lengths.min,
+        fwd_pkt_len_mean: fwd.lengths.mean,
+        fwd_pkt_len_std: fwd.lengths.std,
+        bwd_pkt_len_max: bwd.lengths.max,
+        bwd_pkt_len_min: bwd.lengths.min,
+        bwd_pkt_len_mean: bwd.lengths.mean,
+        bwd_pkt_len_std: bwd.lengths.std,
+        flow_byts_s: perSecond(totalBytes),
+        flow_pkts_s: perSecond(totalPackets),
+        flow_iat_mean: flow.flowIats.mean,
+        flow_iat_std: flow.flowIats.std,
+        flow_iat_max: flow.flowIats.max,
+        flow_iat_min: flow.flowIats.min,
+        fwd_iat_tot: fwd.iats.sum,
+        fwd_iat_mean: fwd.iats.mean,
+        fwd_iat_std: fwd.iats.std,
+        fwd_iat_max: fwd.iats.max,
+        fwd_iat_min: fwd.iats.min,
+        bwd_iat_tot: bwd.iats.sum,
+        bwd_iat_mean: bwd.iats.mean,
+        bwd_iat_std: bwd.iats.std,
+        bwd_iat_max: bwd.iats.max,
+        bwd_iat_min: bwd.iats.min,
+        fwd_psh_flags: fwd.pshFlags,
+        bwd_psh_flags: bwd.pshFlags,
+        fwd_urg_flags: fwd.urgFlags,
+        bwd_urg_flags: bwd.urgFlags,
+        fwd_header_len: fwd.headerBytes,
+        bwd_header_len: bwd.headerBytes,
+        fwd_pkts_s: perSecond(fwd.lengths.count),
+        bwd_pkts_s: perSecond(bwd.lengths.count),
+        pkt_len_min: flow.packetLengths.min,
+        pkt_len_max: flow.packetLengths.max,
+        pkt_len_mean: flow.packetLengths.mean,
+        pkt_len_std: flow.packetLengths.std,
+        pkt_len_var: flow.packetLengths.variance,
+        fin_flag_cnt: flow.flagCounts.FIN,
+        syn_flag_cnt: flow.flagCounts.SYN,
+        rst_flag_cnt: flow.flagCounts.RST,
+        psh_flag_cnt: flow.flagCounts.PSH,
+        ack_flag_cnt: flow.flagCounts.ACK,
+        urg_flag_cnt: flow.flagCounts.URG,
+        cwe_flag_count: flow.flagCounts.CWR,
+        ece_flag_cnt: flow.flagCounts.ECE,
+        down_up_ratio: fwd.lengths.count > 0 ? Math.floor(bwd.lengths.count / fwd.lengths.count) : 0,
+        pkt_size_avg: totalPackets > 0 ? totalBytes / totalPackets : 0,
+        fwd_seg_size_avg: fwd.lengths.mean,
+        bwd_seg_size_avg: bwd.lengths.mean,
+        fwd_byts_b_avg: fwdBulk.bytes,
+        fwd_pkts_b_avg: fwdBulk.packets,
+        fwd_blk_rate_avg: fwdBulk.rate,
+        bwd_byts_b_avg: bwdBulk.bytes,
+        bwd_pkts_b_avg: bwdBulk.packets,
+        bwd_blk_rate_avg: bwdBulk.rate,
+        // CSE-CIC-IDS2018 exports report a single subflow per flow
+        subflow_fwd_pkts: fwd.lengths.count,
+        subflow_fwd_byts: fwd.lengths.sum,
+        subflow_bwd_pkts: bwd.lengths.count,
+        subflow_bwd_byts: bwd.lengths.sum,
+        init_fwd_win_byts: fwd.initWindow,
+        init_bwd_win_byts: bwd.initWindow,
+        fwd_act_data_pkts: fwd.dataPackets,
+        fwd_seg_size_min: fwd.minHeader || 0,
+        active_mean: flow.active.mean,
+        active_std: flow.active.std,
+        active_max: flow.active.max,
+        active_min: flow.active.min,
+        idle_mean: flow.idle.mean,
+        idle_std: flow.idle.std,
+        idle_max: flow.idle.max,
+        idle_min: flow.idle.min,
+    };
+}
+
+
+/**
+ * Creates a table of open flows. Packets go in; finished flow rows come out.
+ * Flows end on FIN or RST (like CICFlowMeter) or once they exceed the flow timeout.
+ * @param {object} [options]
+ * @param {number} [options.flowTimeoutUs] - Maximum flow length in microseconds.
+ */
+function createFlowTable({ flowTimeoutUs = FLOW_TIMEOUT_US } = {}) {
+    const flows = new Map();
+    let lastExpiryScanUs = null;
+
+    const keyOf = (srcIp, srcPort, dstIp, dstPort, protocol) => `${srcIp}|${srcPort}|${dstIp}|${dstPort}|${protocol}`;
+
+    function expire(nowUs) {
+        const finished = [];
+        for (const [key, flow] of flows) {
+            if (nowUs - flow.startUs > flowTimeoutUs) {
+                flows.delete(key);
+                finished.push(toFlowRow(flow));
+            }
+        }
+        return finished;
+    }
+
+    return {
+        /**
+         * @returns {Array<object>} - Flow rows finished by this packet (usually none).
+         */
+        addPacket(packet, timestampUs) {
+            const finished = [];
+
+            if (lastExpiryScanUs === null) lastExpiryScanUs = timestampUs;
+            if (timestampUs - lastExpiryScanUs >= EXPIRY_SCAN_INTERVAL_US) {
+                finished.push(...expire(timestampUs));
+                lastExpiryScanUs = timestampUs;
+            }
+
+            const forwardKey = keyOf(packet.srcIp, packet.srcPort, packet.dstIp, packet.dstPort, packet.protocol);
+            const backwardKey = keyOf(packet.dstIp, packet.dstPort, packet.srcIp, packet.srcPort, packet.protocol);
+            let key = flows.has(forwardKey) ? forwardKey : (flows.has(backwardKey) ? backwardKey : null);
+
+            if (key && timestampUs - flows.get(key).startUs > flowTimeoutUs) {
+                finished.push(toFlowRow(flows.get(key)));
+                flows.delete(key);
+                key = null;
+            }
+            if (!key) {
+                key = forwardKey;
+                flows.set(key, createFlow(packet, timestampUs));
+            }
+
+            const flow = flows.get(key);
+            addPacketToFlow(flow, packet, timestampUs);
+
+            if (packet.protocol === PROTOCOL_TCP && (packet.flags & (TCP_FLAGS.FIN | TCP_FLAGS.RST))) {
+                flows.delete(key);
+                finished.push(toFlowRow(flow));
+            }
+            return finished;
+        },
+
+        /**
+         * Closes every open flow (end of capture).
+         */
+        drain() {
+            const finished = [...flows.values()].map(toFlowRow);
+            flows.clear();
+            return finished;
+        },
+
+        get openFlowCount() {
+            return flows.size;
+        },
+    };
+}
+
+
+/**
+ * Reads a pcap/pcapng file (optionally gzip-compressed) and yields finished flow rows in batches.
+ * @param {string} filePath - Path of the uploaded capture on disk.
+ * @param {object} [options]
+ * @param {number} [options.batchSize=100] - Flows per yielded batch.
+ * @param {function(number): void} [options.onBytesRead] - Called with the raw bytes read so far.
+ * @param {function(object): void} [options.onStats] - Called at the end with packet counters.
+ * @returns {AsyncGenerator<Array<object>>}
+ */
+async function* extractFlowsInBatches(filePath, { batchSize = 100, onBytesRead, onStats } = {}) {
+    const { fileStream, streams } = await openFlowFileStream(filePath);
+    const source = streams[streams.length - 1];
+    if (streams.length > 1) pipeline(...streams, () => {});
+
+    const flowTable = createFlowTable();
+    const stats = { packets: 0, decodedPackets: 0, skippedPackets: 0 };
+    let batch = [];
+
+    for await (const record of readCapturePackets(source)) {
+        stats.packets += 1;
+        const packet = decodePacket(record.linkType, record.data);
+        if (!packet) {
+            stats.skippedPackets += 1;
+            continue;
+        }
+        stats.decodedPackets += 1;
+
+        batch.push(...flowTable.addPacket(packet, record.timestampUs));
+        if (batch.length >= batchSize) {
+            if (onBytesRead) onBytesRead(fileStream.bytesRead);
+            yield batch.splice(0, batchSize);
+        }
+    }
+
+    batch.push(...flowTable.drain());
+    if (onBytesRead) onBytesRead(fileStream.bytesRead);
+    if (onStats) onStats(stats);
+    while (batch.length > 0) {
+        yield batch.splice(0, batchSize);
+    }
+}
+
+module.exports = {
+    createFlowTable,
+    extractFlowsInBatches,
+};
@@ -0,0 +1,131 @@
+/**
+ * geoip.js
+ * Offline GeoIP and ASN enrichment from local MaxMind-format databases (GeoLite2 Country or
+ * City, and ASN), read with mmdb-reader.js. Flows get the country, city, AS number and AS
+ * organisation of both endpoints (GEO_FIELDS), and defense rules the ones of their attacker.
+ * Every database is optional: without any, enrichment is off and flows are stored as before.
+ * Private and unknown addresses get null fields.
+ */
+
+const { openMmdb } = require('./mmdb-reader');
+
+const GEO_FIELDS = [
+    'src_country', 'src_city', 'src_asn', 'src_as_org',
+    'dst_country', 'dst_city', 'dst_asn', 'dst_as_org',
+];
+// Addresses looked up recently; flows repeat the same few endpoints a lot
+const LOOKUP_CACHE_SIZE = 50000;
+
+
+/**
+ * Drops the enrichment fields from a stored flow, e.g. before it goes back to the model.
+ */
+function withoutGeoFields(row) {
+    const rest = { ...row };
+    GEO_FIELDS.forEach(field => delete rest[field]);
+    return rest;
+}
+
+
+/**
+ * Opens the configured databases.
+ * @param {object} options
+ * @param {string} [options.countryDbPath] - GeoLite2-Country (ignored when a City database is set, which has countries too).
+ * @param {string} [options.cityDbPath] - GeoLite2-City.
+ * @param {string} [options.asnDbPath] - GeoLite2-ASN.
+ */
+function createGeoEnricher({ countryDbPath, cityDbPath, asnDbPath } = {}) {
+    const open = (label, filePath) => {
+        if (!filePath) return null;
+        try {
+            const reader = openMmdb(filePath);
+            console.log(`🌍 GeoIP ${label} database loaded: ${reader.metadata.database_type} (${filePath}).`);
+            return { reader, filePath };
+        } catch (error) {
+            // A missing or broken database disables that part of the enrichment, not the server
+            console.error(`🚨 Failed to load the GeoIP ${label} database ${filePath}:`, error.message);
+            return null;
+        }
+    };
+    const location = open(cityDbPath ? 'city' : 'country', cityDbPath || countryDbPath);
+    const asn = open('ASN', asnDbPath);
+    const enabled = Boolean(location || asn);
+    const cache = new Map();
+
+    const lookupUncached = ip => {
+        const place = location ? location.reader.lookup(ip) : null;
+        const network = asn ? asn.reader.lookup(ip) : null;
+        if (!place && !network) return null;
+        const { country, registered_country: registered, city } = place ? place.data : {};
+        const { autonomous_system_number: asNumber, autonomous_system_organization: asOrg } = network ? network.data : {};
+        return {
+            country: (country || registered)?.iso_code ?? null,
+            country_name: (country || registered)?.names?.en ?? null,
+            city: city?.names?.en ?? null,
+            asn: asNumber ?? null,
+            as_org: asOrg ?? null,
+        };
+    };
+
+    const enricher = {
+        enabled,
+
+        /**
+         * Location and network of one address.
+         * @returns {{ country: string|null, country_name: string|null, city: string|null, asn: number|null, as_org: string|null }|null}
+         */
+        lookup(ip) {
+            if (!enabled || !ip || ip === 'UNKNOWN') return null;
+            const key = String(ip);
+            if (cache.has(key)) return cache.get(key);
+            const result = lookupUncached(key);
+            if (cache.size >= LOOKUP_CACHE_SIZE) cache.delete(cache.keys().next().value);
+            cache.set(key, result);
+            return result;
+        },
+
+        /**
+         * The GEO_FIELDS for a flow, to store with it. Empty when enrichment is off.
+         */
+        enrichFlow(row) {
+            if (!enabled) return {};
+            const fields = {};
+            for (const [side, ip] of [['src', row.src_ip ?? row['Src IP']], ['dst', row.dst_ip ?? row['Dst IP']]]) {
+                const geo = enricher.lookup(ip);
+                fields[`${side}_country`] = geo ? geo.country : null;
+                fields[`${side}_city`] = geo ? geo.city : null;
+                fields[`${side}_asn`] = geo ? geo.asn : null;
+                fields[`${side}_as_org`] = geo ? geo.as_org : null;
+            }
+            return fields;
+        },
+
+        /**
+         * The attacker columns of a defense rule for ipAddress (country, asn, as_org). Empty when
+         * enrichment is off or the target is a CIDR block.
+         */
+        ruleFields(ipAddress) {
+            if (!enabled || String(ipAddress).includes('/')) return {};
+            const geo = enricher.lookup(ipAddress);
+            return { country: geo ? geo.country : null, asn: geo ? geo.asn : null, as_org: geo ? geo.as_org : null };
+        },
+
+        /** Loaded databases, for GET /geoip/status. */
+        getStatus() {
+            const describe = entry => entry && {
+                path: entry.filePath,
+                database_type: entry.reader.metadata.database_type,
+                built_at: new Date(entry.reader.metadata.build_epoch * 1000).toISOString(),
+            };
+            return { enabled, location: describe(location) || null, asn: describe(asn) || null, cached_addresses: cache.size };
+        },
+    };
+
+    return enricher;
+}
+
+module.exports = {
+    GEO_FIELDS,
+    withoutGeoFields,
+    createGeoEnricher,
+};
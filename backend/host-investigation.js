@@ -0,0 +1,237 @@
+/**
+ * host-investigation.js
+ * Everything stored about one IP, for the host investigation view (GET /hosts/:ip): its flows
+ * in either direction from live ingestion (network_flows) and analysis jobs (analysis_results),
+ * a timeline of their predictions, the peers and ports it talked to, the defense rules that
+ * target it (including CIDR rules covering it), and its reputation profile and GeoIP data.
+ */
+
+const { parseIp, createIpTrie } = require('./ip-trie');
+const { getFlowTime } = require('./rule-replay');
+const { withRuleStatus, fetchAllRows } = require('./defense-rules');
+const { transformPredictionData, summarizeSourceHistory } = require('./analysis-transformer');
+
+const FLOW_TABLES = { network_flows: 'live', analysis_results: 'analysis' };
+const DEFAULT_FLOW_LIMIT = 2000;
+const MAX_FLOW_LIMIT = 10000;
+const TIMELINE_BUCKETS = 24;
+const MAX_TIMELINE_RUNS = 200;
+const TOP_ENTRIES = 20;
+
+const isMaliciousLabel = label => !['benign', 'error'].includes(String(label || 'error').toLowerCase());
+
+
+/**
+ * Validates GET /hosts/:ip.
+ * @returns {{ options: { ip: string, limit: number, since: string|null }, errors: Array<string> }}
+ */
+function parseHostQuery(ip, query = {}) {
+    const errors = [];
+    const options = {
+        ip: String(ip || '').trim(),
+        limit: query.limit !== undefined ? Number(query.limit) : DEFAULT_FLOW_LIMIT,
+        since: query.since ? String(query.since) : null,
+    };
+    if (!parseIp(options.ip)) errors.push('The host must be a single IPv4 or IPv6 address.');
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_FLOW_LIMIT) {
+        errors.push(`"limit" must be an integer between 1 and ${MAX_FLOW_LIMIT}.`);
+    }
+    if (options.since) {
+        const since = new Date(options.since);
+        if (isNaN(since.getTime())) errors.push('"since" must be a date.');
+        else options.since = since.toISOString();
+    }
+    return { options, errors };
+}
+
+
+/**
+ * The newest flows of one table with the IP on either side, up to limit per direction, read in
+ * pages. Flows the host sent to itself come back from both queries and are kept once.
+ * @returns {Promise<{ flows: Array<object>, truncated: boolean }>} - truncated when older flows were left out.
+ */
+async function fetchTableFlows(supabase, table, { ip, limit, since }) {
+    const flows = new Map();
+    let truncated = false;
+    for (const column of ['src_ip', 'dst_ip']) {
+        // One row past the limit tells whether anything was left out
+        const rows = await fetchAllRows(() => {
+            let query = supabase.from(table).select('*').eq(column, ip);
+            if (since) query = query.gte('created_at', since);
+            return query.order('created_at', { ascending: false }).order('id', { ascending: false });
+        }, { limit: limit + 1 });
+        if (rows.length > limit) truncated = true;
+        rows.slice(0, limit).forEach((row, i) => flows.set(row.id ?? `${column}:${i}`, { ...row, flow_source: FLOW_TABLES[table] }));
+    }
+    return { flows: [...flows.values()], truncated };
+}
+
+
+/**
+ * Rules on the IP itself plus the CIDR rules containing it, newest first, with their status.
+ */
+async function fetchHostRules(supabase, ip) {
+    const [exact, blocks] = await Promise.all([
+        supabase.from('defense_rules').select('*').eq('ip_address', ip),
+        fetchAllRows(() => supabase.from('defense_rules').select('*').like('ip_address', '*/*').order('id')),
+    ]);
+    if (exact.error) throw exact.error;
+
+    const trie = createIpTrie();
+    blocks.forEach(rule => trie.insert(rule.ip_address, rule));
+    return [...(exact.data || []), ...trie.lookup(ip)]
+        .map(rule => withRuleStatus(rule))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+
+/**
+ * Flow counts per time bucket between the first and last flow, split by prediction.
+ */
+function buildPredictionBuckets(flows) {
+    const times = flows.map(flow => flow.time).filter(time => !isNaN(time));
+    if (times.length === 0) return [];
+    const start = Math.min(...times);
+    const span = Math.max(...times) - start;
+    const bucketCount = span === 0 ? 1 : TIMELINE_BUCKETS;
+    const size = span / bucketCount || 1;
+    const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+        start: new Date(start + i * size).toISOString(),
+        total: 0,
+        malicious: 0,
+        labels: {},
+    }));
+    for (const flow of flows) {
+        if (isNaN(flow.time)) continue;
+        const bucket = buckets[Math.min(bucketCount - 1, Math.floor((flow.time - start) / size))];
+        bucket.total++;
+        if (isMaliciousLabel(flow.prediction)) bucket.malicious++;
+        bucket.labels[flow.prediction] = (bucket.labels[flow.prediction] || 0) + 1;
+    }
+    return buckets;
+}
+
+
+/**
+ * Consecutive flows with the same prediction collapsed into one entry, oldest first.
+ * Only the newest MAX_TIMELINE_RUNS entries are kept.
+ */
+function buildPredictionRuns(flows) {
+    const runs = [];
+    for (const flow of flows) {
+        const last = runs[runs.length - 1];
+        if (last && last.prediction === flow.prediction) {
+            last.to = flow.at;
+            last.flows++;
+            last.peers.add(flow.peer);
+            continue;
+        }
+        runs.push({ prediction: flow.prediction, malicious: isMaliciousLabel(flow.prediction), from: flow.at, to: flow.at, flows: 1, peers: new Set([flow.peer]) });
+    }
+    return runs.slice(-MAX_TIMELINE_RUNS).map(run => ({ ...run, peers: run.peers.size }));
+}
+
+
+/**
+ * Counts flows, malicious flows and labels under a key, returning the busiest keys first.
+ */
+function tally(flows, keyOf, describe) {
+    const counts = new Map();
+    for (const flow of flows) {
+        const key = keyOf(flow);
+        if (key === null || key === undefined) continue;
+        if (!counts.has(key)) counts.set(key, { ...describe(flow), flows: 0, malicious: 0, labels: {}, lastSeen: null });
+        const entry = counts.get(key);
+        entry.flows++;
+        if (isMaliciousLabel(flow.prediction)) {
+            entry.malicious++;
+            entry.labels[flow.prediction] = (entry.labels[flow.prediction] || 0) + 1;
+        }
+        if (flow.at && (!entry.lastSeen || flow.at > entry.lastSeen)) entry.lastSeen = flow.at;
+    }
+    return [...counts.values()].sort((a, b) => b.flows - a.flows).slice(0, TOP_ENTRIES);
+}
+
+
+/**
+ * Gathers the investigation for one host.
+ * @param {object} supabase
+ * @param {{ ip: string, limit: number, since: string|null }} options - From parseHostQuery.
+ * @param {object} deps
+ * @param {object} deps.ipProfiles - The ip-profiles.js store.
+ * @param {object} deps.geoEnricher - The geoip.js enricher.
+ */
+async function investigateHost(supabase, options, { ipProfiles, geoEnricher }) {
+    const { ip } = options;
+    const [live, analysis, rules, profiles] = await Promise.all([
+        fetchTableFlows(supabase, 'network_flows', options),
+        fetchTableFlows(supabase, 'analysis_results', options),
+        fetchHostRules(supabase, ip),
+        ipProfiles.getProfiles([ip]),
+    ]);
+    const { flows: liveFlows } = live;
+    const { flows: analysisFlows } = analysis;
+
+    const rows = [...liveFlows, ...analysisFlows];
+    // The host's side of each flow: outbound when it was the source
+    const flows = rows
+        .map(row => {
+            const outbound = String(row.src_ip) === ip;
+            const time = getFlowTime(row);
+            return {
+                time,
+                at: isNaN(time) ? null : new Date(time).toISOString(),
+                direction: outbound ? 'outbound' : 'inbound',
+                peer: String(outbound ? row.dst_ip : row.src_ip),
+                port: row.dst_port ?? null,
+                prediction: row.prediction || 'Unknown',
+            };
+        })
+        .sort((a, b) => (a.time || 0) - (b.time || 0));
+
+    const malicious = flows.filter(flow => isMaliciousLabel(flow.prediction)).length;
+    const seen = flows.filter(flow => flow.at);
+    // The charts are the ones the dashboards draw, built from this host's flows only
+    const { trafficData = {}, behaviourData = {} } = transformPredictionData(rows);
+
+    return {
+        ip,
+        geo: geoEnricher.lookup(ip),
+        profile: profiles.get(ip) || null,
+        sourceHistory: summarizeSourceHistory(profiles.get(ip)),
+        summary: {
+            flows: flows.length,
+            outbound: flows.filter(flow => flow.direction === 'outbound').length,
+            inbound: flows.filter(flow => flow.direction === 'inbound').length,
+            malicious,
+            maliciousRatio: flows.length > 0 ? Number((malicious / flows.length).toFixed(4)) : 0,
+            liveFlows: liveFlows.length,
+            analysisFlows: analysisFlows.length,
+            analyses: [...new Set(analysisFlows.map(row => row.analysis_id).filter(Boolean))].length,
+            firstSeen: seen.length > 0 ? seen[0].at : null,
+            lastSeen: seen.length > 0 ? seen[seen.length - 1].at : null,
+            // Each table is capped at limit flows per direction; older ones are left out
+            truncated: live.truncated || analysis.truncated,
+        },
+        timeline: {
+            buckets: buildPredictionBuckets(flows),
+            runs: buildPredictionRuns(flows),
+        },
+        peers: tally(flows, flow => flow.peer, flow => ({ ip: flow.peer })),
+        ports: tally(flows, flow => (flow.port === null ? null : `${flow.direction}:${flow.port}`), flow => ({ port: flow.port, direction: flow.direction })),
+        rules: {
+            current: rules.filter(rule => rule.status === 'active'),
+            past: rules.filter(rule => rule.status !== 'active'),
+        },
+        charts: {
+            trafficVolume: trafficData.trafficVolume || [],
+            flowDuration: behaviourData.flowDuration || { benign: [], malicious: [] },
+            packetTiming: behaviourData.packetTiming || { benign: [], malicious: [] },
+        },
+    };
+}
+
+module.exports = {
+    parseHostQuery,
+    investigateHost,
+};
@@ -0,0 +1,475 @@
+/**
+ * incident-correlator.js
+ * Groups malicious detections into incidents. A detection joins an open incident with the
+ * same threat label when it comes from one of the incident's sources within the source merge
+ * window, or hits one of its targets within the target merge window. A detection matching two
+ * incidents merges the younger into the older, so one attacker's scan and the distributed
+ * attack on its target become one incident. Windows are measured in flow time, so uploaded
+ * captures correlate the same way as live traffic.
+ *
+ * Open incidents are kept in memory and saved to the incidents table periodically (and before
+ * every read), with up to MAX_LINKED_FLOWS flows each in incident_flows. An incident closes once
+ * no detection has reached it for the longest merge window of wall-clock time. Defense rules
+ * created or escalated for one of its sources, and active block rules already covering one of
+ * its flows, are linked to it. Each backend instance
+ * correlates the detections it sees. See migrations/016_incidents.sql.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { parseIp } = require('./ip-trie');
+const { getFlowTime } = require('./rule-replay');
+const { SEVERITIES } = require('./response-levels');
+
+const INCIDENT_STATUSES = ['open', 'closed', 'resolved', 'merged'];
+// Statuses an incident can be given by hand (PATCH /incidents/:id)
+const SETTABLE_STATUSES = ['resolved'];
+const SORTABLE_COLUMNS = ['started_at', 'ended_at', 'detection_count', 'source_count'];
+const MAX_LINKED_FLOWS = 500;
+// Incidents with this many sources are distributed attacks, one severity step above their threat's
+const DISTRIBUTED_SOURCE_COUNT = 10;
+const MAX_LIST_LIMIT = 500;
+const MAX_NOTES_LENGTH = 2000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+
+const severityRank = severity => Math.max(0, SEVERITIES.indexOf(severity));
+const maxSeverity = (a, b) => (severityRank(a) >= severityRank(b) ? a : b);
+
+
+/**
+ * Validates the merge windows.
+ * @param {{ sourceWindowMs: number, targetWindowMs: number }} windows
+ * @returns {Array<string>} - Errors; empty when valid.
+ */
+function validateMergeWindows({ sourceWindowMs, targetWindowMs }) {
+    const errors = [];
+    if (!Number.isInteger(sourceWindowMs) || sourceWindowMs < 1000) errors.push('The source merge window must be at least 1000 ms.');
+    if (!Number.isInteger(targetWindowMs) || targetWindowMs < 0) errors.push('The target merge window must be 0 ms (off) or more.');
+    return errors;
+}
+
+
+/**
+ * Validates the GET /incidents filters: status, threat_type, severity, ip (source or target),
+ * since (ended at or after), sort/order and limit/offset.
+ * @returns {{ filters: object, errors: Array<string> }}
+ */
+function parseIncidentFilters(query = {}) {
+    const errors = [];
+    const filters = {
+        status: query.status ? String(query.status) : undefined,
+        threat_type: query.threat_type ? String(query.threat_type) : undefined,
+        severity: query.severity ? String(query.severity) : undefined,
+        ip: query.ip ? String(query.ip).trim() : undefined,
+        since: query.since ? String(query.since) : undefined,
+        sort: query.sort ? String(query.sort) : 'started_at',
+        order: query.order ? String(query.order).toLowerCase() : 'desc',
+        limit: query.limit !== undefined ? Number(query.limit) : 50,
+        offset: query.offset !== undefined ? Number(query.offset) : 0,
+    };
+
+    if (filters.status && !INCIDENT_STATUSES.includes(filters.status)) errors.push(`"status" must be one of ${INCIDENT_STATUSES.join(', ')}.`);
+    if (filters.severity && !SEVERITIES.includes(filters.severity)) errors.push(`"severity" must be one of ${SEVERITIES.join(', ')}.`);
+    if (filters.ip && !parseIp(filters.ip)) errors.push('"ip" must be a single IP address.');
+    if (filters.since) {
+        const since = new Date(filters.since);
+        if (isNaN(since.getTime())) errors.push('"since" must be a date.');
+        else filters.since = since.toISOString();
+    }
+    if (!SORTABLE_COLUMNS.includes(filters.sort)) errors.push(`"sort" must be one of ${SORTABLE_COLUMNS.join(', ')}.`);
+    if (!['asc', 'desc'].includes(filters.order)) errors.push('"order" must be asc or desc.');
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > MAX_LIST_LIMIT) {
+        errors.push(`"limit" must be an integer between 1 and ${MAX_LIST_LIMIT}.`);
+    }
+    if (!Number.isInteger(filters.offset) || filters.offset < 0) errors.push('"offset" must be a non-negative integer.');
+
+    return { filters, errors };
+}
+
+
+/**
+ * Validates a PATCH /incidents/:id body: { status: 'resolved', notes }.
+ * @returns {{ changes: object, errors: Array<string> }}
+ */
+function validateIncidentUpdate(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { changes: {}, errors: ['Incident update must be a JSON object.'] };
+    }
+    const errors = [];
+    const changes = {};
+    for (const key of Object.keys(input)) {
+        if (!['status', 'notes'].includes(key)) errors.push(`Unknown field "${key}".`);
+    }
+    if (input.status !== undefined) {
+        if (!SETTABLE_STATUSES.includes(input.status)) errors.push(`"status" can only be set to ${SETTABLE_STATUSES.join(', ')}.`);
+        else changes.status = input.status;
+    }
+    if (input.notes !== undefined) {
+        if (input.notes !== null && (typeof input.notes !== 'string' || input.notes.length > MAX_NOTES_LENGTH)) {
+            errors.push(`"notes" must be text of at most ${MAX_NOTES_LENGTH} characters.`);
+        } else {
+            changes.notes = input.notes ? input.notes.trim() : null;
+        }
+    }
+    if (errors.length === 0 && Object.keys(changes).length === 0) errors.push('Nothing to update: send "status" and/or "notes".');
+    return { changes, errors };
+}
+
+
+/**
+ * Creates the correlator.
+ * @param {object} options
+ * @param {object} options.supabase
+ * @param {function(string): Promise<function(string): object>} options.getPolicyResolver - Resolves a
+ *   threat label to its detection policy (for its severity), e.g. policyStore.getResolver.
+ * @param {number} options.sourceWindowMs - Merge window for detections from the same source.
+ * @param {number} options.targetWindowMs - Merge window for detections on the same target (0 turns it off).
+ * @param {function(): Promise<function(object): (object|null)>} [options.getRuleMatcher] - The active block
+ *   rule covering a flow, e.g. activeRuleCache.getFlowMatcher.
+ * @throws {Error} - When a window is invalid.
+ */
+function createIncidentCorrelator({ supabase, getPolicyResolver, sourceWindowMs, targetWindowMs, getRuleMatcher = async () => () => null }) {
+    const windows = { sourceWindowMs, targetWindowMs };
+    const windowErrors = validateMergeWindows(windows);
+    if (windowErrors.length > 0) throw new Error(`Invalid incident merge windows: ${windowErrors.join(' ')}`);
+    const idleMs = Math.max(sourceWindowMs, targetWindowMs);
+
+    // Incidents detections can still join, by id, and their index by "ip|label"
+    const open = new Map();
+    const bySource = new Map();
+    const byTarget = new Map();
+    // Changes not saved yet: incidents by id, flows to link, and merges whose stored flows must move
+    let dirty = new Map();
+    let pendingFlows = [];
+    let pendingMerges = [];
+    let flushing = Promise.resolve();
+
+    const index = incident => {
+        incident.sources.forEach(ip => bySource.set(`${ip}|${incident.threat_type}`, incident.id));
+        incident.targets.forEach(ip => byTarget.set(`${ip}|${incident.threat_type}`, incident.id));
+    };
+
+    const findOpen = (map, key, timeMs, windowMs) => {
+        const incident = open.get(map.get(key));
+        if (!incident) return null;
+        const inWindow = timeMs >= incident.startMs - windowMs && timeMs <= incident.endMs + windowMs;
+        return inWindow ? incident : null;
+    };
+
+    const fromRow = row => ({
+        ...row,
+        startMs: new Date(row.started_at).getTime(),
+        endMs: new Date(row.ended_at).getTime(),
+        sources: new Set(row.source_ips || []),
+        targets: new Set(row.target_ips || []),
+        rules: new Set(row.rule_ids || []),
+        analyses: new Set(row.analysis_ids || []),
+        touchedAt: Date.now(),
+    });
+
+    const toRow = incident => ({
+        id: incident.id,
+        threat_type: incident.threat_type,
+        severity: incident.severity,
+        base_severity: incident.base_severity,
+        status: incident.status,
+        started_at: new Date(incident.startMs).toISOString(),
+        ended_at: new Date(incident.endMs).toISOString(),
+        detection_count: incident.detection_count,
+        source_count: incident.sources.size,
+        target_count: incident.targets.size,
+        source_ips: [...incident.sources],
+        target_ips: [...incident.targets],
+        rule_ids: [...incident.rules],
+        analysis_ids: [...incident.analyses],
+        linked_flow_count: incident.linked_flow_count,
+        merged_into: incident.merged_into || null,
+        updated_at: new Date().toISOString(),
+    });
+
+    const updateSeverity = incident => {
+        const distributed = incident.sources.size >= DISTRIBUTED_SOURCE_COUNT;
+        const raised = SEVERITIES[Math.min(SEVERITIES.length - 1, severityRank(incident.base_severity) + (distributed ? 1 : 0))];
+        incident.severity = maxSeverity(incident.severity, raised);
+    };
+
+    const create = (label, severity, timeMs) => {
+        const incident = fromRow({
+            id: uuidv4(),
+            threat_type: label,
+            severity,
+            base_severity: severity,
+            status: 'open',
+            started_at: new Date(timeMs).toISOString(),
+            ended_at: new Date(timeMs).toISOString(),
+            detection_count: 0,
+            linked_flow_count: 0,
+        });
+        open.set(incident.id, incident);
+        return incident;
+    };
+
+    // Folds younger into older; the younger incident is kept as 'merged' pointing at the older one
+    const merge = (older, younger) => {
+        older.startMs = Math.min(older.startMs, younger.startMs);
+        older.endMs = Math.max(older.endMs, younger.endMs);
+        older.detection_count += younger.detection_count;
+        older.linked_flow_count += younger.linked_flow_count;
+        younger.sources.forEach(ip => older.sources.add(ip));
+        younger.targets.forEach(ip => older.targets.add(ip));
+        younger.rules.forEach(id => older.rules.add(id));
+        younger.analyses.forEach(id => older.analyses.add(id));
+        older.base_severity = maxSeverity(older.base_severity, younger.base_severity);
+        older.severity = maxSeverity(older.severity, younger.severity);
+        updateSeverity(older);
+
+        pendingFlows.forEach(flow => {
+            if (flow.incident_id === younger.id) flow.incident_id = older.id;
+        });
+        Object.assign(younger, { status: 'merged', merged_into: older.id });
+        open.delete(younger.id);
+        index(older);
+        dirty.set(younger.id, younger);
+        dirty.set(older.id, older);
+        pendingMerges.push({ from: younger.id, into: older.id });
+        console.log(`🧩 Incident ${younger.id} merged into ${older.id} (${older.threat_type}).`);
+        return older;
+    };
+
+    const addDetection = (row, severity, rule, analysisId) => {
+        const label = row.prediction;
+        const source = row.src_ip ? String(row.src_ip) : null;
+        const target = row.dst_ip ? String(row.dst_ip) : null;
+        const flowTime = getFlowTime(row);
+        const timeMs = isNaN(flowTime) ? Date.now() : flowTime;
+
+        const bySourceMatch = source ? findOpen(bySource, `${source}|${label}`, timeMs, sourceWindowMs) : null;
+        const byTargetMatch = target && targetWindowMs > 0 ? findOpen(byTarget, `${target}|${label}`, timeMs, targetWindowMs) : null;
+        let incident = bySourceMatch || byTargetMatch;
+        if (bySourceMatch && byTargetMatch && bySourceMatch !== byTargetMatch) {
+            const [older, younger] = bySourceMatch.startMs <= byTargetMatch.startMs
+                ? [bySourceMatch, byTargetMatch]
+                : [byTargetMatch, bySourceMatch];
+            incident = merge(older, younger);
+        }
+        if (!incident) incident = create(label, severity, timeMs);
+
+        incident.startMs = Math.min(incident.startMs, timeMs);
+        incident.endMs = Math.max(incident.endMs, timeMs);
+        incident.detection_count++;
+        if (source) incident.sources.add(source);
+        if (target) incident.targets.add(target);
+        if (analysisId) incident.analyses.add(analysisId);
+        if (rule && rule.id !== undefined && rule.id !== null) incident.rules.add(rule.id);
+        incident.touchedAt = Date.now();
+        updateSeverity(incident);
+        if (source) bySource.set(`${source}|${label}`, incident.id);
+        if (target) byTarget.set(`${target}|${label}`, incident.id);
+
+        if (incident.linked_flow_count < MAX_LINKED_FLOWS) {
+            incident.linked_flow_count++;
+            pendingFlows.push({
+                incident_id: incident.id,
+                source: analysisId ? 'analysis' : 'live',
+                analysis_id: analysisId || null,
+                flow_id: row.flow_id || null,
+                src_ip: source,
+                dst_ip: target,
+                dst_port: row.dst_port ?? null,
+                protocol: row.protocol ?? null,
+                prediction: label,
+                flow_time: new Date(timeMs).toISOString(),
+            });
+        }
+        dirty.set(incident.id, incident);
+    };
+
+    const correlator = {
+        windows,
+
+        /**
+         * Loads the incidents left open by a previous run, so detections can still join them.
+         */
+        async load() {
+            const { data, error } = await supabase.from('incidents').select('*').eq('status', 'open');
+            if (error) throw error;
+            (data || []).forEach(row => {
+                const incident = fromRow(row);
+                open.set(incident.id, incident);
+                index(incident);
+            });
+            return open.size;
+        },
+
+        /**
+         * Correlates a batch of malicious detections into incidents.
+         * @param {Array<object>} rows - Flows with src_ip, dst_ip and their (malicious) prediction.
+         * @param {string|null} analysisId - The job the flows belong to; null for live traffic.
+         */
+        async record(rows, analysisId) {
+            if (rows.length === 0) return;
+            const [policyFor, ruleFor] = await Promise.all([getPolicyResolver(), getRuleMatcher()]);
+            rows.forEach(row => addDetection(row, policyFor(row.prediction).severity, ruleFor(row), analysisId));
+        },
+
+        /**
+         * Links a created or escalated defense rule to the open incidents it targets a source of.
+         */
+        linkRule(rule) {
+            if (!rule || rule.id === undefined || rule.id === null) return;
+            for (const incident of open.values()) {
+                if (incident.sources.has(String(rule.ip_address)) && !incident.rules.has(rule.id)) {
+                    incident.rules.add(rule.id);
+                    dirty.set(incident.id, incident);
+                }
+            }
+        },
+
+        /**
+         * Closes incidents no detection has reached for the longest merge window.
+         * @returns {number} - How many closed.
+         */
+        sweep(now = Date.now()) {
+            let closed = 0;
+            for (const incident of open.values()) {
+                if (now - incident.touchedAt < idleMs) continue;
+                incident.status = 'closed';
+                open.delete(incident.id);
+                dirty.set(incident.id, incident);
+                closed++;
+            }
+            if (closed > 0) {
+                for (const map of [bySource, byTarget]) {
+                    for (const [key, id] of map) {
+                        if (!open.has(id)) map.delete(key);
+                    }
+                }
+            }
+            return closed;
+        },
+
+        /**
+         * Saves changed incidents, their new linked flows and merges. Flushes run one at a time;
+         * whatever fails to save is kept for the next one.
+         * @returns {Promise<number>} - How many incidents were saved.
+         */
+        flush() {
+            flushing = flushing.catch(() => {}).then(async () => {
+                if (dirty.size === 0 && pendingFlows.length === 0) return 0;
+                const incidents = dirty;
+                const flows = pendingFlows;
+                const merges = pendingMerges;
+                dirty = new Map();
+                pendingFlows = [];
+                pendingMerges = [];
+                try {
+                    if (incidents.size > 0) {
+                        const { error } = await supabase.from('incidents').upsert([...incidents.values()].map(toRow), { onConflict: 'id' });
+                        if (error) throw error;
+                    }
+                    while (merges.length > 0) {
+                        const { from, into } = merges[0];
+                        const { error } = await supabase.from('incident_flows').update({ incident_id: into }).eq('incident_id', from);
+                        if (error) throw error;
+                        merges.shift();
+                    }
+                    if (flows.length > 0) {
+                        const { error } = await supabase.from('incident_flows').insert(flows);
+                        if (error) throw error;
+                    }
+                    return incidents.size;
+                } catch (error) {
+                    // Newer changes to the same incidents are the same objects, so re-adding them is enough
+                    incidents.forEach((incident, id) => dirty.set(id, incident));
+                    pendingFlows = [...flows, ...pendingFlows];
+                    pendingMerges = [...merges, ...pendingMerges];
+                    throw error;
+                }
+            });
+            return flushing;
+        },
+
+        /**
+         * One page of incidents matching the filters (see parseIncidentFilters).
+         * @returns {Promise<{ incidents: Array<object>, total: number }>}
+         */
+        async list(filters) {
+            await correlator.flush();
+            let query = supabase
+                .from('incidents')
+                .select('*', { count: 'exact' })
+                .order(filters.sort || 'started_at', { ascending: filters.order === 'asc' })
+                .range(filters.offset, filters.offset + filters.limit - 1);
+            if (filters.status) query = query.eq('status', filters.status);
+            if (filters.threat_type) query = query.eq('threat_type', filters.threat_type);
+            if (filters.severity) query = query.eq('severity', filters.severity);
+            if (filters.since) query = query.gte('ended_at', filters.since);
+            if (filters.ip) query = query.or(`source_ips.cs.{${filters.ip}},target_ips.cs.{${filters.ip}}`);
+            const { data, error, count } = await query;
+            if (error) throw error;
+            return { incidents: data || [], total: count ?? (data || []).length };
+        },
+
+        /**
+         * One incident with its linked flows (oldest first) and linked defense rules.
+         * @returns {Promise<object|null>} - null when there is no such incident.
+         */
+        async get(id) {
+            if (!UUID_PATTERN.test(String(id))) return null;
+            await correlator.flush();
+            const { data, error } = await supabase.from('incidents').select('*').eq('id', id).limit(1);
+            if (error) throw error;
+            if (!data || data.length === 0) return null;
+            const incident = data[0];
+
+            const [flows, rules] = await Promise.all([
+                supabase.from('incident_flows').select('*').eq('incident_id', id).order('flow_time', { ascending: true }).limit(MAX_LINKED_FLOWS),
+                (incident.rule_ids || []).length > 0
+                    ? supabase.from('defense_rules').select('*').in('id', incident.rule_ids)
+                    : Promise.resolve({ data: [], error: null }),
+            ]);
+            if (flows.error) throw flows.error;
+            if (rules.error) throw rules.error;
+            return { ...incident, flows: flows.data || [], rules: rules.data || [] };
+        },
+
+        /**
+         * Resolves an incident and/or sets its notes (see validateIncidentUpdate). A resolved
+         * incident takes no more detections.
+         * @returns {Promise<object|null>} - The updated incident, or null when there is none.
+         */
+        async update(id, changes) {
+            if (!UUID_PATTERN.test(String(id))) return null;
+            // Out of the working set first, so no detection reopens it while it is saved, and saved with
+            // the new status by the flush, so neither a failed flush nor a failed update leaves it open
+            const incident = open.get(id);
+            if (changes.status && incident) {
+                open.delete(id);
+                incident.status = changes.status;
+                dirty.set(id, incident);
+            }
+            await correlator.flush();
+            const { data, error } = await supabase
+                .from('incidents')
+                .update({ ...changes, updated_at: new Date().toISOString() })
+                .eq('id', id)
+                .select();
+            if (error) throw error;
+            return data && data.length > 0 ? data[0] : null;
+        },
+
+        /** Open incidents in memory and changes waiting to be saved. */
+        getStatus() {
+            return { ...windows, open: open.size, pending_incidents: dirty.size, pending_flows: pendingFlows.length };
+        },
+    };
+
+    return correlator;
+}
+
+module.exports = {
+    INCIDENT_STATUSES,
+    parseIncidentFilters,
+    validateIncidentUpdate,
+    createIncidentCorrelator,
+};
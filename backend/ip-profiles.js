@@ -0,0 +1,170 @@
+/**
+ * ip-profiles.js
+ * A running reputation profile per source IP, kept in the ip_profiles table: when it was first
+ * and last seen, how many flows it sent and how many were malicious, the threat labels they got
+ * and the defense rules created for it. Analysis jobs and live ingestion record every batch of
+ * predicted flows, and rule creations are recorded from the rule lifecycle. Changes are summed
+ * in memory per IP and merged into the table periodically (and before every read) with the
+ * merge_ip_profiles function, which adds them atomically, so several backend instances can
+ * share the table. See migrations/014_ip_profiles.sql.
+ */
+
+const { getFlowTime } = require('./rule-replay');
+
+const NON_THREAT_LABELS = ['benign', 'error', 'rule_blocked'];
+// Most IPs fetched in one query
+const FETCH_CHUNK_SIZE = 200;
+
+
+const isThreatLabel = label => Boolean(label) && !NON_THREAT_LABELS.includes(String(label).toLowerCase());
+
+
+/**
+ * Creates the store.
+ * @param {object} options
+ * @param {object} options.supabase
+ */
+function createIpProfileStore({ supabase }) {
+    // Changes not yet merged into the table, by IP
+    let pending = new Map();
+
+    const deltaFor = ip => {
+        if (!pending.has(ip)) {
+            pending.set(ip, {
+                ip_address: ip,
+                first_seen_at: null,
+                last_seen_at: null,
+                flows: 0,
+                malicious_flows: 0,
+                threat_labels: {},
+                rules: 0,
+                last_rule_id: null,
+                last_rule_at: null,
+                last_rule_level: null,
+                country: null,
+                asn: null,
+            });
+        }
+        return pending.get(ip);
+    };
+
+    const seenAt = (delta, timeMs) => {
+        const iso = new Date(timeMs).toISOString();
+        if (!delta.first_seen_at || iso < delta.first_seen_at) delta.first_seen_at = iso;
+        if (!delta.last_seen_at || iso > delta.last_seen_at) delta.last_seen_at = iso;
+    };
+
+    // Puts changes that failed to merge back in front of newer ones
+    const requeue = deltas => {
+        for (const delta of deltas) {
+            const current = pending.get(delta.ip_address);
+            if (!current) {
+                pending.set(delta.ip_address, delta);
+                continue;
+            }
+            if (delta.first_seen_at) seenAt(current, new Date(delta.first_seen_at).getTime());
+            if (delta.last_seen_at) seenAt(current, new Date(delta.last_seen_at).getTime());
+            current.flows += delta.flows;
+            current.malicious_flows += delta.malicious_flows;
+            current.rules += delta.rules;
+            for (const [label, count] of Object.entries(delta.threat_labels)) {
+                current.threat_labels[label] = (current.threat_labels[label] || 0) + count;
+            }
+            if (delta.last_rule_at && (!current.last_rule_at || delta.last_rule_at > current.last_rule_at)) {
+                Object.assign(current, { last_rule_id: delta.last_rule_id, last_rule_at: delta.last_rule_at, last_rule_level: delta.last_rule_level });
+            }
+            current.country = current.country ?? delta.country;
+            current.asn = current.asn ?? delta.asn;
+        }
+    };
+
+    const store = {
+        /**
+         * Counts predicted flows towards their source IPs' profiles.
+         * @param {Array<object>} rows - Flows with src_ip and prediction (and src_country / src_asn when enriched).
+         */
+        record(rows) {
+            const now = Date.now();
+            for (const row of rows) {
+                const ip = row.src_ip;
+                if (!ip || ip === 'UNKNOWN') continue;
+                const delta = deltaFor(String(ip));
+                const flowTime = getFlowTime(row);
+                seenAt(delta, isNaN(flowTime) ? now : flowTime);
+                delta.flows++;
+                if (isThreatLabel(row.prediction)) {
+                    delta.malicious_flows++;
+                    delta.threat_labels[row.prediction] = (delta.threat_labels[row.prediction] || 0) + 1;
+                }
+                if (row.src_country) delta.country = row.src_country;
+                if (row.src_asn) delta.asn = row.src_asn;
+            }
+        },
+
+        /**
+         * Counts a new defense rule towards its IP's profile (CIDR rules have no profile). Only
+         * flows move first / last seen; a profile that starts with a rule starts at its creation.
+         */
+        recordRule(rule) {
+            if (!rule || !rule.ip_address || String(rule.ip_address).includes('/')) return;
+            const delta = deltaFor(String(rule.ip_address));
+            const createdAt = rule.created_at || new Date().toISOString();
+            delta.rules++;
+            if (!delta.last_rule_at || createdAt >= delta.last_rule_at) {
+                Object.assign(delta, { last_rule_id: rule.id ?? null, last_rule_at: createdAt, last_rule_level: rule.response_level || null });
+            }
+        },
+
+        /**
+         * Merges the pending changes into ip_profiles. Changes that fail to merge are kept for the next flush.
+         * @returns {Promise<number>} - How many profiles were updated.
+         */
+        async flush() {
+            if (pending.size === 0) return 0;
+            const deltas = [...pending.values()];
+            pending = new Map();
+            const { error } = await supabase.rpc('merge_ip_profiles', { deltas });
+            if (error) {
+                requeue(deltas);
+                throw error;
+            }
+            return deltas.length;
+        },
+
+        /**
+         * The stored profiles of these IPs, after merging pending changes.
+         * @param {Array<string>} ips
+         * @returns {Promise<Map<string, object>>} - ip -> ip_profiles row; IPs without a profile are left out.
+         */
+        async getProfiles(ips) {
+            const unique = [...new Set(ips.filter(Boolean).map(String))];
+            const profiles = new Map();
+            if (unique.length === 0) return profiles;
+            try {
+                await store.flush();
+            } catch (error) {
+                console.error('🚨 Failed to save IP profiles before reading them:', error.message);
+            }
+            for (let i = 0; i < unique.length; i += FETCH_CHUNK_SIZE) {
+                const { data, error } = await supabase
+                    .from('ip_profiles')
+                    .select('*')
+                    .in('ip_address', unique.slice(i, i + FETCH_CHUNK_SIZE));
+                if (error) throw error;
+                (data || []).forEach(profile => profiles.set(profile.ip_address, profile));
+            }
+            return profiles;
+        },
+
+        /** How many IPs have changes waiting to be merged. */
+        get pendingCount() {
+            return pending.size;
+        },
+    };
+
+    return store;
+}
+
+module.exports = {
+    createIpProfileStore,
+};
@@ -0,0 +1,168 @@
+/**
+ * ip-trie.js
+ * IPv4/IPv6 address and CIDR parsing, and a binary prefix tree for matching addresses against
+ * many prefixes at once. A lookup walks at most 32 (IPv4) or 128 (IPv6) nodes whatever the
+ * number of prefixes stored, so re-analysis cost does not grow with the rule count.
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are treated as IPv4.
+ */
+
+const net = require('net');
+
+
+function parseIpv4(text) {
+    return text.split('.').map(Number);
+}
+
+function parseIpv6(text) {
+    // An embedded IPv4 tail (e.g. ::ffff:10.0.0.1) becomes two hextets
+    let address = text;
+    const lastColon = address.lastIndexOf(':');
+    if (address.includes('.', lastColon)) {
+        const [a, b, c, d] = parseIpv4(address.slice(lastColon + 1));
+        address = `${address.slice(0, lastColon + 1)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = address.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail !== undefined && tail !== '' ? tail.split(':') : [];
+    const missing = tail === undefined ? 0 : 8 - headParts.length - tailParts.length;
+    const hextets = [...headParts, ...new Array(missing).fill('0'), ...tailParts].map(part => parseInt(part, 16));
+    const bytes = [];
+    hextets.forEach(hextet => bytes.push(hextet >> 8, hextet & 0xff));
+    return bytes;
+}
+
+const isIpv4Mapped = bytes => bytes.length === 16
+    && bytes.slice(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+
+
+/**
+ * Parses an IP address into its bytes.
+ * @returns {{ version: number, bytes: Array<number> }|null} - null when text is not an IP address.
+ */
+function parseIp(text) {
+    if (typeof text !== 'string') return null;
+    const address = text.trim().replace(/%.*$/, ''); // Drop an IPv6 zone index
+    const version = net.isIP(address);
+    if (version === 4) return { version: 4, bytes: parseIpv4(address) };
+    if (version === 6) {
+        const bytes = parseIpv6(address);
+        return isIpv4Mapped(bytes) ? { version: 4, bytes: bytes.slice(12) } : { version: 6, bytes };
+    }
+    return null;
+}
+
+
+/**
+ * Parses an address or CIDR block. A bare address is a /32 (IPv4) or /128 (IPv6).
+ * Host bits below the prefix are cleared, so "10.1.2.3/8" parses as 10.0.0.0/8.
+ * @returns {{ version: number, bytes: Array<number>, prefixLength: number }|null}
+ */
+function parseCidr(text) {
+    if (typeof text !== 'string') return null;
+    const [address, prefix, extra] = text.trim().split('/');
+    if (extra !== undefined) return null;
+    const parsed = parseIp(address);
+    if (!parsed) return null;
+
+    const maxLength = parsed.bytes.length * 8;
+    let prefixLength = maxLength;
+    if (prefix !== undefined) {
+        if (!/^\d{1,3}$/.test(prefix)) return null;
+        prefixLength = Number(prefix);
+        // A mapped IPv4 prefix is written against 128 bits
+        if (parsed.version === 4 && net.isIP(address.trim()) === 6) prefixLength -= 96;
+        if (prefixLength < 0 || prefixLength > maxLength) return null;
+    }
+
+    const bytes = parsed.bytes.map((byte, index) => {
+        const bitsKept = Math.min(8, Math.max(0, prefixLength - index * 8));
+        return byte & ((0xff << (8 - bitsKept)) & 0xff);
+    });
+    return { version: parsed.version, bytes, prefixLength };
+}
+
+
+/**
+ * Canonical text for a parsed CIDR: the bare address for a single host, otherwise network/prefix.
+ */
+function formatCidr({ version, bytes, prefixLength }) {
+    let address;
+    if (version === 4) {
+        address = bytes.join('.');
+    } else {
+        const hextets = [];
+        for (let i = 0; i < 16; i += 2) hextets.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+        // Let the platform pick the compressed form
+        address = new URL(`http://[${hextets.join(':')}]`).hostname.slice(1, -1);
+    }
+    return prefixLength === bytes.length * 8 ? address : `${address}/${prefixLength}`;
+}
+
+
+/**
+ * Normalizes an address or CIDR block to its canonical text, or null when it is invalid.
+ */
+function normalizeCidr(text) {
+    const parsed = parseCidr(text);
+    return parsed ? formatCidr(parsed) : null;
+}
+
+
+/**
+ * Creates an empty prefix tree. Each stored prefix carries any number of values.
+ */
+function createIpTrie() {
+    const roots = { 4: { children: [null, null], values: null }, 6: { children: [null, null], values: null } };
+    let size = 0;
+
+    return {
+        /**
+         * Stores value under an address or CIDR block.
+         * @returns {boolean} - False when cidr does not parse.
+         */
+        insert(cidr, value) {
+            const parsed = typeof cidr === 'string' ? parseCidr(cidr) : cidr;
+            if (!parsed) return false;
+            let node = roots[parsed.version];
+            for (let bit = 0; bit < parsed.prefixLength; bit++) {
+                const direction = (parsed.bytes[bit >> 3] >> (7 - (bit & 7))) & 1;
+                if (!node.children[direction]) node.children[direction] = { children: [null, null], values: null };
+                node = node.children[direction];
+            }
+            if (!node.values) node.values = [];
+            node.values.push(value);
+            size++;
+            return true;
+        },
+
+        /**
+         * Every value whose prefix contains ip, most specific prefix first.
+         * @returns {Array<*>} - Empty when nothing matches or ip is not an address.
+         */
+        lookup(ip) {
+            const parsed = typeof ip === 'string' ? parseIp(ip) : ip;
+            if (!parsed) return [];
+            const found = [];
+            let node = roots[parsed.version];
+            const maxLength = parsed.bytes.length * 8;
+            for (let bit = 0; node; bit++) {
+                if (node.values) found.push(node.values);
+                if (bit === maxLength) break;
+                node = node.children[(parsed.bytes[bit >> 3] >> (7 - (bit & 7))) & 1];
+            }
+            return found.reverse().flat();
+        },
+
+        get size() {
+            return size;
+        },
+    };
+}
+
+module.exports = {
+    parseIp,
+    parseCidr,
+    formatCidr,
+    normalizeCidr,
+    createIpTrie,
+};
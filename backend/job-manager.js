@@ -0,0 +1,152 @@
+/**
+ * job-manager.js
+ * In-memory registry of background analysis jobs and their progress.
+ */
+
+const JOB_STATES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+};
+
+const JOB_RETENTION_MS = 60 * 60 * 1000; // Finished jobs are kept for 1 hour
+const MAX_JOB_ERRORS = 50; // Cap stored error messages so a broken model server can't grow a job forever
+
+// In-memory store of jobs keyed by analysis_id
+const JOBS = {};
+
+// Periodically drop finished jobs so the registry does not grow without bound.
+setInterval(() => {
+    const currentTime = Date.now();
+    for (const jobId in JOBS) {
+        const job = JOBS[jobId];
+        const finishedAt = job.finished_at ? new Date(job.finished_at).getTime() : null;
+        if (finishedAt && (currentTime - finishedAt) > JOB_RETENTION_MS) {
+            delete JOBS[jobId];
+        }
+    }
+}, 5 * 60 * 1000).unref();
+
+
+/**
+ * Registers a new job in the queued state.
+ * @param {string} jobId - The analysis job ID (UUID).
+ * @param {object} [details] - Extra fields to store on the job (e.g. source, file name).
+ * @returns {object} - The created job.
+ */
+function createJob(jobId, details = {}) {
+    const now = new Date().toISOString();
+    JOBS[jobId] = {
+        analysis_id: jobId,
+        state: JOB_STATES.QUEUED,
+        rows_processed: 0,
+        total_rows: null,
+        rules_created: 0,
+        rules_escalated: 0,
+        flows_suppressed: 0,
+        error_count: 0,
+        errors: [],
+        result: null,
+        created_at: now,
+        updated_at: now,
+        finished_at: null,
+        ...details,
+    };
+    return JOBS[jobId];
+}
+
+
+/**
+ * Merges the given changes into an existing job.
+ */
+function updateJob(jobId, changes) {
+    const job = JOBS[jobId];
+    if (!job) return null;
+    Object.assign(job, changes, { updated_at: new Date().toISOString() });
+    return job;
+}
+
+
+/**
+ * Records a non-fatal error (e.g. one failed prediction batch) against a job.
+ */
+function recordJobError(jobId, message) {
+    const job = JOBS[jobId];
+    if (!job) return;
+    job.error_count += 1;
+    if (job.errors.length < MAX_JOB_ERRORS) {
+        job.errors.push({ message, at: new Date().toISOString() });
+    }
+    job.updated_at = new Date().toISOString();
+}
+
+
+function getJob(jobId) {
+    return JOBS[jobId] || null;
+}
+
+
+/**
+ * Returns the public view of a job. The dashboard result is only included once the job is done.
+ */
+function serializeJob(job) {
+    const { result, ...status } = job;
+    // Streamed uploads don't know their row count up front, so fall back to bytes read.
+    let progress = null;
+    if (job.state === JOB_STATES.DONE) {
+        progress = 100;
+    } else if (job.total_rows) {
+        progress = Math.min(100, Math.round((job.rows_processed / job.total_rows) * 100));
+    } else if (job.total_bytes) {
+        progress = Math.min(99, Math.round(((job.bytes_processed || 0) / job.total_bytes) * 100));
+    }
+
+    return {
+        ...status,
+        progress,
+        ...(job.state === JOB_STATES.DONE ? { result } : {}),
+    };
+}
+
+
+/**
+ * Runs the task in the background and tracks its lifecycle on the job.
+ * The returned promise never rejects; failures are stored on the job instead.
+ * @param {string} jobId - The analysis job ID (UUID).
+ * @param {function(object): Promise<object>} task - Receives the job and resolves with the dashboard result.
+ */
+function runJob(jobId, task) {
+    const job = JOBS[jobId];
+    if (!job) {
+        return Promise.resolve(null);
+    }
+
+    // Defer to the next tick so the HTTP handler can respond before any work starts.
+    return new Promise(resolve => setImmediate(resolve))
+        .then(() => {
+            updateJob(jobId, { state: JOB_STATES.RUNNING, started_at: new Date().toISOString() });
+            return task(job);
+        })
+        .then(result => {
+            updateJob(jobId, { state: JOB_STATES.DONE, result, finished_at: new Date().toISOString() });
+            console.log(`✅ Job ${jobId} finished. ${job.rows_processed} rows processed.`);
+            return job;
+        })
+        .catch(error => {
+            console.error(`🚨 Job ${jobId} failed:`, error.message);
+            recordJobError(jobId, error.message);
+            updateJob(jobId, { state: JOB_STATES.FAILED, finished_at: new Date().toISOString() });
+            return job;
+        });
+}
+
+module.exports = {
+    JOB_STATES,
+    createJob,
+    updateJob,
+    recordJobError,
+    getJob,
+    serializeJob,
+    runJob,
+};
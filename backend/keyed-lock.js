@@ -0,0 +1,34 @@
+/**
+ * keyed-lock.js
+ * Serializes async work per key inside this process. Tasks for the same key run one after
+ * another in call order; tasks for different keys run concurrently. Used so concurrent
+ * detections for one IP cannot interleave their rule check and rule insert.
+ */
+
+function createKeyedLock() {
+    const tails = new Map(); // key -> promise of the last queued task
+
+    return {
+        /**
+         * Runs task once every earlier task for key has settled.
+         * @param {string} key
+         * @param {function(): Promise<*>} task
+         * @returns {Promise<*>} - Settles with the task's own result or error.
+         */
+        run(key, task) {
+            const previous = tails.get(key) || Promise.resolve();
+            const result = previous.then(() => task());
+            // The next task waits for this one whether it succeeded or not
+            const tail = result.catch(() => {});
+            tails.set(key, tail);
+            tail.then(() => {
+                if (tails.get(key) === tail) tails.delete(key);
+            });
+            return result;
+        },
+    };
+}
+
+module.exports = {
+    createKeyedLock,
+};
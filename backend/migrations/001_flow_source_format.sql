@@ -0,0 +1,12 @@
+-- 001_flow_source_format.sql
+-- Records where analysed flows came from (CICFlowMeter CSV, Zeek conn.log, Suricata EVE,
+-- pcap, NetFlow/IPFIX) and which model features were approximated rather than measured.
+
+ALTER TABLE analysis_jobs
+    ADD COLUMN IF NOT EXISTS source_format text;
+
+ALTER TABLE analysis_results
+    ADD COLUMN IF NOT EXISTS approximated_features text[];
+
+ALTER TABLE network_flows
+    ADD COLUMN IF NOT EXISTS approximated_features text[];
@@ -0,0 +1,5 @@
+-- 002_permanent_defense_rules.sql
+-- Rules pinned as permanent from the Rules tab have no expiry.
+
+ALTER TABLE defense_rules
+    ALTER COLUMN expires_at DROP NOT NULL;
@@ -0,0 +1,14 @@
+-- 003_detection_policies.sql
+-- Per-threat-type aggregation thresholds, rule lifetime and action, edited from Settings.
+-- Threat types without a row use the defaults in server.js.
+
+CREATE TABLE IF NOT EXISTS detection_policies (
+    threat_type             text PRIMARY KEY,
+    threshold_count         integer NOT NULL CHECK (threshold_count >= 1),
+    window_ms               integer NOT NULL CHECK (window_ms >= 1),
+    rule_expiration_minutes numeric CHECK (rule_expiration_minutes > 0),
+    action                  text NOT NULL DEFAULT 'temporary_block'
+                            CHECK (action IN ('alert', 'temporary_block', 'permanent_block')),
+    updated_at              timestamptz NOT NULL DEFAULT now(),
+    CHECK (action <> 'temporary_block' OR rule_expiration_minutes IS NOT NULL)
+);
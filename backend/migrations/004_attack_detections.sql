@@ -0,0 +1,17 @@
+-- 004_attack_detections.sql
+-- Sliding-window detection counters for rule aggregation (ATTACK_TRACKER_STORE=postgres).
+-- One row per malicious detection, keyed by "ip|threat type"; rows are deleted when a rule is
+-- created for the key and pruned once no aggregation window can reach them.
+
+CREATE TABLE IF NOT EXISTS attack_detections (
+    id          bigserial PRIMARY KEY,
+    tracker_key text NOT NULL,
+    detected_at timestamptz NOT NULL,
+    recorded_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS attack_detections_key_time_idx
+    ON attack_detections (tracker_key, detected_at);
+
+CREATE INDEX IF NOT EXISTS attack_detections_recorded_at_idx
+    ON attack_detections (recorded_at);
@@ -0,0 +1,19 @@
+-- 005_unique_active_rule.sql
+-- At most one active rule per IP, so concurrent rule creation (several detections in one
+-- batch, or several backend instances) cannot insert duplicates. A losing insert fails with
+-- unique_violation (23505), which the backend treats as "rule already exists".
+
+-- Older duplicates created before this index existed are deactivated, keeping the newest.
+UPDATE defense_rules AS r
+SET is_active = false
+WHERE r.is_active
+  AND EXISTS (
+      SELECT 1 FROM defense_rules AS newer
+      WHERE newer.ip_address = r.ip_address
+        AND newer.is_active
+        AND (newer.created_at, newer.id) > (r.created_at, r.id)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS defense_rules_one_active_per_ip_idx
+    ON defense_rules (ip_address)
+    WHERE is_active;
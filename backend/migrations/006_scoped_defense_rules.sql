@@ -0,0 +1,21 @@
+-- 006_scoped_defense_rules.sql
+-- Defense rules can target a CIDR block (stored in ip_address as "network/prefix") and be
+-- narrowed to the flow's source or destination side, an IP protocol number and a destination
+-- port range. Existing rows become unscoped rules: whole address, both directions.
+
+ALTER TABLE defense_rules
+    ADD COLUMN IF NOT EXISTS direction text NOT NULL DEFAULT 'both'
+        CHECK (direction IN ('both', 'src', 'dst')),
+    ADD COLUMN IF NOT EXISTS protocol smallint
+        CHECK (protocol BETWEEN 0 AND 255),
+    ADD COLUMN IF NOT EXISTS dst_port_min integer
+        CHECK (dst_port_min BETWEEN 0 AND 65535),
+    ADD COLUMN IF NOT EXISTS dst_port_max integer
+        CHECK (dst_port_max BETWEEN 0 AND 65535 AND dst_port_max >= dst_port_min);
+
+-- One active rule per target and scope (replaces the per-IP index from 005)
+DROP INDEX IF EXISTS defense_rules_one_active_per_ip_idx;
+
+CREATE UNIQUE INDEX IF NOT EXISTS defense_rules_one_active_per_target_idx
+    ON defense_rules (ip_address, direction, COALESCE(protocol, -1), COALESCE(dst_port_min, -1), COALESCE(dst_port_max, -1))
+    WHERE is_active;
@@ -0,0 +1,16 @@
+-- 007_allowlist.sql
+-- Addresses that are never auto-blocked: an IP, a CIDR block or a hostname (resolved by the
+-- backend). suppressed_count is the number of malicious detections the entry kept from
+-- counting towards a defense rule.
+
+CREATE TABLE IF NOT EXISTS allowlist_entries (
+    id                 bigserial PRIMARY KEY,
+    target             text NOT NULL UNIQUE,
+    kind               text NOT NULL CHECK (kind IN ('ip', 'cidr', 'hostname')),
+    note               text,
+    owner              text,
+    suppressed_count   bigint NOT NULL DEFAULT 0,
+    last_suppressed_at timestamptz,
+    created_at         timestamptz NOT NULL DEFAULT now(),
+    updated_at         timestamptz NOT NULL DEFAULT now()
+);
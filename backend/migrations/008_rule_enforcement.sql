@@ -0,0 +1,18 @@
+-- 008_rule_enforcement.sql
+-- Whether each rule was actually pushed to the enforcement agent (see enforcement.js).
+-- enforcement_status stays NULL while no agent is configured. Otherwise it is 'pending' until
+-- the agent acks the rule ('enforced') or delivery gives up ('failed'), and 'removing',
+-- 'removed' or 'removal_failed' for a revoked or edited-out rule.
+
+ALTER TABLE defense_rules
+    ADD COLUMN IF NOT EXISTS enforcement_status text
+        CHECK (enforcement_status IN ('pending', 'enforced', 'failed', 'removing', 'removed', 'removal_failed')),
+    ADD COLUMN IF NOT EXISTS enforcement_attempts integer NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS enforcement_error text,
+    ADD COLUMN IF NOT EXISTS enforced_at timestamptz,
+    ADD COLUMN IF NOT EXISTS enforcement_updated_at timestamptz;
+
+-- Startup picks up deliveries that were still waiting for an ack
+CREATE INDEX IF NOT EXISTS defense_rules_enforcement_status_idx
+    ON defense_rules (enforcement_status)
+    WHERE enforcement_status IN ('pending', 'removing');
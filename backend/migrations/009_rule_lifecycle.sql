@@ -0,0 +1,27 @@
+-- 009_rule_lifecycle.sql
+-- Rules past expires_at are switched off by the backend's lifecycle sweep (rule-lifecycle.js).
+-- deactivated_reason tells those ('expired') apart from rules an operator revoked ('revoked');
+-- rows switched off before this migration count as revoked.
+
+ALTER TABLE defense_rules
+    ADD COLUMN IF NOT EXISTS deactivated_reason text
+        CHECK (deactivated_reason IN ('expired', 'revoked')),
+    ADD COLUMN IF NOT EXISTS deactivated_at timestamptz;
+
+UPDATE defense_rules
+    SET deactivated_reason = 'revoked'
+    WHERE NOT is_active AND deactivated_reason IS NULL;
+
+-- Expired rules left switched on still hold the one-active-rule index, so retire them now
+UPDATE defense_rules
+    SET is_active = false, deactivated_reason = 'expired', deactivated_at = now()
+    WHERE is_active AND expires_at <= now();
+
+-- The sweep looks for switched-on rules by expiry
+CREATE INDEX IF NOT EXISTS defense_rules_active_expiry_idx
+    ON defense_rules (expires_at)
+    WHERE is_active;
+
+-- Repeat-offender counts look up earlier rules per address
+CREATE INDEX IF NOT EXISTS defense_rules_ip_created_idx
+    ON defense_rules (ip_address, created_at);
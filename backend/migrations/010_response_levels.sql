@@ -0,0 +1,28 @@
+-- 010_response_levels.sql
+-- Graduated responses (response-levels.js): a source's rule holds where it stands on the ladder
+-- observe -> alert -> rate_limit -> temporary_block -> permanent_block and how it got there.
+-- A detection policy's action becomes the highest level its threat may reach, and its severity
+-- sets where a first offense enters. Existing rules and policies keep blocking as before.
+
+ALTER TABLE defense_rules
+    ADD COLUMN IF NOT EXISTS response_level text NOT NULL DEFAULT 'temporary_block'
+        CHECK (response_level IN ('observe', 'alert', 'rate_limit', 'temporary_block', 'permanent_block')),
+    ADD COLUMN IF NOT EXISTS level_history jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+UPDATE defense_rules
+    SET response_level = 'permanent_block'
+    WHERE expires_at IS NULL;
+
+ALTER TABLE detection_policies
+    ADD COLUMN IF NOT EXISTS severity text NOT NULL DEFAULT 'critical'
+        CHECK (severity IN ('low', 'medium', 'high', 'critical'));
+
+ALTER TABLE detection_policies
+    DROP CONSTRAINT IF EXISTS detection_policies_action_check;
+ALTER TABLE detection_policies
+    ADD CONSTRAINT detection_policies_action_check
+        CHECK (action IN ('observe', 'alert', 'rate_limit', 'temporary_block', 'permanent_block'));
+
+-- The level filter on the Rules tab
+CREATE INDEX IF NOT EXISTS defense_rules_response_level_idx
+    ON defense_rules (response_level);
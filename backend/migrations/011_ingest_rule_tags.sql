@@ -0,0 +1,12 @@
+-- 011_ingest_rule_tags.sql
+-- Live flows are checked against the active block rules before they are stored (active-rules.js).
+-- rule_blocked marks flows a rule covered and blocked_by_rule_id names the rule. Their prediction
+-- is 'Rule_Blocked' when INGEST_SKIP_MODEL_FOR_BLOCKED skipped the model.
+
+ALTER TABLE network_flows
+    ADD COLUMN IF NOT EXISTS rule_blocked boolean NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS blocked_by_rule_id bigint;
+
+CREATE INDEX IF NOT EXISTS network_flows_blocked_by_rule_idx
+    ON network_flows (blocked_by_rule_id)
+    WHERE rule_blocked;
@@ -0,0 +1,27 @@
+-- 012_threat_intel.sql
+-- Rules imported from threat-intel feeds (threat-intel.js, POST /intel/import) sit next to the
+-- model-driven and manual ones. origin says where a rule came from; intel rules also record
+-- their feed, the indicator's confidence (0-100) and id, and when the feed last listed it.
+
+ALTER TABLE defense_rules
+    ADD COLUMN IF NOT EXISTS origin text NOT NULL DEFAULT 'model',
+    ADD COLUMN IF NOT EXISTS feed_source text,
+    ADD COLUMN IF NOT EXISTS confidence smallint,
+    ADD COLUMN IF NOT EXISTS indicator_id text,
+    ADD COLUMN IF NOT EXISTS last_seen_at timestamptz;
+
+ALTER TABLE defense_rules DROP CONSTRAINT IF EXISTS defense_rules_origin_check;
+ALTER TABLE defense_rules
+    ADD CONSTRAINT defense_rules_origin_check CHECK (origin IN ('model', 'manual', 'intel'));
+
+ALTER TABLE defense_rules DROP CONSTRAINT IF EXISTS defense_rules_confidence_check;
+ALTER TABLE defense_rules
+    ADD CONSTRAINT defense_rules_confidence_check CHECK (confidence IS NULL OR confidence BETWEEN 0 AND 100);
+
+-- Rules created through POST /rules before this migration
+UPDATE defense_rules SET origin = 'manual'
+WHERE origin = 'model' AND raw_flow_data->>'source' = 'manual';
+
+CREATE INDEX IF NOT EXISTS defense_rules_feed_source_idx
+    ON defense_rules (feed_source)
+    WHERE origin = 'intel';
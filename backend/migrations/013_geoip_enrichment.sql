@@ -0,0 +1,32 @@
+-- 013_geoip_enrichment.sql
+-- Offline GeoIP / ASN enrichment (geoip.js). Analysed and ingested flows store the country
+-- (ISO code), city, AS number and AS organisation of both endpoints; defense rules store the
+-- ones of the address they block. The columns stay null when no GeoIP database is configured.
+
+ALTER TABLE analysis_results
+    ADD COLUMN IF NOT EXISTS src_country text,
+    ADD COLUMN IF NOT EXISTS src_city text,
+    ADD COLUMN IF NOT EXISTS src_asn bigint,
+    ADD COLUMN IF NOT EXISTS src_as_org text,
+    ADD COLUMN IF NOT EXISTS dst_country text,
+    ADD COLUMN IF NOT EXISTS dst_city text,
+    ADD COLUMN IF NOT EXISTS dst_asn bigint,
+    ADD COLUMN IF NOT EXISTS dst_as_org text;
+
+ALTER TABLE network_flows
+    ADD COLUMN IF NOT EXISTS src_country text,
+    ADD COLUMN IF NOT EXISTS src_city text,
+    ADD COLUMN IF NOT EXISTS src_asn bigint,
+    ADD COLUMN IF NOT EXISTS src_as_org text,
+    ADD COLUMN IF NOT EXISTS dst_country text,
+    ADD COLUMN IF NOT EXISTS dst_city text,
+    ADD COLUMN IF NOT EXISTS dst_asn bigint,
+    ADD COLUMN IF NOT EXISTS dst_as_org text;
+
+ALTER TABLE defense_rules
+    ADD COLUMN IF NOT EXISTS country text,
+    ADD COLUMN IF NOT EXISTS asn bigint,
+    ADD COLUMN IF NOT EXISTS as_org text;
+
+CREATE INDEX IF NOT EXISTS network_flows_src_country_idx ON network_flows (src_country);
+CREATE INDEX IF NOT EXISTS network_flows_src_asn_idx ON network_flows (src_asn);
@@ -0,0 +1,80 @@
+-- 014_ip_profiles.sql
+-- A reputation profile per source IP (ip-profiles.js), updated as flows are analysed or
+-- ingested and as rules are created for it. threat_labels counts malicious flows per label.
+-- Backends merge their changes with merge_ip_profiles, which adds them to the stored counts
+-- in one statement, so concurrent instances never overwrite each other.
+
+CREATE TABLE IF NOT EXISTS ip_profiles (
+    ip_address       text PRIMARY KEY,
+    first_seen_at    timestamptz NOT NULL,
+    last_seen_at     timestamptz NOT NULL,
+    total_flows      bigint NOT NULL DEFAULT 0,
+    malicious_flows  bigint NOT NULL DEFAULT 0,
+    malicious_ratio  numeric GENERATED ALWAYS AS (
+        CASE WHEN total_flows > 0 THEN round(malicious_flows::numeric / total_flows, 4) ELSE 0 END
+    ) STORED,
+    threat_labels    jsonb NOT NULL DEFAULT '{}'::jsonb,
+    rule_count       integer NOT NULL DEFAULT 0,
+    last_rule_id     bigint,
+    last_rule_at     timestamptz,
+    last_rule_level  text,
+    country          text,
+    asn              bigint,
+    updated_at       timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ip_profiles_malicious_ratio_idx ON ip_profiles (malicious_ratio DESC);
+CREATE INDEX IF NOT EXISTS ip_profiles_last_seen_idx ON ip_profiles (last_seen_at DESC);
+
+-- deltas: [{ ip_address, first_seen_at, last_seen_at, flows, malicious_flows, threat_labels,
+--            rules, last_rule_id, last_rule_at, last_rule_level, country, asn }], one per IP
+CREATE OR REPLACE FUNCTION merge_ip_profiles(deltas jsonb)
+RETURNS integer
+LANGUAGE sql
+AS $$
+    WITH input AS (
+        SELECT *
+        FROM jsonb_to_recordset(deltas) AS d(
+            ip_address text, first_seen_at timestamptz, last_seen_at timestamptz, flows bigint,
+            malicious_flows bigint, threat_labels jsonb, rules integer, last_rule_id bigint,
+            last_rule_at timestamptz, last_rule_level text, country text, asn bigint
+        )
+    ), merged AS (
+        INSERT INTO ip_profiles AS p (
+            ip_address, first_seen_at, last_seen_at, total_flows, malicious_flows, threat_labels,
+            rule_count, last_rule_id, last_rule_at, last_rule_level, country, asn
+        )
+        SELECT ip_address, coalesce(first_seen_at, last_rule_at, now()), coalesce(last_seen_at, last_rule_at, now()), coalesce(flows, 0),
+               coalesce(malicious_flows, 0), coalesce(threat_labels, '{}'::jsonb), coalesce(rules, 0),
+               last_rule_id, last_rule_at, last_rule_level, country, asn
+        FROM input
+        ON CONFLICT (ip_address) DO UPDATE SET
+            -- The delta's own seen times (excluded's fall back to the rule time); least / greatest
+            -- skip nulls, so a delta with only a rule keeps the stored ones
+            first_seen_at = least(p.first_seen_at, (SELECT i.first_seen_at FROM input i WHERE i.ip_address = excluded.ip_address)),
+            last_seen_at = greatest(p.last_seen_at, (SELECT i.last_seen_at FROM input i WHERE i.ip_address = excluded.ip_address)),
+            total_flows = p.total_flows + excluded.total_flows,
+            malicious_flows = p.malicious_flows + excluded.malicious_flows,
+            threat_labels = (
+                SELECT coalesce(jsonb_object_agg(label, total), '{}'::jsonb)
+                FROM (
+                    SELECT label, sum(count::bigint) AS total
+                    FROM (
+                        SELECT * FROM jsonb_each_text(p.threat_labels)
+                        UNION ALL
+                        SELECT * FROM jsonb_each_text(excluded.threat_labels)
+                    ) AS labels(label, count)
+                    GROUP BY label
+                ) AS summed
+            ),
+            rule_count = p.rule_count + excluded.rule_count,
+            last_rule_id = CASE WHEN excluded.last_rule_at >= coalesce(p.last_rule_at, '-infinity') THEN excluded.last_rule_id ELSE p.last_rule_id END,
+            last_rule_level = CASE WHEN excluded.last_rule_at >= coalesce(p.last_rule_at, '-infinity') THEN excluded.last_rule_level ELSE p.last_rule_level END,
+            last_rule_at = greatest(p.last_rule_at, excluded.last_rule_at),
+            country = coalesce(excluded.country, p.country),
+            asn = coalesce(excluded.asn, p.asn),
+            updated_at = now()
+        RETURNING 1
+    )
+    SELECT count(*)::integer FROM merged;
+$$;
@@ -0,0 +1,9 @@
+-- 015_host_flow_indexes.sql
+-- The host investigation view (GET /hosts/:ip, host-investigation.js) reads every flow with an
+-- address on either side, newest first, from both flow tables.
+
+CREATE INDEX IF NOT EXISTS network_flows_src_ip_created_idx ON network_flows (src_ip, created_at DESC);
+CREATE INDEX IF NOT EXISTS network_flows_dst_ip_created_idx ON network_flows (dst_ip, created_at DESC);
+CREATE INDEX IF NOT EXISTS analysis_results_src_ip_created_idx ON analysis_results (src_ip, created_at DESC);
+CREATE INDEX IF NOT EXISTS analysis_results_dst_ip_created_idx ON analysis_results (dst_ip, created_at DESC);
+CREATE INDEX IF NOT EXISTS defense_rules_ip_address_idx ON defense_rules (ip_address);
@@ -0,0 +1,50 @@
+-- 016_incidents.sql
+-- Incidents: related malicious detections grouped by incident-correlator.js (same threat label,
+-- from the same source or on the same target within the merge windows). started_at / ended_at
+-- are the first and last detection's flow time. An incident is open while detections can join
+-- it, closed once idle, resolved by hand, or merged into merged_into. rule_ids links the defense
+-- rules created or escalated for its sources; incident_flows keeps up to 500 of its flows.
+
+CREATE TABLE IF NOT EXISTS incidents (
+    id                 uuid PRIMARY KEY,
+    threat_type        text NOT NULL,
+    severity           text NOT NULL CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+    base_severity      text NOT NULL CHECK (base_severity IN ('low', 'medium', 'high', 'critical')),
+    status             text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'resolved', 'merged')),
+    started_at         timestamptz NOT NULL,
+    ended_at           timestamptz NOT NULL,
+    detection_count    bigint NOT NULL DEFAULT 0,
+    source_count       integer NOT NULL DEFAULT 0,
+    target_count       integer NOT NULL DEFAULT 0,
+    source_ips         text[] NOT NULL DEFAULT '{}',
+    target_ips         text[] NOT NULL DEFAULT '{}',
+    rule_ids           bigint[] NOT NULL DEFAULT '{}',
+    analysis_ids       uuid[] NOT NULL DEFAULT '{}',
+    linked_flow_count  integer NOT NULL DEFAULT 0,
+    merged_into        uuid REFERENCES incidents (id) ON DELETE SET NULL,
+    notes              text,
+    created_at         timestamptz NOT NULL DEFAULT now(),
+    updated_at         timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS incidents_status_started_idx ON incidents (status, started_at DESC);
+CREATE INDEX IF NOT EXISTS incidents_threat_type_idx ON incidents (threat_type);
+CREATE INDEX IF NOT EXISTS incidents_source_ips_idx ON incidents USING gin (source_ips);
+CREATE INDEX IF NOT EXISTS incidents_target_ips_idx ON incidents USING gin (target_ips);
+
+CREATE TABLE IF NOT EXISTS incident_flows (
+    id           bigserial PRIMARY KEY,
+    incident_id  uuid NOT NULL REFERENCES incidents (id) ON DELETE CASCADE,
+    source       text NOT NULL CHECK (source IN ('live', 'analysis')),
+    analysis_id  uuid,
+    flow_id      text,
+    src_ip       text,
+    dst_ip       text,
+    dst_port     integer,
+    protocol     integer,
+    prediction   text NOT NULL,
+    flow_time    timestamptz NOT NULL,
+    created_at   timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS incident_flows_incident_idx ON incident_flows (incident_id, flow_time);
@@ -0,0 +1,199 @@
+/**
+ * mmdb-reader.js
+ * Reads MaxMind DB files (.mmdb, format version 2), such as the GeoLite2 Country, City and ASN
+ * databases, entirely offline. The file is loaded into memory once; a lookup walks the binary
+ * search tree bit by bit and decodes the record it ends on from the data section.
+ * See https://maxmind.github.io/MaxMind-DB/ for the format.
+ */
+
+const fs = require('fs');
+const { parseCidr } = require('./ip-trie');
+
+const METADATA_MARKER = Buffer.from('\xab\xcd\xefMaxMind.com', 'latin1');
+const METADATA_MAX_SIZE = 128 * 1024;
+const DATA_SECTION_SEPARATOR_SIZE = 16;
+const SUPPORTED_RECORD_SIZES = [24, 28, 32];
+// Decoded records are shared by many networks (every address in a country points at the same one)
+const DECODE_CACHE_SIZE = 10000;
+
+const TYPE = {
+    EXTENDED: 0,
+    POINTER: 1,
+    UTF8_STRING: 2,
+    DOUBLE: 3,
+    BYTES: 4,
+    UINT16: 5,
+    UINT32: 6,
+    MAP: 7,
+    INT32: 8,
+    UINT64: 9,
+    UINT128: 10,
+    ARRAY: 11,
+    DATA_CACHE: 12,
+    END_MARKER: 13,
+    BOOLEAN: 14,
+    FLOAT: 15,
+};
+// Pointer values of each size are offset past what the smaller sizes can hold
+const POINTER_BASES = [0, 2048, 526336, 0];
+
+
+// Unsigned big-endian integer of up to 6 bytes; wider ones become decimal strings
+function readUnsigned(buffer, offset, size) {
+    if (size <= 6) return size === 0 ? 0 : buffer.readUIntBE(offset, size);
+    let value = 0n;
+    for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(buffer[offset + i]);
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+}
+
+
+/**
+ * Creates a decoder for the data section starting at baseOffset.
+ * @returns {function(number): { value: any, next: number }} - Decodes the value at an absolute offset.
+ */
+function createDecoder(buffer, baseOffset) {
+    const decode = offset => {
+        const control = buffer[offset++];
+        let type = control >> 5;
+
+        if (type === TYPE.POINTER) {
+            const sizeBits = (control >> 3) & 0x3;
+            const size = sizeBits + 1;
+            let pointer = sizeBits === 3
+                ? buffer.readUInt32BE(offset)
+                : ((control & 0x7) * 2 ** (8 * size)) + buffer.readUIntBE(offset, size);
+            pointer += POINTER_BASES[sizeBits];
+            // The pointed-to value replaces the pointer; decoding carries on after the pointer itself
+            return { value: decode(baseOffset + pointer).value, next: offset + size };
+        }
+
+        if (type === TYPE.EXTENDED) type = 7 + buffer[offset++];
+
+        let size = control & 0x1f;
+        if (size === 29) size = 29 + buffer[offset++];
+        else if (size === 30) { size = 285 + buffer.readUInt16BE(offset); offset += 2; }
+        else if (size === 31) { size = 65821 + buffer.readUIntBE(offset, 3); offset += 3; }
+
+        switch (type) {
+            case TYPE.UTF8_STRING:
+                return { value: buffer.toString('utf8', offset, offset + size), next: offset + size };
+            case TYPE.DOUBLE:
+                return { value: buffer.readDoubleBE(offset), next: offset + 8 };
+            case TYPE.FLOAT:
+                return { value: buffer.readFloatBE(offset), next: offset + 4 };
+            case TYPE.BYTES:
+                return { value: buffer.subarray(offset, offset + size), next: offset + size };
+            case TYPE.UINT16:
+            case TYPE.UINT32:
+            case TYPE.UINT64:
+            case TYPE.UINT128:
+                return { value: readUnsigned(buffer, offset, size), next: offset + size };
+            case TYPE.INT32: {
+                const value = size === 0 ? 0 : buffer.readIntBE(offset, size);
+                return { value, next: offset + size };
+            }
+            case TYPE.BOOLEAN:
+                return { value: size !== 0, next: offset };
+            case TYPE.MAP: {
+                const value = {};
+                for (let i = 0; i < size; i++) {
+                    const key = decode(offset);
+                    const entry = decode(key.next);
+                    value[key.value] = entry.value;
+                    offset = entry.next;
+                }
+                return { value, next: offset };
+            }
+            case TYPE.ARRAY: {
+                const value = [];
+                for (let i = 0; i < size; i++) {
+                    const entry = decode(offset);
+                    value.push(entry.value);
+                    offset = entry.next;
+                }
+                return { value, next: offset };
+            }
+            default:
+                throw new Error(`Unsupported MaxMind DB data type ${type} at offset ${offset - 1}.`);
+        }
+    };
+    return decode;
+}
+
+
+/**
+ * Opens a MaxMind DB file.
+ * @param {string} filePath
+ * @returns {{ metadata: object, lookup: function(string): ({ data: object, prefixLength: number }|null) }} -
+ *   lookup takes an IPv4 or IPv6 address and gives the record for its network, or null when the
+ *   database has none (private ranges, or IPv6 in an IPv4-only database).
+ */
+function openMmdb(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const searchFrom = Math.max(0, buffer.length - METADATA_MAX_SIZE);
+    const markerAt = buffer.lastIndexOf(METADATA_MARKER);
+    if (markerAt < searchFrom) {
+        throw new Error(`${filePath} is not a MaxMind DB file (no metadata section found).`);
+    }
+    const metadataStart = markerAt + METADATA_MARKER.length;
+    const metadata = createDecoder(buffer, metadataStart)(metadataStart).value;
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = metadata;
+    if (metadata.binary_format_major_version !== 2 || !SUPPORTED_RECORD_SIZES.includes(recordSize)) {
+        throw new Error(`${filePath}: unsupported MaxMind DB format (version ${metadata.binary_format_major_version}, record size ${recordSize}).`);
+    }
+
+    const nodeBytes = recordSize / 4;
+    const searchTreeSize = nodeCount * nodeBytes;
+    const decode = createDecoder(buffer, searchTreeSize + DATA_SECTION_SEPARATOR_SIZE);
+    const cache = new Map();
+
+    const readRecord = (node, bit) => {
+        const at = node * nodeBytes;
+        if (recordSize === 24) return buffer.readUIntBE(at + bit * 3, 3);
+        if (recordSize === 32) return buffer.readUInt32BE(at + bit * 4);
+        // 28-bit records share the middle byte: its high nibble belongs to the left record
+        const middle = buffer[at + 3];
+        return bit === 0
+            ? ((middle & 0xf0) << 20) | buffer.readUIntBE(at, 3)
+            : ((middle & 0x0f) << 24) | buffer.readUIntBE(at + 4, 3);
+    };
+
+    // IPv4 addresses live under ::/96 in an IPv6 tree; walk there once
+    let ipv4Start = 0;
+    if (ipVersion === 6) {
+        for (let depth = 0; depth < 96 && ipv4Start < nodeCount; depth++) ipv4Start = readRecord(ipv4Start, 0);
+    }
+
+    const resolve = record => {
+        const offset = searchTreeSize + (record - nodeCount);
+        if (cache.has(offset)) return cache.get(offset);
+        const { value } = decode(offset);
+        if (cache.size >= DECODE_CACHE_SIZE) cache.delete(cache.keys().next().value);
+        cache.set(offset, value);
+        return value;
+    };
+
+    return {
+        metadata,
+
+        lookup(ip) {
+            const parsed = parseCidr(String(ip));
+            if (!parsed || parsed.prefixLength !== parsed.bytes.length * 8) return null;
+            if (parsed.version === 6 && ipVersion === 4) return null;
+
+            let node = parsed.version === 4 && ipVersion === 6 ? ipv4Start : 0;
+            const bitCount = parsed.bytes.length * 8;
+            let depth = 0;
+            for (; depth < bitCount && node < nodeCount; depth++) {
+                const bit = (parsed.bytes[depth >> 3] >> (7 - (depth % 8))) & 1;
+                node = readRecord(node, bit);
+            }
+            if (node <= nodeCount) return null; // nodeCount itself means "no data"
+            return { data: resolve(node), prefixLength: depth };
+        },
+    };
+}
+
+module.exports = {
+    openMmdb,
+};
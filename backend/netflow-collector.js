@@ -0,0 +1,147 @@
+/**
+ * netflow-collector.js
+ * UDP collector for NetFlow v5/v9 and IPFIX exports. Decoded records are mapped onto
+ * the network_flows columns and handed to the ingestion pipeline in batches.
+ */
+
+const dgram = require('dgram');
+const { createNetflowDecoder } = require('./netflow-decoder');
+const { buildFlowRowFromTotals } = require('./flow-approximation');
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_FLUSH_INTERVAL_MS = 5000; // Quiet exporters still get their flows stored within 5s
+const MAX_PENDING_ROWS = 10000;         // Drop new flows rather than grow without bound if ingestion stalls
+
+// Columns NetFlow/IPFIX reports directly; packet counts per second follow from them exactly
+const FORWARD_EXACT_FEATURES = ['flow_duration', 'tot_fwd_pkts', 'subflow_fwd_pkts', 'fwd_pkts_s'];
+const REVERSE_EXACT_FEATURES = ['tot_bwd_pkts', 'subflow_bwd_pkts', 'bwd_pkts_s', 'flow_pkts_s', 'down_up_ratio'];
+
+
+/**
+ * Maps one decoded NetFlow/IPFIX record onto the CICFlowMeter feature columns.
+ * Records are unidirectional unless the exporter sends RFC 5103 reverse counters, and the
+ * TCP flags are the OR of every packet, so they are attributed to the forward direction.
+ * @param {object} record - A record from netflow-decoder.
+ * @returns {object} - A flow row keyed like network_flows, including approximated_features.
+ */
+function netflowRecordToFlowRow(record) {
+    const hasReverse = record.reversePackets > 0;
+    return buildFlowRowFromTotals({
+        srcIp: record.srcIp,
+        dstIp: record.dstIp,
+        srcPort: record.srcPort,
+        dstPort: record.dstPort,
+        protocol: record.protocol,
+        startMs: record.startMs,
+        durationUs: (record.endMs - record.startMs) * 1000,
+        fwd: {
+            packets: record.packets,
+            ipBytes: record.bytes,
+            minIpLength: record.minLength,
+            maxIpLength: record.maxLength,
+            flags: record.tcpFlags,
+        },
+        bwd: { packets: record.reversePackets, ipBytes: record.reverseBytes },
+    }, hasReverse ? [...FORWARD_EXACT_FEATURES, ...REVERSE_EXACT_FEATURES] : FORWARD_EXACT_FEATURES);
+}
+
+
+/**
+ * Starts listening for NetFlow/IPFIX datagrams.
+ * Rows are flushed once a batch fills up or the flush interval passes; batches are handed to
+ * onBatch one at a time, so a slow model server applies backpressure instead of piling up requests.
+ * @param {object} options
+ * @param {number} options.port - UDP port to bind.
+ * @param {string} [options.host='0.0.0.0'] - Address to bind.
+ * @param {number} [options.batchSize=100] - Rows per batch.
+ * @param {number} [options.flushIntervalMs=5000] - Longest a partial batch waits before it is sent.
+ * @param {function(Array<object>): Promise<void>} options.onBatch - Receives each batch of flow rows.
+ * @returns {{ stats: object, flush: function(): Promise<void>, close: function(): Promise<void> }}
+ */
+function startNetflowCollector({
+    port,
+    host = '0.0.0.0',
+    batchSize = DEFAULT_BATCH_SIZE,
+    flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS,
+    onBatch,
+}) {
+    const decoder = createNetflowDecoder();
+    const socket = dgram.createSocket({ type: host.includes(':') ? 'udp6' : 'udp4', reuseAddr: true });
+    const stats = {
+        datagrams: 0,
+        records: 0,
+        decode_errors: 0,
+        missing_templates: 0,
+        dropped_rows: 0,
+        batches_sent: 0,
+        batch_errors: 0,
+    };
+
+    let pending = [];
+    let queuedRows = 0; // Rows already handed to the queue but not yet ingested
+    let queue = Promise.resolve();
+
+    // Batches go through one at a time, in arrival order
+    function flush() {
+        if (pending.length === 0) return queue;
+        const batch = pending.splice(0, batchSize);
+        queuedRows += batch.length;
+        queue = queue
+            .then(() => onBatch(batch))
+            .then(() => { stats.batches_sent += 1; })
+            .catch(error => {
+                stats.batch_errors += 1;
+                console.error(`🚨 NetFlow collector failed to ingest a batch of ${batch.length} flows:`, error.message);
+            })
+            .finally(() => { queuedRows -= batch.length; });
+        return pending.length >= batchSize ? flush() : queue;
+    }
+
+    socket.on('message', (message, remote) => {
+        stats.datagrams += 1;
+        let decoded;
+        try {
+            decoded = decoder.decode(message, remote.address);
+        } catch (error) {
+            stats.decode_errors += 1;
+            return;
+        }
+        stats.missing_templates += decoded.missingTemplates;
+
+        for (const record of decoded.records) {
+            if (!record.srcIp || !record.dstIp) continue;
+            stats.records += 1;
+            if (pending.length + queuedRows >= MAX_PENDING_ROWS) {
+                stats.dropped_rows += 1;
+                continue;
+            }
+            pending.push(netflowRecordToFlowRow(record));
+        }
+        if (pending.length >= batchSize) flush();
+    });
+
+    socket.on('error', error => {
+        console.error('🚨 NetFlow collector socket error:', error.message);
+    });
+
+    socket.bind(port, host, () => {
+        console.log(`📡 NetFlow/IPFIX collector listening on udp://${host}:${socket.address().port}`);
+    });
+
+    const timer = setInterval(flush, flushIntervalMs);
+    timer.unref();
+
+    return {
+        stats,
+        flush,
+        close: () => {
+            clearInterval(timer);
+            return new Promise(resolve => socket.close(resolve)).then(flush);
+        },
+    };
+}
+
+module.exports = {
+    netflowRecordToFlowRow,
+    startNetflowCollector,
+};
@@ -0,0 +1,331 @@
+/**
+ * netflow-decoder.js
+ * Decodes NetFlow v5, NetFlow v9 and IPFIX export datagrams into plain flow records.
+ * v9 and IPFIX data can only be read once the exporter has sent the matching template,
+ * so templates are cached per exporter and observation domain.
+ */
+
+const { formatIPv6 } = require('./pcap-reader');
+
+const NETFLOW_V5 = 5;
+const NETFLOW_V9 = 9;
+const IPFIX = 10;
+
+const V5_HEADER_LENGTH = 24;
+const V5_RECORD_LENGTH = 48;
+const V9_HEADER_LENGTH = 20;
+const IPFIX_HEADER_LENGTH = 16;
+
+// FlowSet / Set IDs that carry templates rather than data
+const V9_TEMPLATE_FLOWSET = 0;
+const V9_OPTIONS_TEMPLATE_FLOWSET = 1;
+const IPFIX_TEMPLATE_SET = 2;
+const IPFIX_OPTIONS_TEMPLATE_SET = 3;
+const FIRST_DATA_SET_ID = 256;
+
+const IPFIX_VARIABLE_LENGTH = 65535;
+const IPFIX_REVERSE_PEN = 29305; // RFC 5103 biflow reverse information elements
+
+// Field types shared by NetFlow v9 and IPFIX (IANA information element IDs)
+const FIELD = {
+    BYTES: 1,
+    PACKETS: 2,
+    PROTOCOL: 4,
+    TCP_FLAGS: 6,
+    SRC_PORT: 7,
+    SRC_IPV4: 8,
+    DST_PORT: 11,
+    DST_IPV4: 12,
+    END_SYS_UPTIME: 21,
+    START_SYS_UPTIME: 22,
+    MIN_IP_LENGTH: 25,
+    MAX_IP_LENGTH: 26,
+    SRC_IPV6: 27,
+    DST_IPV6: 28,
+    TOTAL_BYTES: 85,
+    TOTAL_PACKETS: 86,
+    START_SECONDS: 150,
+    END_SECONDS: 151,
+    START_MILLISECONDS: 152,
+    END_MILLISECONDS: 153,
+    SYSTEM_INIT_MILLISECONDS: 160,
+};
+
+
+/**
+ * Creates a decoder with its own template cache.
+ * @returns {{ decode: function(Buffer, string): { version: number, records: Array<object>, missingTemplates: number },
+ *   templateCount: function(): number }}
+ *   Each record is { srcIp, dstIp, srcPort, dstPort, protocol, packets, bytes, reversePackets,
+ *   reverseBytes, startMs, endMs, tcpFlags, minLength, maxLength } (absent fields are null).
+ */
+function createNetflowDecoder() {
+    // Key: exporter address / version / source ID or observation domain / template ID
+    const templates = new Map();
+
+    function decode(buffer, exporterAddress) {
+        if (buffer.length < 2) {
+            throw new Error('Datagram too short to carry a NetFlow header.');
+        }
+        const version = buffer.readUInt16BE(0);
+        switch (version) {
+            case NETFLOW_V5:
+                return { version, records: decodeV5(buffer), missingTemplates: 0 };
+            case NETFLOW_V9:
+                return { version, ...decodeTemplated(buffer, exporterAddress, NETFLOW_V9) };
+            case IPFIX:
+                return { version, ...decodeTemplated(buffer, exporterAddress, IPFIX) };
+            default:
+                throw new Error(`Unsupported NetFlow version ${version}.`);
+        }
+    }
+
+    function decodeTemplated(buffer, exporterAddress, version) {
+        const isIpfix = version === IPFIX;
+        const headerLength = isIpfix ? IPFIX_HEADER_LENGTH : V9_HEADER_LENGTH;
+        if (buffer.length < headerLength) {
+            throw new Error('Datagram too short for its NetFlow header.');
+        }
+
+        // Both headers end with the source ID / observation domain; only v9 carries sysUptime
+        const header = isIpfix
+            ? { exportSeconds: buffer.readUInt32BE(4), domainId: buffer.readUInt32BE(12), sysUptimeMs: null }
+            : { sysUptimeMs: buffer.readUInt32BE(4), exportSeconds: buffer.readUInt32BE(8), domainId: buffer.readUInt32BE(16) };
+        const end = isIpfix ? Math.min(buffer.readUInt16BE(2), buffer.length) : buffer.length;
+        const keyPrefix = `${exporterAddress}/${version}/${header.domainId}`;
+
+        const records = [];
+        let missingTemplates = 0;
+        let offset = headerLength;
+
+        while (offset + 4 <= end) {
+            const setId = buffer.readUInt16BE(offset);
+            const setLength = buffer.readUInt16BE(offset + 2);
+            if (setLength < 4 || offset + setLength > end) break; // Truncated or corrupt set
+            const setEnd = offset + setLength;
+            const body = offset + 4;
+
+            if (setId === V9_TEMPLATE_FLOWSET || setId === IPFIX_TEMPLATE_SET) {
+                readTemplates(buffer, body, setEnd, keyPrefix, isIpfix, false);
+            } else if (setId === V9_OPTIONS_TEMPLATE_FLOWSET || setId === IPFIX_OPTIONS_TEMPLATE_SET) {
+                readTemplates(buffer, body, setEnd, keyPrefix, isIpfix, true);
+            } else if (setId >= FIRST_DATA_SET_ID) {
+                const template = templates.get(`${keyPrefix}/${setId}`);
+                if (!template) {
+                    missingTemplates += 1;
+                } else if (!template.isOptions) {
+                    records.push(...readDataRecords(buffer, body, setEnd, template, header));
+                }
+            }
+            offset = setEnd;
+        }
+
+        return { records, missingTemplates };
+    }
+
+    function readTemplates(buffer, start, end, keyPrefix, isIpfix, isOptions) {
+        let offset = start;
+        while (offset + 4 <= end) {
+            const templateId = buffer.readUInt16BE(offset);
+            const fieldCount = buffer.readUInt16BE(offset + 2);
+            offset += 4;
+            if (templateId < FIRST_DATA_SET_ID) break; // Padding at the end of the set
+
+            // An IPFIX template with no fields withdraws it
+            if (isIpfix && fieldCount === 0) {
+                templates.delete(`${keyPrefix}/${templateId}`);
+                continue;
+            }
+
+            let totalFields = fieldCount;
+            if (isOptions && isIpfix) {
+                offset += 2; // Scope field count; scope fields are listed with the others
+            } else if (isOptions) {
+                // v9 options templates give the scope and option sections in bytes
+                if (offset + 4 > end) return;
+                const scopeLength = buffer.readUInt16BE(offset - 2);
+                const optionLength = buffer.readUInt16BE(offset);
+                offset += 2;
+                totalFields = (scopeLength + optionLength) / 4;
+            }
+
+            const fields = [];
+            for (let i = 0; i < totalFields; i++) {
+                if (offset + 4 > end) return;
+                let type = buffer.readUInt16BE(offset);
+                const length = buffer.readUInt16BE(offset + 2);
+                offset += 4;
+                let enterprise = 0;
+                if (isIpfix && (type & 0x8000)) {
+                    if (offset + 4 > end) return;
+                    type &= 0x7fff;
+                    enterprise = buffer.readUInt32BE(offset);
+                    offset += 4;
+                }
+                fields.push({ type, length, enterprise });
+            }
+            templates.set(`${keyPrefix}/${templateId}`, { fields, isOptions });
+        }
+    }
+
+    return {
+        decode,
+        templateCount: () => templates.size,
+    };
+}
+
+
+function decodeV5(buffer) {
+    if (buffer.length < V5_HEADER_LENGTH) {
+        throw new Error('Datagram too short for a NetFlow v5 header.');
+    }
+    const count = buffer.readUInt16BE(2);
+    const sysUptimeMs = buffer.readUInt32BE(4);
+    const exportMs = buffer.readUInt32BE(8) * 1000 + Math.floor(buffer.readUInt32BE(12) / 1e6);
+    const bootMs = exportMs - sysUptimeMs;
+
+    const records = [];
+    for (let i = 0; i < count; i++) {
+        const at = V5_HEADER_LENGTH + i * V5_RECORD_LENGTH;
+        if (at + V5_RECORD_LENGTH > buffer.length) break;
+        records.push({
+            ...emptyRecord(),
+            srcIp: formatIPv4(buffer, at),
+            dstIp: formatIPv4(buffer, at + 4),
+            packets: buffer.readUInt32BE(at + 16),
+            bytes: buffer.readUInt32BE(at + 20),
+            startMs: bootMs + buffer.readUInt32BE(at + 24),
+            endMs: bootMs + buffer.readUInt32BE(at + 28),
+            srcPort: buffer.readUInt16BE(at + 32),
+            dstPort: buffer.readUInt16BE(at + 34),
+            tcpFlags: buffer[at + 37],
+            protocol: buffer[at + 38],
+        });
+    }
+    return records;
+}
+
+
+function readDataRecords(buffer, start, end, template, header) {
+    const records = [];
+    let offset = start;
+
+    while (offset < end) {
+        const recordStart = offset;
+        const values = {};
+        let complete = true;
+        for (const field of template.fields) {
+            let length = field.length;
+            if (length === IPFIX_VARIABLE_LENGTH) {
+                if (offset + 1 > end) { complete = false; break; }
+                length = buffer[offset];
+                offset += 1;
+                if (length === 255) {
+                    if (offset + 2 > end) { complete = false; break; }
+                    length = buffer.readUInt16BE(offset);
+                    offset += 2;
+                }
+            }
+            if (offset + length > end) { complete = false; break; }
+            if (field.enterprise === 0) {
+                values[field.type] = readFieldValue(buffer, offset, length, field.type);
+            } else if (field.enterprise === IPFIX_REVERSE_PEN) {
+                values[`reverse_${field.type}`] = readFieldValue(buffer, offset, length, field.type);
+            }
+            offset += length;
+        }
+        // Whatever is left over is set padding, not another record
+        if (!complete || offset === recordStart) break;
+        records.push(toFlowRecord(values, header));
+    }
+    return records;
+}
+
+
+function readFieldValue(buffer, offset, length, type) {
+    if (type === FIELD.SRC_IPV4 || type === FIELD.DST_IPV4) {
+        return length === 4 ? formatIPv4(buffer, offset) : null;
+    }
+    if (type === FIELD.SRC_IPV6 || type === FIELD.DST_IPV6) {
+        return length === 16 ? formatIPv6(buffer, offset) : null;
+    }
+    if (length === 0) return null;
+    if (length <= 6) return buffer.readUIntBE(offset, length);
+    if (length === 8) return Number(buffer.readBigUInt64BE(offset));
+    return null; // Other widths are not numeric fields we use
+}
+
+
+function toFlowRecord(values, header) {
+    const pick = (...types) => {
+        for (const type of types) {
+            if (values[type] !== undefined && values[type] !== null) return values[type];
+        }
+        return null;
+    };
+
+    // Timestamps come in several flavours; prefer absolute ones and fall back to uptime offsets
+    let startMs = pick(FIELD.START_MILLISECONDS);
+    let endMs = pick(FIELD.END_MILLISECONDS);
+    if (startMs === null && values[FIELD.START_SECONDS] !== undefined) startMs = values[FIELD.START_SECONDS] * 1000;
+    if (endMs === null && values[FIELD.END_SECONDS] !== undefined) endMs = values[FIELD.END_SECONDS] * 1000;
+    if (startMs === null || endMs === null) {
+        const exportMs = header.exportSeconds * 1000;
+        const bootMs = values[FIELD.SYSTEM_INIT_MILLISECONDS] !== undefined
+            ? values[FIELD.SYSTEM_INIT_MILLISECONDS]
+            : (header.sysUptimeMs !== null ? exportMs - header.sysUptimeMs : null);
+        const startUptime = pick(FIELD.START_SYS_UPTIME);
+        const endUptime = pick(FIELD.END_SYS_UPTIME);
+        if (startMs === null) startMs = bootMs !== null && startUptime !== null ? bootMs + startUptime : exportMs;
+        if (endMs === null) endMs = bootMs !== null && endUptime !== null ? bootMs + endUptime : startMs;
+    }
+
+    return {
+        ...emptyRecord(),
+        srcIp: pick(FIELD.SRC_IPV4, FIELD.SRC_IPV6),
+        dstIp: pick(FIELD.DST_IPV4, FIELD.DST_IPV6),
+        srcPort: pick(FIELD.SRC_PORT) || 0,
+        dstPort: pick(FIELD.DST_PORT) || 0,
+        protocol: pick(FIELD.PROTOCOL) || 0,
+        packets: pick(FIELD.PACKETS, FIELD.TOTAL_PACKETS) || 0,
+        bytes: pick(FIELD.BYTES, FIELD.TOTAL_BYTES) || 0,
+        reversePackets: pick(`reverse_${FIELD.PACKETS}`, `reverse_${FIELD.TOTAL_PACKETS}`) || 0,
+        reverseBytes: pick(`reverse_${FIELD.BYTES}`, `reverse_${FIELD.TOTAL_BYTES}`) || 0,
+        startMs,
+        endMs: Math.max(endMs, startMs),
+        tcpFlags: pick(FIELD.TCP_FLAGS) || 0,
+        minLength: pick(FIELD.MIN_IP_LENGTH),
+        maxLength: pick(FIELD.MAX_IP_LENGTH),
+    };
+}
+
+
+function emptyRecord() {
+    return {
+        srcIp: null,
+        dstIp: null,
+        srcPort: 0,
+        dstPort: 0,
+        protocol: 0,
+        packets: 0,
+        bytes: 0,
+        reversePackets: 0,
+        reverseBytes: 0,
+        startMs: null,
+        endMs: null,
+        tcpFlags: 0,
+        minLength: null,
+        maxLength: null,
+    };
+}
+
+function formatIPv4(buffer, at) {
+    return `${buffer[at]}.${buffer[at + 1]}.${buffer[at + 2]}.${buffer[at + 3]}`;
+}
+
+module.exports = {
+    NETFLOW_V5,
+    NETFLOW_V9,
+    IPFIX,
+    createNetflowDecoder,
+};
@@ -0,0 +1,376 @@
+/**
+ * pcap-reader.js
+ * Streaming reader for pcap and pcapng captures, plus the link/IP/transport decoding
+ * needed to rebuild flows. Only TCP and UDP over IPv4/IPv6 are decoded (like CICFlowMeter).
+ */
+
+// --- CAPTURE FILE CONSTANTS ---
+const PCAP_MAGIC_MICROS = 0xa1b2c3d4;
+const PCAP_MAGIC_NANOS = 0xa1b23c4d;
+const PCAPNG_SECTION_HEADER = 0x0a0d0d0a;
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+
+const PCAPNG_BLOCK = {
+    INTERFACE_DESCRIPTION: 0x00000001,
+    PACKET_OBSOLETE: 0x00000002,
+    ENHANCED_PACKET: 0x00000006,
+};
+const PCAPNG_OPTION_IF_TSRESOL = 9;
+
+// Upper bounds for a single record, so a corrupt length can't make the reader buffer the rest of the file
+const MAX_PACKET_LENGTH = 256 * 1024;
+const MAX_PCAPNG_BLOCK_LENGTH = MAX_PACKET_LENGTH + 64 * 1024; // the packet plus its options
+
+// Link-layer header types (https://www.tcpdump.org/linktypes.html)
+const LINKTYPE = {
+    NULL: 0,
+    ETHERNET: 1,
+    RAW: 101,
+    LOOP: 108,
+    LINUX_SLL: 113,
+    IPV4: 228,
+    IPV6: 229,
+    LINUX_SLL2: 276,
+};
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86dd;
+const ETHERTYPE_VLAN = [0x8100, 0x88a8, 0x9100];
+
+const PROTOCOL_TCP = 6;
+const PROTOCOL_UDP = 17;
+const IPV6_EXTENSION_HEADERS = [0, 43, 60, 51];
+const IPV6_FRAGMENT_HEADER = 44;
+
+
+/**
+ * Reads a capture stream and yields one record per packet:
+ * { timestampUs, linkType, data } where timestampUs is microseconds since the epoch.
+ * Works for classic pcap (either byte order, µs or ns timestamps) and pcapng.
+ * @param {AsyncIterable<Buffer>} stream - Raw (already decompressed) capture bytes.
+ * @returns {AsyncGenerator<{ timestampUs: number, linkType: number, data: Buffer }>}
+ */
+async function* readCapturePackets(stream) {
+    let buffer = Buffer.alloc(0);
+    let reader = null;
+
+    for await (const chunk of stream) {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+        if (!reader) {
+            if (buffer.length < 24) continue;
+            reader = createReader(buffer);
+        }
+
+        let offset = 0;
+        let record;
+        while ((record = reader.next(buffer, offset)) !== null) {
+            offset = record.nextOffset;
+            if (record.packet) yield record.packet;
+        }
+        buffer = buffer.subarray(offset);
+    }
+
+    if (!reader) {
+        throw new Error('File is too short to be a pcap or pcapng capture.');
+    }
+    if (buffer.length > 0) {
+        throw new Error(`Capture is truncated: ${buffer.length} bytes left over after the last complete packet.`);
+    }
+}
+
+
+// Picks the right block/record parser from the first bytes of the file.
+function createReader(header) {
+    const magicLE = header.readUInt32LE(0);
+    const magicBE = header.readUInt32BE(0);
+
+    if (magicLE === PCAPNG_SECTION_HEADER) {
+        return createPcapngReader();
+    }
+    for (const [magic, littleEndian] of [[magicLE, true], [magicBE, false]]) {
+        if (magic === PCAP_MAGIC_MICROS || magic === PCAP_MAGIC_NANOS) {
+            return createPcapReader(header, littleEndian, magic === PCAP_MAGIC_NANOS);
+        }
+    }
+    throw new Error('Unrecognised capture format. Expected a pcap or pcapng file.');
+}
+
+
+function createPcapReader(header, littleEndian, nanos) {
+    const readU32 = (buf, at) => (littleEndian ? buf.readUInt32LE(at) : buf.readUInt32BE(at));
+    const linkType = readU32(header, 20) & 0x0fffffff;
+    // A packet is never captured past the snapshot length; 0 or an oversized snaplen falls back to the cap
+    const snapLength = readU32(header, 16);
+    const maxCapturedLength = snapLength > 0 ? Math.min(snapLength, MAX_PACKET_LENGTH) : MAX_PACKET_LENGTH;
+    let headerConsumed = false;
+
+    return {
+        next(buf, offset) {
+            if (!headerConsumed) {
+                headerConsumed = true;
+                return { nextOffset: 24 };
+            }
+            if (buf.length - offset < 16) return null;
+
+            const seconds = readU32(buf, offset);
+            const fraction = readU32(buf, offset + 4);
+            const capturedLength = readU32(buf, offset + 8);
+            if (capturedLength > maxCapturedLength) {
+                throw new Error(`Corrupt pcap record (captured length ${capturedLength}, snaplen ${snapLength}).`);
+            }
+            const end = offset + 16 + capturedLength;
+            if (buf.length < end) return null;
+
+            return {
+                nextOffset: end,
+                packet: {
+                    timestampUs: seconds * 1e6 + (nanos ? Math.floor(fraction / 1000) : fraction),
+                    linkType,
+                    data: buf.subarray(offset + 16, end),
+                },
+            };
+        },
+    };
+}
+
+
+function createPcapngReader() {
+    let littleEndian = true;
+    let interfaces = [];
+    const readU16 = (buf, at) => (littleEndian ? buf.readUInt16LE(at) : buf.readUInt16BE(at));
+    const readU32 = (buf, at) => (littleEndian ? buf.readUInt32LE(at) : buf.readUInt32BE(at));
+
+    // Converts a 64-bit timestamp in interface units to microseconds.
+    const toMicros = (high, low, iface) => {
+        const units = (BigInt(high) << 32n) | BigInt(low);
+        return Number((units * 1000000n) / iface.unitsPerSecond);
+    };
+
+    function parseInterface(buf, start, end) {
+        const iface = { linkType: readU16(buf, start), unitsPerSecond: 1000000n };
+        let at = start + 8;
+        while (at + 4 <= end) {
+            const code = readU16(buf, at);
+            const length = readU16(buf, at + 2);
+            if (code === 0) break;
+            if (code === PCAPNG_OPTION_IF_TSRESOL && length >= 1) {
+                const resolution = buf[at + 4];
+                const exponent = BigInt(resolution & 0x7f);
+                iface.unitsPerSecond = (resolution & 0x80) ? (1n << exponent) : (10n ** exponent);
+            }
+            at += 4 + Math.ceil(length / 4) * 4;
+        }
+        return iface;
+    }
+
+    return {
+        next(buf, offset) {
+            if (buf.length - offset < 12) return null;
+
+            // A section header resets the byte order and the interface list.
+            if (buf.readUInt32LE(offset) === PCAPNG_SECTION_HEADER) {
+                const byteOrder = buf.readUInt32LE(offset + 8);
+                littleEndian = byteOrder === PCAPNG_BYTE_ORDER_MAGIC;
+                interfaces = [];
+            }
+
+            const blockType = readU32(buf, offset);
+            const blockLength = readU32(buf, offset + 4);
+            if (blockLength < 12 || blockLength % 4 !== 0 || blockLength > MAX_PCAPNG_BLOCK_LENGTH) {
+                throw new Error(`Corrupt pcapng block (length ${blockLength}).`);
+            }
+            const end = offset + blockLength;
+            if (buf.length < end) return null;
+
+            const body = offset + 8;
+            if (blockType === PCAPNG_BLOCK.INTERFACE_DESCRIPTION) {
+                interfaces.push(parseInterface(buf, body, end - 4));
+                return { nextOffset: end };
+            }
+
+            let interfaceId;
+            let timestampAt;
+            let dataAt;
+            if (blockType === PCAPNG_BLOCK.ENHANCED_PACKET) {
+                interfaceId = readU32(buf, body);
+                timestampAt = body + 4;
+                dataAt = body + 20;
+            } else if (blockType === PCAPNG_BLOCK.PACKET_OBSOLETE) {
+                interfaceId = readU16(buf, body);
+                timestampAt = body + 4;
+                dataAt = body + 20;
+            } else {
+                // Simple packet blocks carry no timestamp, so they cannot be placed in a flow.
+                return { nextOffset: end };
+            }
+
+            const iface = interfaces[interfaceId];
+            if (!iface) return { nextOffset: end };
+
+            const capturedLength = readU32(buf, dataAt - 8);
+            if (dataAt + capturedLength > end - 4) {
+                throw new Error(`Corrupt pcapng packet block (captured length ${capturedLength}, block length ${blockLength}).`);
+            }
+            return {
+                nextOffset: end,
+                packet: {
+                    timestampUs: toMicros(readU32(buf, timestampAt), readU32(buf, timestampAt + 4), iface),
+                    linkType: iface.linkType,
+                    data: buf.subarray(dataAt, dataAt + capturedLength),
+                },
+            };
+        },
+    };
+}
+
+
+// --- PACKET DECODING ---
+
+// Returns { etherType, offset } of the network-layer header, or null for unsupported links.
+function locateNetworkHeader(linkType, data) {
+    switch (linkType) {
+        case LINKTYPE.ETHERNET: {
+            if (data.length < 14) return null;
+            let etherType = data.readUInt16BE(12);
+            let offset = 14;
+            while (ETHERTYPE_VLAN.includes(etherType) && data.length >= offset + 4) {
+                etherType = data.readUInt16BE(offset + 2);
+                offset += 4;
+            }
+            return { etherType, offset };
+        }
+        case LINKTYPE.LINUX_SLL:
+            return data.length < 16 ? null : { etherType: data.readUInt16BE(14), offset: 16 };
+        case LINKTYPE.LINUX_SLL2:
+            return data.length < 20 ? null : { etherType: data.readUInt16BE(0), offset: 20 };
+        case LINKTYPE.NULL:
+        case LINKTYPE.LOOP: {
+            if (data.length < 5) return null;
+            const version = data[4] >> 4;
+            return { etherType: version === 6 ? ETHERTYPE_IPV6 : ETHERTYPE_IPV4, offset: 4 };
+        }
+        case LINKTYPE.RAW:
+        case LINKTYPE.IPV4:
+        case LINKTYPE.IPV6: {
+            if (data.length < 1) return null;
+            const version = data[0] >> 4;
+            return { etherType: version === 6 ? ETHERTYPE_IPV6 : ETHERTYPE_IPV4, offset: 0 };
+        }
+        default:
+            return null;
+    }
+}
+
+function formatIPv6(data, at) {
+    const groups = [];
+    for (let i = 0; i < 8; i++) {
+        groups.push(data.readUInt16BE(at + i * 2).toString(16));
+    }
+    // Compress the longest run of zero groups as "::"
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < 8;) {
+        if (groups[i] !== '0') { i++; continue; }
+        let j = i;
+        while (j < 8 && groups[j] === '0') j++;
+        if (j - i > bestLength && j - i > 1) {
+            bestStart = i;
+            bestLength = j - i;
+        }
+        i = j;
+    }
+    if (bestStart === -1) return groups.join(':');
+    const head = groups.slice(0, bestStart).join(':');
+    const tail = groups.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Decodes a captured frame down to the transport layer.
+ * @returns {object|null} - { srcIp, dstIp, srcPort, dstPort, protocol, payloadLength, headerLength,
+ *   flags, window } or null if the packet is not TCP/UDP over IP.
+ */
+function decodePacket(linkType, data) {
+    const network = locateNetworkHeader(linkType, data);
+    if (!network) return null;
+
+    let { offset } = network;
+    let srcIp;
+    let dstIp;
+    let protocol;
+    let ipPayloadLength;
+
+    if (network.etherType === ETHERTYPE_IPV4) {
+        if (data.length < offset + 20 || (data[offset] >> 4) !== 4) return null;
+        const ihl = (data[offset] & 0x0f) * 4;
+        const totalLength = data.readUInt16BE(offset + 2);
+        const fragmentOffset = data.readUInt16BE(offset + 6) & 0x1fff;
+        if (fragmentOffset !== 0) return null; // Only the first fragment carries the transport header
+        protocol = data[offset + 9];
+        srcIp = `${data[offset + 12]}.${data[offset + 13]}.${data[offset + 14]}.${data[offset + 15]}`;
+        dstIp = `${data[offset + 16]}.${data[offset + 17]}.${data[offset + 18]}.${data[offset + 19]}`;
+        ipPayloadLength = totalLength - ihl;
+        offset += ihl;
+    } else if (network.etherType === ETHERTYPE_IPV6) {
+        if (data.length < offset + 40 || (data[offset] >> 4) !== 6) return null;
+        ipPayloadLength = data.readUInt16BE(offset + 4);
+        protocol = data[offset + 6];
+        srcIp = formatIPv6(data, offset + 8);
+        dstIp = formatIPv6(data, offset + 24);
+        offset += 40;
+        while (IPV6_EXTENSION_HEADERS.includes(protocol) || protocol === IPV6_FRAGMENT_HEADER) {
+            if (data.length < offset + 8) return null;
+            const next = data[offset];
+            let length = protocol === 51 ? (data[offset + 1] + 2) * 4 : (data[offset + 1] + 1) * 8;
+            if (protocol === IPV6_FRAGMENT_HEADER) {
+                length = 8;
+                if ((data.readUInt16BE(offset + 2) >> 3) !== 0) return null;
+            }
+            protocol = next;
+            offset += length;
+            ipPayloadLength -= length;
+        }
+    } else {
+        return null;
+    }
+
+    if (protocol === PROTOCOL_TCP) {
+        if (data.length < offset + 20) return null;
+        const headerLength = (data[offset + 12] >> 4) * 4;
+        return {
+            srcIp,
+            dstIp,
+            protocol,
+            srcPort: data.readUInt16BE(offset),
+            dstPort: data.readUInt16BE(offset + 2),
+            headerLength,
+            payloadLength: Math.max(0, ipPayloadLength - headerLength),
+            flags: data[offset + 13] | ((data[offset + 12] & 0x01) << 8),
+            window: data.readUInt16BE(offset + 14),
+        };
+    }
+    if (protocol === PROTOCOL_UDP) {
+        if (data.length < offset + 8) return null;
+        return {
+            srcIp,
+            dstIp,
+            protocol,
+            srcPort: data.readUInt16BE(offset),
+            dstPort: data.readUInt16BE(offset + 2),
+            headerLength: 8,
+            payloadLength: Math.max(0, data.readUInt16BE(offset + 4) - 8),
+            flags: 0,
+            window: null,
+        };
+    }
+    return null;
+}
+
+module.exports = {
+    PROTOCOL_TCP,
+    PROTOCOL_UDP,
+    readCapturePackets,
+    decodePacket,
+    formatIPv6,
+};
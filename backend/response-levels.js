@@ -0,0 +1,103 @@
+/**
+ * response-levels.js
+ * The graduated response ladder a source climbs as it keeps being detected:
+ *   observe -> alert -> rate_limit -> temporary_block -> permanent_block
+ * A source's active whole-address defense rule holds its current level (response_level) and
+ * every step it took (level_history). The threat's severity sets where a first offense enters
+ * the ladder; each further offense (its detection policy's threshold met again, in this or
+ * a later analysis) climbs one level, never above the policy's action. Only the two block levels
+ * stop traffic; rate_limit is enforced by the firewall agent, observe and alert only record.
+ */
+
+const RESPONSE_LEVELS = ['observe', 'alert', 'rate_limit', 'temporary_block', 'permanent_block'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const SEVERITY_ENTRY_LEVELS = {
+    low: 'observe',
+    medium: 'alert',
+    high: 'rate_limit',
+    critical: 'temporary_block',
+};
+const BLOCKING_LEVELS = ['temporary_block', 'permanent_block'];
+// Levels the firewall agent has to act on
+const ENFORCED_LEVELS = ['rate_limit', 'temporary_block', 'permanent_block'];
+// Rules stored before the ladder existed were all blocks
+const DEFAULT_LEVEL = 'temporary_block';
+
+const levelIndex = level => RESPONSE_LEVELS.indexOf(level || DEFAULT_LEVEL);
+
+function isBlockingLevel(level) {
+    return BLOCKING_LEVELS.includes(level || DEFAULT_LEVEL);
+}
+
+function isEnforcedLevel(level) {
+    return ENFORCED_LEVELS.includes(level || DEFAULT_LEVEL);
+}
+
+
+/**
+ * The level a source moves to when a detection policy's threshold is met for it.
+ * @param {object} options
+ * @param {string|null} options.currentLevel - The level of the source's active rule, or null when it has none.
+ * @param {number} [options.priorOffenses=0] - Earlier rules for the source (a new rule starts that many steps above entry).
+ * @param {string} options.severity - The threat's severity (SEVERITIES).
+ * @param {string} options.ceiling - The highest level the threat's policy allows (its action).
+ * @returns {string|null} - The new level, or null when the source stays where it is.
+ */
+function nextResponseLevel({ currentLevel, priorOffenses = 0, severity, ceiling }) {
+    const entry = levelIndex(SEVERITY_ENTRY_LEVELS[severity] || DEFAULT_LEVEL);
+    const candidate = currentLevel
+        ? Math.max(levelIndex(currentLevel) + 1, entry)
+        : entry + priorOffenses;
+    const level = Math.min(candidate, levelIndex(ceiling), RESPONSE_LEVELS.length - 1);
+    if (currentLevel && level <= levelIndex(currentLevel)) return null;
+    return RESPONSE_LEVELS[level];
+}
+
+
+/**
+ * One level_history entry.
+ * @param {object} step - { level, reason, threat_type, severity, analysis_id, detections }
+ */
+function levelHistoryEntry({ level, reason, threat_type = null, severity = null, analysis_id = null, detections = null }) {
+    return { level, at: new Date().toISOString(), reason, threat_type, severity, analysis_id, detections };
+}
+
+
+/**
+ * Counts flows per response level for re-analysis reports.
+ * @returns {{ add: function(string, object): void, toJSON: function(): object }} - add(level, row)
+ *   records a flow a rule at that level covered; toJSON gives { level: { flows, malicious_flows, sources } }.
+ */
+function createLevelReport() {
+    const levels = new Map(RESPONSE_LEVELS.map(level => [level, { flows: 0, malicious_flows: 0, sources: new Set() }]));
+    return {
+        add(level, row, malicious) {
+            const entry = levels.get(level || DEFAULT_LEVEL);
+            if (!entry) return;
+            entry.flows++;
+            if (malicious) entry.malicious_flows++;
+            const source = row.src_ip || row.dst_ip;
+            if (source) entry.sources.add(source);
+        },
+
+        toJSON() {
+            return Object.fromEntries([...levels].map(([level, { flows, malicious_flows, sources }]) => [
+                level,
+                { flows, malicious_flows, sources: sources.size },
+            ]));
+        },
+    };
+}
+
+module.exports = {
+    RESPONSE_LEVELS,
+    SEVERITIES,
+    SEVERITY_ENTRY_LEVELS,
+    BLOCKING_LEVELS,
+    ENFORCED_LEVELS,
+    isBlockingLevel,
+    isEnforcedLevel,
+    nextResponseLevel,
+    levelHistoryEntry,
+    createLevelReport,
+};
@@ -0,0 +1,163 @@
+/**
+ * rule-engine.js
+ * Evaluates custom field/operator/value rules (as built in the RuleBuilderModal) against flow rows.
+ * A rule is a group of conditions joined by AND or OR; groups may nest, so
+ * "prediction IS_NOT benign AND (dst_port IS 80 OR dst_port IS 443)" is one rule.
+ *
+ *   { name: 'Web floods', combinator: 'AND', conditions: [
+ *       { field: 'prediction', operator: 'IS_NOT', value: 'benign' },
+ *       { combinator: 'OR', conditions: [{ field: 'dst_port', operator: 'IS', value: '80' }, ...] },
+ *   ] }
+ */
+
+const OPERATORS = ['IS', 'IS_NOT', 'GREATER_THAN', 'LESS_THAN'];
+const COMBINATORS = ['AND', 'OR'];
+const NUMERIC_OPERATORS = ['GREATER_THAN', 'LESS_THAN'];
+const FIELD_PATTERN = /^[a-z][a-z0-9_]{0,63}$/i;
+const MAX_RULES = 50;
+const MAX_CONDITIONS = 200;
+const MAX_DEPTH = 5;
+const MAX_NAME_LENGTH = 100;
+
+
+// Numbers compare numerically ("80" IS 80, "1e6" GREATER_THAN ...); anything else case-insensitively as text
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function valuesEqual(actual, expected) {
+    if (actual === undefined || actual === null) return false;
+    const actualNumber = toNumber(actual);
+    if (actualNumber !== null && expected.number !== null) return actualNumber === expected.number;
+    return String(actual).trim().toLowerCase() === expected.text;
+}
+
+
+/**
+ * Validates one condition or group and converts it to the form evaluateRule expects.
+ * @returns {object|null} - null when invalid (the reason is pushed to errors).
+ */
+function compileNode(node, path, depth, errors, counter) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        errors.push(`${path} must be an object.`);
+        return null;
+    }
+
+    if (node.conditions !== undefined) {
+        const combinator = String(node.combinator || 'AND').toUpperCase();
+        if (!COMBINATORS.includes(combinator)) {
+            errors.push(`${path}.combinator must be one of ${COMBINATORS.join(', ')}.`);
+        }
+        if (depth >= MAX_DEPTH) {
+            errors.push(`${path} is nested too deeply (max ${MAX_DEPTH} levels).`);
+            return null;
+        }
+        if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+            errors.push(`${path}.conditions must be a non-empty array.`);
+            return null;
+        }
+        const conditions = node.conditions.map((child, index) =>
+            compileNode(child, `${path}.conditions[${index}]`, depth + 1, errors, counter));
+        return { combinator, conditions };
+    }
+
+    counter.conditions += 1;
+    const { field, operator, value } = node;
+    const op = typeof operator === 'string' ? operator.toUpperCase() : operator;
+    if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+        errors.push(`${path}.field must be a column name.`);
+    }
+    if (!OPERATORS.includes(op)) {
+        errors.push(`${path}.operator must be one of ${OPERATORS.join(', ')}.`);
+    }
+    if (value === undefined || value === null || String(value).trim() === '') {
+        errors.push(`${path}.value is required.`);
+        return null;
+    }
+    const number = toNumber(value);
+    if (NUMERIC_OPERATORS.includes(op) && number === null) {
+        errors.push(`${path}.value must be a number for ${op}.`);
+    }
+    return { field, operator: op, value: { number, text: String(value).trim().toLowerCase() } };
+}
+
+
+/**
+ * Validates a list of custom rules.
+ * @param {Array<object>} rules - Groups ({ name?, combinator, conditions }) or single conditions.
+ * @returns {{ rules: Array<{ name: string, root: object }>, errors: Array<string> }}
+ */
+function compileRules(rules) {
+    const errors = [];
+    if (!Array.isArray(rules)) {
+        return { rules: [], errors: ['"custom_rules" must be an array.'] };
+    }
+    if (rules.length > MAX_RULES) {
+        return { rules: [], errors: [`At most ${MAX_RULES} custom rules are allowed.`] };
+    }
+
+    const counter = { conditions: 0 };
+    const compiled = rules.map((rule, index) => {
+        const path = `custom_rules[${index}]`;
+        const name = rule && typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : `Rule ${index + 1}`;
+        if (name.length > MAX_NAME_LENGTH) {
+            errors.push(`${path}.name must be at most ${MAX_NAME_LENGTH} characters.`);
+        }
+        return { name, root: compileNode(rule, path, 0, errors, counter) };
+    });
+
+    if (counter.conditions > MAX_CONDITIONS) {
+        errors.push(`Custom rules may contain at most ${MAX_CONDITIONS} conditions in total.`);
+    }
+    return { rules: errors.length > 0 ? [] : compiled, errors };
+}
+
+
+/**
+ * Evaluates a compiled condition or group against a flow row.
+ * @returns {boolean}
+ */
+function evaluateRule(node, row) {
+    if (node.conditions) {
+        return node.combinator === 'OR'
+            ? node.conditions.some(child => evaluateRule(child, row))
+            : node.conditions.every(child => evaluateRule(child, row));
+    }
+
+    const actual = row[node.field];
+    switch (node.operator) {
+        case 'IS':
+            return valuesEqual(actual, node.value);
+        case 'IS_NOT':
+            return !valuesEqual(actual, node.value);
+        case 'GREATER_THAN': {
+            const number = toNumber(actual);
+            return number !== null && number > node.value.number;
+        }
+        case 'LESS_THAN': {
+            const number = toNumber(actual);
+            return number !== null && number < node.value.number;
+        }
+        default:
+            return false;
+    }
+}
+
+
+/**
+ * Returns the first compiled rule that matches the row, or null.
+ */
+function findMatchingRule(compiledRules, row) {
+    return compiledRules.find(rule => evaluateRule(rule.root, row)) || null;
+}
+
+module.exports = {
+    OPERATORS,
+    COMBINATORS,
+    compileRules,
+    evaluateRule,
+    findMatchingRule,
+};
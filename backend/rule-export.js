@@ -0,0 +1,300 @@
+/**
+ * rule-export.js
+ * Renders the active defense rules as firewall configuration, so the rule set can be loaded
+ * into a firewall or IDS instead of being copied by hand. Every renderer takes the same rule
+ * rows (ip_address, direction, protocol, dst_port_min/max, threat_type, expires_at) and returns text.
+ *
+ * Expiry: nftables set elements carry a timeout, so temporary whole-address rules drop out on
+ * their own. The other formats have no per-entry timeout; their expiry is written as a comment
+ * and the file should be re-exported and reloaded to pick up expired and new rules.
+ */
+
+const { parseCidr, createIpTrie } = require('./ip-trie');
+const { PROTOCOL_NUMBERS } = require('./flow-adapters');
+const { describeRuleScope } = require('./rule-matcher');
+
+// Distinct from the enforcement agent's table (inet threat_agent), which loading an export must not replace
+const TABLE_NAME = 'threat_export';
+// Local sid range for generated Suricata rules
+const SURICATA_SID_BASE = 9100000;
+const PORT_PROTOCOLS = ['tcp', 'udp', 'sctp'];
+
+const PROTOCOL_NAMES = Object.fromEntries(Object.entries(PROTOCOL_NUMBERS).map(([name, number]) => [number, name]));
+
+
+const isScoped = rule => (rule.direction && rule.direction !== 'both')
+    || (rule.protocol !== null && rule.protocol !== undefined)
+    || (rule.dst_port_min !== null && rule.dst_port_min !== undefined);
+
+const versionOf = rule => (parseCidr(String(rule.ip_address)) || { version: 4 }).version;
+
+const isPermanent = rule => rule.expires_at === null || rule.expires_at === undefined;
+
+const expiryMs = rule => (isPermanent(rule) ? Infinity : new Date(rule.expires_at).getTime());
+
+const secondsLeft = (rule, now) => Math.max(1, Math.round((new Date(rule.expires_at).getTime() - now) / 1000));
+
+// Keeps rule text (threat labels come from the model or from operators) safe inside comments and quoted strings
+const sanitize = text => String(text ?? '').replace(/[^\w .,:/@()+-]/g, '_').slice(0, 200);
+
+const describeRule = (rule, now) => sanitize(`${describeRuleScope(rule)} ${rule.threat_type}, ${isPermanent(rule)
+    ? 'permanent'
+    : `expires ${new Date(rule.expires_at).toISOString()} (${secondsLeft(rule, now)}s)`}`);
+
+
+/**
+ * Splits a rule into the firewall matches it needs: one per side of the flow the address is
+ * matched on, and per protocol when a port range has no protocol (ports imply TCP or UDP).
+ * Returns [] for a rule no firewall can express (a port range on a portless protocol).
+ * @returns {Array<{ side: string, protocol: (string|null), ports: (Array<number>|null) }>}
+ */
+function expandRule(rule) {
+    const sides = rule.direction === 'src' ? ['src'] : rule.direction === 'dst' ? ['dst'] : ['src', 'dst'];
+    const protocol = rule.protocol === null || rule.protocol === undefined ? null : PROTOCOL_NAMES[rule.protocol] || String(rule.protocol);
+    const hasPorts = rule.dst_port_min !== null && rule.dst_port_min !== undefined;
+    const ports = hasPorts ? [rule.dst_port_min, rule.dst_port_max ?? rule.dst_port_min] : null;
+
+    let protocols = [protocol];
+    if (hasPorts) {
+        if (protocol === null) protocols = ['tcp', 'udp'];
+        else if (!PORT_PROTOCOLS.includes(protocol)) protocols = [];
+    }
+    return sides.flatMap(side => protocols.map(name => ({ side, protocol: name, ports })));
+}
+
+const formatPorts = ([min, max], separator) => (min === max ? `${min}` : `${min}${separator}${max}`);
+
+const header = (rules, now, loadHint) => [
+    `# Cyber Threat AI Agent defense rules, generated ${new Date(now).toISOString()}`,
+    `# ${rules.length} active rule(s). Re-export to pick up new and expired rules.`,
+    `# ${loadHint}`,
+];
+
+const skippedComment = (rule, now) => `# skipped (ports need tcp, udp or sctp): ${describeRule(rule, now)}`;
+
+
+/**
+ * iptables-restore / ip6tables-restore input for one address family. The rules go in a
+ * dedicated chain that is replaced on every load; hooking it into INPUT/FORWARD is a one-time step.
+ */
+function renderIptables(version) {
+    const tool = version === 4 ? 'iptables' : 'ip6tables';
+    return (allRules, { now }) => {
+        const chain = TABLE_NAME.toUpperCase();
+        const rules = allRules.filter(rule => versionOf(rule) === version);
+        const lines = [
+            ...header(rules, now, `Load with: ${tool}-restore --noflush < file`),
+            `# Hook the chain in once: ${tool} -I INPUT -j ${chain} && ${tool} -I FORWARD -j ${chain}`,
+            '*filter',
+            `:${chain} - [0:0]`,
+        ];
+        rules.forEach(rule => {
+            const matches = expandRule(rule);
+            if (matches.length === 0) {
+                lines.push(skippedComment(rule, now));
+                return;
+            }
+            matches.forEach(({ side, protocol, ports }) => {
+                const parts = [`-A ${chain}`, `${side === 'src' ? '-s' : '-d'} ${rule.ip_address}`];
+                if (protocol) parts.push(`-p ${protocol}`);
+                if (ports) parts.push(`--dport ${formatPorts(ports, ':')}`);
+                parts.push(`-m comment --comment "${describeRule(rule, now)}"`, '-j DROP');
+                lines.push(parts.join(' '));
+            });
+        });
+        lines.push('COMMIT', '');
+        return lines.join('\n');
+    };
+}
+
+
+/**
+ * An nftables table. Whole-address rules go into interval sets whose elements time out with
+ * their rule; scoped rules, and addresses overlapping a set element, become explicit rules.
+ */
+function renderNftables(rules, { now }) {
+    const elements = { 4: [], 6: [] };
+    const ruleLines = [];
+    const addRuleLines = (rule, matches) => {
+        const family = versionOf(rule) === 4 ? 'ip' : 'ip6';
+        if (matches.length === 0) {
+            ruleLines.push(`        ${skippedComment(rule, now)}`);
+            return;
+        }
+        matches.forEach(({ side, protocol, ports }) => {
+            const parts = [`${family} ${side === 'src' ? 'saddr' : 'daddr'} ${rule.ip_address}`];
+            if (protocol && ports) parts.push(`${protocol} dport ${formatPorts(ports, '-')}`);
+            else if (protocol) parts.push(`meta l4proto ${protocol}`);
+            parts.push(`drop comment "${describeRule(rule, now).slice(0, 120)}"`);
+            ruleLines.push(`        ${parts.join(' ')}`);
+        });
+    };
+
+    // Interval sets reject overlapping elements: an element inside a broader one that lives at
+    // least as long is dropped, any other overlap is written as a rule instead
+    const tries = { 4: createIpTrie(), 6: createIpTrie() };
+    const unscoped = rules
+        .filter(rule => !isScoped(rule))
+        .map(rule => ({ rule, network: parseCidr(String(rule.ip_address)) }))
+        .filter(({ network }) => network)
+        .sort((a, b) => a.network.prefixLength - b.network.prefixLength || expiryMs(b.rule) - expiryMs(a.rule));
+    unscoped.forEach(({ rule, network }) => {
+        const expiresMs = expiryMs(rule);
+        const covering = tries[network.version].lookup(network);
+        if (covering.some(cover => cover.expiresMs >= expiresMs)) return;
+        if (covering.length > 0) {
+            addRuleLines(rule, expandRule(rule));
+            return;
+        }
+        tries[network.version].insert(network, { expiresMs });
+        elements[network.version].push(`${rule.ip_address}${isPermanent(rule) ? '' : ` timeout ${secondsLeft(rule, now)}s`}`);
+    });
+    rules.filter(isScoped).forEach(rule => addRuleLines(rule, expandRule(rule)));
+
+    const set = (name, type, items) => [
+        `    set ${name} {`,
+        `        type ${type}`,
+        '        flags interval, timeout',
+        ...(items.length > 0 ? [`        elements = { ${items.join(', ')} }`] : []),
+        '    }',
+    ];
+
+    return [
+        ...header(rules, now, 'Load with: nft -f file (replaces the whole table)'),
+        `table inet ${TABLE_NAME}`,
+        `delete table inet ${TABLE_NAME}`,
+        `table inet ${TABLE_NAME} {`,
+        ...set('blocked_v4', 'ipv4_addr', elements[4]),
+        ...set('blocked_v6', 'ipv6_addr', elements[6]),
+        '    chain filter {',
+        '        type filter hook prerouting priority -150; policy accept;',
+        '        ip saddr @blocked_v4 drop',
+        '        ip daddr @blocked_v4 drop',
+        '        ip6 saddr @blocked_v6 drop',
+        '        ip6 daddr @blocked_v6 drop',
+        ...ruleLines,
+        '    }',
+        '}',
+        '',
+    ].join('\n');
+}
+
+
+/**
+ * A pf anchor: a table for whole-address rules plus block rules for scoped ones.
+ */
+function renderPf(rules, { now }) {
+    const table = `<${TABLE_NAME}_blocked>`;
+    const tableComments = [];
+    const addresses = [];
+    const ruleLines = [];
+    rules.forEach(rule => {
+        if (!isScoped(rule)) {
+            tableComments.push(`# ${describeRule(rule, now)}`);
+            addresses.push(rule.ip_address);
+            return;
+        }
+        const matches = expandRule(rule);
+        if (matches.length === 0) {
+            ruleLines.push(skippedComment(rule, now));
+            return;
+        }
+        ruleLines.push(`# ${describeRule(rule, now)}`);
+        matches.forEach(({ side, protocol, ports }) => {
+            const proto = protocol ? ` proto ${protocol}` : '';
+            const port = ports ? ` port ${formatPorts(ports, ':')}` : '';
+            const match = side === 'src' ? `from ${rule.ip_address} to any${port}` : `from any to ${rule.ip_address}${port}`;
+            ruleLines.push(`block drop quick${proto} ${match}`);
+        });
+    });
+
+    return [
+        ...header(rules, now, `Load into an anchor with: pfctl -a ${TABLE_NAME} -f file`),
+        ...tableComments,
+        `table ${table} persist { ${[...new Set(addresses)].join(', ')} }`,
+        `block drop quick from ${table} to any`,
+        `block drop quick from any to ${table}`,
+        ...ruleLines,
+        '',
+    ].join('\n');
+}
+
+
+/**
+ * A Suricata rules file with one drop rule per match (bidirectional rules get two).
+ */
+function renderSuricata(rules, { now }) {
+    const lines = header(rules, now, 'Add to rule-files in suricata.yaml; drop needs IPS (inline) mode.');
+    let sid = SURICATA_SID_BASE;
+    rules.forEach(rule => {
+        const matches = expandRule(rule);
+        if (matches.length === 0) {
+            lines.push(skippedComment(rule, now));
+            return;
+        }
+        lines.push(`# ${describeRule(rule, now)}`);
+        matches.forEach(({ side, protocol, ports }) => {
+            // Suricata's icmp only matches ICMPv4; ICMPv6 has its own protocol keyword
+            const proto = protocol === 'ipv6-icmp' || protocol === 'icmpv6' ? 'ipv6-icmp' : protocol || 'ip';
+            const dstPort = ports ? (ports[0] === ports[1] ? `${ports[0]}` : `[${ports[0]}:${ports[1]}]`) : 'any';
+            const addresses = side === 'src' ? `${rule.ip_address} any -> any ${dstPort}` : `any any -> ${rule.ip_address} ${dstPort}`;
+            sid += 1;
+            lines.push(`drop ${proto} ${addresses} (msg:"Threat Agent block ${sanitize(rule.threat_type)} (${side} ${rule.ip_address})"; sid:${sid}; rev:1;)`);
+        });
+    });
+    lines.push('');
+    return lines.join('\n');
+}
+
+
+/**
+ * One address or CIDR block per line. Scoped rules are listed too, with their scope in a comment,
+ * since a plain list cannot express ports or direction.
+ */
+function renderPlain(rules, { now }) {
+    const seen = new Set();
+    const lines = header(rules, now, 'One address or CIDR block per line.');
+    rules.forEach(rule => {
+        if (isScoped(rule)) {
+            lines.push(`${rule.ip_address} # scoped: ${describeRule(rule, now)}`);
+        } else if (!seen.has(rule.ip_address)) {
+            seen.add(rule.ip_address);
+            lines.push(rule.ip_address);
+        }
+    });
+    lines.push('');
+    return lines.join('\n');
+}
+
+
+const EXPORT_FORMATS = {
+    iptables: { render: renderIptables(4), extension: 'rules.v4' },
+    ip6tables: { render: renderIptables(6), extension: 'rules.v6' },
+    nftables: { render: renderNftables, extension: 'nft' },
+    pf: { render: renderPf, extension: 'pf.conf' },
+    suricata: { render: renderSuricata, extension: 'rules' },
+    plain: { render: renderPlain, extension: 'txt' },
+};
+
+
+/**
+ * Renders rules in one of EXPORT_FORMATS.
+ * @param {Array<object>} rules - Active defense_rules rows.
+ * @param {string} format
+ * @param {object} [options]
+ * @param {number} [options.now=Date.now()] - Reference time for timeouts and comments.
+ * @returns {{ body: string, fileName: string }}
+ */
+function exportRules(rules, format, { now = Date.now() } = {}) {
+    const spec = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+    if (!spec) throw new Error(`Unknown export format "${format}".`);
+    return {
+        body: spec.render(rules, { now }),
+        fileName: `${TABLE_NAME}-blocklist.${spec.extension}`,
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportRules,
+};
@@ -0,0 +1,148 @@
+/**
+ * rule-lifecycle.js
+ * Moves defense rules through their lifecycle and tells the rest of the backend about it.
+ * A periodic sweep switches off rules past expires_at (deactivated_reason 'expired'), which
+ * frees their target for a new rule, and every change is emitted as an event:
+ *   'created' - a rule was inserted, by a detection or by hand
+ *   'updated' - a rule's scope, expiry or state was edited
+ *   'expired' - the sweep switched off a rule whose time ran out
+ *   'revoked' - a rule was revoked or deleted
+ * Listeners get the rule with its derived status (see withRuleStatus). Repeat offenders get
+ * escalating rule durations: each earlier rule for the same address inside the lookback window
+ * multiplies the policy's duration by escalationFactor, up to maxDurationMinutes. Rules an
+ * operator revoked are not counted, since a revocation usually means the block was a mistake.
+ */
+
+const { EventEmitter } = require('events');
+const { applyTargetFilter, withRuleStatus } = require('./defense-rules');
+
+const RULE_EVENTS = ['created', 'updated', 'expired', 'revoked'];
+
+
+/**
+ * Rule duration for an address with priorOffenses earlier rules.
+ * @returns {number} - Minutes: baseMinutes * factor^priorOffenses, capped at maxMinutes (never below baseMinutes).
+ */
+function escalateDuration(baseMinutes, priorOffenses, { factor, maxMinutes }) {
+    return Math.min(baseMinutes * factor ** priorOffenses, Math.max(baseMinutes, maxMinutes));
+}
+
+
+/**
+ * Creates the lifecycle manager.
+ * @param {object} options
+ * @param {object} options.supabase
+ * @param {number} [options.escalationFactor=2] - Duration multiplier per earlier offense.
+ * @param {number} [options.maxDurationMinutes=10080] - Longest escalated duration (7 days).
+ * @param {number} [options.lookbackMs=2592000000] - How far back earlier rules count (30 days).
+ */
+function createRuleLifecycle({ supabase, escalationFactor = 2, maxDurationMinutes = 7 * 24 * 60, lookbackMs = 30 * 24 * 60 * 60 * 1000 }) {
+    const events = new EventEmitter();
+    let timer = null;
+
+    // A failing listener must not break the request or sweep that triggered the event
+    const emit = (event, rules) => {
+        for (const rule of rules) {
+            try {
+                events.emit(event, withRuleStatus(rule));
+            } catch (e) {
+                console.error(`🚨 A "${event}" rule listener failed for rule ${rule.id}:`, e.message);
+            }
+        }
+    };
+
+    const lifecycle = {
+        /**
+         * Subscribes to a lifecycle event.
+         * @param {string} event - One of RULE_EVENTS.
+         * @param {function(object): void} listener - Called with the rule.
+         */
+        on(event, listener) {
+            if (!RULE_EVENTS.includes(event)) throw new Error(`Unknown rule event "${event}".`);
+            events.on(event, listener);
+            return lifecycle;
+        },
+
+        off(event, listener) {
+            events.off(event, listener);
+            return lifecycle;
+        },
+
+        created(rule) {
+            emit('created', [rule]);
+        },
+
+        updated(rule) {
+            emit('updated', [rule]);
+        },
+
+        /** Announces revoked or deleted rules. */
+        revoked(rules) {
+            emit('revoked', Array.isArray(rules) ? rules : [rules]);
+        },
+
+        /**
+         * Switches off every rule past its expiry and emits 'expired' for each. Only the instance
+         * whose update flips a row gets it back, so each expiry is announced once.
+         * @param {object} [target] - Only sweep rules with this target (see applyTargetFilter).
+         * @returns {Promise<Array<object>>} - The rules that expired.
+         */
+        async sweep(target) {
+            const nowIso = new Date().toISOString();
+            let query = supabase
+                .from('defense_rules')
+                .update({ is_active: false, deactivated_reason: 'expired', deactivated_at: nowIso })
+                .eq('is_active', true)
+                .lte('expires_at', nowIso);
+            if (target) query = applyTargetFilter(query, target);
+            const { data, error } = await query.select();
+            if (error) throw error;
+            emit('expired', data || []);
+            return (data || []).map(rule => withRuleStatus(rule));
+        },
+
+        /**
+         * The duration for a new rule on ipAddress, escalated by its earlier (non-revoked) whole-address rules.
+         * @returns {Promise<{ minutes: number, offense: number }>} - offense is 1 for a first rule.
+         */
+        async escalatedDuration(ipAddress, baseMinutes) {
+            const since = new Date(Date.now() - lookbackMs).toISOString();
+            const query = applyTargetFilter(
+                supabase.from('defense_rules').select('id', { count: 'exact', head: true }),
+                { ip_address: ipAddress }
+            ).gte('created_at', since).or('is_active.eq.true,deactivated_reason.eq.expired');
+            const { count, error } = await query;
+            if (error) throw error;
+            const prior = count || 0;
+            return {
+                minutes: escalateDuration(baseMinutes, prior, { factor: escalationFactor, maxMinutes: maxDurationMinutes }),
+                offense: prior + 1,
+            };
+        },
+
+        /** Sweeps now and then every intervalMs. */
+        start(intervalMs) {
+            const run = () => lifecycle.sweep()
+                .then(expired => {
+                    if (expired.length > 0) console.log(`⌛ Rule sweep: ${expired.length} expired rule(s) deactivated.`);
+                })
+                .catch(error => console.error('🚨 Rule expiry sweep failed:', error.message));
+            run();
+            timer = setInterval(run, intervalMs);
+            timer.unref();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+    };
+
+    return lifecycle;
+}
+
+module.exports = {
+    RULE_EVENTS,
+    escalateDuration,
+    createRuleLifecycle,
+};
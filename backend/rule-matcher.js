@@ -0,0 +1,103 @@
+/**
+ * rule-matcher.js
+ * Matches flows against scoped defense rules. A rule targets an address or CIDR block
+ * (ip_address), seen as the flow's source, destination or either (direction), optionally
+ * narrowed to a destination port range and an IP protocol number. Rules are indexed in a
+ * prefix tree (ip-trie.js), so a flow only checks the rules whose network contains one of its IPs.
+ */
+
+const { PROTOCOL_NUMBERS } = require('./flow-adapters');
+const { createIpTrie } = require('./ip-trie');
+
+const RULE_DIRECTIONS = ['both', 'src', 'dst'];
+const PROTOCOL_NAMES = Object.fromEntries(Object.entries(PROTOCOL_NUMBERS).map(([name, number]) => [number, name]));
+
+
+/**
+ * True when the rule's port, protocol and direction allow the flow, given which of the flow's
+ * IPs (side: 'src' or 'dst') fell inside the rule's network.
+ */
+function ruleScopeMatches(rule, row, side) {
+    const direction = rule.direction || 'both';
+    if (direction !== 'both' && direction !== side) return false;
+    if (rule.protocol !== null && rule.protocol !== undefined && Number(row.protocol) !== rule.protocol) return false;
+    if (rule.dst_port_min !== null && rule.dst_port_min !== undefined) {
+        const port = Number(row.dst_port);
+        if (!Number.isFinite(port) || port < rule.dst_port_min || port > (rule.dst_port_max ?? rule.dst_port_min)) return false;
+    }
+    return true;
+}
+
+
+/**
+ * Short text for a rule's target, e.g. "10.0.0.0/8 tcp/22 src" or "203.0.113.7".
+ */
+function describeRuleScope(rule) {
+    const parts = [rule.ip_address];
+    const protocol = rule.protocol !== null && rule.protocol !== undefined ? (PROTOCOL_NAMES[rule.protocol] || `proto ${rule.protocol}`) : null;
+    let ports = null;
+    if (rule.dst_port_min !== null && rule.dst_port_min !== undefined) {
+        const max = rule.dst_port_max ?? rule.dst_port_min;
+        ports = max === rule.dst_port_min ? `${rule.dst_port_min}` : `${rule.dst_port_min}-${max}`;
+    }
+    if (protocol || ports) parts.push([protocol, ports].filter(Boolean).join('/'));
+    if (rule.direction && rule.direction !== 'both') parts.push(rule.direction);
+    return parts.join(' ');
+}
+
+
+/**
+ * Short text naming what a block came from, for re-analysis: the feed for intel rules
+ * ("Intel: abuse-feed (203.0.113.7)") and label otherwise ("Defense rule (203.0.113.7)").
+ */
+function describeBlockingRule(rule, label = 'Defense rule') {
+    const source = rule.origin === 'intel' ? `Intel: ${rule.feed_source || 'unnamed feed'}` : label;
+    return `${source} (${describeRuleScope(rule)})`;
+}
+
+
+/**
+ * Creates a matcher over scoped rules. Rules can be added at any time (the replay adds them as
+ * they fire); a rule whose ip_address is not an address or CIDR block is ignored.
+ * @param {Array<object>} [rules] - Rules with ip_address and optional direction, protocol, dst_port_min, dst_port_max.
+ */
+function createRuleMatcher(rules = []) {
+    const trie = createIpTrie();
+
+    const matcher = {
+        add(rule) {
+            return trie.insert(String(rule.ip_address || ''), rule);
+        },
+
+        /**
+         * The first rule covering the flow, most specific network first, checking the source IP before the destination.
+         * @param {object} row - A flow with src_ip, dst_ip, dst_port and protocol.
+         * @param {function(object): boolean} [isLive] - Extra condition a rule must meet (e.g. active at the flow's time).
+         * @returns {object|null}
+         */
+        match(row, isLive = () => true) {
+            for (const side of ['src', 'dst']) {
+                const ip = row[`${side}_ip`];
+                if (!ip) continue;
+                const rule = trie.lookup(String(ip)).find(candidate => ruleScopeMatches(candidate, row, side) && isLive(candidate));
+                if (rule) return rule;
+            }
+            return null;
+        },
+
+        get size() {
+            return trie.size;
+        },
+    };
+
+    rules.forEach(rule => matcher.add(rule));
+    return matcher;
+}
+
+module.exports = {
+    RULE_DIRECTIONS,
+    ruleScopeMatches,
+    describeRuleScope,
+    describeBlockingRule,
+    createRuleMatcher,
+};
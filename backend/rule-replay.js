@@ -0,0 +1,252 @@
+/**
+ * rule-replay.js
+ * Replays an analysis job's flows in timestamp order through the same aggregation and
+ * rule-creation logic the live pipeline uses (manageDefenseRules), so re-analysis can report
+ * what a rule would actually have blocked: a flow only counts as blocked if a block-level rule
+ * covering it existed at that flow's time. Sources climb the same response ladder as live
+ * (response-levels.js), and flows covered by lower levels are reported per level.
+ * Pure logic; the caller fetches the flows and existing rules.
+ */
+
+const { createRuleMatcher, describeBlockingRule } = require('./rule-matcher');
+const { isBlockingLevel, nextResponseLevel, createLevelReport } = require('./response-levels');
+const { escalateDuration } = require('./rule-lifecycle');
+
+// Same precedence as the live pipeline: CSV Timestamp columns first, then the stored created_at
+const TIME_FIELDS = ['timestamp', 'created_at', 'Timestamp', 'createdAt'];
+
+
+/**
+ * Extracts a flow's time.
+ * @returns {number} - Epoch milliseconds, or NaN when no field parses.
+ */
+function getFlowTime(row) {
+    for (const field of TIME_FIELDS) {
+        if (row[field]) {
+            const parsed = new Date(row[field]).getTime();
+            if (!isNaN(parsed)) return parsed;
+        }
+    }
+    return NaN;
+}
+
+function isMaliciousPrediction(prediction) {
+    const label = prediction ? String(prediction).toLowerCase() : 'error';
+    return label !== 'benign' && label !== 'error';
+}
+
+
+/**
+ * Replays rule creation and blocking over a job's flows.
+ * @param {Array<object>} flows - analysis_results rows (with prediction).
+ * @param {object} options
+ * @param {function(string): object} options.policyFor - Detection policy for a prediction label
+ *   ({ threshold_count, window_ms, rule_expiration_minutes, action, severity }, see detection-policies.js).
+ * @param {Array<object>} [options.existingRules] - Stored defense_rules ({ id, ip_address, threat_type,
+ *   response_level, origin, feed_source, created_at, expires_at } plus their scope columns) that also apply
+ *   during their lifetime.
+ * @param {object} [options.escalation] - { factor, maxMinutes } lengthening repeat offenders' rules, as live.
+ * @param {number} [options.defaultExpirationMinutes=60] - Rule lifetime for policies that have none.
+ * @param {function(object): (string|null)} [options.matchCustomRule] - Name of a custom rule that blocks
+ *   the flow regardless of time, or null.
+ * @param {function(object): boolean} [options.isAllowlisted] - True for flows to or from an allowlisted
+ *   address; they are never blocked by defense rules nor counted towards new ones.
+ * @returns {{ blockedFlows: Array<object>, passedFlows: Array<object>, rules: Array<object>, summary: object, levels: object }}
+ *   blockedFlows carry blocked_by, blocked_origin ('model', 'manual', 'intel' or 'custom') and original_prediction; each rule reports its response_level, blocked,
+ *   missed_before_fire (malicious flows from its IP that got through before it fired) and benign_affected;
+ *   a rule that escalated ends where the next level's rule starts. levels counts the flows each level covered.
+ */
+function replayRules(flows, {
+    policyFor,
+    existingRules = [],
+    matchCustomRule = null,
+    isAllowlisted = () => false,
+    escalation = { factor: 1, maxMinutes: Infinity },
+    defaultExpirationMinutes = 60,
+}) {
+    const rulesByIp = new Map(); // replayed rules only: whole-IP rules created from detections
+    const existingByIp = new Map(); // stored whole-IP rules, which count as earlier offenses
+    const rules = [];
+    const matcher = createRuleMatcher();
+    const addRule = (rule) => {
+        rules.push(rule);
+        matcher.add(rule);
+        const isWholeIp = rule.direction === 'both' && rule.protocol === null && rule.dst_port_min === null;
+        const byIp = rule.source === 'replay' ? rulesByIp : isWholeIp ? existingByIp : null;
+        if (!byIp) return;
+        if (!byIp.has(rule.ip_address)) byIp.set(rule.ip_address, []);
+        byIp.get(rule.ip_address).push(rule);
+    };
+
+    existingRules.filter(rule => !isNaN(new Date(rule.created_at).getTime())).forEach(rule => addRule({
+        id: rule.id,
+        source: 'existing',
+        origin: rule.origin || 'model',
+        feed_source: rule.feed_source ?? null,
+        ip_address: rule.ip_address,
+        direction: rule.direction || 'both',
+        protocol: rule.protocol ?? null,
+        dst_port_min: rule.dst_port_min ?? null,
+        dst_port_max: rule.dst_port_max ?? null,
+        threat_type: rule.threat_type,
+        response_level: rule.response_level || 'temporary_block',
+        createdMs: new Date(rule.created_at).getTime(),
+        expiresMs: rule.expires_at === null || rule.expires_at === undefined ? Infinity : new Date(rule.expires_at).getTime(),
+        trigger_flow_id: null,
+        blocked: 0,
+        missed_before_fire: null,
+        benign_affected: 0,
+    }));
+
+    const ruleActiveAt = (ip, time) => {
+        if (!ip) return null;
+        const candidates = rulesByIp.get(ip);
+        return candidates ? candidates.find(rule => rule.createdMs <= time && time < rule.expiresMs) || null : null;
+    };
+
+    // Flows without a usable time can't be placed on the timeline; they are passed through untouched
+    const timed = [];
+    const passedFlows = [];
+    let untimedMalicious = 0;
+    flows.forEach((row, index) => {
+        const time = getFlowTime(row);
+        if (!isNaN(time)) {
+            timed.push({ row, time, index });
+            return;
+        }
+        passedFlows.push(row);
+        if (isMaliciousPrediction(row.prediction)) untimedMalicious++;
+    });
+    timed.sort((a, b) => a.time - b.time || a.index - b.index);
+
+    const tracker = new Map(); // "ip|threat type" -> detection times inside that policy's window
+    const missedSinceLastRule = new Map(); // ip -> malicious flows that got through since its last rule
+    const blockedFlows = [];
+    const levelReport = createLevelReport();
+    const summary = {
+        total_flows: flows.length,
+        untimed_flows: passedFlows.length,
+        malicious_flows: untimedMalicious,
+        blocked: 0,
+        missed: 0,
+        blocked_by_custom_rules: 0,
+        blocked_by_intel: 0,
+        suppressed_by_allowlist: 0,
+        rules_created: 0,
+        rules_escalated: 0,
+    };
+
+    for (const { row, time } of timed) {
+        const malicious = isMaliciousPrediction(row.prediction);
+        if (malicious) summary.malicious_flows++;
+
+        const customRule = matchCustomRule ? matchCustomRule(row) : null;
+        if (customRule) {
+            summary.blocked_by_custom_rules++;
+            blockedFlows.push({ ...row, original_prediction: row.prediction, prediction: 'Rule_Blocked_Historical', blocked_by: customRule, blocked_origin: 'custom' });
+            continue;
+        }
+
+        if (isAllowlisted(row)) {
+            if (malicious) summary.suppressed_by_allowlist++;
+            passedFlows.push(row);
+            continue;
+        }
+
+        const isLive = candidate => candidate.createdMs <= time && time < candidate.expiresMs;
+        const rule = matcher.match(row, candidate => isLive(candidate) && isBlockingLevel(candidate.response_level));
+        const levelRule = rule || matcher.match(row, isLive);
+        if (levelRule) levelReport.add(levelRule.response_level, row, malicious);
+        if (rule && malicious) {
+            rule.blocked++;
+            summary.blocked++;
+            if (rule.origin === 'intel') summary.blocked_by_intel++;
+            blockedFlows.push({
+                ...row,
+                original_prediction: row.prediction,
+                prediction: 'Rule_Blocked_Historical',
+                blocked_by: describeBlockingRule(rule, rule.source === 'existing' ? 'Defense rule' : 'Replayed rule'),
+                blocked_origin: rule.origin,
+            });
+            continue;
+        }
+        if (rule) rule.benign_affected++;
+        passedFlows.push(row);
+        if (!malicious) continue;
+
+        // A malicious flow got through: feed the same per-policy aggregation manageDefenseRules uses
+        summary.missed++;
+        const ip = row.src_ip || row.dst_ip;
+        if (!ip || ip === 'UNKNOWN') continue;
+        missedSinceLastRule.set(ip, (missedSinceLastRule.get(ip) || 0) + 1);
+
+        const policy = policyFor(row.prediction);
+        const trackerKey = `${ip}|${row.prediction}`;
+        const recent = (tracker.get(trackerKey) || []).filter(stamp => (time - stamp) <= policy.window_ms && (time - stamp) >= 0);
+        recent.push(time);
+        tracker.set(trackerKey, recent);
+
+        if (recent.length < policy.threshold_count) continue;
+
+        // Climb the ladder: the current rule ends where the next level's rule starts
+        const current = ruleActiveAt(ip, time);
+        // Live, a source keeps one rule while it climbs, so only the first step of each climb is an earlier offense
+        const priorOffenses = [...(existingByIp.get(ip) || []), ...(rulesByIp.get(ip) || [])]
+            .filter(earlier => earlier.createdMs <= time && !earlier.escalated_from).length;
+        const level = nextResponseLevel({
+            currentLevel: current ? current.response_level : null,
+            priorOffenses,
+            severity: policy.severity,
+            ceiling: policy.action,
+        });
+        if (!level) continue;
+        tracker.delete(trackerKey);
+        if (current) {
+            current.expiresMs = time;
+            summary.rules_escalated++;
+        } else {
+            summary.rules_created++;
+        }
+        const minutes = escalateDuration(policy.rule_expiration_minutes || defaultExpirationMinutes, priorOffenses, escalation);
+        addRule({
+            id: null,
+            source: 'replay',
+            origin: 'model',
+            feed_source: null,
+            ip_address: ip,
+            direction: 'both',
+            protocol: null,
+            dst_port_min: null,
+            dst_port_max: null,
+            threat_type: row.prediction,
+            response_level: level,
+            escalated_from: current ? current.response_level : null,
+            createdMs: time,
+            expiresMs: level === 'permanent_block' ? Infinity : time + minutes * 60 * 1000,
+            trigger_flow_id: row.flow_id || null,
+            blocked: 0,
+            missed_before_fire: missedSinceLastRule.get(ip),
+            benign_affected: 0,
+        });
+        missedSinceLastRule.delete(ip);
+    }
+
+    summary.missed_without_rule = [...missedSinceLastRule.values()].reduce((sum, count) => sum + count, 0);
+
+    return {
+        blockedFlows,
+        passedFlows,
+        rules: rules.map(({ createdMs, expiresMs, ...rule }) => ({
+            ...rule,
+            created_at: new Date(createdMs).toISOString(),
+            expires_at: expiresMs === Infinity ? null : new Date(expiresMs).toISOString(),
+        })),
+        summary,
+        levels: levelReport.toJSON(),
+    };
+}
+
+module.exports = {
+    getFlowTime,
+    replayRules,
+};
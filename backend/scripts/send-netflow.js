@@ -0,0 +1,167 @@
+/**
+ * send-netflow.js
+ * Small local NetFlow/IPFIX exporter for testing the collector.
+ *
+ * Usage: node scripts/send-netflow.js [--host 127.0.0.1] [--port 2055] [--version 5|9|10] [--flows 20]
+ * Sends a mix of benign-looking web flows and a burst of SYNs from one source.
+ */
+
+const dgram = require('dgram');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const HOST = option('host', '127.0.0.1');
+const PORT = Number(option('port', process.env.NETFLOW_PORT || 2055));
+const VERSION = Number(option('version', 9));
+const FLOW_COUNT = Number(option('flows', 20));
+
+const TEMPLATE_ID = 256;
+const TCP_SYN = 0x02;
+const TCP_ACK_PSH_FIN = 0x10 | 0x08 | 0x01;
+
+// Field type / length pairs shared by the v9 and IPFIX templates
+const COMMON_FIELDS = [
+    [8, 4],   // source IPv4 address
+    [12, 4],  // destination IPv4 address
+    [7, 2],   // source port
+    [11, 2],  // destination port
+    [4, 1],   // protocol
+    [6, 1],   // TCP flags
+    [2, 4],   // packets
+    [1, 4],   // bytes
+];
+// v9 times flows against the exporter's sysUptime; IPFIX sends absolute milliseconds
+const V9_TIME_FIELDS = [[22, 4], [21, 4]];
+const IPFIX_TIME_FIELDS = [[152, 8], [153, 8]];
+
+
+function buildFlows(uptimeMs, bootMs) {
+    const flows = [];
+    for (let i = 0; i < FLOW_COUNT; i++) {
+        const isScan = i % 4 === 0;
+        flows.push({
+            src: isScan ? [203, 0, 113, 7] : [192, 168, 1, 10 + (i % 20)],
+            dst: [10, 0, 0, 5],
+            srcPort: 40000 + i,
+            dstPort: isScan ? 21 + i : 443,
+            protocol: 6,
+            tcpFlags: isScan ? TCP_SYN : TCP_ACK_PSH_FIN,
+            packets: isScan ? 1 : 12 + i,
+            bytes: isScan ? 40 : 2400 + i * 100,
+            first: uptimeMs - 3000 - i * 10,
+            last: uptimeMs - (isScan ? 3000 + i * 10 : 500),
+        });
+        const flow = flows[flows.length - 1];
+        flow.firstMs = bootMs + flow.first;
+        flow.lastMs = bootMs + flow.last;
+    }
+    return flows;
+}
+
+function writeFlowFields(buf, at, flow, isIpfix) {
+    buf.set(flow.src, at);
+    buf.set(flow.dst, at + 4);
+    buf.writeUInt16BE(flow.srcPort, at + 8);
+    buf.writeUInt16BE(flow.dstPort, at + 10);
+    buf[at + 12] = flow.protocol;
+    buf[at + 13] = flow.tcpFlags;
+    buf.writeUInt32BE(flow.packets, at + 14);
+    buf.writeUInt32BE(flow.bytes, at + 18);
+    if (isIpfix) {
+        buf.writeBigUInt64BE(BigInt(flow.firstMs), at + 22);
+        buf.writeBigUInt64BE(BigInt(flow.lastMs), at + 30);
+        return at + 38;
+    }
+    buf.writeUInt32BE(flow.first, at + 22);
+    buf.writeUInt32BE(flow.last, at + 26);
+    return at + 30;
+}
+
+function buildV5(flows, uptimeMs, nowSeconds) {
+    const buf = Buffer.alloc(24 + flows.length * 48);
+    buf.writeUInt16BE(5, 0);
+    buf.writeUInt16BE(flows.length, 2);
+    buf.writeUInt32BE(uptimeMs, 4);
+    buf.writeUInt32BE(nowSeconds, 8);
+    flows.forEach((flow, i) => {
+        const at = 24 + i * 48;
+        buf.set(flow.src, at);
+        buf.set(flow.dst, at + 4);
+        buf.writeUInt32BE(flow.packets, at + 16);
+        buf.writeUInt32BE(flow.bytes, at + 20);
+        buf.writeUInt32BE(flow.first, at + 24);
+        buf.writeUInt32BE(flow.last, at + 28);
+        buf.writeUInt16BE(flow.srcPort, at + 32);
+        buf.writeUInt16BE(flow.dstPort, at + 34);
+        buf[at + 37] = flow.tcpFlags;
+        buf[at + 38] = flow.protocol;
+    });
+    return buf;
+}
+
+// v9 and IPFIX share the set layout; only the headers and set IDs differ
+function buildTemplated(flows, uptimeMs, nowSeconds, isIpfix) {
+    const fields = [...COMMON_FIELDS, ...(isIpfix ? IPFIX_TIME_FIELDS : V9_TIME_FIELDS)];
+    const recordLength = fields.reduce((sum, [, length]) => sum + length, 0);
+
+    const templateSet = Buffer.alloc(8 + fields.length * 4);
+    templateSet.writeUInt16BE(isIpfix ? 2 : 0, 0);
+    templateSet.writeUInt16BE(templateSet.length, 2);
+    templateSet.writeUInt16BE(TEMPLATE_ID, 4);
+    templateSet.writeUInt16BE(fields.length, 6);
+    fields.forEach(([type, length], i) => {
+        templateSet.writeUInt16BE(type, 8 + i * 4);
+        templateSet.writeUInt16BE(length, 10 + i * 4);
+    });
+
+    const dataSet = Buffer.alloc(4 + flows.length * recordLength);
+    dataSet.writeUInt16BE(TEMPLATE_ID, 0);
+    dataSet.writeUInt16BE(dataSet.length, 2);
+    let at = 4;
+    for (const flow of flows) {
+        at = writeFlowFields(dataSet, at, flow, isIpfix);
+    }
+
+    let header;
+    if (isIpfix) {
+        header = Buffer.alloc(16);
+        header.writeUInt16BE(10, 0);
+        header.writeUInt16BE(16 + templateSet.length + dataSet.length, 2);
+        header.writeUInt32BE(nowSeconds, 4);
+    } else {
+        header = Buffer.alloc(20);
+        header.writeUInt16BE(9, 0);
+        header.writeUInt16BE(2, 2); // Two flowsets: the template and its data
+        header.writeUInt32BE(uptimeMs, 4);
+        header.writeUInt32BE(nowSeconds, 8);
+    }
+    return Buffer.concat([header, templateSet, dataSet]);
+}
+
+
+const uptimeMs = 60 * 60 * 1000;
+const nowSeconds = Math.floor(Date.now() / 1000);
+const flows = buildFlows(uptimeMs, nowSeconds * 1000 - uptimeMs);
+let datagram;
+if (VERSION === 5) {
+    datagram = buildV5(flows, uptimeMs, nowSeconds);
+} else if (VERSION === 9 || VERSION === 10) {
+    datagram = buildTemplated(flows, uptimeMs, nowSeconds, VERSION === 10);
+} else {
+    console.error(`Unsupported version ${VERSION}; use 5, 9 or 10 (IPFIX).`);
+    process.exit(1);
+}
+
+const socket = dgram.createSocket('udp4');
+socket.send(datagram, PORT, HOST, error => {
+    if (error) {
+        console.error('🚨 Failed to send datagram:', error.message);
+    } else {
+        console.log(`📤 Sent ${flows.length} NetFlow v${VERSION} records (${datagram.length} bytes) to ${HOST}:${PORT}`);
+    }
+    socket.close();
+});
@@ -1,17 +1,62 @@
 // server.js (Final Comprehensive Version)
 
 require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const Papa = require('papaparse');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const saveAnalysisResults = require('./db-functions').saveAnalysisResults;
 const createDefenseRule = require('./db-functions').createDefenseRule;
 const { getAnalysisResultsByJobId } = require('./db-functions');
 const { createClient } = require('@supabase/supabase-js');
-const { transformPredictionData, transformBlockedData } = require('./analysis-transformer.js');
+const { transformPredictionData, transformBlockedData, createPredictionAccumulator } = require('./analysis-transformer.js');
+const { detectFlowFileFormat, readFlowFileInBatches } = require('./flow-file-stream');
+const { FLOW_FORMATS, detectRecordFormat, adaptRecord } = require('./flow-adapters');
+const { compileRules, findMatchingRule } = require('./rule-engine');
+const { getFlowTime, replayRules } = require('./rule-replay');
+const { validateThresholdSettings, simulateThresholds } = require('./threshold-simulation');
+const { POLICY_ACTIONS, validatePolicyInput, isValidThreatType, createPolicyStore } = require('./detection-policies');
+const { createTrackerStore } = require('./attack-tracker');
+const { validateAllowlistInput, createAllowlistStore } = require('./allowlist');
+const { createKeyedLock } = require('./keyed-lock');
+const { createRuleMatcher, describeRuleScope, describeBlockingRule } = require('./rule-matcher');
+const { EXPORT_FORMATS, exportRules } = require('./rule-export');
+const { createEnforcementConnector } = require('./enforcement');
+const { RULE_EVENTS, createRuleLifecycle } = require('./rule-lifecycle');
+const { createActiveRuleCache } = require('./active-rules');
+const { withoutGeoFields, createGeoEnricher } = require('./geoip');
+const { createIpProfileStore } = require('./ip-profiles');
+const { parseHostQuery, investigateHost } = require('./host-investigation');
+const { parseIncidentFilters, validateIncidentUpdate, createIncidentCorrelator } = require('./incident-correlator');
+const { INTEL_FORMATS, INTEL_ORIGIN, validateIntelImportOptions, parseIntelFeed, importIntelFeed } = require('./threat-intel');
+const { SEVERITIES, nextResponseLevel, levelHistoryEntry, isBlockingLevel, createLevelReport } = require('./response-levels');
+const { extractFlowsInBatches } = require('./flow-extractor');
+const { createJob, updateJob, recordJobError, getJob, serializeJob, runJob } = require('./job-manager');
+const { startNetflowCollector } = require('./netflow-collector');
+const {
+    RULE_TARGET_COLUMNS,
+    validateRuleInput,
+    applyStatusFilter,
+    parseRuleFilters,
+    listRules,
+    listActiveRules,
+    countRulesByStatus,
+    getRuleById,
+    applyTargetFilter,
+    findActiveRuleForTarget,
+    insertRule,
+    updateRule,
+    deleteRule,
+    revokeRules,
+    revokeMatchingRules,
+    extendRules,
+    isUniqueViolation,
+    fetchAllRows,
+} = require('./defense-rules');
 
 // --- CONFIGURATION ---
 const PORT = process.env.PORT || 8000;
@@ -19,149 +64,559 @@ const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_ANON_KEY;
 const MODEL_API_URL_SINGLE = process.env.MODEL_API_URL_SINGLE;
 const MODEL_API_URL_BATCH = process.env.MODEL_API_URL_BATCH;
+// Label encoder classes; defaults to /labels on the batch prediction host
+const MODEL_API_URL_LABELS = process.env.MODEL_API_URL_LABELS || (MODEL_API_URL_BATCH ? new URL('/labels', MODEL_API_URL_BATCH).toString() : null);
+const NETFLOW_PORT = process.env.NETFLOW_PORT; // Leave unset to disable the NetFlow/IPFIX collector
+const NETFLOW_HOST = process.env.NETFLOW_HOST || '0.0.0.0';
+// 'memory' (default) or 'postgres' to keep aggregation counters across restarts and instances
+const ATTACK_TRACKER_STORE = process.env.ATTACK_TRACKER_STORE || 'memory';
+const TRACKER_PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+const ALLOWLIST_FLUSH_INTERVAL_MS = 60 * 1000;
+const IP_PROFILE_FLUSH_INTERVAL_MS = 10 * 1000;
+// Detections of one threat join an incident from the same source within INCIDENT_SOURCE_WINDOW_MS
+// of it, or on the same target within INCIDENT_TARGET_WINDOW_MS (0 groups by source only)
+const INCIDENT_SOURCE_WINDOW_MS = Number(process.env.INCIDENT_SOURCE_WINDOW_MS || 15 * 60 * 1000);
+const INCIDENT_TARGET_WINDOW_MS = Number(process.env.INCIDENT_TARGET_WINDOW_MS ?? 5 * 60 * 1000);
+const INCIDENT_FLUSH_INTERVAL_MS = 10 * 1000;
+// Firewall agent webhook (see enforcement.js and enforcement-agent/); leave unset to only record rules
+const ENFORCEMENT_URL = process.env.ENFORCEMENT_URL;
+const ENFORCEMENT_TOKEN = process.env.ENFORCEMENT_TOKEN;
+const ENFORCEMENT_MAX_ATTEMPTS = Number(process.env.ENFORCEMENT_MAX_ATTEMPTS) || 5;
+const ENFORCEMENT_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+const RULE_SWEEP_INTERVAL_MS = 60 * 1000;
+// 'true' stores flows an active block rule covers as Rule_Blocked without asking the model
+const INGEST_SKIP_MODEL_FOR_BLOCKED = process.env.INGEST_SKIP_MODEL_FOR_BLOCKED === 'true';
+const RULE_BLOCKED_LABEL = 'Rule_Blocked';
+// Directory threat-intel feeds can be imported from by path (POST /intel/import); unset allows uploads only
+const INTEL_FEED_DIR = process.env.INTEL_FEED_DIR ? path.resolve(process.env.INTEL_FEED_DIR) : null;
+// Local MaxMind-format (.mmdb) databases for GeoIP / ASN enrichment; each one is optional
+const GEOIP_COUNTRY_DB = process.env.GEOIP_COUNTRY_DB;
+const GEOIP_CITY_DB = process.env.GEOIP_CITY_DB;
+const GEOIP_ASN_DB = process.env.GEOIP_ASN_DB;
+// Largest packet capture /analyze/pcap accepts, in megabytes
+const MAX_PCAP_UPLOAD_MB = Number(process.env.MAX_PCAP_UPLOAD_MB) || 1024;
 
 // --- INITIALIZATION ---
 const app = express();
 app.use(cors());
 app.use(express.json()); // Middleware to parse JSON bodies
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+// Uploads are written to a temp file and streamed from there, so large captures never sit in memory
+const upload = multer({ dest: os.tmpdir() });
+const pcapUpload = multer({ dest: os.tmpdir(), limits: { fileSize: MAX_PCAP_UPLOAD_MB * 1024 * 1024 } });
 
 // --- NEW: THREAT AGGREGATION CONFIGURATION ---
+// Defaults for threat types without a detection policy (see /policies)
 const THRESHOLD_COUNT = 1;       // N: Detections required to create a rule
 const THRESHOLD_WINDOW_MS = 10000; // T: Time window (10 seconds) in milliseconds
 const RULE_EXPIRATION_MINUTES = 60; // Rule blocks for 1 hour
+// Repeat offenders: each earlier rule for the IP in the last 30 days doubles the duration, up to 7 days
+const RULE_ESCALATION_FACTOR = 2;
+const RULE_MAX_EXPIRATION_MINUTES = 7 * 24 * 60;
+const REPEAT_OFFENDER_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
 const DIAGNOSTIC_FORCE_ATTACK = false; // Set to true for debugging prediction/model issues
 
-// In-memory store for tracking recent attack detections by IP
-const RECENT_ATTACK_TRACKER = {}; 
+// Per-threat-type policies, read at rule-creation time so edits apply without a restart
+const policyStore = createPolicyStore({
+    supabase,
+    defaults: {
+        threshold_count: THRESHOLD_COUNT,
+        window_ms: THRESHOLD_WINDOW_MS,
+        rule_expiration_minutes: RULE_EXPIRATION_MINUTES,
+        // Threats without a policy block on their first offense, as they did before the response ladder
+        action: 'temporary_block',
+        severity: 'critical',
+    },
+});
+
+// Sliding-window store tracking recent attack detections by IP and threat type ("ip|threat")
+const attackTracker = createTrackerStore(ATTACK_TRACKER_STORE, supabase);
 
 // Setup periodic cleanup for the tracker (runs every 5 minutes)
 // This is essential for preventing memory leaks in a real application.
 setInterval(() => {
-    const currentTime = Date.now();
-    for (const ip in RECENT_ATTACK_TRACKER) {
-        RECENT_ATTACK_TRACKER[ip] = RECENT_ATTACK_TRACKER[ip].filter(
-            timestamp => (currentTime - timestamp) <= THRESHOLD_WINDOW_MS
-        );
-        if (RECENT_ATTACK_TRACKER[ip].length === 0) {
-            delete RECENT_ATTACK_TRACKER[ip];
-        }
-    }
-}, 5 * 60 * 1000); 
+    attackTracker.prune(policyStore.maxWindowMs()).catch(error => {
+        console.error(`🚨 Failed to prune the ${attackTracker.name} attack tracker:`, error.message);
+    });
+}, TRACKER_PRUNE_INTERVAL_MS).unref();
+
+// Never-block networks and assets, checked before any rule is created (see /allowlist)
+const allowlistStore = createAllowlistStore({ supabase });
+
+// Suppression counts are kept in memory and written back once a minute
+setInterval(() => {
+    allowlistStore.flushSuppressedCounts().catch(error => {
+        console.error('🚨 Failed to save allowlist suppression counts:', error.message);
+    });
+}, ALLOWLIST_FLUSH_INTERVAL_MS).unref();
+
+// Country, city and AS of flow endpoints and rule targets, looked up offline (see geoip.js)
+const geoEnricher = createGeoEnricher({ countryDbPath: GEOIP_COUNTRY_DB, cityDbPath: GEOIP_CITY_DB, asnDbPath: GEOIP_ASN_DB });
+
+// Pushes rule creations and revocations to the firewall agent and records its acks on each rule
+const enforcement = createEnforcementConnector({
+    supabase,
+    url: ENFORCEMENT_URL,
+    token: ENFORCEMENT_TOKEN,
+    maxAttempts: ENFORCEMENT_MAX_ATTEMPTS,
+});
+
+// Rule lifecycle: expires rules once a minute and announces created / updated / expired / revoked rules
+const ruleLifecycle = createRuleLifecycle({
+    supabase,
+    escalationFactor: RULE_ESCALATION_FACTOR,
+    maxDurationMinutes: RULE_MAX_EXPIRATION_MINUTES,
+    lookbackMs: REPEAT_OFFENDER_LOOKBACK_MS,
+});
+ruleLifecycle
+    .on('created', rule => enforcement.apply(rule))
+    .on('updated', rule => enforcement.sync(rule))
+    .on('expired', rule => enforcement.remove(rule))
+    .on('revoked', rule => enforcement.remove(rule));
+
+// Active block rules checked against live flows at ingest time; any rule change reloads them
+const activeRuleCache = createActiveRuleCache({ supabase });
+RULE_EVENTS.forEach(event => ruleLifecycle.on(event, () => activeRuleCache.invalidate()));
+
+// Per-IP reputation history, fed by every analysed or ingested batch and every new rule
+const ipProfiles = createIpProfileStore({ supabase });
+ruleLifecycle.on('created', rule => ipProfiles.recordRule(rule));
+
+setInterval(() => {
+    ipProfiles.flush().catch(error => {
+        console.error('🚨 Failed to save IP profiles:', error.message);
+    });
+}, IP_PROFILE_FLUSH_INTERVAL_MS).unref();
+
+// Related detections grouped into incidents; rules created or escalated for a source are linked to its incidents
+const incidentCorrelator = createIncidentCorrelator({
+    supabase,
+    getPolicyResolver: () => policyStore.getResolver(),
+    getRuleMatcher: () => activeRuleCache.getFlowMatcher(),
+    sourceWindowMs: INCIDENT_SOURCE_WINDOW_MS,
+    targetWindowMs: INCIDENT_TARGET_WINDOW_MS,
+});
+ruleLifecycle
+    .on('created', rule => incidentCorrelator.linkRule(rule))
+    .on('updated', rule => incidentCorrelator.linkRule(rule));
+incidentCorrelator.load().catch(error => {
+    console.error('🚨 Failed to load open incidents:', error.message);
+});
+
+// Idle incidents are closed and changes saved every 10 seconds
+setInterval(() => {
+    incidentCorrelator.sweep();
+    incidentCorrelator.flush().catch(error => {
+        console.error('🚨 Failed to save incidents:', error.message);
+    });
+}, INCIDENT_FLUSH_INTERVAL_MS).unref();
+ruleLifecycle.start(RULE_SWEEP_INTERVAL_MS);
+
+// Deliveries still waiting for an ack (e.g. after a restart) are sent again every 5 minutes
+if (enforcement.enabled) {
+    setInterval(() => {
+        enforcement.retryUnacknowledged().catch(error => {
+            console.error('🚨 Failed to retry unacknowledged enforcement deliveries:', error.message);
+        });
+    }, ENFORCEMENT_RETRY_INTERVAL_MS).unref();
+}
 
 
 // --- NEW CRITICAL FUNCTION: Rule Management ---
+// Rule creation for one IP runs one call at a time, so concurrent detections in a batch cannot
+// both pass the existence check. The unique index from migrations/005_unique_active_rule.sql
+// covers other backend instances: a losing insert fails with 23505 and counts as "already exists".
+const ruleCreationLock = createKeyedLock();
+
+/**
+ * Records one malicious detection. Once the threat's policy threshold is met, the IP moves up the
+ * response ladder (response-levels.js): a rule is created at its entry level, or its active rule
+ * climbs to the next level.
+ * @returns {Promise<{ created: boolean, escalated?: boolean, suppressed: boolean, error: string|null }>} - escalated
+ *   is set when an existing rule moved up a level; suppressed when the IP is allowlisted; error when a rule
+ *   was due but could not be created.
+ */
 async function manageDefenseRules(supabase, row, prediction, jobId) {
     const ipAddress = row.src_ip || row.dst_ip;
-    const currentTime = Date.now();
     const flowId = row.flow_id || 'N/A'; 
 
-    // 1. ROBUST TIME EXTRACTION
-    const timeFields = [row.timestamp, row.created_at, row.Timestamp, row.createdAt];
-    let flowTime = NaN;
-    for (const timeStr of timeFields) {
-        if (timeStr) {
-            const parsedTime = new Date(timeStr).getTime();
-            if (!isNaN(parsedTime)) {
-                flowTime = parsedTime;
-                break;
-            }
-        }
-    }
+    // 1. ROBUST TIME EXTRACTION (shared with the re-analysis replay)
+    const flowTime = getFlowTime(row);
     if (!ipAddress || ipAddress === 'UNKNOWN' || isNaN(flowTime)) {
         // Log the exact error if the time parsing fails (as it did before)
-        console.error(`ERROR: Skipping rule check for flow ${flowId}. Could not parse valid time from:`, timeFields);
-        return false; 
+        console.error(`ERROR: Skipping rule check for flow ${flowId}. Could not parse valid time from:`, [row.timestamp, row.created_at, row.Timestamp, row.createdAt]);
+        return { created: false, suppressed: false, error: null };
     }
     
-    // 2. AGGREGATION LOGIC
-    if (!RECENT_ATTACK_TRACKER[ipAddress]) {
-        RECENT_ATTACK_TRACKER[ipAddress] = [];
+    // 2. ALLOWLIST CHECK (allowlisted addresses are never blocked; their detections are counted
+    // apart, so only a threshold crossing counts as a block the entry suppressed)
+    const allowlistEntry = await allowlistStore.findEntry(ipAddress);
+
+    // 3. AGGREGATION LOGIC (counted per threat type, against that threat's policy)
+    const policy = await policyStore.getPolicy(prediction);
+    const trackerKey = `${ipAddress}|${prediction}${allowlistEntry ? '|allowlisted' : ''}`;
+    let recentDetections;
+    try {
+        recentDetections = await attackTracker.recordDetection(trackerKey, flowTime, policy.window_ms);
+    } catch (e) {
+        console.error(`🚨 ATTACK TRACKER ERROR for ${ipAddress}:`, e.message);
+        return { created: false, suppressed: false, error: `Attack tracker failed for ${ipAddress}: ${e.message}` };
+    }
+
+    // 4. CHECK THRESHOLD (N hits in the policy's window)
+    if (recentDetections.length < policy.threshold_count) {
+        return { created: false, suppressed: false, error: null };
     }
-    
-    const recentDetections = RECENT_ATTACK_TRACKER[ipAddress].filter(
-        timestamp => (flowTime - timestamp) <= THRESHOLD_WINDOW_MS && (flowTime - timestamp) >= 0 
-    );
-    recentDetections.push(flowTime);
-    RECENT_ATTACK_TRACKER[ipAddress] = recentDetections;
-
-    // 3. CHECK THRESHOLD (5 hits in 10 seconds)
-    if (recentDetections.length >= THRESHOLD_COUNT) {
-        
-        console.log(`AGGREGATION MET: IP ${ipAddress} hit ${recentDetections.length} times. Checking DB.`);
 
-        let existingRules = null;
-        let rulesError = null;
+    if (allowlistEntry) {
+        allowlistStore.recordSuppressed(allowlistEntry);
+        await attackTracker.clear(trackerKey).catch(e => console.error(`🚨 ATTACK TRACKER ERROR for ${ipAddress}:`, e.message));
+        console.log(`🤍 ALLOWLISTED: ${prediction} rule for ${ipAddress} suppressed by allowlist entry ${allowlistEntry.target}.`);
+        return { created: false, suppressed: true, error: null };
+    }
 
-        // 4. CHECK FOR EXISTING RULE (Simple check to prevent duplicates)
-        try {
-            const result = await supabase
-                .from('defense_rules')
-                .select('ip_address')
-                .eq('ip_address', ipAddress)
-                .limit(1); 
-            
-            existingRules = result.data;
-            rulesError = result.error;
-        } catch (e) {
-            console.error(`🚨 FATAL DB CHECK EXCEPTION for ${ipAddress} (Query):`, e.message);
-            return false;
+    console.log(`AGGREGATION MET: IP ${ipAddress} hit ${recentDetections.length} times. Checking DB.`);
+
+    const { rule: ruleToInsert, errors: ruleErrors } = validateRuleInput({
+        ip_address: ipAddress,
+        threat_type: prediction,
+        expires_at: null, // Set below, once the level and repeat offenses are known
+        is_active: true,
+        analysis_id: jobId, // This is the UUID from the analysis_jobs table
+        raw_flow_data: { trigger_flow_id: flowId, threat_count: recentDetections.length }, 
+    });
+    if (ruleErrors.length > 0) {
+        console.error(`🚨 RULE VALIDATION ERROR for ${ipAddress}:`, ruleErrors.join(' '));
+        return { created: false, suppressed: false, error: `Invalid rule for ${ipAddress}: ${ruleErrors.join(' ')}` };
+    }
+
+    return ruleCreationLock.run(ipAddress, async () => {
+        // 4b. STILL DUE? Detections queued on this lock all saw the threshold met, but the first one to
+        // create or escalate the rule cleared the tracker; the rest need a fresh crossing of their own
+        const pendingDetections = await attackTracker.countDetections(trackerKey, flowTime, policy.window_ms);
+        if (pendingDetections < policy.threshold_count) {
+            return { created: false, suppressed: false, error: null };
         }
 
+        // 5. CURRENT RESPONSE LEVEL: the IP's active whole-IP rule (scoped and CIDR rules don't count)
+        const { data: existingRules, error: rulesError } = await applyStatusFilter(
+            applyTargetFilter(supabase.from('defense_rules').select('*'), { ip_address: ruleToInsert.ip_address }),
+            'active'
+        ).limit(1);
+
         if (rulesError) {
             console.error(`🚨 SUPABASE QUERY ERROR during rule check for ${ipAddress}:`, rulesError.message);
-            return false;
+            return { created: false, suppressed: false, error: `Rule check failed for ${ipAddress}: ${rulesError.message}` };
         }
-        
-        // 5. ATTEMPT RULE CREATION
-        if (!existingRules || existingRules.length === 0) {
-            
-            const expiresAt = new Date(currentTime + RULE_EXPIRATION_MINUTES * 60 * 1000).toISOString();
+        const currentRule = existingRules && existingRules.length > 0 ? existingRules[0] : null;
+
+        // 6. REPEAT OFFENDERS: retire an expired rule the sweep hasn't reached yet (it would hold the
+        // unique index). Earlier rules raise a new rule's level and lengthen its lifetime.
+        if (!currentRule) await ruleLifecycle.sweep({ ip_address: ruleToInsert.ip_address });
+        const baseMinutes = policy.rule_expiration_minutes || policyStore.defaults.rule_expiration_minutes;
+        const { minutes, offense } = await ruleLifecycle.escalatedDuration(ruleToInsert.ip_address, baseMinutes);
+
+        // 7. NEXT LEVEL ON THE RESPONSE LADDER (entry set by severity, capped by the policy's action)
+        const level = nextResponseLevel({
+            currentLevel: currentRule ? currentRule.response_level : null,
+            priorOffenses: offense - 1,
+            severity: policy.severity,
+            ceiling: policy.action,
+        });
+        if (!level) {
+            console.log(`⏭️ RULE SKIP: IP ${ipAddress} is already at ${currentRule.response_level}, the highest level its ${prediction} policy allows.`);
+            return { created: false, suppressed: false, error: null };
+        }
+        const expiresAt = level === 'permanent_block' ? null : new Date(Date.now() + minutes * 60 * 1000).toISOString();
+        const step = levelHistoryEntry({
+            level,
+            reason: currentRule ? 'escalated' : 'detected',
+            threat_type: prediction,
+            severity: policy.severity,
+            analysis_id: jobId,
+            detections: recentDetections.length,
+        });
+        const levelIcon = { observe: '👁️', alert: '🔔', rate_limit: '🐢' }[level] || '🛡️';
 
-            const ruleToInsert = {
-                ip_address: ipAddress,
-                threat_type: prediction,
+        // 8a. ESCALATE THE EXISTING RULE (one active rule per IP holds the whole ladder)
+        if (currentRule) {
+            const escalated = await updateRule(supabase, currentRule.id, {
+                response_level: level,
                 expires_at: expiresAt,
-                is_active: true,
-                analysis_id: jobId, // This is the UUID from the analysis_jobs table
-                raw_flow_data: { trigger_flow_id: flowId, threat_count: recentDetections.length }, 
-            };
-            
-            const { error: insertError } = await supabase
-                .from('defense_rules')
-                .insert([ruleToInsert]); 
-            
-            if (!insertError) {
-                console.log(`✅🛡️ RULE CREATED SUCCESSFULLY for ${ipAddress}. Threat: ${prediction}.`); 
-                delete RECENT_ATTACK_TRACKER[ipAddress];
-                return true;
-            } else {
-                console.error(`🚨 FATAL DB INSERTION ERROR for ${ipAddress}:`, insertError.message);
-                if (insertError.details) {
-                    console.error('DB Insert Details:', insertError.details);
-                }
-                return false;
+                level_history: [...(currentRule.level_history || []), step],
+            });
+            if (!escalated) return { created: false, suppressed: false, error: null }; // Deleted meanwhile
+            console.log(`${levelIcon} ESCALATED: IP ${ipAddress} moved from ${currentRule.response_level} to ${level} after ${prediction} detections.`);
+            ruleLifecycle.updated(escalated);
+            await attackTracker.clear(trackerKey).catch(e => console.error(`🚨 ATTACK TRACKER ERROR for ${ipAddress}:`, e.message));
+            return { created: false, escalated: true, suppressed: false, error: null };
+        }
+
+        if (offense > 1) {
+            console.log(`🔁 REPEAT OFFENDER: ${ipAddress} offense #${offense}, entering at ${level}${expiresAt ? ` for ${minutes} minutes` : ''}.`);
+        }
+        const rule = {
+            ...ruleToInsert,
+            response_level: level,
+            level_history: [step],
+            expires_at: expiresAt,
+            ...geoEnricher.ruleFields(ipAddress),
+            raw_flow_data: { ...ruleToInsert.raw_flow_data, offense_count: offense },
+        };
+
+        // 8b. ATTEMPT RULE CREATION
+        const { data: insertedRules, error: insertError } = await supabase
+            .from('defense_rules')
+            .insert([rule])
+            .select();
+
+        if (isUniqueViolation(insertError)) {
+            console.log(`⏭️ RULE SKIP: Another instance created the rule for IP ${ipAddress}.`);
+            return { created: false, suppressed: false, error: null };
+        }
+        if (insertError) {
+            console.error(`🚨 FATAL DB INSERTION ERROR for ${ipAddress}:`, insertError.message);
+            if (insertError.details) {
+                console.error('DB Insert Details:', insertError.details);
             }
-        } else {
-            console.log(`⏭️ RULE SKIP: Rule already exists for IP ${ipAddress}. Not creating new rule.`);
+            return { created: false, suppressed: false, error: `Rule insert failed for ${ipAddress}: ${insertError.message}` };
         }
+
+        console.log(`✅${levelIcon} RULE CREATED SUCCESSFULLY for ${ipAddress} at ${level}. Threat: ${prediction}.`); 
+        ruleLifecycle.created(insertedRules[0]);
+        await attackTracker.clear(trackerKey).catch(e => console.error(`🚨 ATTACK TRACKER ERROR for ${ipAddress}:`, e.message));
+        return { created: true, suppressed: false, error: null };
+    }).catch(e => {
+        // Network failures reject instead of returning { error }
+        console.error(`🚨 FATAL DB CHECK EXCEPTION for ${ipAddress}:`, e.message);
+        return { created: false, suppressed: false, error: `Rule creation failed for ${ipAddress}: ${e.message}` };
+    });
+}
+
+// Detections of one batch checked at a time: each is an attack tracker round-trip (two once past
+// the threshold), so a malicious batch must not fan out into a request per flow at once
+const RULE_CHECK_CONCURRENCY = 10;
+
+// Runs task over items with at most limit in flight, returning the results in item order.
+async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Runs every malicious prediction in a batch through incident correlation and manageDefenseRules
+ * (aggregation and rule creation), the same way for analysis jobs and live ingestion. Detections
+ * join their incidents first, so rules they trigger are linked to them.
+ * @param {Array<object>} rowsWithPredictions - Flow rows with their prediction.
+ * @param {string|null} analysisId - The job the rows belong to; null for live traffic.
+ * @returns {Promise<{ created: number, escalated: number, suppressed: number, errors: Array<string> }>}
+ */
+async function applyDefenseRules(rowsWithPredictions, analysisId) {
+    const detections = rowsWithPredictions
+        .filter(row => row.prediction !== 'benign' && row.prediction !== 'Error' && row.prediction !== RULE_BLOCKED_LABEL);
+    await incidentCorrelator.record(detections, analysisId).catch(error => {
+        console.error('🚨 Failed to correlate detections into incidents:', error.message);
+    });
+    const outcomes = await mapWithConcurrency(detections, RULE_CHECK_CONCURRENCY, row => manageDefenseRules(supabase, row, row.prediction, analysisId)
+        .catch(error => ({ created: false, suppressed: false, error: `Rule check failed for flow ${row.flow_id || 'N/A'}: ${error.message}` })));
+    return {
+        created: outcomes.filter(outcome => outcome.created).length,
+        escalated: outcomes.filter(outcome => outcome.escalated).length,
+        suppressed: outcomes.filter(outcome => outcome.suppressed).length,
+        errors: outcomes.filter(outcome => outcome.error).map(outcome => outcome.error),
+    };
+}
+
+// --- BATCH ANALYSIS PIPELINE ---
+// Each batch is sent to the model server, saved to analysis_results and folded into the
+// dashboard accumulator before the next one is read, so memory stays flat for any input size.
+const BATCH_SIZE = 100;
+
+async function predictBatchForJob(jobId, batch, toModelRow, startIndex) {
+    const batchForModel = batch.map(toModelRow);
+
+    try {
+        const response = await axios.post(MODEL_API_URL_BATCH, batchForModel);
+        const predictions = response.data.predictions;
+
+        const batchWithPredictions = batch.map((row, index) => {
+            let prediction = predictions[index] || 'Error';
+
+            // Diagnostic check: This will be false after testing
+            if (DIAGNOSTIC_FORCE_ATTACK && index === 0) {
+                prediction = 'Forced_DDoS_Test';
+            }
+
+            return { 
+                ...row, 
+                ...geoEnricher.enrichFlow(row),
+                prediction,
+                analysis_id: jobId, // Link to the analysis job
+            };
+        });
+
+        // ⭐ DEFENSE RULE GENERATION: waited for so failures and the rule count land on this job
+        const { created, escalated, suppressed, errors } = await applyDefenseRules(batchWithPredictions, jobId);
+        errors.forEach(error => recordJobError(jobId, error));
+        if (created > 0 || escalated > 0 || suppressed > 0) {
+            const job = getJob(jobId);
+            updateJob(jobId, {
+                rules_created: job.rules_created + created,
+                rules_escalated: job.rules_escalated + escalated,
+                flows_suppressed: job.flows_suppressed + suppressed,
+            });
+        }
+
+        return batchWithPredictions;
+    } catch (error) {
+        console.error(`Error predicting batch starting at index ${startIndex}:`, error.message);
+        recordJobError(jobId, `Prediction failed for rows ${startIndex}-${startIndex + batch.length - 1}: ${error.message}`);
+        return batch.map(row => ({ ...row, ...geoEnricher.enrichFlow(row), prediction: 'Error', analysis_id: jobId }));
     }
-    return false;
 }
 
-setInterval(() => {
-    const currentTime = Date.now();
-    for (const ip in RECENT_ATTACK_TRACKER) {
-        RECENT_ATTACK_TRACKER[ip] = RECENT_ATTACK_TRACKER[ip].filter(
-            timestamp => (currentTime - timestamp) <= THRESHOLD_WINDOW_MS
-        );
-        if (RECENT_ATTACK_TRACKER[ip].length === 0) {
-            delete RECENT_ATTACK_TRACKER[ip];
+/**
+ * Runs every batch through prediction and storage, updating the job's progress as it goes.
+ * @param {string} jobId - The analysis job ID (UUID).
+ * @param {Iterable<Array<object>>|AsyncIterable<Array<object>>} batches - Rows, already split into batches.
+ * @param {function(object): object} toModelRow - Strips fields the model server must not see.
+ * @returns {Promise<object>} - The dashboard data plus the analysis_id.
+ */
+async function analyzeBatchesForJob(jobId, batches, toModelRow) {
+    const accumulator = createPredictionAccumulator();
+    let rowsProcessed = 0;
+
+    for await (const batch of batches) {
+        const batchWithPredictions = await predictBatchForJob(jobId, batch, toModelRow, rowsProcessed);
+
+        // ⭐ SAVE EACH BATCH AS SOON AS IT IS PREDICTED
+        const saved = await saveAnalysisResults(supabase, jobId, batchWithPredictions);
+        if (!saved) {
+            recordJobError(jobId, `Failed to save rows ${rowsProcessed}-${rowsProcessed + batch.length - 1} to the database.`);
         }
+
+        accumulator.add(batchWithPredictions);
+        ipProfiles.record(batchWithPredictions);
+        rowsProcessed += batch.length;
+        updateJob(jobId, { rows_processed: rowsProcessed });
     }
-}, 5 * 60 * 1000);
+
+    if (rowsProcessed === 0) {
+        throw new Error('No data found in the provided input.');
+    }
+
+    // The sampled suspicious flows are shown with their sources' history
+    const profiles = await ipProfiles.getProfiles(accumulator.recentSourceIps).catch(error => {
+        console.error(`🚨 Failed to load IP profiles for job ${jobId}:`, error.message);
+        return new Map();
+    });
+
+    return {
+        ...accumulator.finalize({ profiles }),
+        analysis_id: jobId,
+        rules_created: getJob(jobId)?.rules_created ?? 0,
+        rules_escalated: getJob(jobId)?.rules_escalated ?? 0,
+        flows_suppressed: getJob(jobId)?.flows_suppressed ?? 0,
+    };
+}
+
+// --- LIVE INGESTION PIPELINE ---
+const predictBatch = async rowsForModel => (await axios.post(MODEL_API_URL_BATCH, rowsForModel)).data.predictions;
+
+/**
+ * Checks, predicts and stores live flow rows in network_flows (used by /ingest/single, /ingest/batch
+ * and the NetFlow collector). Flows an active block rule covers are tagged rule_blocked with
+ * blocked_by_rule_id, and skip the model when INGEST_SKIP_MODEL_FOR_BLOCKED is set. Malicious
+ * predictions go through the same aggregation and rule creation as analysis jobs, so a rule
+ * created by one batch already blocks the next.
+ * @param {Array<object>} rows - Flow rows keyed by network_flows column names.
+ * @param {object} [options]
+ * @param {function(object): object} [options.toModelRow] - Strips fields the model must not see.
+ * @param {function(Array<object>): Promise<Array<string>>} [options.predict] - Model call for a batch.
+ * @param {boolean} [options.labelPredictionErrors=true] - Store a batch whose prediction fails as 'Error' instead of throwing.
+ * @returns {Promise<{ rows: Array<object>, rule_blocked: number, rules_created: number, rules_escalated: number,
+ *   flows_suppressed: number, errors: Array<string> }>} - rows are the stored rows.
+ */
+async function ingestRows(rows, { toModelRow = ({ timestamp, ...rest }) => rest, predict = predictBatch, labelPredictionErrors = true } = {}) {
+    const result = { rows: [], rule_blocked: 0, rules_created: 0, rules_escalated: 0, flows_suppressed: 0, errors: [] };
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+        const [ruleFor, allowlistMatch] = await Promise.all([activeRuleCache.getFlowMatcher(), allowlistStore.getFlowMatcher()]);
+        const batch = rows.slice(i, i + BATCH_SIZE).map(row => ({ row, rule: allowlistMatch(row) ? null : ruleFor(row) }));
+        const toPredict = batch.filter(({ rule }) => !(rule && INGEST_SKIP_MODEL_FOR_BLOCKED));
+
+        let predictions = [];
+        if (toPredict.length > 0) {
+            try {
+                predictions = await predict(toPredict.map(({ row }) => toModelRow(row)));
+            } catch (error) {
+                if (!labelPredictionErrors) throw error;
+                // If prediction fails for a batch, we'll still try to insert with 'Error' label
+                console.error(`Error predicting ingested rows ${i}-${i + toPredict.length - 1}:`, error.message);
+            }
+        }
+        const predictionFor = new Map(toPredict.map((entry, index) => [entry, predictions[index] || 'Error']));
+        const batchWithPredictions = batch.map(entry => ({
+            ...entry.row,
+            ...geoEnricher.enrichFlow(entry.row),
+            prediction: predictionFor.has(entry) ? predictionFor.get(entry) : RULE_BLOCKED_LABEL,
+            rule_blocked: entry.rule !== null,
+            blocked_by_rule_id: entry.rule ? entry.rule.id : null,
+        }));
+
+        // Stored before its rules run, so a failed insert never leaves rules for flows that were not kept
+        const { error } = await supabase.from('network_flows').insert(batchWithPredictions);
+        if (error) throw error;
+        ipProfiles.record(batchWithPredictions);
+
+        const { created, escalated, suppressed, errors } = await applyDefenseRules(batchWithPredictions, null);
+        result.rows.push(...batchWithPredictions);
+        result.rule_blocked += batch.filter(({ rule }) => rule).length;
+        result.rules_created += created;
+        result.rules_escalated += escalated;
+        result.flows_suppressed += suppressed;
+        result.errors.push(...errors);
+    }
+
+    if (result.rule_blocked > 0 || result.rules_created > 0 || result.rules_escalated > 0) {
+        console.log(`📥 Ingested ${result.rows.length} flows: ${result.rule_blocked} rule-blocked, ${result.rules_created} rule(s) created, ${result.rules_escalated} escalated.`);
+    }
+    return result;
+}
+
+// The ingest summary returned by /ingest/single and /ingest/batch
+const ingestSummary = ({ rule_blocked, rules_created, rules_escalated, flows_suppressed, errors }) => ({
+    rule_blocked,
+    rules_created,
+    rules_escalated,
+    flows_suppressed,
+    rule_errors: errors,
+});
+
+// Drops the columns stored alongside a flow that the model must not see.
+function toModelRowFor(sourceFormat) {
+    if (sourceFormat === FLOW_FORMATS.CICFLOWMETER) {
+        return ({ Timestamp, timestamp, ...rest }) => rest;
+    }
+    return ({ created_at, approximated_features, ...rest }) => rest;
+}
+
+// Set once the server starts when NETFLOW_PORT is configured
+let netflowCollector = null;
+
+// Splits an in-memory array of rows into batches for analyzeBatchesForJob.
+function* chunkRows(rows, size = BATCH_SIZE) {
+    for (let i = 0; i < rows.length; i += size) {
+        yield rows.slice(i, i + size);
+    }
+}
 
 // --- API ENDPOINTS ---
 
@@ -219,7 +674,7 @@ app.get('/reports/custom', async (req, res) => {
 });
 
 
-// Endpoint 3: Analyze a new CSV file
+// Endpoint 3: Analyze a new CSV file, plain or gzip-compressed (runs in the background, poll /jobs/:id for progress)
 app.post('/analyze/csv', upload.single('csvfile'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No CSV file provided.' });
@@ -228,84 +683,112 @@ app.post('/analyze/csv', upload.single('csvfile'), async (req, res) => {
     // ⭐ STEP 1: GENERATE UNIQUE JOB ID (Analysis ID)
     const jobId = uuidv4(); 
     console.log(`Starting CSV analysis job: ${jobId}`);
+
+    // CICFlowMeter CSVs, Zeek conn.log and Suricata EVE files all arrive through this endpoint
+    let sourceFormat;
+    try {
+        sourceFormat = await detectFlowFileFormat(req.file.path);
+    } catch (error) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({ error: `Unsupported flow file: ${error.message}` });
+    }
     
     try {
         // 🚨 CRITICAL FIX: Insert into the UNIQUE parent table (analysis_jobs) 🚨
-        const { error: jobInsertError } = await supabase.from('analysis_jobs').insert({ analysis_id: jobId });
+        const { error: jobInsertError } = await supabase.from('analysis_jobs').insert({ analysis_id: jobId, source_format: sourceFormat });
         if (jobInsertError) {
              console.error("CRITICAL JOB INSERTION ERROR:", jobInsertError.message);
+             fs.promises.unlink(req.file.path).catch(() => {});
              return res.status(500).json({ error: 'Failed to initialize analysis job in DB.' });
         }
+    } catch (error) {
+        console.error(`Failed to start CSV analysis: ${error.message}`);
+        fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(500).json({ error: `Failed to process CSV file: ${error.message}` });
+    }
 
-        const csvString = req.file.buffer.toString('utf8');
-        const { data: rows } = Papa.parse(csvString, { header: true, skipEmptyLines: true, dynamicTyping: true });
-
-        if (rows.length === 0) {
-            return res.json({ message: "No data found in the provided CSV file.", analysis_id: jobId });
+    const { path: filePath, originalname, size } = req.file;
+    createJob(jobId, {
+        source: 'csv',
+        source_format: sourceFormat,
+        file_name: originalname,
+        total_bytes: size,
+        bytes_processed: 0,
+        skipped_lines: 0,
+    });
+
+    // ⭐ STEP 2: STREAM THE FILE FROM DISK THROUGH THE PIPELINE IN THE BACKGROUND
+    runJob(jobId, async () => {
+        try {
+            const batches = readFlowFileInBatches(filePath, {
+                format: sourceFormat,
+                batchSize: BATCH_SIZE,
+                onBytesRead: bytesRead => updateJob(jobId, { bytes_processed: bytesRead }),
+                onSkippedLine: count => updateJob(jobId, { skipped_lines: (getJob(jobId)?.skipped_lines ?? 0) + count }),
+            });
+            return await analyzeBatchesForJob(jobId, batches, toModelRowFor(sourceFormat));
+        } finally {
+            fs.promises.unlink(filePath).catch(err => console.error(`Failed to remove upload ${filePath}:`, err.message));
         }
+    });
 
-        const BATCH_SIZE = 100;
-        const resultsWithPredictions = [];
-        console.log(`Processing ${rows.length} rows in batches of ${BATCH_SIZE}...`);
+    // ⭐ STEP 3: RESPOND IMMEDIATELY WITH THE analysis_id
+    res.status(202).json({ analysis_id: jobId, status_url: `/jobs/${jobId}` });
+});
 
-        for (let i = 0; i < rows.length; i += BATCH_SIZE) {
-            const batch = rows.slice(i, i + BATCH_SIZE);
-            const batchForModel = batch.map(({ Timestamp, timestamp, ...rest }) => rest);
-            
-            try {
-                const response = await axios.post(MODEL_API_URL_BATCH, batchForModel);
-                const predictions = response.data.predictions;
 
-                const batchWithPredictions = batch.map((row, index) => {
-                    let prediction = predictions[index] || 'Error';
-                    
-                    // Diagnostic check: This will be false after testing
-                    if (DIAGNOSTIC_FORCE_ATTACK && index === 0) {
-                        prediction = 'Forced_DDoS_Test';
-                    }
-                    
-                    const rowWithPrediction = { 
-                        ...row, 
-                        prediction,
-                        analysis_id: jobId, // Link to the analysis job
-                    };
-
-                    // ⭐ DEFENSE RULE GENERATION
-                    if (prediction !== 'benign' && prediction !== 'Error') {
-                        manageDefenseRules(supabase, row, prediction, jobId);
-                    }
-
-                    return rowWithPrediction;
-                });
-                resultsWithPredictions.push(...batchWithPredictions);
-                
-            } catch (error) {
-                console.error(`Error predicting batch starting at index ${i}:`, error.message);
-                const errorBatch = batch.map(row => ({ ...row, prediction: 'Error', analysis_id: jobId }));
-                resultsWithPredictions.push(...errorBatch);
-            }
+// Endpoint 3a: Analyze a raw packet capture (pcap/pcapng, optionally gzip-compressed).
+// Flows are rebuilt with CICFlowMeter-compatible features, then go through the same pipeline as CSV rows.
+app.post('/analyze/pcap', (req, res, next) => {
+    pcapUpload.single('pcapfile')(req, res, error => {
+        if (!error) return next();
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Capture is larger than the ${MAX_PCAP_UPLOAD_MB} MB upload limit.` });
         }
-        
-        // ⭐ STEP 3: SAVE ALL RESULTS TO SUPABASE
-        console.log("Saving all CSV analysis results to Supabase...");
-        await saveAnalysisResults(supabase, jobId, resultsWithPredictions); 
-        
-        // 4. Transform the combined data for the dashboard
-        const finalDashboardData = transformPredictionData(resultsWithPredictions);
+        res.status(400).json({ error: `Failed to receive capture: ${error.message}` });
+    });
+}, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No pcap file provided.' });
+    }
 
-        // 5. Send the final dashboard data AS WELL AS the analysis_id
-        res.json({
-            ...finalDashboardData, 
-            analysis_id: jobId    
-        });
-        
+    const jobId = uuidv4(); 
+    console.log(`Starting PCAP analysis job: ${jobId}`);
+
+    try {
+        const { error: jobInsertError } = await supabase.from('analysis_jobs').insert({ analysis_id: jobId, source_format: FLOW_FORMATS.PCAP });
+        if (jobInsertError) {
+             console.error("CRITICAL JOB INSERTION ERROR:", jobInsertError.message);
+             fs.promises.unlink(req.file.path).catch(() => {});
+             return res.status(500).json({ error: 'Failed to initialize analysis job in DB.' });
+        }
     } catch (error) {
-        console.error(`Failed to process CSV file: ${error.message}`);
-        res.status(500).json({ error: `Failed to process CSV file: ${error.message}` });
+        console.error(`Failed to start PCAP analysis: ${error.message}`);
+        fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(500).json({ error: `Failed to process pcap file: ${error.message}` });
     }
+
+    const { path: filePath, originalname, size } = req.file;
+    createJob(jobId, { source: 'pcap', source_format: FLOW_FORMATS.PCAP, file_name: originalname, total_bytes: size, bytes_processed: 0 });
+
+    runJob(jobId, async () => {
+        try {
+            const batches = extractFlowsInBatches(filePath, {
+                batchSize: BATCH_SIZE,
+                onBytesRead: bytesRead => updateJob(jobId, { bytes_processed: bytesRead }),
+                onStats: packetStats => updateJob(jobId, { packet_stats: packetStats }),
+            });
+            return await analyzeBatchesForJob(jobId, batches, toModelRowFor(FLOW_FORMATS.PCAP));
+        } finally {
+            fs.promises.unlink(filePath).catch(err => console.error(`Failed to remove upload ${filePath}:`, err.message));
+        }
+    });
+
+    res.status(202).json({ analysis_id: jobId, status_url: `/jobs/${jobId}` });
 });
 
 
+// Endpoint 3b: Analyze data fetched from an external API (runs in the background)
 app.post('/analyze/api', async (req, res) => {
     const { apiUrl } = req.body;
     if (!apiUrl) {
@@ -323,75 +806,39 @@ app.post('/analyze/api', async (req, res) => {
              console.error("CRITICAL JOB INSERTION ERROR:", jobInsertError.message);
              return res.status(500).json({ error: 'Failed to initialize analysis job in DB.' });
         }
+    } catch (error) {
+        console.error(`Failed to start analysis for API URL ${apiUrl}:`, error.message);
+        return res.status(500).json({ error: `Failed to fetch or process data from API: ${error.message}` });
+    }
+
+    createJob(jobId, { source: 'api', api_url: apiUrl });
 
-        // 2. Fetch the data from the provided URL using axios
+    // ⭐ STEP 2: FETCH AND ANALYZE IN THE BACKGROUND
+    runJob(jobId, async () => {
         console.log(`Fetching data from: ${apiUrl}`);
         const apiResponse = await axios.get(apiUrl);
         const rows = apiResponse.data;
 
         if (!Array.isArray(rows) || rows.length === 0) {
-            return res.status(400).json({ error: 'No valid data found.' });
+            throw new Error('No valid data found.');
         }
 
-        // 3. Process data in batches and get predictions
-        const BATCH_SIZE = 100;
-        const resultsWithPredictions = [];
-
-        for (let i = 0; i < rows.length; i += BATCH_SIZE) {
-            const batch = rows.slice(i, i + BATCH_SIZE);
-            const batchForModel = batch.map(({ created_at, ...rest }) => rest);
-            
-            try {
-                const modelResponse = await axios.post(MODEL_API_URL_BATCH, batchForModel);
-                const predictions = modelResponse.data.predictions;
-
-                const batchWithPredictions = batch.map((row, index) => {
-                    let prediction = predictions[index] || 'Error';
-
-                    if (DIAGNOSTIC_FORCE_ATTACK && index === 0) {
-                        prediction = 'Forced_DDoS_Test';
-                    }
-
-                    const rowWithPrediction = { 
-                        ...row, 
-                        prediction,
-                        analysis_id: jobId, // Link to the analysis job
-                    };
-
-                    // ⭐ DEFENSE RULE GENERATION
-                    if (prediction !== 'benign' && prediction !== 'Error') {
-                        manageDefenseRules(supabase, row, prediction, jobId);
-                    }
-                    
-                    return rowWithPrediction;
-                });
+        updateJob(jobId, { total_rows: rows.length });
+        return analyzeBatchesForJob(jobId, chunkRows(rows), ({ created_at, ...rest }) => rest);
+    });
 
-                resultsWithPredictions.push(...batchWithPredictions);
+    // ⭐ STEP 3: RESPOND IMMEDIATELY WITH THE analysis_id
+    res.status(202).json({ analysis_id: jobId, status_url: `/jobs/${jobId}` });
+});
 
-            } catch (error) {
-                console.error(`Error predicting batch starting at index ${i}:`, error.message);
-                const errorBatch = batch.map(row => ({ ...row, prediction: 'Error', analysis_id: jobId }));
-                resultsWithPredictions.push(...errorBatch);
-            }
-        }
-        
-        // ⭐ STEP 3: SAVE ALL RESULTS TO SUPABASE
-        console.log("Saving all analysis results to Supabase...");
-        await saveAnalysisResults(supabase, jobId, resultsWithPredictions); 
-        
-        // 4. Transform the combined data for the dashboard
-        const finalDashboardData = transformPredictionData(resultsWithPredictions);
 
-        // 5. Send the final dashboard data as the response
-        res.json({
-            ...finalDashboardData, 
-            analysis_id: jobId    
-        });
-
-    } catch (error) {
-        console.error(`Failed to process API URL ${apiUrl}:`, error.message);
-        res.status(500).json({ error: `Failed to fetch or process data from API: ${error.message}` });
+// Endpoint 3c: Status of a background analysis job
+app.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `No job found for ID: ${req.params.id}` });
     }
+    res.json(serializeJob(job));
 });
 
 // ... (the rest of your server.js file) ...
@@ -403,20 +850,27 @@ app.post('/ingest/single', async (req, res) => {
         return res.status(400).json({ error: 'No data row provided in request body.' });
     }
     try {
-        const { timestamp, ...rowForModel } = row;
-        const response = await axios.post(MODEL_API_URL_SINGLE, rowForModel);
-        const dataToInsert = { ...row, prediction: response.data.prediction };
-
-        const { error } = await supabase.from('network_flows').insert(dataToInsert);
-        if (error) throw error;
+        const result = await ingestRows([row], {
+            predict: async ([rowForModel]) => [(await axios.post(MODEL_API_URL_SINGLE, rowForModel)).data.prediction],
+            labelPredictionErrors: false,
+        });
 
-        res.status(201).json({ success: true, message: 'Data ingested and stored successfully.', data: dataToInsert });
+        res.status(201).json({ success: true, message: 'Data ingested and stored successfully.', data: result.rows[0], ...ingestSummary(result) });
     } catch (error) {
         res.status(500).json({ error: `Failed to ingest data: ${error.message}` });
     }
 });
 
 
+// Reports how much the built-in NetFlow/IPFIX collector has received
+app.get('/ingest/netflow/status', (req, res) => {
+    if (!netflowCollector) {
+        return res.json({ enabled: false });
+    }
+    res.json({ enabled: true, port: Number(NETFLOW_PORT), ...netflowCollector.stats });
+});
+
+
 // Endpoint 5: Ingest a batch of data rows
 app.post('/ingest/batch', async (req, res) => {
     const rows = req.body;
@@ -424,27 +878,23 @@ app.post('/ingest/batch', async (req, res) => {
         return res.status(400).json({ error: 'Request body must be a non-empty array of data rows.' });
     }
     try {
-        const BATCH_SIZE = 100;
-        const allDataToInsert = [];
-        for (let i = 0; i < rows.length; i += BATCH_SIZE) {
-            const batch = rows.slice(i, i + BATCH_SIZE);
-            const batchForModel = batch.map(({ timestamp, ...rest }) => rest);
-            try {
-                const response = await axios.post(MODEL_API_URL_BATCH, batchForModel);
-                const predictions = response.data.predictions;
-                const batchWithPredictions = batch.map((row, index) => ({ ...row, prediction: predictions[index] || 'Error' }));
-                allDataToInsert.push(...batchWithPredictions);
-            } catch (error) {
-                // If prediction fails for a batch, we'll still try to insert with 'Error' label
-                const errorBatch = batch.map(row => ({ ...row, prediction: 'Error' }));
-                allDataToInsert.push(...errorBatch);
-            }
+        // Zeek conn.log (JSON) and Suricata EVE records are translated to the model's columns first
+        const sourceFormat = detectRecordFormat(rows[0]);
+        const flowRows = sourceFormat === FLOW_FORMATS.CICFLOWMETER
+            ? rows
+            : rows.map(row => adaptRecord(sourceFormat, row)).filter(Boolean);
+        if (flowRows.length === 0) {
+            return res.status(400).json({ error: `No flow records found in the ${sourceFormat} input.` });
         }
 
-        const { error } = await supabase.from('network_flows').insert(allDataToInsert);
-        if (error) throw error;
-        
-        res.status(201).json({ success: true, message: `Successfully ingested and stored ${allDataToInsert.length} records.` });
+        const result = await ingestRows(flowRows, { toModelRow: toModelRowFor(sourceFormat) });
+        res.status(201).json({
+            success: true,
+            message: `Successfully ingested and stored ${result.rows.length} records.`,
+            source_format: sourceFormat,
+            skipped_records: rows.length - flowRows.length,
+            ...ingestSummary(result),
+        });
     } catch (error) {
         res.status(500).json({ error: `Failed to ingest batch data: ${error.message}` });
     }
@@ -463,13 +913,147 @@ app.get('/reports/date-range', async (req, res) => {
 });
 
 
+/**
+ * Splits a job's flows by the rules active right now (the default re-analysis mode).
+ * Rules never block a flow to or from an allowlisted address; those flows are counted as suppressed.
+ * @returns {Promise<{ flowsToReanalyze: Array<object>, blockedFlows: Array<object>, suppressed: number }>}
+ */
+async function splitByCurrentRules(historicalResults, customRules) {
+    // Retrieve all active rules (Simplified query after previous debugging)
+    // (permanent rules have no expires_at and are always included)
+    const nowIso = new Date().toISOString();
+    const activeRules = await fetchAllRows(() => applyStatusFilter(
+        supabase.from('defense_rules').select(`id, ${RULE_TARGET_COLUMNS}, response_level, origin, feed_source, created_at, expires_at`).order('id'),
+        'active',
+        nowIso
+    ));
+
+    console.log(`Fetched ${activeRules.length} active defense rules from DB.`);
+    // Index the rules by network so each flow only checks the rules covering its IPs
+    const ruleMatcher = createRuleMatcher(activeRules);
+    const allowlistMatch = await allowlistStore.getFlowMatcher();
+    
+    console.log(`Found ${historicalResults.length} flows, ${ruleMatcher.size} active rules and ${customRules.length} custom rules.`);
+
+    // Filter rows (capture both kept and blocked flows)
+    const flowsToReanalyze = [];
+    const blockedFlows = []; // 💡 NEW ARRAY TO CAPTURE BLOCKED ROWS
+    const levelReport = createLevelReport();
+    let suppressed = 0;
+
+    historicalResults.forEach(row => {
+        const originalPrediction = row.prediction ? row.prediction.toLowerCase() : 'error';
+
+        // Only block-level rules stop a flow; lower levels (observe, alert, rate_limit) are reported
+        const ruleData = ruleMatcher.match(row, rule => isBlockingLevel(rule.response_level));
+        const levelRule = ruleData || ruleMatcher.match(row);
+        if (levelRule && !allowlistMatch(row)) {
+            levelReport.add(levelRule.response_level, row, originalPrediction !== 'benign' && originalPrediction !== 'error');
+        }
+
+        // 🛑 SIMPLIFICATION FIX: Assume rule is active if it exists (As you requested)
+        const ruleWasActiveAtFlowTime = true; // Overridden for simplified testing
+
+        const wouldBlock = ruleData && ruleWasActiveAtFlowTime && 
+                           originalPrediction !== 'benign' && originalPrediction !== 'error';
+        const isBlockedByPolicy = wouldBlock && !allowlistMatch(row);
+        if (wouldBlock && !isBlockedByPolicy) suppressed++;
+
+        // Custom rules block whatever they match; a prediction condition must be part of the rule
+        const customRule = isBlockedByPolicy ? null : findMatchingRule(customRules, row);
+
+        if (isBlockedByPolicy || customRule) {
+            // Flow was blocked. Add it to the blocked list.
+            blockedFlows.push({
+                ...row, 
+                original_prediction: row.prediction,
+                // 💡 Mark the prediction to easily identify it in the frontend
+                prediction: 'Rule_Blocked_Historical',
+                blocked_by: customRule ? customRule.name : describeBlockingRule(ruleData),
+                blocked_origin: customRule ? 'custom' : ruleData.origin || 'model',
+            });
+        } else {
+            // Flow passed the filter. Add it to the list for re-prediction.
+            flowsToReanalyze.push(row);
+        }
+    });
+
+    return { flowsToReanalyze, blockedFlows, suppressed, levels: levelReport.toJSON() };
+}
+
+/**
+ * Splits a job's flows by replaying rule creation over them in timestamp order (replay mode),
+ * so a flow only counts as blocked if a rule existed at its time. Stored rules from other jobs
+ * block during their own lifetime; this job's stored rules are recreated by the replay itself.
+ * @returns {Promise<{ flowsToReanalyze: Array<object>, blockedFlows: Array<object>, replay: object }>}
+ */
+async function splitByReplayedRules(historicalResults, customRules, analysisId) {
+    // A rule created after the job's last flow can neither block its flows nor count as an earlier offense
+    const flowTimes = historicalResults.map(getFlowTime).filter(time => !isNaN(time));
+    const lastFlowIso = flowTimes.length > 0 ? new Date(flowTimes.reduce((a, b) => Math.max(a, b))).toISOString() : null;
+    const storedRules = await fetchAllRows(() => {
+        let query = supabase
+            .from('defense_rules')
+            .select(`id, ${RULE_TARGET_COLUMNS}, response_level, origin, feed_source, threat_type, created_at, expires_at, analysis_id`)
+            .or('is_active.eq.true,deactivated_reason.eq.expired'); // Expired rules still blocked during their lifetime
+        if (lastFlowIso) query = query.lte('created_at', lastFlowIso);
+        return query.order('id');
+    });
+
+    const existingRules = (storedRules || []).filter(rule => rule.analysis_id !== analysisId);
+    const policyFor = await policyStore.getResolver();
+    const allowlistMatch = await allowlistStore.getFlowMatcher();
+    const { blockedFlows, passedFlows, rules, summary, levels } = replayRules(historicalResults, {
+        policyFor,
+        existingRules,
+        escalation: { factor: RULE_ESCALATION_FACTOR, maxMinutes: RULE_MAX_EXPIRATION_MINUTES },
+        isAllowlisted: row => allowlistMatch(row) !== null,
+        matchCustomRule: row => {
+            const rule = findMatchingRule(customRules, row);
+            return rule ? rule.name : null;
+        },
+    });
+
+    console.log(`Replay: ${summary.rules_created} rules fired, ${summary.blocked} malicious flows blocked, ${summary.missed} missed.`);
+    return {
+        flowsToReanalyze: passedFlows,
+        blockedFlows,
+        suppressed: summary.suppressed_by_allowlist,
+        levels,
+        replay: {
+            summary,
+            // Policies in effect for the labels seen in this job
+            policies: [...new Set(historicalResults.map(row => row.prediction))]
+                .filter(label => label && !['benign', 'error'].includes(label.toLowerCase()))
+                .map(policyFor),
+            // Existing rules that never matched are left out, and the list is capped to keep the response small
+            rules: rules
+                .filter(rule => rule.source === 'replay' || rule.blocked > 0 || rule.benign_affected > 0)
+                .sort((a, b) => b.blocked - a.blocked)
+                .slice(0, MAX_REPLAY_RULES_REPORTED),
+        },
+    };
+}
+
+const REANALYZE_MODES = ['current', 'replay'];
+const MAX_REPLAY_RULES_REPORTED = 500;
+
 // Endpoint 7: Re-analyze historical data against current rules (FILTERING & RE-PREDICTION)
 // Endpoint 7: Re-analyze historical data against current rules (FILTERING & RE-PREDICTION)
+// Optional "custom_rules" (field/operator/value groups, see rule-engine.js) block matching flows too.
+// "mode": "current" (default) applies the rules active now; "replay" recreates rules at flow time.
 app.post('/reanalyze/rules', async (req, res) => {
-    const { analysis_id } = req.body;
+    const { analysis_id, custom_rules = [], mode = 'current' } = req.body;
     if (!analysis_id) {
         return res.status(400).json({ error: 'Missing "analysis_id" in request body.' });
     }
+    if (!REANALYZE_MODES.includes(mode)) {
+        return res.status(400).json({ error: `"mode" must be one of ${REANALYZE_MODES.join(', ')}.` });
+    }
+    const { rules: customRules, errors: customRuleErrors } = compileRules(custom_rules);
+    if (customRuleErrors.length > 0) {
+        return res.status(400).json({ error: customRuleErrors.join(' ') });
+    }
 
     try {
         // 2. Retrieve ALL historical flow data for this analysis ID
@@ -479,76 +1063,40 @@ app.post('/reanalyze/rules', async (req, res) => {
             return res.status(404).json({ error: `No historical data found for ID: ${analysis_id}` });
         }
         
-        // 3. Retrieve all active rules (Simplified query after previous debugging)
-        const { data: activeRules } = await supabase
-            .from('defense_rules')
-            .select('ip_address, created_at, expires_at') 
-            .eq('is_active', true)
-            .gt('expires_at', new Date().toISOString()); 
-
-        console.log(`Fetched ${activeRules ? activeRules.length : 0} active defense rules from DB.`);
-        // Create a fast lookup map for rule temporal data
-        const blockedIpMap = {};
-        if (activeRules) {
-            activeRules.forEach(rule => {
-                blockedIpMap[rule.ip_address] = {
-                    created_at: new Date(rule.created_at).getTime(),
-                    expires_at: new Date(rule.expires_at).getTime(),
-                };
-            });
-        }
-        
-        // ... (The top part of the endpoint, Steps 1, 2, 3, and setup remain the same) ...
-
-        console.log(`Starting filtration and re-prediction for job ID: ${analysis_id}`);
-        console.log(`Found ${historicalResults.length} flows and ${Object.keys(blockedIpMap).length} active rules.`);
-
-        // 4. FILTER ROWS (Capture both kept and blocked flows)
-        const flowsToReanalyze = [];
-        const blockedFlows = []; // 💡 NEW ARRAY TO CAPTURE BLOCKED ROWS
+        console.log(`Starting filtration and re-prediction for job ID: ${analysis_id} (${mode} mode)`);
 
-        historicalResults.forEach(row => {
-            const historicalFlowTime = new Date(row.created_at).getTime();
-            const originalPrediction = row.prediction ? row.prediction.toLowerCase() : 'error';
-
-            const srcIpRule = blockedIpMap[row.src_ip];
-            const dstIpRule = blockedIpMap[row.dst_ip];
-            const ruleData = srcIpRule || dstIpRule;
-
-            // 🛑 SIMPLIFICATION FIX: Assume rule is active if it exists (As you requested)
-            const ruleWasActiveAtFlowTime = true; // Overridden for simplified testing
-
-            const isBlockedByPolicy = ruleData && ruleWasActiveAtFlowTime && 
-                                      originalPrediction !== 'benign' && originalPrediction !== 'error';
-
-            if (isBlockedByPolicy) {
-                // Flow was blocked. Add it to the blocked list.
-                blockedFlows.push({
-                    ...row, 
-                    // 💡 Mark the prediction to easily identify it in the frontend
-                    prediction: 'Rule_Blocked_Historical' 
-                });
-            } else {
-                // Flow passed the filter. Add it to the list for re-prediction.
-                flowsToReanalyze.push(row);
-            }
-        });
+        // 3-4. FILTER ROWS (Capture both kept and blocked flows)
+        let flowsToReanalyze, blockedFlows, suppressed, levels, replay = null;
+        if (mode === 'replay') {
+            ({ flowsToReanalyze, blockedFlows, suppressed, levels, replay } = await splitByReplayedRules(historicalResults, customRules, analysis_id));
+        } else {
+            ({ flowsToReanalyze, blockedFlows, suppressed, levels } = await splitByCurrentRules(historicalResults, customRules));
+        }
 
         console.log(`Blocked ${blockedFlows.length} flows. Filtered down to ${flowsToReanalyze.length} flows for re-prediction.`);
         
         if (flowsToReanalyze.length === 0) {
-             return res.json({ message: "All flows were filtered by active rules.", analysis_id });
+             return res.json({
+                 message: "All flows were filtered by active rules.",
+                 analysis_id,
+                 original_flow_count: historicalResults.length,
+                 reanalyzed_flow_count: 0,
+                 blockedData: transformBlockedData(blockedFlows),
+                 allowlist_suppressed: suppressed,
+                 response_levels: levels,
+                 mode,
+                 replay,
+             });
         }
 
 
         // 5. PREPARE AND RESEND ROWS TO THE MODEL FOR RECALCULATION
         // ... (This section runs the re-prediction on flowsToReanalyze, yielding rePredictionResults) ...
-        const BATCH_SIZE = 100;
         const rePredictionResults = [];
 
         for (let i = 0; i < flowsToReanalyze.length; i += BATCH_SIZE) {
             const batch = flowsToReanalyze.slice(i, i + BATCH_SIZE);
-            const batchForModel = batch.map(({ prediction, analysis_id, ...rest }) => rest);
+            const batchForModel = batch.map(({ prediction, analysis_id, ...rest }) => withoutGeoFields(rest));
             
             try {
                 const response = await axios.post(MODEL_API_URL_BATCH, batchForModel);
@@ -584,6 +1132,10 @@ app.post('/reanalyze/rules', async (req, res) => {
             original_flow_count: historicalResults.length,
             reanalyzed_flow_count: rePredictionResults.length,
             blockedData: blockedDashboardData, // 💡 NEW FIELD IN RESPONSE
+            allowlist_suppressed: suppressed, // Malicious flows a rule would have blocked but the allowlist let through
+            response_levels: levels, // Flows covered by a rule at each response level (only the block levels stop them)
+            mode,
+            replay, // Replay mode only: per-rule blocked / missed_before_fire counts
         });
 
     } catch (error) {
@@ -592,7 +1144,587 @@ app.post('/reanalyze/rules', async (req, res) => {
     }
 });
 
+// --- THRESHOLD SIMULATION ---
+
+// The live policies as the simulation panel's starting point: the default policy (used by threat
+// types without their own) and every stored per-threat policy
+app.get('/simulate/thresholds', async (req, res) => {
+    // A policy without a lifetime (permanent_block) is simulated with the default one
+    const toThresholds = policy => ({
+        threshold_count: policy.threshold_count,
+        window_ms: policy.window_ms,
+        rule_expiration_minutes: policy.rule_expiration_minutes ?? policyStore.defaults.rule_expiration_minutes,
+    });
+    try {
+        const policies = await policyStore.listPolicies();
+        res.json({
+            current: toThresholds(policyStore.defaults),
+            policies: policies.map(policy => ({ threat_type: policy.threat_type, ...toThresholds(policy) })),
+        });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to fetch current thresholds: ${error.message}` });
+    }
+});
+
+// Dry-run candidate threshold sets against a past job: { analysis_id, settings: [...] }.
+// Nothing is written to defense_rules.
+app.post('/simulate/thresholds', async (req, res) => {
+    const { analysis_id, settings } = req.body;
+    if (!analysis_id) {
+        return res.status(400).json({ error: 'Missing "analysis_id" in request body.' });
+    }
+    const { settings: validSettings, errors } = validateThresholdSettings(settings);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+
+    try {
+        const flows = await getAnalysisResultsByJobId(supabase, analysis_id);
+        if (!flows || flows.length === 0) {
+            return res.status(404).json({ error: `No historical data found for ID: ${analysis_id}` });
+        }
+
+        console.log(`🧪 Simulating ${validSettings.length} threshold sets over ${flows.length} flows of job ${analysis_id}.`);
+        const allowlistMatch = await allowlistStore.getFlowMatcher();
+        res.json({
+            analysis_id,
+            total_flows: flows.length,
+            results: simulateThresholds(flows, validSettings, { isAllowlisted: row => allowlistMatch(row) !== null }),
+        });
+    } catch (error) {
+        console.error(`Failed to simulate thresholds for ID ${analysis_id}:`, error.message);
+        res.status(500).json({ error: `Failed to simulate thresholds: ${error.message}` });
+    }
+});
+
+// --- DETECTION POLICIES ---
+
+// The model's label encoder classes change only when the model does, so they are cached
+const LABELS_CACHE_MS = 5 * 60 * 1000;
+let modelLabelsCache = { labels: null, fetchedAt: 0 };
+
+async function fetchModelLabels() {
+    if (modelLabelsCache.labels && Date.now() - modelLabelsCache.fetchedAt < LABELS_CACHE_MS) {
+        return modelLabelsCache.labels;
+    }
+    if (!MODEL_API_URL_LABELS) return null;
+    try {
+        const response = await axios.get(MODEL_API_URL_LABELS);
+        const labels = Array.isArray(response.data.labels) ? response.data.labels.map(String) : null;
+        if (labels) modelLabelsCache = { labels, fetchedAt: Date.now() };
+        return labels;
+    } catch (error) {
+        console.error('Could not fetch model labels:', error.message);
+        return modelLabelsCache.labels;
+    }
+}
+
+// Every model label with its effective policy; labels without a stored policy show the defaults
+app.get('/policies', async (req, res) => {
+    try {
+        const labels = await fetchModelLabels();
+        // Benign traffic never creates rules, so it has no policy to tune
+        const threatLabels = (labels || []).filter(label => label.toLowerCase() !== 'benign');
+        res.json({
+            actions: POLICY_ACTIONS,
+            severities: SEVERITIES,
+            defaults: policyStore.defaults,
+            labels_available: labels !== null,
+            policies: await policyStore.listPolicies(threatLabels),
+        });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to fetch policies: ${error.message}` });
+    }
+});
+
+// Create or replace the policy for one threat type; omitted fields keep their current value
+app.put('/policies/:threatType', async (req, res) => {
+    const { threatType } = req.params;
+    if (!isValidThreatType(threatType)) {
+        return res.status(400).json({ error: 'Threat type must be 1-100 characters.' });
+    }
+    try {
+        const current = await policyStore.getPolicy(threatType);
+        const { policy, errors } = validatePolicyInput(req.body, current);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        const saved = await policyStore.upsertPolicy(threatType, policy);
+        console.log(`⚙️ Detection policy for ${threatType} set to ${policy.action} (${policy.threshold_count} in ${policy.window_ms}ms).`);
+        res.json(saved);
+    } catch (error) {
+        res.status(500).json({ error: `Failed to save policy: ${error.message}` });
+    }
+});
+
+// Remove a threat type's policy so it falls back to the defaults
+app.delete('/policies/:threatType', async (req, res) => {
+    const { threatType } = req.params;
+    if (!isValidThreatType(threatType)) {
+        return res.status(400).json({ error: 'Threat type must be 1-100 characters.' });
+    }
+    try {
+        const deleted = await policyStore.deletePolicy(threatType);
+        if (!deleted) return res.status(404).json({ error: `No policy stored for ${threatType}.` });
+        res.json(await policyStore.getPolicy(threatType));
+    } catch (error) {
+        res.status(500).json({ error: `Failed to delete policy: ${error.message}` });
+    }
+});
+
+// --- ALLOWLIST ---
+
+// Every entry, with the addresses its hostname resolved to and how many blocks it has suppressed
+app.get('/allowlist', async (req, res) => {
+    try {
+        res.json({ entries: await allowlistStore.listEntries() });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to fetch the allowlist: ${error.message}` });
+    }
+});
+
+// Add an IP, CIDR block or hostname with an optional note and owner
+app.post('/allowlist', async (req, res) => {
+    const { entry, errors } = validateAllowlistInput(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+    try {
+        const created = await allowlistStore.createEntry(entry);
+        console.log(`🤍 Allowlisted ${created.target} (${created.kind}).`);
+        res.status(201).json(await allowlistStore.getEntry(created.id) || created);
+    } catch (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(409).json({ error: `${entry.target} is already on the allowlist.` });
+        }
+        res.status(500).json({ error: `Failed to add allowlist entry: ${error.message}` });
+    }
+});
+
+// Change an entry's target, note or owner; omitted fields keep their current value
+app.patch('/allowlist/:id', async (req, res) => {
+    try {
+        const current = await allowlistStore.getEntry(req.params.id);
+        if (!current) return res.status(404).json({ error: `Allowlist entry ${req.params.id} not found.` });
+        const { entry, errors } = validateAllowlistInput(req.body, { target: current.target, note: current.note, owner: current.owner });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+        const updated = await allowlistStore.updateEntry(req.params.id, entry);
+        if (!updated) return res.status(404).json({ error: `Allowlist entry ${req.params.id} not found.` });
+        res.json(await allowlistStore.getEntry(updated.id) || updated);
+    } catch (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(409).json({ error: 'That target is already on the allowlist.' });
+        }
+        res.status(500).json({ error: `Failed to update allowlist entry: ${error.message}` });
+    }
+});
+
+app.delete('/allowlist/:id', async (req, res) => {
+    try {
+        const deleted = await allowlistStore.deleteEntry(req.params.id);
+        if (!deleted) return res.status(404).json({ error: `Allowlist entry ${req.params.id} not found.` });
+        console.log(`🤍 Removed ${deleted.target} from the allowlist.`);
+        res.json(deleted);
+    } catch (error) {
+        res.status(500).json({ error: `Failed to delete allowlist entry: ${error.message}` });
+    }
+});
+
+// --- DEFENSE RULE MANAGEMENT ---
+
+// Bulk operations take { ids: [...] }; revoke also accepts { filter: { ip, threat_type, analysis_id } }.
+function parseRuleIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) return null;
+    return ids.every(id => (typeof id === 'number' && Number.isInteger(id)) || (typeof id === 'string' && id.trim() !== '')) ? ids : null;
+}
+
+// List rules, filtered by ip, threat_type, status (active | expired | revoked | all), analysis_id
+// and a free-text search over IP and threat type; sort/order and limit/offset page through them
+app.get('/rules', async (req, res) => {
+    const { filters, errors } = parseRuleFilters(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+    try {
+        const { rules, total } = await listRules(supabase, filters);
+        res.json({ rules, total, limit: filters.limit, offset: filters.offset });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to fetch rules: ${error.message}` });
+    }
+});
+
+
+// Rule counts per status (active / expired / revoked / all)
+app.get('/rules/stats', async (req, res) => {
+    try {
+        res.json(await countRulesByStatus(supabase));
+    } catch (error) {
+        res.status(500).json({ error: `Failed to count rules: ${error.message}` });
+    }
+});
+
+
+// The active block rules as firewall configuration: ?format=iptables|ip6tables|nftables|pf|suricata|plain
+app.get('/rules/export', async (req, res) => {
+    const format = String(req.query.format || 'plain');
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        return res.status(400).json({ error: `"format" must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+    }
+    try {
+        // Lower response levels never drop traffic, and plain firewall configs have no rate limits
+        const rules = (await listActiveRules(supabase)).filter(rule => isBlockingLevel(rule.response_level));
+        const { body, fileName } = exportRules(rules, format);
+        console.log(`📤 Exported ${rules.length} active block rules as ${format}.`);
+        res.set('Content-Type', 'text/plain; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(body);
+    } catch (error) {
+        res.status(500).json({ error: `Failed to export rules: ${error.message}` });
+    }
+});
+
+
+app.get('/rules/:id', async (req, res) => {
+    try {
+        const rule = await getRuleById(supabase, req.params.id);
+        if (!rule) return res.status(404).json({ error: `Rule ${req.params.id} not found.` });
+        res.json(rule);
+    } catch (error) {
+        res.status(500).json({ error: `Failed to fetch rule: ${error.message}` });
+    }
+});
+
+
+// Manually block an IP. Takes the same fields the automatic rule creator writes.
+app.post('/rules', async (req, res) => {
+    const input = { ...req.body };
+    if (input.raw_flow_data === undefined) {
+        input.raw_flow_data = { source: 'manual' };
+    }
+    const { rule, errors } = validateRuleInput(input, { defaultDurationMinutes: RULE_EXPIRATION_MINUTES });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+    try {
+        const existing = await findActiveRuleForTarget(supabase, rule);
+        if (existing) {
+            return res.status(409).json({ error: `An active rule already exists for ${describeRuleScope(rule)}.`, rule: existing });
+        }
+        await ruleLifecycle.sweep(rule);
+        const created = await insertRule(supabase, {
+            ...rule,
+            origin: 'manual',
+            ...geoEnricher.ruleFields(rule.ip_address),
+            level_history: [levelHistoryEntry({ level: rule.response_level, reason: 'manual', threat_type: rule.threat_type })],
+        });
+        console.log(`🛡️ Manual ${created.response_level} rule created for ${created.ip_address}. Threat: ${created.threat_type}.`);
+        ruleLifecycle.created(created);
+        res.status(201).json(created);
+    } catch (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(409).json({ error: `An active rule already exists for ${describeRuleScope(rule)}.` });
+        }
+        res.status(500).json({ error: `Failed to create rule: ${error.message}` });
+    }
+});
+
+
+// Update threat_type, response_level, expiry (expires_at, duration_minutes, or expires_at: null to pin) or is_active on one rule
+app.patch('/rules/:id', async (req, res) => {
+    const { rule: changes, errors } = validateRuleInput(req.body, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'No changes provided.' });
+    }
+    try {
+        // A level set by hand is recorded in the rule's level history
+        if (changes.response_level) {
+            const current = await getRuleById(supabase, req.params.id);
+            if (!current) return res.status(404).json({ error: `Rule ${req.params.id} not found.` });
+            if (current.response_level !== changes.response_level) {
+                changes.level_history = [
+                    ...(current.level_history || []),
+                    levelHistoryEntry({ level: changes.response_level, reason: 'manual', threat_type: current.threat_type }),
+                ];
+            }
+        }
+        const updated = await updateRule(supabase, req.params.id, changes);
+        if (!updated) return res.status(404).json({ error: `Rule ${req.params.id} not found.` });
+        if (changes.is_active === false) ruleLifecycle.revoked(updated);
+        else ruleLifecycle.updated(updated);
+        res.json(updated);
+    } catch (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(409).json({ error: 'Another active rule already exists for this target.' });
+        }
+        res.status(500).json({ error: `Failed to update rule: ${error.message}` });
+    }
+});
+
+
+app.delete('/rules/:id', async (req, res) => {
+    try {
+        const deleted = await deleteRule(supabase, req.params.id);
+        if (!deleted) return res.status(404).json({ error: `Rule ${req.params.id} not found.` });
+        ruleLifecycle.revoked(deleted);
+        res.json({ success: true, rule: deleted });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to delete rule: ${error.message}` });
+    }
+});
+
+
+// Bulk revoke: by ID list, or every active rule matching a filter
+app.post('/rules/bulk/revoke', async (req, res) => {
+    const { ids, filter } = req.body || {};
+    try {
+        if (ids !== undefined) {
+            const ruleIds = parseRuleIds(ids);
+            if (!ruleIds) return res.status(400).json({ error: '"ids" must be a non-empty array of rule IDs.' });
+            const revoked = await revokeRules(supabase, ruleIds);
+            ruleLifecycle.revoked(revoked);
+            return res.json({ revoked_count: revoked.length, rules: revoked });
+        }
+
+        const { filters, errors } = parseRuleFilters(filter || {});
+        if (errors.length > 0) return res.status(400).json({ error: errors.join(' ') });
+        if (!filters.ip && !filters.threat_type && !filters.analysis_id) {
+            return res.status(400).json({ error: 'Provide "ids" or a "filter" with at least one of ip, threat_type or analysis_id.' });
+        }
+        const revoked = await revokeMatchingRules(supabase, filters);
+        ruleLifecycle.revoked(revoked);
+        res.json({ revoked_count: revoked.length, rules: revoked });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to revoke rules: ${error.message}` });
+    }
+});
+
+
+// Bulk extend: push the expiry of each listed rule out by "minutes"
+app.post('/rules/bulk/extend', async (req, res) => {
+    const { ids, minutes } = req.body || {};
+    const ruleIds = parseRuleIds(ids);
+    const extension = Number(minutes);
+    if (!ruleIds) return res.status(400).json({ error: '"ids" must be a non-empty array of rule IDs.' });
+    if (!Number.isFinite(extension) || extension <= 0) {
+        return res.status(400).json({ error: '"minutes" must be a positive number.' });
+    }
+    try {
+        const extended = await extendRules(supabase, ruleIds, extension);
+        extended.forEach(rule => ruleLifecycle.updated(rule));
+        res.json({ extended_count: extended.length, rules: extended });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to extend rules: ${error.message}` });
+    }
+});
+
+
+// --- THREAT INTEL ---
+// Import a blocklist as defense rules: a multipart "file", or a JSON "path" inside INTEL_FEED_DIR.
+// "source" names the feed; see threat-intel.js for the formats and the other options.
+app.post('/intel/import', upload.single('file'), async (req, res) => {
+    const uploadPath = req.file ? req.file.path : null;
+    try {
+        const { path: feedPath, ...input } = req.body || {};
+        const { options: { format, ...options }, errors } = validateIntelImportOptions(input);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' ') });
+        }
+
+        let text;
+        if (uploadPath) {
+            text = await fs.promises.readFile(uploadPath, 'utf8');
+        } else if (feedPath) {
+            if (!INTEL_FEED_DIR) {
+                return res.status(400).json({ error: 'Importing by path is disabled. Set INTEL_FEED_DIR or upload the feed as "file".' });
+            }
+            const resolved = path.resolve(INTEL_FEED_DIR, String(feedPath));
+            if (!resolved.startsWith(INTEL_FEED_DIR + path.sep)) {
+                return res.status(400).json({ error: '"path" must point inside INTEL_FEED_DIR.' });
+            }
+            try {
+                text = await fs.promises.readFile(resolved, 'utf8');
+            } catch (e) {
+                return res.status(404).json({ error: `Cannot read feed ${feedPath}: ${e.code || e.message}` });
+            }
+        } else {
+            return res.status(400).json({ error: 'Provide the feed as a "file" upload or a "path" inside INTEL_FEED_DIR.' });
+        }
+
+        let feed;
+        try {
+            feed = parseIntelFeed(text, format || undefined);
+        } catch (e) {
+            return res.status(400).json({ error: `Failed to read the feed: ${e.message}` });
+        }
+        const allowlisted = (await allowlistStore.listEntries()).flatMap(entry => entry.addresses);
+        const { summary, created, refreshed, promoted, revoked } = await importIntelFeed(supabase, feed, { ...options, allowlisted });
+        created.forEach(rule => ruleLifecycle.created(rule));
+        [...refreshed, ...promoted].forEach(rule => ruleLifecycle.updated(rule));
+        if (revoked.length > 0) ruleLifecycle.revoked(revoked);
+        console.log(`🛰️ Intel feed "${summary.feed_source}" (${summary.format}): ${summary.created} rules created, ${summary.refreshed} refreshed, ${summary.promoted} promoted, ${summary.revoked} revoked.`);
+        res.json(summary);
+    } catch (error) {
+        res.status(500).json({ error: `Failed to import threat intel: ${error.message}` });
+    } finally {
+        if (uploadPath) fs.promises.unlink(uploadPath).catch(err => console.error(`Failed to remove upload ${uploadPath}:`, err.message));
+    }
+});
+
+
+// Active intel rules per feed, and the formats /intel/import reads
+app.get('/intel/feeds', async (req, res) => {
+    try {
+        const feeds = new Map();
+        const nowIso = new Date().toISOString();
+        const intelRules = await fetchAllRows(() => applyStatusFilter(
+            supabase.from('defense_rules').select('id, feed_source, confidence, last_seen_at, created_at').eq('origin', INTEL_ORIGIN).order('id'),
+            'active',
+            nowIso
+        ));
+        intelRules.forEach(rule => {
+            const name = rule.feed_source || 'unnamed feed';
+            const feed = feeds.get(name) || { feed_source: name, active_rules: 0, confidence_total: 0, last_imported_at: null };
+            feed.active_rules++;
+            feed.confidence_total += rule.confidence ?? 0;
+            const importedAt = rule.last_seen_at || rule.created_at;
+            if (importedAt && (!feed.last_imported_at || importedAt > feed.last_imported_at)) feed.last_imported_at = importedAt;
+            feeds.set(name, feed);
+        });
+        res.json({
+            formats: INTEL_FORMATS,
+            path_imports: Boolean(INTEL_FEED_DIR),
+            feeds: [...feeds.values()].map(({ confidence_total, ...feed }) => ({
+                ...feed,
+                average_confidence: Math.round(confidence_total / feed.active_rules),
+            })),
+        });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to list intel feeds: ${error.message}` });
+    }
+});
+
+
+// --- HOSTS ---
+// Investigation of one IP: its flows from ingestion and analysis jobs, prediction timeline,
+// peers, ports, defense rules and reputation profile. ?limit caps flows per table and direction, ?since starts later.
+app.get('/hosts/:ip', async (req, res) => {
+    const { options, errors } = parseHostQuery(req.params.ip, req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+    try {
+        res.json(await investigateHost(supabase, options, { ipProfiles, geoEnricher }));
+    } catch (error) {
+        res.status(500).json({ error: `Failed to investigate host ${options.ip}: ${error.message}` });
+    }
+});
+
+
+// --- INCIDENTS ---
+// List incidents, filtered by status, threat_type, severity, ip (source or target) and since (still active
+// at or after), paged with sort/order and limit/offset
+app.get('/incidents', async (req, res) => {
+    const { filters, errors } = parseIncidentFilters(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+    try {
+        const { incidents, total } = await incidentCorrelator.list(filters);
+        res.json({ incidents, total, limit: filters.limit, offset: filters.offset });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to fetch incidents: ${error.message}` });
+    }
+});
+
+
+// Merge windows and the correlator's working set
+app.get('/incidents/status', (req, res) => {
+    res.json(incidentCorrelator.getStatus());
+});
+
+
+// One incident with its linked flows and rules
+app.get('/incidents/:id', async (req, res) => {
+    try {
+        const incident = await incidentCorrelator.get(req.params.id);
+        if (!incident) return res.status(404).json({ error: `Incident ${req.params.id} not found.` });
+        res.json(incident);
+    } catch (error) {
+        res.status(500).json({ error: `Failed to fetch incident: ${error.message}` });
+    }
+});
+
+
+// Resolve an incident and/or set its notes: { status: 'resolved', notes }
+app.patch('/incidents/:id', async (req, res) => {
+    const { changes, errors } = validateIncidentUpdate(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' ') });
+    }
+    try {
+        const incident = await incidentCorrelator.update(req.params.id, changes);
+        if (!incident) return res.status(404).json({ error: `Incident ${req.params.id} not found.` });
+        console.log(`📝 Incident ${incident.id} updated${changes.status ? ` (${changes.status})` : ''}.`);
+        res.json(incident);
+    } catch (error) {
+        res.status(500).json({ error: `Failed to update incident: ${error.message}` });
+    }
+});
+
+
+// --- GEOIP ---
+// Which GeoIP / ASN databases are loaded
+app.get('/geoip/status', (req, res) => {
+    res.json(geoEnricher.getStatus());
+});
+
+
+// --- ENFORCEMENT ---
+// Connector state: endpoint, deliveries waiting for an ack and the latest outcomes
+app.get('/enforcement', (req, res) => {
+    res.json(enforcement.getStatus());
+});
+
+
+// Push the whole active rule set again (e.g. after the agent restarted with an empty ruleset)
+app.post('/enforcement/resync', async (req, res) => {
+    if (!enforcement.enabled) {
+        return res.status(400).json({ error: 'Enforcement is not configured. Set ENFORCEMENT_URL to the agent endpoint.' });
+    }
+    try {
+        const queued = await enforcement.resync();
+        console.log(`🧱 Enforcement resync queued: ${queued.applied} to apply, ${queued.removed} to remove.`);
+        res.json(queued);
+    } catch (error) {
+        res.status(500).json({ error: `Failed to resync enforcement: ${error.message}` });
+    }
+});
+
+
 // --- START THE SERVER ---
 app.listen(PORT, () => {
     console.log(`✅ Node.js backend listening on port ${PORT}`);
-});
\ No newline at end of file
+    console.log(`📊 Attack tracker store: ${attackTracker.name}`);
+    if (enforcement.enabled) {
+        console.log(`🧱 Enforcement agent: ${enforcement.getStatus().endpoint}`);
+        enforcement.retryUnacknowledged().catch(error => {
+            console.error('🚨 Failed to retry unacknowledged enforcement deliveries:', error.message);
+        });
+    }
+});
+
+// --- NETFLOW / IPFIX COLLECTOR ---
+// Exported flows go through the same prediction and storage path as /ingest/batch.
+if (NETFLOW_PORT) {
+    netflowCollector = startNetflowCollector({
+        port: Number(NETFLOW_PORT),
+        host: NETFLOW_HOST,
+        batchSize: BATCH_SIZE,
+        onBatch: rows => ingestRows(rows, { toModelRow: toModelRowFor(FLOW_FORMATS.NETFLOW) }),
+    });
+}
\ No newline at end of file
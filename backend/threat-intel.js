@@ -0,0 +1,431 @@
+/**
+ * threat-intel.js
+ * Imports threat-intel blocklists as defense rules. Three feed formats are read:
+ *  - STIX 2.1 bundles: indicator objects whose pattern compares ipv4-addr / ipv6-addr values
+ *    (or network-traffic src_ref / dst_ref values) with = or ISSUBSET;
+ *  - MISP-style CSV exports: ip-src, ip-dst, ip-src|port, ip-dst|port and domain|ip attributes,
+ *    honouring to_ids and the misp:confidence-level tag;
+ *  - plain lists: one address or CIDR block per line, with # or ; comments.
+ * Every indicator becomes a whole-address rule with origin 'intel', its feed_source and its
+ * confidence (0-100). Indicators are deduplicated within the feed. A target that already has
+ * an active rule from the same feed has that rule refreshed rather than duplicated; a model or
+ * manual rule below the block levels is promoted to an intel block, and any other active block
+ * is left alone. Expiry comes from the indicator (STIX valid_until) or the
+ * import's lifetime. Indicators that are revoked, already expired, below the minimum confidence,
+ * allowlisted or broader than MIN_PREFIX_LENGTH are skipped and counted.
+ */
+
+const Papa = require('papaparse');
+const { parseCidr, normalizeCidr } = require('./ip-trie');
+const { listActiveRules, isUniqueViolation, revokedColumns, withRuleStatus } = require('./defense-rules');
+const { isBlockingLevel, levelHistoryEntry } = require('./response-levels');
+
+const INTEL_FORMATS = ['stix', 'misp_csv', 'plain'];
+const SKIP_REASONS = ['invalid', 'too_broad', 'revoked', 'expired', 'low_confidence', 'not_for_ids', 'allowlisted', 'already_blocked'];
+const INTEL_ORIGIN = 'intel';
+// Shorter prefixes would block a large part of the internet; such indicators are skipped
+const MIN_PREFIX_LENGTH = { 4: 8, 6: 32 };
+const MAX_THREAT_TYPE_LENGTH = 100;
+const INSERT_CHUNK_SIZE = 500;
+// Revoked ids go into the request URL, which has to stay short
+const REVOKE_CHUNK_SIZE = 100;
+const MAX_FEED_SOURCE_LENGTH = 100;
+const DEFAULT_EXPIRATION_MINUTES = 7 * 24 * 60;
+// misp:confidence-level taxonomy values, as a 0-100 confidence
+const MISP_CONFIDENCE_LEVELS = {
+    'completely-confident': 100,
+    'usually-confident': 75,
+    'fairly-confident': 50,
+    'rarely-confident': 25,
+    unconfident: 0,
+};
+const MISP_IP_TYPES = ['ip-src', 'ip-dst', 'ip-src|port', 'ip-dst|port', 'domain|ip', 'ip'];
+const STIX_ADDRESS_PATTERN = /(?:ipv4-addr|ipv6-addr):value\s*(?:=|ISSUBSET)\s*'([^']+)'|network-traffic:(?:src|dst)_ref\.value\s*(?:=|ISSUBSET)\s*'([^']+)'/g;
+
+
+/**
+ * Validates the options of an import. Values may be strings, as multipart form fields are.
+ * @param {object} input - { source, format, confidence, min_confidence, expires_in_minutes, permanent, revoke_missing }
+ * @returns {{ options: object, errors: Array<string> }} - options.format (null to detect it) is for
+ *   parseIntelFeed, the rest for importIntelFeed.
+ */
+function validateIntelImportOptions(input = {}) {
+    const errors = [];
+    const flag = value => value === true || value === 'true' || value === '1' || value === 'on';
+    const integerIn = (field, min, max, fallback) => {
+        if (input[field] === undefined || input[field] === null || input[field] === '') return fallback;
+        const value = Number(input[field]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push(`"${field}" must be an integer from ${min} to ${max}.`);
+        }
+        return value;
+    };
+
+    const feedSource = typeof input.source === 'string' ? input.source.trim() : '';
+    if (!feedSource || feedSource.length > MAX_FEED_SOURCE_LENGTH) {
+        errors.push(`"source" must name the feed (up to ${MAX_FEED_SOURCE_LENGTH} characters).`);
+    }
+    const format = input.format && input.format !== 'auto' ? String(input.format) : null;
+    if (format && !INTEL_FORMATS.includes(format)) {
+        errors.push(`"format" must be auto or one of ${INTEL_FORMATS.join(', ')}.`);
+    }
+    const defaultConfidence = integerIn('confidence', 0, 100, 50);
+    const minConfidence = integerIn('min_confidence', 0, 100, 0);
+    const expirationMinutes = integerIn('expires_in_minutes', 1, 365 * 24 * 60, DEFAULT_EXPIRATION_MINUTES);
+
+    return {
+        options: {
+            feedSource,
+            format,
+            defaultConfidence,
+            minConfidence,
+            expirationMinutes: flag(input.permanent) ? null : expirationMinutes,
+            revokeMissing: flag(input.revoke_missing),
+        },
+        errors,
+    };
+}
+
+
+/**
+ * Guesses a feed's format from its content.
+ * @returns {string} - One of INTEL_FORMATS.
+ */
+function detectIntelFormat(text) {
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith('{')) return 'stix';
+    const header = trimmed.split(/\r?\n/, 1)[0].toLowerCase().split(',').map(column => column.trim().replace(/^"|"$/g, ''));
+    if (header.includes('type') && header.includes('value')) return 'misp_csv';
+    return 'plain';
+}
+
+const truncate = text => String(text).trim().slice(0, MAX_THREAT_TYPE_LENGTH);
+
+const toConfidence = value => {
+    const number = Number(value);
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(number)
+        ? Math.min(100, Math.max(0, Math.round(number)))
+        : null;
+};
+
+
+function parseStixBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not a valid STIX bundle: ${e.message}`);
+    }
+    const objects = bundle && bundle.type === 'bundle' ? bundle.objects || [] : [bundle];
+    const indicators = [];
+    let invalid = 0;
+
+    objects.filter(object => object && object.type === 'indicator').forEach(indicator => {
+        if (indicator.pattern_type && indicator.pattern_type !== 'stix') return;
+        const addresses = [...String(indicator.pattern || '').matchAll(STIX_ADDRESS_PATTERN)].map(match => match[1] || match[2]);
+        if (addresses.length === 0) {
+            invalid++;
+            return;
+        }
+        const threatType = indicator.name || (indicator.indicator_types || indicator.labels || []).join(', ') || 'Threat intel';
+        addresses.forEach(address => indicators.push({
+            address,
+            threat_type: truncate(threatType),
+            confidence: toConfidence(indicator.confidence),
+            valid_until: indicator.valid_until || null,
+            revoked: indicator.revoked === true,
+            indicator_id: indicator.id || null,
+        }));
+    });
+    return { indicators, invalid };
+}
+
+
+function parseMispCsv(text) {
+    const { data } = Papa.parse(text, { header: true, skipEmptyLines: true, transformHeader: header => header.trim().toLowerCase() });
+    const indicators = [];
+    let invalid = 0;
+
+    data.forEach(row => {
+        const type = String(row.type || '').trim();
+        if (!MISP_IP_TYPES.includes(type)) return;
+        const parts = String(row.value || '').split('|');
+        const address = type === 'domain|ip' ? parts[1] : parts[0];
+        if (!address) {
+            invalid++;
+            return;
+        }
+        const tag = /misp:confidence-level="([\w-]+)"/.exec(row.attribute_tag || row.tags || '');
+        const confidence = toConfidence(row.confidence) ?? (tag ? MISP_CONFIDENCE_LEVELS[tag[1]] ?? null : null);
+        indicators.push({
+            address,
+            threat_type: truncate(row.event_info || row.comment || row.category || 'Threat intel'),
+            confidence,
+            valid_until: null,
+            revoked: false,
+            not_for_ids: row.to_ids !== undefined && ['0', 'false', 'False'].includes(String(row.to_ids).trim()),
+            indicator_id: row.uuid || null,
+        });
+    });
+    return { indicators, invalid };
+}
+
+
+function parsePlainList(text) {
+    const indicators = [];
+    text.split(/\r?\n/).forEach(line => {
+        const address = line.replace(/[#;].*$/, '').trim().split(/[\s,]+/)[0];
+        if (address) {
+            indicators.push({ address, threat_type: null, confidence: null, valid_until: null, revoked: false, indicator_id: null });
+        }
+    });
+    return { indicators, invalid: 0 };
+}
+
+
+/**
+ * Reads a feed into indicators.
+ * @param {string} text - The feed's content.
+ * @param {string} [format] - One of INTEL_FORMATS; detected from the content when missing.
+ * @returns {{ format: string, indicators: Array<object>, invalid: number }} - Each indicator has address,
+ *   threat_type, confidence, valid_until, revoked and indicator_id (null when the feed has none).
+ */
+function parseIntelFeed(text, format = detectIntelFormat(text)) {
+    const parsers = { stix: parseStixBundle, misp_csv: parseMispCsv, plain: parsePlainList };
+    if (!parsers[format]) throw new Error(`"format" must be one of ${INTEL_FORMATS.join(', ')}.`);
+    return { format, ...parsers[format](text) };
+}
+
+
+// True when two parsed CIDR blocks share any address, i.e. the wider one contains the other's network
+function cidrsOverlap(a, b) {
+    if (a.version !== b.version) return false;
+    const prefixLength = Math.min(a.prefixLength, b.prefixLength);
+    for (let bit = 0; bit < prefixLength; bit++) {
+        const mask = 0x80 >> (bit % 8);
+        if ((a.bytes[bit >> 3] & mask) !== (b.bytes[bit >> 3] & mask)) return false;
+    }
+    return true;
+}
+
+const isWholeTargetRule = rule => (rule.direction || 'both') === 'both'
+    && (rule.protocol === null || rule.protocol === undefined)
+    && (rule.dst_port_min === null || rule.dst_port_min === undefined);
+
+
+/**
+ * Decides what to do with each indicator, without touching the database.
+ * @param {Array<object>} indicators - From parseIntelFeed.
+ * @param {object} options
+ * @param {string} options.feedSource - The feed's name, stored as feed_source.
+ * @param {number} [options.defaultConfidence=50] - For indicators without one.
+ * @param {number} [options.minConfidence=0] - Indicators below it are skipped.
+ * @param {number|null} [options.expirationMinutes] - Lifetime for indicators without valid_until; null means permanent.
+ * @param {Array<string>} [options.allowlisted] - Allowlisted addresses and CIDR blocks.
+ * @param {Array<object>} [options.activeRules] - Active defense rules.
+ * @param {number} [options.now=Date.now()]
+ * @returns {{ inserts: Array<object>, refreshes: Array<object>, promotions: Array<object>, skipped: object }} -
+ *   inserts are new defense_rules rows; refreshes ({ rule, changes }) update this feed's existing
+ *   rules and promotions ({ rule, changes }) raise other non-blocking rules to an intel block.
+ */
+function planIntelImport(indicators, {
+    feedSource,
+    defaultConfidence = 50,
+    minConfidence = 0,
+    expirationMinutes = null,
+    allowlisted = [],
+    activeRules = [],
+    now = Date.now(),
+}) {
+    const skipped = Object.fromEntries(SKIP_REASONS.map(reason => [reason, 0]));
+    const allowlistedBlocks = allowlisted.map(target => parseCidr(String(target))).filter(Boolean);
+    const activeByTarget = new Map(activeRules.filter(isWholeTargetRule).map(rule => [rule.ip_address, rule]));
+
+    // Dedup within the feed: one indicator per target, keeping the most confident and longest lived
+    const byTarget = new Map();
+    for (const indicator of indicators) {
+        const parsed = parseCidr(String(indicator.address));
+        if (!parsed) {
+            skipped.invalid++;
+            continue;
+        }
+        if (parsed.prefixLength < MIN_PREFIX_LENGTH[parsed.version]) {
+            skipped.too_broad++;
+            continue;
+        }
+        const target = normalizeCidr(String(indicator.address));
+        const candidate = { ...indicator, target, parsed, confidence: indicator.confidence ?? defaultConfidence };
+        const current = byTarget.get(target);
+        const lastsLonger = (a, b) => (a.valid_until ? new Date(a.valid_until).getTime() : Infinity) > (b.valid_until ? new Date(b.valid_until).getTime() : Infinity);
+        if (!current || candidate.confidence > current.confidence || (candidate.confidence === current.confidence && lastsLonger(candidate, current))) {
+            byTarget.set(target, candidate);
+        }
+    }
+
+    const inserts = [];
+    const refreshes = [];
+    const promotions = [];
+    for (const indicator of byTarget.values()) {
+        const validUntil = indicator.valid_until ? new Date(indicator.valid_until).getTime() : NaN;
+        if (indicator.revoked) {
+            skipped.revoked++;
+        } else if (validUntil <= now) {
+            skipped.expired++;
+        } else if (indicator.not_for_ids) {
+            skipped.not_for_ids++;
+        } else if (indicator.confidence < minConfidence) {
+            skipped.low_confidence++;
+        } else if (allowlistedBlocks.some(block => cidrsOverlap(block, indicator.parsed))) {
+            skipped.allowlisted++;
+        } else {
+            const expiresAt = !Number.isNaN(validUntil)
+                ? new Date(validUntil).toISOString()
+                : expirationMinutes ? new Date(now + expirationMinutes * 60 * 1000).toISOString() : null;
+            const threatType = indicator.threat_type || `Threat intel: ${feedSource}`.slice(0, MAX_THREAT_TYPE_LENGTH);
+            const level = expiresAt === null ? 'permanent_block' : 'temporary_block';
+            const intel = {
+                origin: INTEL_ORIGIN,
+                feed_source: feedSource,
+                confidence: indicator.confidence,
+                indicator_id: indicator.indicator_id,
+                last_seen_at: new Date(now).toISOString(),
+            };
+            const historyEntry = levelHistoryEntry({ level, reason: INTEL_ORIGIN, threat_type: threatType });
+            const existing = activeByTarget.get(indicator.target);
+            if (existing && existing.origin === INTEL_ORIGIN && existing.feed_source === feedSource) {
+                refreshes.push({ rule: existing, changes: { ...intel, expires_at: expiresAt, threat_type: threatType } });
+            } else if (existing && !isBlockingLevel(existing.response_level)) {
+                promotions.push({
+                    rule: existing,
+                    changes: {
+                        ...intel,
+                        expires_at: expiresAt,
+                        threat_type: threatType,
+                        response_level: level,
+                        level_history: [...(existing.level_history || []), historyEntry],
+                    },
+                });
+            } else if (existing) {
+                skipped.already_blocked++;
+            } else {
+                inserts.push({
+                    ip_address: indicator.target,
+                    direction: 'both',
+                    protocol: null,
+                    dst_port_min: null,
+                    dst_port_max: null,
+                    threat_type: threatType,
+                    expires_at: expiresAt,
+                    is_active: true,
+                    analysis_id: null,
+                    response_level: level,
+                    level_history: [historyEntry],
+                    ...intel,
+                    raw_flow_data: { source: INTEL_ORIGIN, feed: feedSource },
+                });
+            }
+        }
+    }
+    return { inserts, refreshes, promotions, skipped };
+}
+
+
+// Inserts rows in chunks; a chunk that hits an existing active rule is retried row by row
+async function insertIntelRules(supabase, rows) {
+    const created = [];
+    let duplicates = 0;
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+        const chunk = rows.slice(i, i + INSERT_CHUNK_SIZE);
+        const { data, error } = await supabase.from('defense_rules').insert(chunk).select();
+        if (!error) {
+            created.push(...(data || []));
+            continue;
+        }
+        if (!isUniqueViolation(error)) throw error;
+        for (const row of chunk) {
+            const { data: single, error: singleError } = await supabase.from('defense_rules').insert([row]).select();
+            if (isUniqueViolation(singleError)) {
+                duplicates++;
+                continue;
+            }
+            if (singleError) throw singleError;
+            created.push(...(single || []));
+        }
+    }
+    return { created: created.map(rule => withRuleStatus(rule)), duplicates };
+}
+
+
+/**
+ * Imports one parsed feed.
+ * @param {object} supabase
+ * @param {object} feed - From parseIntelFeed.
+ * @param {object} options - The planIntelImport options (feedSource, defaultConfidence, minConfidence,
+ *   expirationMinutes, allowlisted) and revokeMissing: revoke this feed's active rules for targets
+ *   the feed no longer lists (for feeds that are full snapshots).
+ * @returns {Promise<{ summary: object, created: Array<object>, refreshed: Array<object>, promoted: Array<object>, revoked: Array<object> }>}
+ */
+async function importIntelFeed(supabase, { format, indicators, invalid }, { revokeMissing = false, ...options }) {
+    // Every active rule, read in pages: one missed here is re-inserted as a duplicate or, with revokeMissing, never revoked
+    const activeRules = await listActiveRules(supabase);
+    const { inserts, refreshes, promotions, skipped } = planIntelImport(indicators, { ...options, activeRules });
+    skipped.invalid += invalid;
+
+    const { created, duplicates } = await insertIntelRules(supabase, inserts);
+    skipped.already_blocked += duplicates;
+
+    const updateRules = async updates => {
+        const updated = [];
+        for (const { rule, changes } of updates) {
+            const { data, error } = await supabase.from('defense_rules').update(changes).eq('id', rule.id).eq('is_active', true).select();
+            if (error) throw error;
+            if (data && data.length > 0) updated.push(withRuleStatus(data[0]));
+        }
+        return updated;
+    };
+    const refreshed = await updateRules(refreshes);
+    const promoted = await updateRules(promotions);
+
+    const revoked = [];
+    if (revokeMissing) {
+        const listed = new Set([...inserts, ...refreshes.map(({ rule }) => rule), ...promotions.map(({ rule }) => rule)].map(rule => rule.ip_address));
+        const stale = activeRules.filter(rule => rule.origin === INTEL_ORIGIN && rule.feed_source === options.feedSource && !listed.has(rule.ip_address));
+        for (let i = 0; i < stale.length; i += REVOKE_CHUNK_SIZE) {
+            const { data, error } = await supabase
+                .from('defense_rules')
+                .update(revokedColumns())
+                .in('id', stale.slice(i, i + REVOKE_CHUNK_SIZE).map(rule => rule.id))
+                .eq('is_active', true)
+                .select();
+            if (error) throw error;
+            revoked.push(...(data || []).map(rule => withRuleStatus(rule)));
+        }
+    }
+
+    return {
+        summary: {
+            feed_source: options.feedSource,
+            format,
+            indicators: indicators.length + invalid,
+            created: created.length,
+            refreshed: refreshed.length,
+            promoted: promoted.length,
+            revoked: revoked.length,
+            skipped,
+        },
+        created,
+        refreshed,
+        promoted,
+        revoked,
+    };
+}
+
+module.exports = {
+    INTEL_FORMATS,
+    INTEL_ORIGIN,
+    validateIntelImportOptions,
+    detectIntelFormat,
+    parseIntelFeed,
+    planIntelImport,
+    importIntelFeed,
+};
@@ -0,0 +1,109 @@
+/**
+ * threshold-simulation.js
+ * What-if runs of the rule-creation thresholds against a past job. Each candidate setting is a
+ * dry-run replay (rule-replay.js) with no stored rules involved, so settings can be compared on
+ * the job's own traffic without writing to defense_rules.
+ */
+
+const { replayRules } = require('./rule-replay');
+
+const MAX_SETTINGS = 10;
+const MAX_BENIGN_IPS_REPORTED = 10;
+// Bounds keep a typo (e.g. a window in microseconds) from producing a meaningless run
+const LIMITS = {
+    threshold_count: { min: 1, max: 100000, integer: true },
+    window_ms: { min: 1, max: 24 * 60 * 60 * 1000, integer: true },
+    rule_expiration_minutes: { min: 1, max: 365 * 24 * 60, integer: false },
+};
+
+
+/**
+ * Validates the candidate threshold sets.
+ * @param {Array<object>} settings - [{ label?, threshold_count, window_ms, rule_expiration_minutes }]
+ * @returns {{ settings: Array<object>, errors: Array<string> }}
+ */
+function validateThresholdSettings(settings) {
+    if (!Array.isArray(settings) || settings.length === 0) {
+        return { settings: [], errors: ['"settings" must be a non-empty array of threshold sets.'] };
+    }
+    if (settings.length > MAX_SETTINGS) {
+        return { settings: [], errors: [`At most ${MAX_SETTINGS} threshold sets can be simulated at once.`] };
+    }
+
+    const errors = [];
+    const validated = settings.map((setting, index) => {
+        const path = `settings[${index}]`;
+        if (!setting || typeof setting !== 'object' || Array.isArray(setting)) {
+            errors.push(`${path} must be an object.`);
+            return null;
+        }
+        const result = {
+            label: typeof setting.label === 'string' && setting.label.trim() ? setting.label.trim().slice(0, 100) : `Setting ${index + 1}`,
+        };
+        for (const [field, { min, max, integer }] of Object.entries(LIMITS)) {
+            const value = Number(setting[field]);
+            if (setting[field] === undefined || setting[field] === null || setting[field] === '' || !Number.isFinite(value)) {
+                errors.push(`${path}.${field} must be a number.`);
+            } else if (value < min || value > max || (integer && !Number.isInteger(value))) {
+                errors.push(`${path}.${field} must be ${integer ? 'an integer ' : ''}between ${min} and ${max}.`);
+            } else {
+                result[field] = value;
+            }
+        }
+        return result;
+    });
+
+    return { settings: errors.length > 0 ? [] : validated, errors };
+}
+
+
+/**
+ * Runs each threshold set over the job's flows.
+ * @param {Array<object>} flows - analysis_results rows of one job.
+ * @param {Array<object>} settings - Output of validateThresholdSettings.
+ * @param {object} [options]
+ * @param {function(object): boolean} [options.isAllowlisted] - Flows that may never be blocked (see allowlist.js).
+ * @returns {Array<object>} - One comparison row per setting.
+ */
+function simulateThresholds(flows, settings, { isAllowlisted } = {}) {
+    return settings.map(setting => {
+        // One candidate applies to every label, as a temporary block
+        const policy = {
+            threshold_count: setting.threshold_count,
+            window_ms: setting.window_ms,
+            rule_expiration_minutes: setting.rule_expiration_minutes,
+            action: 'temporary_block',
+        };
+        const { rules, summary } = replayRules(flows, { policyFor: () => policy, isAllowlisted });
+
+        // An IP whose rule also caught benign flows is a likely false positive of these thresholds
+        const benignByIp = {};
+        rules.forEach(rule => {
+            if (rule.benign_affected > 0) {
+                benignByIp[rule.ip_address] = (benignByIp[rule.ip_address] || 0) + rule.benign_affected;
+            }
+        });
+        const benignIps = Object.entries(benignByIp)
+            .map(([ip_address, benign_flows]) => ({ ip_address, benign_flows }))
+            .sort((a, b) => b.benign_flows - a.benign_flows);
+
+        return {
+            ...setting,
+            rules_created: summary.rules_created,
+            malicious_flows: summary.malicious_flows,
+            flows_blocked: summary.blocked,
+            flows_missed: summary.missed,
+            block_rate: summary.malicious_flows > 0 ? Number(((summary.blocked / summary.malicious_flows) * 100).toFixed(1)) : 0,
+            benign_ips_caught: benignIps.length,
+            benign_flows_caught: benignIps.reduce((sum, ip) => sum + ip.benign_flows, 0),
+            top_benign_ips: benignIps.slice(0, MAX_BENIGN_IPS_REPORTED),
+            flows_suppressed: summary.suppressed_by_allowlist,
+            untimed_flows: summary.untimed_flows,
+        };
+    });
+}
+
+module.exports = {
+    validateThresholdSettings,
+    simulateThresholds,
+};
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * agent.js
+ * Reference enforcement agent. Receives the backend's rule webhook (see backend/enforcement.js)
+ * and applies each rule on this host with nftables, in its own table (inet threat_agent):
+ *  - a single address blocked in both directions with no protocol or port becomes an element
+ *    of the blocked_v4 / blocked_v6 sets, with an nftables timeout when the rule expires;
+ *  - anything else (CIDR blocks, one direction, protocol or port scope) becomes chain rules
+ *    tagged with the rule id, removed by the agent itself when the rule expires;
+ *  - rate_limit level rules are always chain rules that drop traffic above RATE_LIMIT.
+ * Every delivery is acked with its delivery_id. With DRY_RUN=1 the nft commands are only
+ * logged, which makes the agent a local stub for testing the backend without root.
+ * Uses only the Node.js standard library: node agent.js
+ */
+
+const http = require('http');
+const net = require('net');
+const { execFile } = require('child_process');
+
+// --- CONFIGURATION ---
+const PORT = Number(process.env.AGENT_PORT) || 9300;
+const HOST = process.env.AGENT_HOST || '127.0.0.1';
+const TOKEN = process.env.AGENT_TOKEN || ''; // Must match the backend's ENFORCEMENT_TOKEN when set
+const TABLE = process.env.NFT_TABLE || 'threat_agent';
+const NFT_BIN = process.env.NFT_BIN || 'nft';
+const DRY_RUN = process.env.DRY_RUN === '1';
+const RATE_LIMIT = process.env.RATE_LIMIT || '50/second'; // Packets let through for rate_limit rules
+const EXPIRY_SWEEP_INTERVAL_MS = 30 * 1000;
+const MAX_BODY_BYTES = 64 * 1024;
+const PROTOCOL_NAMES = { 1: 'icmp', 6: 'tcp', 17: 'udp', 58: 'ipv6-icmp', 132: 'sctp' };
+// observe and alert rules are never applied, but a rule that dropped to them is removed
+const RESPONSE_LEVELS = ['observe', 'alert', 'rate_limit', 'temporary_block', 'permanent_block'];
+const APPLIED_LEVELS = ['rate_limit', 'temporary_block', 'permanent_block'];
+
+// What has been applied, by rule id: { rule, element } for set elements, { rule, handles } for chain rules
+const applied = new Map();
+let dryRunHandle = 0;
+
+
+// --- NFTABLES ---
+function nft(args, input) {
+    if (DRY_RUN) {
+        console.log(`[dry-run] ${NFT_BIN} ${args.join(' ')}${input ? `\n${input}` : ''}`);
+        return Promise.resolve(args.includes('--handle') ? `# handle ${++dryRunHandle}` : '');
+    }
+    return new Promise((resolve, reject) => {
+        const child = execFile(NFT_BIN, args, (error, stdout, stderr) => {
+            if (error) return reject(new Error((stderr || error.message).trim()));
+            resolve(stdout);
+        });
+        if (input) child.stdin.end(input);
+    });
+}
+
+// Recreates the table empty: the backend re-sends the active rule set through /enforcement/resync
+function setupTable() {
+    const chain = (hook, matches) => `
+    chain ${hook} {
+        type filter hook ${hook} priority -10; policy accept;
+        ${matches.join('\n        ')}
+    }`;
+    const script = `table inet ${TABLE}
+delete table inet ${TABLE}
+table inet ${TABLE} {
+    set blocked_v4 { type ipv4_addr; flags timeout; }
+    set blocked_v6 { type ipv6_addr; flags timeout; }
+${chain('input', ['ip saddr @blocked_v4 drop', 'ip6 saddr @blocked_v6 drop'])}
+${chain('forward', ['ip saddr @blocked_v4 drop', 'ip daddr @blocked_v4 drop', 'ip6 saddr @blocked_v6 drop', 'ip6 daddr @blocked_v6 drop'])}
+${chain('output', ['ip daddr @blocked_v4 drop', 'ip6 daddr @blocked_v6 drop'])}
+}
+`;
+    return nft(['-f', '-'], script);
+}
+
+// A missing element or rule is already gone, which is what a removal wants
+const isMissing = error => /No such file or directory|does not exist/i.test(error.message);
+
+
+// --- RULES ---
+/**
+ * Checks a webhook rule; every value ends up in an nft command, so nothing unchecked gets through.
+ * @returns {string|null} - The problem, or null when the rule is usable.
+ */
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object') return '"rule" must be an object.';
+    if (rule.id === undefined || rule.id === null || !/^[\w-]{1,64}$/.test(String(rule.id))) return '"rule.id" is missing or invalid.';
+    const [address, prefix, extra] = String(rule.ip_address || '').split('/');
+    const version = net.isIP(address);
+    if (!version || extra !== undefined || (prefix !== undefined && !(/^\d{1,3}$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128)))) {
+        return `"rule.ip_address" must be an address or CIDR block (got "${rule.ip_address}").`;
+    }
+    if (!['both', 'src', 'dst'].includes(rule.direction || 'both')) return '"rule.direction" must be both, src or dst.';
+    if (rule.protocol !== null && rule.protocol !== undefined && !(Number.isInteger(rule.protocol) && rule.protocol >= 0 && rule.protocol <= 255)) {
+        return '"rule.protocol" must be a protocol number.';
+    }
+    for (const field of ['dst_port_min', 'dst_port_max']) {
+        const port = rule[field];
+        if (port !== null && port !== undefined && !(Number.isInteger(port) && port >= 0 && port <= 65535)) return `"rule.${field}" must be a port number.`;
+    }
+    if (rule.expires_at && Number.isNaN(Date.parse(rule.expires_at))) return '"rule.expires_at" must be a timestamp.';
+    if (!RESPONSE_LEVELS.includes(rule.response_level || 'temporary_block')) return `"rule.response_level" must be one of ${RESPONSE_LEVELS.join(', ')}.`;
+    return null;
+}
+
+const isV6 = rule => rule.ip_address.includes(':');
+const expiresAtMs = rule => (rule.expires_at ? Date.parse(rule.expires_at) : Infinity);
+const isRateLimit = rule => rule.response_level === 'rate_limit';
+const isSetElement = rule => !isRateLimit(rule) && !rule.ip_address.includes('/') && (rule.direction || 'both') === 'both'
+    && (rule.protocol === null || rule.protocol === undefined) && (rule.dst_port_min === null || rule.dst_port_min === undefined);
+
+// The nft match for one side of the flow, e.g. "ip saddr 10.0.0.0/8 meta l4proto tcp th dport 22"
+function matchFor(rule, side) {
+    const parts = [`${isV6(rule) ? 'ip6' : 'ip'} ${side === 'src' ? 'saddr' : 'daddr'} ${rule.ip_address}`];
+    const hasPorts = rule.dst_port_min !== null && rule.dst_port_min !== undefined;
+    if (rule.protocol !== null && rule.protocol !== undefined) {
+        parts.push(`meta l4proto ${PROTOCOL_NAMES[rule.protocol] || rule.protocol}`);
+    } else if (hasPorts) {
+        parts.push('meta l4proto { tcp, udp, sctp }');
+    }
+    if (hasPorts) {
+        const max = rule.dst_port_max ?? rule.dst_port_min;
+        parts.push(`th dport ${max === rule.dst_port_min ? rule.dst_port_min : `${rule.dst_port_min}-${max}`}`);
+    }
+    return parts.join(' ');
+}
+
+async function addRule(rule) {
+    if (isSetElement(rule)) {
+        const set = isV6(rule) ? 'blocked_v6' : 'blocked_v4';
+        const seconds = Math.ceil((expiresAtMs(rule) - Date.now()) / 1000);
+        const timeout = Number.isFinite(seconds) ? ` timeout ${seconds}s` : '';
+        await nft([`add element inet ${TABLE} ${set} { ${rule.ip_address}${timeout} }`]);
+        return { rule, element: { set, address: rule.ip_address } };
+    }
+
+    const direction = rule.direction || 'both';
+    const sides = direction === 'both' ? ['src', 'dst'] : [direction];
+    const verdict = isRateLimit(rule) ? `limit rate over ${RATE_LIMIT} drop` : 'drop';
+    const handles = [];
+    for (const side of sides) {
+        for (const chain of side === 'src' ? ['input', 'forward'] : ['output', 'forward']) {
+            const output = await nft(['--echo', '--handle', `add rule inet ${TABLE} ${chain} ${matchFor(rule, side)} ${verdict} comment "rule ${rule.id}"`]);
+            const handle = /# handle (\d+)/.exec(output);
+            if (handle) handles.push({ chain, handle: handle[1] });
+        }
+    }
+    return { rule, handles };
+}
+
+async function removeApplied(entry) {
+    const commands = entry.element
+        ? [`delete element inet ${TABLE} ${entry.element.set} { ${entry.element.address} }`]
+        : entry.handles.map(({ chain, handle }) => `delete rule inet ${TABLE} ${chain} handle ${handle}`);
+    for (const command of commands) {
+        await nft([command]).catch(error => {
+            if (!isMissing(error)) throw error;
+        });
+    }
+}
+
+async function removeRule(ruleId) {
+    const entry = applied.get(String(ruleId));
+    if (!entry) return;
+    await removeApplied(entry);
+    applied.delete(String(ruleId));
+}
+
+/**
+ * Applies or removes one rule. Applying a rule id that is already in place replaces it, so a
+ * redelivery or an edited rule never leaves a stale copy behind.
+ * @returns {Promise<'applied'|'removed'>}
+ */
+async function handleDelivery(action, rule) {
+    await removeRule(rule.id);
+    if (action === 'remove' || expiresAtMs(rule) <= Date.now()) return 'removed';
+    applied.set(String(rule.id), await addRule(rule));
+    return 'applied';
+}
+
+// nft calls run one at a time, in the order deliveries arrive
+let queue = Promise.resolve();
+const serialized = task => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+};
+
+// Set elements expire inside nftables; chain rules are removed here
+function sweepExpired() {
+    const now = Date.now();
+    for (const [ruleId, entry] of applied) {
+        if (expiresAtMs(entry.rule) > now) continue;
+        serialized(() => removeRule(ruleId))
+            .then(() => console.log(`⌛ Rule ${ruleId} (${entry.rule.ip_address}) expired and was removed.`))
+            .catch(error => console.error(`🚨 Failed to remove expired rule ${ruleId}:`, error.message));
+    }
+}
+
+
+// --- HTTP ---
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large.'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'GET' && req.url === '/health') {
+        return sendJson(res, 200, {
+            status: 'ok',
+            dry_run: DRY_RUN,
+            table: TABLE,
+            rules: [...applied.values()].map(({ rule }) => rule),
+        });
+    }
+    if (req.method !== 'POST' || req.url !== '/enforce') {
+        return sendJson(res, 404, { error: 'Not found. Deliveries go to POST /enforce.' });
+    }
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        return sendJson(res, 401, { error: 'Missing or wrong bearer token.' });
+    }
+
+    let delivery;
+    try {
+        delivery = JSON.parse(await readBody(req));
+    } catch (e) {
+        return sendJson(res, 400, { error: `Invalid delivery: ${e.message}` });
+    }
+    const { delivery_id: deliveryId, action, rule } = delivery || {};
+    const problem = !deliveryId ? '"delivery_id" is required.'
+        : !['apply', 'remove'].includes(action) ? '"action" must be apply or remove.'
+        : validateRule(rule)
+        || (action === 'apply' && !APPLIED_LEVELS.includes(rule.response_level || 'temporary_block')
+            ? `Only ${APPLIED_LEVELS.join(', ')} rules can be applied.` : null);
+    if (problem) {
+        return sendJson(res, 400, { delivery_id: deliveryId, status: 'error', error: problem });
+    }
+
+    try {
+        const status = await serialized(() => handleDelivery(action, rule));
+        console.log(`🧱 ${action} rule ${rule.id} (${rule.ip_address}): ${status}.`);
+        sendJson(res, 200, { delivery_id: deliveryId, rule_id: rule.id, status });
+    } catch (error) {
+        console.error(`🚨 Failed to ${action} rule ${rule.id}:`, error.message);
+        sendJson(res, 500, { delivery_id: deliveryId, rule_id: rule.id, status: 'error', error: error.message });
+    }
+});
+
+
+// --- START ---
+setupTable()
+    .then(() => {
+        setInterval(sweepExpired, EXPIRY_SWEEP_INTERVAL_MS);
+        server.listen(PORT, HOST, () => {
+            console.log(`✅ Enforcement agent listening on ${HOST}:${PORT}${DRY_RUN ? ' (dry run, nft commands are only logged)' : ''}`);
+            console.log(`🧱 nftables table inet ${TABLE} is ready. Run POST /enforcement/resync on the backend to load the active rules.`);
+        });
+    })
+    .catch(error => {
+        console.error(`🚨 Could not set up nftables table inet ${TABLE}:`, error.message);
+        process.exit(1);
+    });
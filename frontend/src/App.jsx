@@ -11,6 +11,9 @@ import Settings from "./components/Settings";
 import { BounceLoader } from "react-spinners";
 import './App.css';
 import ReanalyzeDashboard from "./components/ReanalyzeDashboard";
+import DefenseRules from "./components/DefenseRules";
+import HostInvestigation from "./components/HostInvestigation";
+import Incidents from "./components/Incidents";
 
 // const API_BASE_URL = 'http://10.140.251.181:8000';
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
@@ -31,6 +34,13 @@ function App() {
   const [minDate, setMinDate] = useState(null);
   const [maxDate, setMaxDate] = useState(null);
 
+  // IP shown in the Host Investigation tab; clicking an IP anywhere opens it there
+  const [investigatedIp, setInvestigatedIp] = useState('');
+  const handleInvestigate = (ip) => {
+    setInvestigatedIp(ip);
+    setSelectedTab("9");
+  };
+
   // This single function now handles ALL data fetching.
   const fetchDataForRange = async (start, end) => {
     // Only show loading indicator for data-dependent tabs on initial load
@@ -86,14 +96,17 @@ function App() {
     // 1. Define the components first (independent of loading/error state)
     const tabComponents = {
       "0": <Dashboard data={analysisData?.dashboardData || {}} />,
-      "1": <TrafficAnalysis data={analysisData?.trafficData || {}} />,
+      "1": <TrafficAnalysis data={analysisData?.trafficData || {}} onInvestigate={handleInvestigate} />,
       "2": <BehaviourAnalysis data={analysisData?.behaviourData || {}} />,
       "3": <PacketAnalysis data={analysisData?.packetData || {}}/>,
       // ⭐ These tabs are INDEPENDENT of the main report data and should always load
       "4": <CSVAnalysis />, 
       "5": <ApiAnalysis />,
       "6": <ReanalyzeDashboard />,
-      "7": <Settings /> 
+      "7": <Settings />,
+      "8": <DefenseRules />,
+      "9": <HostInvestigation key={investigatedIp} ip={investigatedIp} onInvestigate={handleInvestigate} />,
+      "10": <Incidents onInvestigate={handleInvestigate} />
     };
     
     // 2. Render the selected component
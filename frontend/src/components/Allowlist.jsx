@@ -0,0 +1,172 @@
+// src/components/Allowlist.jsx
+
+import { useState, useEffect } from 'react';
+import { Table, Form, Button, Badge, Alert, Spinner, Row, Col } from 'react-bootstrap';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+const EMPTY_ENTRY = { target: '', note: '', owner: '' };
+
+// Sends a JSON request and throws the backend's { error } message on failure
+const requestJson = async (path, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data;
+};
+
+export default function Allowlist() {
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(EMPTY_ENTRY);
+  const [editingId, setEditingId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState({ type: 'idle', message: '' });
+
+  const loadEntries = async () => {
+    const data = await requestJson('/allowlist');
+    setEntries(data.entries || []);
+  };
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        const data = await requestJson('/allowlist');
+        setEntries(data.entries || []);
+      } catch (e) {
+        setStatus({ type: 'error', message: `Could not load the allowlist: ${e.message}` });
+      }
+      setIsLoading(false);
+    };
+    fetchEntries();
+  }, []);
+
+  const resetForm = () => {
+    setForm(EMPTY_ENTRY);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async event => {
+    event.preventDefault();
+    setIsSaving(true);
+    try {
+      const saved = await requestJson(editingId ? `/allowlist/${editingId}` : '/allowlist', {
+        method: editingId ? 'PATCH' : 'POST',
+        body: JSON.stringify(form),
+      });
+      await loadEntries();
+      setStatus({ type: 'success', message: `${saved.target} ${editingId ? 'updated' : 'will never be blocked'}.` });
+      resetForm();
+    } catch (e) {
+      setStatus({ type: 'error', message: e.message });
+    }
+    setIsSaving(false);
+  };
+
+  const handleEdit = entry => {
+    setEditingId(entry.id);
+    setForm({ target: entry.target, note: entry.note || '', owner: entry.owner || '' });
+  };
+
+  const handleDelete = async entry => {
+    if (!window.confirm(`Remove ${entry.target} from the allowlist? It can then be blocked again.`)) return;
+    try {
+      await requestJson(`/allowlist/${entry.id}`, { method: 'DELETE' });
+      if (editingId === entry.id) resetForm();
+      await loadEntries();
+      setStatus({ type: 'success', message: `${entry.target} removed from the allowlist.` });
+    } catch (e) {
+      setStatus({ type: 'error', message: e.message });
+    }
+  };
+
+  return (
+    <div className="settings-panel mt-4">
+      <h2 className="text-white mb-2">Allowlist</h2>
+      <p className="text-secondary mb-4">
+        Gateways, DNS resolvers, scanners and other assets that must never be blocked. Detections for these
+        addresses are not counted towards defense rules, and re-analysis never blocks their flows.
+      </p>
+
+      {status.type !== 'idle' && (
+        <Alert variant={status.type === 'error' ? 'danger' : 'success'} dismissible onClose={() => setStatus({ type: 'idle', message: '' })}>
+          {status.message}
+        </Alert>
+      )}
+
+      <Form onSubmit={handleSubmit} className="mb-4">
+        <Row className="g-2 align-items-end">
+          <Form.Group as={Col} md={4}>
+            <Form.Label>IP, CIDR or Hostname</Form.Label>
+            <Form.Control
+              required
+              placeholder="e.g. 10.0.0.1, 10.0.0.0/24 or dns1.corp.local"
+              value={form.target}
+              onChange={e => setForm({ ...form, target: e.target.value })}
+            />
+          </Form.Group>
+          <Form.Group as={Col} md={3}>
+            <Form.Label>Note</Form.Label>
+            <Form.Control maxLength={500} value={form.note} onChange={e => setForm({ ...form, note: e.target.value })} />
+          </Form.Group>
+          <Form.Group as={Col} md={3}>
+            <Form.Label>Owner</Form.Label>
+            <Form.Control maxLength={500} value={form.owner} onChange={e => setForm({ ...form, owner: e.target.value })} />
+          </Form.Group>
+          <Col md={2} className="d-flex gap-2">
+            <Button type="submit" variant="primary" disabled={isSaving}>
+              {editingId ? 'Save' : 'Add'}
+            </Button>
+            {editingId && <Button variant="outline-secondary" onClick={resetForm}>Cancel</Button>}
+          </Col>
+        </Row>
+      </Form>
+
+      {isLoading ? (
+        <div className="text-center p-4"><Spinner animation="border" variant="light" /></div>
+      ) : (
+        <Table variant="dark" bordered hover responsive size="sm">
+          <thead>
+            <tr>
+              <th>Target</th>
+              <th>Note</th>
+              <th>Owner</th>
+              <th>Blocks Suppressed</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.length === 0 && (
+              <tr><td colSpan={5} className="text-center text-secondary">Nothing is allowlisted.</td></tr>
+            )}
+            {entries.map(entry => (
+              <tr key={entry.id}>
+                <td className="align-middle">
+                  <code>{entry.target}</code>
+                  <Badge bg="secondary" className="ms-2">{entry.kind}</Badge>
+                  {entry.kind === 'hostname' && (
+                    <div className="small text-secondary">
+                      {entry.resolve_error ? `Does not resolve (${entry.resolve_error})` : entry.addresses.join(', ')}
+                    </div>
+                  )}
+                </td>
+                <td className="align-middle">{entry.note || '—'}</td>
+                <td className="align-middle">{entry.owner || '—'}</td>
+                <td className="align-middle">{entry.suppressed_count}</td>
+                <td className="text-nowrap">
+                  <Button size="sm" variant="outline-light" className="me-2" onClick={() => handleEdit(entry)}>Edit</Button>
+                  <Button size="sm" variant="outline-danger" onClick={() => handleDelete(entry)}>Remove</Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+    </div>
+  );
+}
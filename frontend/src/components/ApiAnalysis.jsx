@@ -1,6 +1,5 @@
-import { useState, useMemo, useRef, useEffect } from 'react'; // Added useRef, useEffect
+import { useState, useMemo, useEffect } from 'react';
 import { Container, Row, Col, Card, Table, Alert, Button, Form, OverlayTrigger, Tooltip } from 'react-bootstrap';
-import { BounceLoader } from 'react-spinners';
 
 // --- ASSUMED CHART IMPORTS ---
 import ThreatLevelGauge from '../charts/ThreatLevelGauge';
@@ -11,23 +10,10 @@ import StackedBarChart from '../charts/StackedBarChart';
 import BreakdownPieChart from '../charts/BreakdownPieChart';
 import SimpleRadarChart from '../charts/SimpleRadarChart';
 import ScatterPlot from '../charts/ScatterPlot';
+import JobProgress from './JobProgress';
+import useAnalysisJob from '../hooks/useAnalysisJob';
 
 // --- STYLES ---
-const overlayStyle = {
-  position: 'fixed',
-  top: 0,
-  left: 0,
-  right: 0,
-  bottom: 0,
-  backgroundColor: 'rgba(0, 0, 0, 0.7)',
-  display: 'flex',
-  flexDirection: 'column',
-  justifyContent: 'center',
-  alignItems: 'center',
-  zIndex: 9999,
-  color: 'white'
-};
-
 // ⭐ HARDCODED CSS FOR THE CUSTOM NOTIFICATION
 const notificationStyle = {
   container: {
@@ -146,7 +132,7 @@ const CopiedNotification = ({ isVisible, onClose }) => {
 export default function ApiAnalysis() {
   const [apiUrl, setApiUrl] = useState('');
   const [isUrlSubmitted, setIsUrlSubmitted] = useState(false);
-  const [status, setStatus] = useState({ type: 'idle', message: '' }); // idle | uploading | success | error
+  const [status, setStatus] = useState({ type: 'idle', message: '' }); // idle | uploading | processing | success | error
   
   const [analysisId, setAnalysisId] = useState(null); 
   const [copied, setCopied] = useState(false); // Controls visibility of the custom notification
@@ -158,6 +144,24 @@ export default function ApiAnalysis() {
   const [behaviourData, setBehaviourData] = useState(null);
   const [packetData, setPacketData] = useState(null);
 
+  // Background job tracking (GET /jobs/:id)
+  const { job, startPolling, resetJob } = useAnalysisJob();
+
+  useEffect(() => {
+    if (!job) return;
+    if (job.state === 'done') {
+      const result = job.result || {};
+      setDashboardData(result.dashboardData || null);
+      setTrafficData(result.trafficData || null);
+      setBehaviourData(result.behaviourData || null);
+      setPacketData(result.packetData || null);
+      setStatus({ type: 'success', message: 'Analysis complete. ID saved.' });
+    } else if (job.state === 'failed') {
+      const lastError = job.errors?.[job.errors.length - 1]?.message;
+      setStatus({ type: 'error', message: lastError || 'Analysis job failed.' });
+    }
+  }, [job]);
+
   // --- DATA COERCERS (All remain the same) ---
   // ... (All useMemo hooks for chart data remain the same)
   const safeThreatBreakdown = useMemo(
@@ -233,6 +237,7 @@ export default function ApiAnalysis() {
     setPacketData(null);
     setStatus({ type: 'idle', message: '' });
     setAnalysisId(null);
+    resetJob();
   };
 
   const handleUrlSubmit = (e) => {
@@ -262,14 +267,10 @@ export default function ApiAnalysis() {
       
       const payload = await res.json();
       
+      // The server queues the job and answers straight away; progress comes from /jobs/:id
       setAnalysisId(payload.analysis_id || null);
-
-      setDashboardData(payload.dashboardData || null);
-      setTrafficData(payload.trafficData || null);
-      setBehaviourData(payload.behaviourData || null);
-      setPacketData(payload.packetData || null);
-
-      setStatus({ type: 'success', message: 'Analysis complete. ID saved.' });
+      setStatus({ type: 'processing', message: 'Fetching and analyzing data from API...' });
+      startPolling(payload.analysis_id);
     } catch (e) {
       setStatus({ type: 'error', message: e.message || 'An unknown error occurred' });
     }
@@ -290,13 +291,6 @@ export default function ApiAnalysis() {
       
       <CopiedNotification isVisible={copied} onClose={() => setCopied(false)} />
 
-      {status.type === 'uploading' && (
-        <div style={overlayStyle}>
-          <BounceLoader color={"#3b82f6"} loading={true} size={80} />
-          <p className="mt-4 fs-5">{status.message}</p>
-        </div>
-      )}
-
       {/* Input Form / Action Card */}
       {!isUrlSubmitted ? (
         // ... (Form is unchanged) ...
@@ -359,13 +353,21 @@ export default function ApiAnalysis() {
                   <Button
                     variant="primary"
                     onClick={uploadToBackend}
-                    disabled={status.type === 'uploading'}
+                    disabled={status.type === 'uploading' || status.type === 'processing'}
                   >
                     Analyze on Server
                   </Button>
                 </div>
               </div>
 
+              {/* Live job progress while the server works through the data */}
+              {status.type === 'uploading' && (
+                <JobProgress job={{ state: 'queued', rows_processed: 0 }} message={status.message} />
+              )}
+              {status.type === 'processing' && (
+                <JobProgress job={job} message={status.message} />
+              )}
+
               {status.type === 'error' && (
                 <Alert className="mt-3 mb-0" variant="danger">{status.message}</Alert>
               )}
@@ -3,7 +3,6 @@ import { useDropzone } from 'react-dropzone'; // Correctly imported
 import { Container, Row, Col, Card, Table, Alert, Button } from 'react-bootstrap';
 
 // Reusable charts (assumed existing)
-import { BounceLoader } from 'react-spinners';
 import ThreatLevelGauge from '../charts/ThreatLevelGauge';
 import SimpleLineChart from '../charts/SimpleLineChart';
 import SimpleAreaChart from '../charts/SimpleAreaChart';
@@ -12,6 +11,8 @@ import StackedBarChart from '../charts/StackedBarChart';
 import BreakdownPieChart from '../charts/BreakdownPieChart';
 import SimpleRadarChart from '../charts/SimpleRadarChart';
 import ScatterPlot from '../charts/ScatterPlot';
+import JobProgress from './JobProgress';
+import useAnalysisJob from '../hooks/useAnalysisJob';
 
 // --- STYLES ---
 
@@ -33,22 +34,6 @@ const activeStyle = {
   borderColor: '#0b5ed7'
 };
 
-// Style for the full-screen loading overlay
-const overlayStyle = {
-  position: 'fixed',
-  top: 0,
-  left: 0,
-  right: 0,
-  bottom: 0,
-  backgroundColor: 'rgba(0, 0, 0, 0.7)',
-  display: 'flex',
-  flexDirection: 'column', 
-  justifyContent: 'center',
-  alignItems: 'center',
-  zIndex: 9999,
-  color: 'white'
-};
-
 // ⭐ HARDCODED CSS FOR THE CUSTOM NOTIFICATION
 const notificationStyle = {
   container: {
@@ -158,8 +143,18 @@ const CopiedNotification = ({ isVisible, onClose }) => {
 
 const APP_BASE_URL = import.meta.env.VITE_API_BASE_URL;
 
+// Where each kind of dropped file is sent
+const UPLOAD_TARGETS = {
+  csv: { endpoint: '/analyze/csv', field: 'csvfile' },
+  pcap: { endpoint: '/analyze/pcap', field: 'pcapfile' }
+};
+const PCAP_EXTENSIONS = ['.pcap', '.pcapng', '.cap'];
+// CICFlowMeter CSVs, Zeek conn.log (TSV or JSON) and Suricata eve.json all go to /analyze/csv
+const FLOW_FILE_EXTENSIONS = ['.csv', '.log', '.json', '.jsonl'];
+
 export default function CSVAnalysis() {
   const [file, setFile] = useState(null);
+  const [fileKind, setFileKind] = useState('csv'); // csv | pcap
   const [status, setStatus] = useState({ type: 'idle', message: '' }); 
 
   const [analysisId, setAnalysisId] = useState(null); 
@@ -171,14 +166,47 @@ export default function CSVAnalysis() {
   const [behaviourData, setBehaviourData] = useState(null);
   const [packetData, setPacketData] = useState(null);
 
+  // Background job tracking (GET /jobs/:id)
+  const { job, startPolling, resetJob } = useAnalysisJob();
+
+  useEffect(() => {
+    if (!job) return;
+    if (job.state === 'done') {
+      const result = job.result || {};
+      setDashboardData(result.dashboardData || null);
+      setTrafficData(result.trafficData || null);
+      setBehaviourData(result.behaviourData || null);
+      setPacketData(result.packetData || null);
+      setStatus({ type: 'success', message: 'Analysis complete. ID saved.' });
+    } else if (job.state === 'failed') {
+      const lastError = job.errors?.[job.errors.length - 1]?.message;
+      setStatus({ type: 'error', message: lastError || 'Analysis job failed.' });
+    }
+  }, [job]);
+
   const onDrop = useCallback((acceptedFiles) => {
     if (!acceptedFiles?.length) return;
     const uploadedFile = acceptedFiles[0];
-    if (uploadedFile.type !== 'text/csv' && !uploadedFile.name?.toLowerCase().endsWith('.csv')) {
-      setStatus({ type: 'error', message: 'Invalid file type. Please upload a CSV file.' });
+    const fileName = uploadedFile.name?.toLowerCase().replace(/\.gz$/, '') || '';
+    if (uploadedFile.type !== 'text/csv' && !FLOW_FILE_EXTENSIONS.some(ext => fileName.endsWith(ext))) {
+      setStatus({ type: 'error', message: 'Invalid file type. Please upload a CSV, Zeek conn.log or Suricata eve.json file (optionally gzip-compressed).' });
+      return;
+    }
+    setFile(uploadedFile);
+    setFileKind('csv');
+    setStatus({ type: 'idle', message: '' });
+  }, []);
+
+  const onDropCapture = useCallback((acceptedFiles) => {
+    if (!acceptedFiles?.length) return;
+    const uploadedFile = acceptedFiles[0];
+    const fileName = uploadedFile.name?.toLowerCase().replace(/\.gz$/, '') || '';
+    if (!PCAP_EXTENSIONS.some(ext => fileName.endsWith(ext))) {
+      setStatus({ type: 'error', message: 'Invalid file type. Please upload a .pcap, .pcapng or .cap capture.' });
       return;
     }
     setFile(uploadedFile);
+    setFileKind('pcap');
     setStatus({ type: 'idle', message: '' });
   }, []);
 
@@ -186,7 +214,29 @@ export default function CSVAnalysis() {
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     multiple: false,
-    accept: { 'text/csv': ['.csv'] }
+    accept: {
+      'text/csv': ['.csv'],
+      'text/plain': ['.log'],
+      'application/json': ['.json', '.jsonl'],
+      'application/gzip': ['.gz'],
+      'application/x-gzip': ['.gz']
+    }
+  });
+
+  // Second drop zone for raw packet captures (flows are rebuilt on the server)
+  const {
+    getRootProps: getCaptureRootProps,
+    getInputProps: getCaptureInputProps,
+    isDragActive: isCaptureDragActive
+  } = useDropzone({
+    onDrop: onDropCapture,
+    multiple: false,
+    accept: {
+      'application/vnd.tcpdump.pcap': ['.pcap', '.cap'],
+      'application/octet-stream': PCAP_EXTENSIONS,
+      'application/gzip': ['.gz'],
+      'application/x-gzip': ['.gz']
+    }
   });
   // -------------------------------------------------------------
 
@@ -259,12 +309,14 @@ export default function CSVAnalysis() {
 
   const resetAll = () => {
     setFile(null);
+    setFileKind('csv');
     setDashboardData(null);
     setTrafficData(null);
     setBehaviourData(null);
     setPacketData(null);
     setStatus({ type: 'idle', message: '' });
     setAnalysisId(null); 
+    resetJob();
   };
 
   const uploadToBackend = async () => {
@@ -273,10 +325,11 @@ export default function CSVAnalysis() {
       setAnalysisId(null); 
       setStatus({ type: 'uploading', message: `Uploading and analyzing ${file.name}...` });
       
+      const target = UPLOAD_TARGETS[fileKind];
       const formData = new FormData();
-      formData.append('csvfile', file);
+      formData.append(target.field, file);
       
-      const res = await fetch( APP_BASE_URL + '/analyze/csv', {
+      const res = await fetch( APP_BASE_URL + target.endpoint, {
         method: 'POST',
         body: formData
       });
@@ -285,14 +338,10 @@ export default function CSVAnalysis() {
       
       const payload = await res.json();
       
+      // The server queues the job and answers straight away; progress comes from /jobs/:id
       setAnalysisId(payload.analysis_id || null);
-
-      setDashboardData(payload.dashboardData || null);
-      setTrafficData(payload.trafficData || null);
-      setBehaviourData(payload.behaviourData || null);
-      setPacketData(payload.packetData || null);
-
-      setStatus({ type: 'success', message: 'Analysis complete. ID saved.' });
+      setStatus({ type: 'processing', message: `Analyzing ${file.name}...` });
+      startPolling(payload.analysis_id);
     } catch (e) {
       setStatus({ type: 'error', message: e.message || 'An unknown error occurred' });
     }
@@ -311,21 +360,29 @@ export default function CSVAnalysis() {
       
       <CopiedNotification isVisible={copied} onClose={() => setCopied(false)} />
 
-      {/* NEW: Full-screen loading overlay */}
-      {status.type === 'uploading' && (
-        <div style={overlayStyle}>
-          <BounceLoader color={"#3b82f6"} loading={true} size={80} />
-          <p className="mt-4 fs-5">{status.message}</p>
-        </div>
-      )}
-
       {!file ? (
         // The JSX now correctly uses the variables returned by useDropzone
-        <div {...getRootProps({ style: isDragActive ? { ...baseStyle, ...activeStyle } : baseStyle })}>
-          <input {...getInputProps()} />
-          <p className="mb-0">Drag & drop a CSV file here, or click to select a file</p>
-          <small>Network Traffic Data Only</small>
-        </div>
+        <>
+          <Row className="g-3">
+            <Col md={6} className="d-flex">
+              <div {...getRootProps({ style: isDragActive ? { ...baseStyle, ...activeStyle } : baseStyle })}>
+                <input {...getInputProps()} />
+                <p className="mb-0">Drag & drop a flow file (.csv, Zeek conn.log, Suricata eve.json; optionally .gz) here, or click to select a file</p>
+                <small>CICFlowMeter, Zeek and Suricata formats are detected automatically</small>
+              </div>
+            </Col>
+            <Col md={6} className="d-flex">
+              <div {...getCaptureRootProps({ style: isCaptureDragActive ? { ...baseStyle, ...activeStyle } : baseStyle })}>
+                <input {...getCaptureInputProps()} />
+                <p className="mb-0">Drag & drop a packet capture (.pcap, .pcapng) here, or click to select a file</p>
+                <small>Flows are extracted on the server (CICFlowMeter features)</small>
+              </div>
+            </Col>
+          </Row>
+          {status.type === 'error' && (
+            <Alert className="mt-3 mb-0" variant="danger">{status.message}</Alert>
+          )}
+        </>
       ) : (
         <>
           {/* MODIFIED: Restyled upload card */}
@@ -334,7 +391,7 @@ export default function CSVAnalysis() {
               <div className="d-flex justify-content-between align-items-center">
                 {/* File Info */}
                 <div>
-                  <Card.Title className="mb-1">File Selected</Card.Title>
+                  <Card.Title className="mb-1">{fileKind === 'pcap' ? 'Packet Capture Selected' : 'File Selected'}</Card.Title>
                   <p className="mb-0 text-muted">{file.name}</p>
                 
                   {/* ⭐ ANALYSIS ID DISPLAY BLOCK WITH CUSTOM CSS */}
@@ -363,13 +420,21 @@ export default function CSVAnalysis() {
                   <Button
                     variant="primary"
                     onClick={uploadToBackend}
-                    disabled={status.type === 'uploading'}
+                    disabled={status.type === 'uploading' || status.type === 'processing'}
                   >
                     Analyze on Server
                   </Button>
                 </div>
               </div>
 
+              {/* Live job progress while the server works through the file */}
+              {status.type === 'uploading' && (
+                <JobProgress job={{ state: 'queued', rows_processed: 0 }} message={status.message} />
+              )}
+              {status.type === 'processing' && (
+                <JobProgress job={job} message={status.message} />
+              )}
+
               {/* Status alerts are now placed below the actions for a cleaner look */}
               {status.type === 'error' && (
                 <Alert className="mt-3 mb-0" variant="danger">{status.message}</Alert>
@@ -51,6 +51,27 @@ export default function Dashboard({ data }) {
           </Card>
         </Col>
       </Row>
+      {/* Filled only when the backend has GeoIP / ASN databases configured */}
+      {(data.topSourceCountries?.length > 0 || data.topAsns?.length > 0) && (
+        <Row className="mt-4">
+          <Col md={6}>
+            <Card>
+              <Card.Body>
+                <Card.Title>Top Attack Source Countries</Card.Title>
+                <SimpleBarChart data={data.topSourceCountries || []} />
+              </Card.Body>
+            </Card>
+          </Col>
+          <Col md={6}>
+            <Card>
+              <Card.Body>
+                <Card.Title>Top Attack Source Networks (ASN)</Card.Title>
+                <SimpleBarChart data={data.topAsns || []} />
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      )}
     </Container>
   );
 }
\ No newline at end of file
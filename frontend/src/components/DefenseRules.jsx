@@ -0,0 +1,649 @@
+// src/components/DefenseRules.jsx
+
+import { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Table, Form, Button, Badge, Alert, Modal, InputGroup, Spinner, Dropdown } from 'react-bootstrap';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+const PAGE_SIZE = 50;
+const STATUS_OPTIONS = ['active', 'expired', 'revoked', 'all'];
+const EXTEND_OPTIONS = [15, 60, 240, 1440];
+const STATUS_VARIANTS = { active: 'danger', expired: 'secondary', revoked: 'dark' };
+// enforcement_status written from the firewall agent's acks (see enforcement.js)
+const ENFORCEMENT_BADGES = {
+  pending: { bg: 'info', label: 'Pending' },
+  enforced: { bg: 'success', label: 'Enforced' },
+  failed: { bg: 'danger', label: 'Failed' },
+  removing: { bg: 'info', label: 'Removing' },
+  removed: { bg: 'secondary', label: 'Removed' },
+  removal_failed: { bg: 'danger', label: 'Removal failed' },
+};
+
+// Response ladder levels (see response-levels.js); only the two block levels drop traffic
+const LEVEL_BADGES = {
+  observe: { bg: 'secondary', label: 'Observe' },
+  alert: { bg: 'info', label: 'Alert' },
+  rate_limit: { bg: 'warning', label: 'Rate limit' },
+  temporary_block: { bg: 'danger', label: 'Temporary block' },
+  permanent_block: { bg: 'dark', label: 'Permanent block' },
+};
+
+// Describes how a rule's source climbed the ladder, for the Level badge's tooltip
+const formatLevelHistory = rule => (rule.level_history || [])
+  .map(step => `${formatDate(step.at)}: ${LEVEL_BADGES[step.level]?.label || step.level} (${step.reason})`)
+  .join('\n');
+
+// Columns the backend can sort on (see SORTABLE_COLUMNS in defense-rules.js)
+const SORTABLE_COLUMNS = {
+  ip_address: 'IP / Network',
+  threat_type: 'Threat Type',
+  created_at: 'Created',
+  expires_at: 'Expires',
+};
+
+const EMPTY_BLOCK = {
+  ip_address: '', threat_type: 'Manual Block', duration_minutes: 60, permanent: false,
+  direction: 'both', protocol: '', ports: '', response_level: '',
+};
+
+// Formats served by GET /rules/export (see rule-export.js)
+const EXPORT_FORMATS = {
+  iptables: 'iptables-restore (IPv4)',
+  ip6tables: 'ip6tables-restore (IPv6)',
+  nftables: 'nftables',
+  pf: 'pf table',
+  suricata: 'Suricata drop rules',
+  plain: 'Plain-text blocklist',
+};
+
+// Feed formats POST /intel/import reads (see threat-intel.js); auto detects them from the content
+const INTEL_FORMATS = {
+  auto: 'Detect automatically',
+  stix: 'STIX 2.1 bundle',
+  misp_csv: 'MISP CSV export',
+  plain: 'Plain IP / CIDR list',
+};
+
+const EMPTY_INTEL_IMPORT = {
+  file: null, source: '', format: 'auto', confidence: 50, min_confidence: 0,
+  expires_in_minutes: 10080, permanent: false, revoke_missing: false,
+};
+
+const DIRECTION_LABELS = { both: 'Source or destination', src: 'Source only', dst: 'Destination only' };
+const PROTOCOL_OPTIONS = { '': 'Any', tcp: 'TCP', udp: 'UDP', icmp: 'ICMP' };
+const PROTOCOL_NAMES = { 1: 'ICMP', 6: 'TCP', 17: 'UDP', 58: 'ICMPv6', 132: 'SCTP' };
+
+// Describes what a rule matches beyond its address, e.g. "TCP 22 · src"
+const formatScope = rule => {
+  const parts = [];
+  if (rule.protocol !== null && rule.protocol !== undefined) parts.push(PROTOCOL_NAMES[rule.protocol] || `proto ${rule.protocol}`);
+  if (rule.dst_port_min !== null && rule.dst_port_min !== undefined) {
+    parts.push(rule.dst_port_max !== rule.dst_port_min ? `${rule.dst_port_min}-${rule.dst_port_max}` : `${rule.dst_port_min}`);
+  }
+  const scope = parts.join(' ');
+  if (rule.direction && rule.direction !== 'both') return scope ? `${scope} · ${rule.direction}` : rule.direction;
+  return scope || 'All traffic';
+};
+
+// Reads "80" or "1000-2000" into the rule's destination port range
+const parsePorts = text => {
+  const [min, max] = text.split('-').map(part => part.trim());
+  return { dst_port_min: Number(min), dst_port_max: Number(max ?? min) };
+};
+
+// Formats the time left on a rule as e.g. "2h 05m"
+const formatRemaining = (rule, now) => {
+  if (rule.is_permanent) return 'Permanent';
+  if (rule.status !== 'active') return '—';
+  const totalMinutes = Math.max(0, Math.floor((new Date(rule.expires_at).getTime() - now) / 60000));
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${totalMinutes}m`;
+};
+
+const formatDate = value => (value ? new Date(value).toLocaleString('en-IN') : '—');
+
+// Sends a JSON request and throws the backend's { error } message on failure
+const requestJson = async (path, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data;
+};
+
+export default function DefenseRules() {
+  const [rules, setRules] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [counts, setCounts] = useState(null);
+  const [page, setPage] = useState(0);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [levelFilter, setLevelFilter] = useState('');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState({ column: 'created_at', order: 'desc' });
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [extendMinutes, setExtendMinutes] = useState(60);
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState({ type: 'idle', message: '' });
+  const [now, setNow] = useState(Date.now());
+  const [enforcementEnabled, setEnforcementEnabled] = useState(false);
+
+  const [showBlockModal, setShowBlockModal] = useState(false);
+  const [blockForm, setBlockForm] = useState(EMPTY_BLOCK);
+  const [showIntelModal, setShowIntelModal] = useState(false);
+  const [intelForm, setIntelForm] = useState(EMPTY_INTEL_IMPORT);
+
+  // Debounce the search box so typing doesn't fire a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // The Enforcement column and resync action only apply when a firewall agent is configured
+  useEffect(() => {
+    requestJson('/enforcement')
+      .then(data => setEnforcementEnabled(Boolean(data.enabled)))
+      .catch(() => setEnforcementEnabled(false));
+  }, []);
+
+  // Keep the "time remaining" column ticking
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const fetchRules = useCallback(async () => {
+    setIsLoading(true);
+    const params = new URLSearchParams({
+      status: statusFilter,
+      sort: sort.column,
+      order: sort.order,
+      limit: PAGE_SIZE,
+      offset: page * PAGE_SIZE,
+    });
+    if (search) params.set('search', search);
+    if (levelFilter) params.set('level', levelFilter);
+    try {
+      const [list, stats] = await Promise.all([
+        requestJson(`/rules?${params}`),
+        requestJson('/rules/stats'),
+      ]);
+      setRules(list.rules || []);
+      setTotal(list.total || 0);
+      setCounts(stats);
+      setNow(Date.now());
+      setSelectedIds(ids => ids.filter(id => (list.rules || []).some(rule => rule.id === id)));
+    } catch (e) {
+      console.error('Failed to fetch defense rules:', e);
+      setStatus({ type: 'error', message: `Could not load rules: ${e.message}` });
+    }
+    setIsLoading(false);
+  }, [statusFilter, levelFilter, search, sort, page]);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  // Runs a rule action, reports its outcome and refreshes the table
+  const runAction = async (action, successMessage) => {
+    try {
+      const result = await action();
+      setStatus({ type: 'success', message: typeof successMessage === 'function' ? successMessage(result) : successMessage });
+      await fetchRules();
+    } catch (e) {
+      setStatus({ type: 'error', message: e.message });
+    }
+  };
+
+  const handleSort = column => {
+    setSort(current => ({
+      column,
+      order: current.column === column && current.order === 'desc' ? 'asc' : 'desc',
+    }));
+    setPage(0);
+  };
+
+  const toggleSelected = id => {
+    setSelectedIds(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]));
+  };
+
+  const allSelected = rules.length > 0 && rules.every(rule => selectedIds.includes(rule.id));
+  const toggleAll = () => setSelectedIds(allSelected ? [] : rules.map(rule => rule.id));
+
+  const revokeRules = ids => runAction(
+    () => requestJson('/rules/bulk/revoke', { method: 'POST', body: JSON.stringify({ ids }) }),
+    result => `Revoked ${result.revoked_count} rule(s).`
+  );
+
+  const extendRules = ids => runAction(
+    () => requestJson('/rules/bulk/extend', { method: 'POST', body: JSON.stringify({ ids, minutes: Number(extendMinutes) }) }),
+    result => `Extended ${result.extended_count} rule(s) by ${extendMinutes} minutes.`
+  );
+
+  const pinRule = rule => runAction(
+    () => requestJson(`/rules/${rule.id}`, { method: 'PATCH', body: JSON.stringify({ expires_at: null, is_active: true }) }),
+    `${rule.ip_address} is now blocked permanently.`
+  );
+
+  const resyncEnforcement = () => runAction(
+    () => requestJson('/enforcement/resync', { method: 'POST' }),
+    result => `Sent ${result.applied} active rule(s) to the firewall agent and ${result.removed} removal(s).`
+  );
+
+  const handleCreateBlock = async event => {
+    event.preventDefault();
+    const payload = {
+      ip_address: blockForm.ip_address.trim(),
+      threat_type: blockForm.threat_type.trim(),
+      direction: blockForm.direction,
+      protocol: blockForm.protocol || null,
+      ...(blockForm.ports.trim() ? parsePorts(blockForm.ports) : {}),
+      ...(blockForm.response_level ? { response_level: blockForm.response_level } : {}),
+    };
+    if (blockForm.permanent) payload.expires_at = null;
+    else payload.duration_minutes = Number(blockForm.duration_minutes);
+
+    await runAction(async () => {
+      const rule = await requestJson('/rules', { method: 'POST', body: JSON.stringify(payload) });
+      setShowBlockModal(false);
+      setBlockForm(EMPTY_BLOCK);
+      return rule;
+    }, rule => `Blocked ${rule.ip_address}.`);
+  };
+
+  // The feed goes up as multipart form data, so this one skips requestJson
+  const handleIntelImport = async event => {
+    event.preventDefault();
+    const formData = new FormData();
+    Object.entries(intelForm).forEach(([field, value]) => formData.append(field, value));
+
+    await runAction(async () => {
+      const response = await fetch(`${API_BASE_URL}/intel/import`, { method: 'POST', body: formData });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setShowIntelModal(false);
+      setIntelForm(EMPTY_INTEL_IMPORT);
+      return data;
+    }, summary => {
+      const skipped = Object.values(summary.skipped).reduce((sum, count) => sum + count, 0);
+      return `Imported "${summary.feed_source}" (${summary.format}): ${summary.created} rule(s) created, ${summary.refreshed} refreshed, `
+        + `${summary.promoted} promoted to a block, ${summary.revoked} revoked, ${skipped} indicator(s) skipped.`;
+    });
+  };
+
+  const renderSortHeader = column => (
+    <th role="button" onClick={() => handleSort(column)} style={{ whiteSpace: 'nowrap' }}>
+      {SORTABLE_COLUMNS[column]}
+      {sort.column === column && (sort.order === 'desc' ? ' ▼' : ' ▲')}
+    </th>
+  );
+
+  const firstShown = total === 0 ? 0 : page * PAGE_SIZE + 1;
+  const lastShown = Math.min(total, (page + 1) * PAGE_SIZE);
+
+  return (
+    <Container fluid>
+      <Row className="mb-3 g-3">
+        {STATUS_OPTIONS.map(option => (
+          <Col md={3} key={option}>
+            <Card
+              role="button"
+              border={statusFilter === option ? 'primary' : undefined}
+              onClick={() => { setStatusFilter(option); setPage(0); }}
+              className="text-center h-100"
+            >
+              <Card.Body>
+                <div className="text-muted text-capitalize">{option === 'all' ? 'All rules' : option}</div>
+                <div style={{ fontSize: '1.8rem', fontWeight: 'bold' }}>{counts ? counts[option] : '—'}</div>
+              </Card.Body>
+            </Card>
+          </Col>
+        ))}
+      </Row>
+
+      {status.type !== 'idle' && (
+        <Alert
+          variant={status.type === 'error' ? 'danger' : 'success'}
+          dismissible
+          onClose={() => setStatus({ type: 'idle', message: '' })}
+        >
+          {status.message}
+        </Alert>
+      )}
+
+      <Card>
+        <Card.Header>
+          <Row className="g-2 align-items-center">
+            <Col md={4}>
+              <Form.Control
+                placeholder="Search IP address or threat type..."
+                value={searchInput}
+                onChange={e => setSearchInput(e.target.value)}
+              />
+            </Col>
+            <Col md={2} className="d-flex gap-2">
+              <Form.Select value={statusFilter} onChange={e => { setStatusFilter(e.target.value); setPage(0); }}>
+                {STATUS_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+              </Form.Select>
+              <Form.Select value={levelFilter} aria-label="Response level" onChange={e => { setLevelFilter(e.target.value); setPage(0); }}>
+                <option value="">any level</option>
+                {Object.entries(LEVEL_BADGES).map(([level, { label }]) => <option key={level} value={level}>{label}</option>)}
+              </Form.Select>
+            </Col>
+            <Col md={4}>
+              <InputGroup>
+                <Form.Select value={extendMinutes} onChange={e => setExtendMinutes(e.target.value)}>
+                  {EXTEND_OPTIONS.map(minutes => <option key={minutes} value={minutes}>+{minutes} min</option>)}
+                </Form.Select>
+                <Button variant="outline-primary" disabled={selectedIds.length === 0} onClick={() => extendRules(selectedIds)}>
+                  Extend ({selectedIds.length})
+                </Button>
+                <Button variant="outline-danger" disabled={selectedIds.length === 0} onClick={() => revokeRules(selectedIds)}>
+                  Revoke ({selectedIds.length})
+                </Button>
+              </InputGroup>
+            </Col>
+            <Col md={2} className="text-end d-flex justify-content-end gap-2">
+              <Dropdown>
+                <Dropdown.Toggle variant="outline-light">Export</Dropdown.Toggle>
+                <Dropdown.Menu>
+                  <Dropdown.Header>Active rules as…</Dropdown.Header>
+                  {Object.entries(EXPORT_FORMATS).map(([format, label]) => (
+                    <Dropdown.Item key={format} href={`${API_BASE_URL}/rules/export?format=${format}`} download>
+                      {label}
+                    </Dropdown.Item>
+                  ))}
+                  <Dropdown.Divider />
+                  <Dropdown.Item onClick={() => setShowIntelModal(true)}>Import threat intel…</Dropdown.Item>
+                  {enforcementEnabled && (
+                    <Dropdown.Item onClick={resyncEnforcement}>Resync firewall agent</Dropdown.Item>
+                  )}
+                </Dropdown.Menu>
+              </Dropdown>
+              <Button variant="danger" onClick={() => setShowBlockModal(true)}>Block IP</Button>
+            </Col>
+          </Row>
+        </Card.Header>
+        <Card.Body>
+          {isLoading && rules.length === 0 ? (
+            <div className="text-center p-4"><Spinner animation="border" /></div>
+          ) : rules.length === 0 ? (
+            <div className="text-center text-muted p-4">No {statusFilter === 'all' ? '' : statusFilter} rules found.</div>
+          ) : (
+            <Table striped bordered hover responsive size="sm">
+              <thead>
+                <tr>
+                  <th><Form.Check checked={allSelected} onChange={toggleAll} aria-label="Select all" /></th>
+                  {renderSortHeader('ip_address')}
+                  <th>Scope</th>
+                  {renderSortHeader('threat_type')}
+                  <th>Level</th>
+                  <th>Status</th>
+                  {enforcementEnabled && <th>Enforcement</th>}
+                  <th>Time Remaining</th>
+                  {renderSortHeader('created_at')}
+                  {renderSortHeader('expires_at')}
+                  <th>Trigger Flow</th>
+                  <th>Analysis</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map(rule => (
+                  <tr key={rule.id}>
+                    <td><Form.Check checked={selectedIds.includes(rule.id)} onChange={() => toggleSelected(rule.id)} /></td>
+                    <td>
+                      <code>{rule.ip_address}</code>
+                      {(rule.country || rule.asn) && (
+                        <div className="small text-muted" title={rule.as_org || ''}>
+                          {[rule.country, rule.asn && `AS${rule.asn}`].filter(Boolean).join(' · ')}
+                        </div>
+                      )}
+                    </td>
+                    <td className="text-nowrap">{formatScope(rule)}</td>
+                    <td>
+                      {rule.threat_type}
+                      {rule.origin === 'intel' && (
+                        <Badge bg="primary" className="ms-1" title={rule.indicator_id || ''}>
+                          Intel · {rule.feed_source}{rule.confidence !== null && rule.confidence !== undefined ? ` · ${rule.confidence}%` : ''}
+                        </Badge>
+                      )}
+                    </td>
+                    <td className="text-nowrap" title={formatLevelHistory(rule)}>
+                      {LEVEL_BADGES[rule.response_level] ? (
+                        <Badge bg={LEVEL_BADGES[rule.response_level].bg}>{LEVEL_BADGES[rule.response_level].label}</Badge>
+                      ) : '—'}
+                      {rule.level_history?.length > 1 && <small className="text-muted ms-1">{rule.level_history.length} steps</small>}
+                    </td>
+                    <td>
+                      <Badge bg={STATUS_VARIANTS[rule.status]} className="text-capitalize">{rule.status}</Badge>
+                      {rule.is_permanent && <Badge bg="warning" text="dark" className="ms-1">Pinned</Badge>}
+                      {rule.raw_flow_data?.offense_count > 1 && (
+                        <Badge bg="info" className="ms-1" title="Earlier rules for this address in the last 30 days lengthen the block">
+                          Repeat #{rule.raw_flow_data.offense_count}
+                        </Badge>
+                      )}
+                    </td>
+                    {enforcementEnabled && (
+                      <td title={rule.enforcement_error || ''}>
+                        {ENFORCEMENT_BADGES[rule.enforcement_status] ? (
+                          <Badge bg={ENFORCEMENT_BADGES[rule.enforcement_status].bg}>
+                            {ENFORCEMENT_BADGES[rule.enforcement_status].label}
+                          </Badge>
+                        ) : '—'}
+                      </td>
+                    )}
+                    <td>{formatRemaining(rule, now)}</td>
+                    <td>{formatDate(rule.created_at)}</td>
+                    <td>{rule.is_permanent ? 'Never' : formatDate(rule.expires_at)}</td>
+                    <td>{rule.raw_flow_data?.trigger_flow_id || rule.raw_flow_data?.source || '—'}</td>
+                    <td title={rule.analysis_id || ''}>{rule.analysis_id ? `${rule.analysis_id.slice(0, 8)}…` : '—'}</td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      <Button size="sm" variant="outline-primary" className="me-1" disabled={rule.is_permanent} onClick={() => extendRules([rule.id])}>
+                        Extend
+                      </Button>
+                      <Button size="sm" variant="outline-warning" className="me-1" disabled={rule.is_permanent && rule.status === 'active'} onClick={() => pinRule(rule)}>
+                        Pin
+                      </Button>
+                      <Button size="sm" variant="outline-danger" disabled={rule.status === 'revoked'} onClick={() => revokeRules([rule.id])}>
+                        Revoke
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+        <Card.Footer className="d-flex justify-content-between align-items-center">
+          <span className="text-muted">Showing {firstShown}–{lastShown} of {total}</span>
+          <div>
+            <Button size="sm" variant="outline-secondary" className="me-2" disabled={page === 0 || isLoading} onClick={() => setPage(page - 1)}>
+              Previous
+            </Button>
+            <Button size="sm" variant="outline-secondary" disabled={lastShown >= total || isLoading} onClick={() => setPage(page + 1)}>
+              Next
+            </Button>
+          </div>
+        </Card.Footer>
+      </Card>
+
+      <Modal show={showBlockModal} onHide={() => setShowBlockModal(false)} centered>
+        <Form onSubmit={handleCreateBlock}>
+          <Modal.Header closeButton>
+            <Modal.Title>Block IP or Network</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>IP Address or CIDR</Form.Label>
+              <Form.Control
+                required
+                placeholder="e.g. 203.0.113.7 or 198.51.100.0/24"
+                value={blockForm.ip_address}
+                onChange={e => setBlockForm({ ...blockForm, ip_address: e.target.value })}
+              />
+            </Form.Group>
+            <Row className="mb-3">
+              <Form.Group as={Col}>
+                <Form.Label>Match As</Form.Label>
+                <Form.Select value={blockForm.direction} onChange={e => setBlockForm({ ...blockForm, direction: e.target.value })}>
+                  {Object.entries(DIRECTION_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </Form.Select>
+              </Form.Group>
+              <Form.Group as={Col}>
+                <Form.Label>Protocol</Form.Label>
+                <Form.Select value={blockForm.protocol} onChange={e => setBlockForm({ ...blockForm, protocol: e.target.value })}>
+                  {Object.entries(PROTOCOL_OPTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </Form.Select>
+              </Form.Group>
+              <Form.Group as={Col}>
+                <Form.Label>Dest. Ports</Form.Label>
+                <Form.Control
+                  placeholder="Any"
+                  pattern="\d{1,5}(\s*-\s*\d{1,5})?"
+                  title="A port (e.g. 22) or a range (e.g. 1000-2000)"
+                  value={blockForm.ports}
+                  onChange={e => setBlockForm({ ...blockForm, ports: e.target.value })}
+                />
+              </Form.Group>
+            </Row>
+            <Form.Group className="mb-3">
+              <Form.Label>Threat Type</Form.Label>
+              <Form.Control
+                required
+                maxLength={100}
+                value={blockForm.threat_type}
+                onChange={e => setBlockForm({ ...blockForm, threat_type: e.target.value })}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3">
+              <Form.Label>Response</Form.Label>
+              <Form.Select value={blockForm.response_level} onChange={e => setBlockForm({ ...blockForm, response_level: e.target.value })}>
+                <option value="">Block</option>
+                <option value="rate_limit">Rate limit</option>
+                <option value="alert">Alert only</option>
+                <option value="observe">Observe only</option>
+              </Form.Select>
+            </Form.Group>
+            <Form.Check
+              className="mb-2"
+              label="Block permanently"
+              checked={blockForm.permanent}
+              onChange={e => setBlockForm({ ...blockForm, permanent: e.target.checked })}
+            />
+            <Form.Group>
+              <Form.Label>Duration (minutes)</Form.Label>
+              <Form.Control
+                type="number"
+                min={1}
+                disabled={blockForm.permanent}
+                value={blockForm.duration_minutes}
+                onChange={e => setBlockForm({ ...blockForm, duration_minutes: e.target.value })}
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowBlockModal(false)}>Cancel</Button>
+            <Button variant="danger" type="submit">Block</Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      <Modal show={showIntelModal} onHide={() => setShowIntelModal(false)} centered>
+        <Form onSubmit={handleIntelImport}>
+          <Modal.Header closeButton>
+            <Modal.Title>Import Threat Intel</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <Form.Group className="mb-3">
+              <Form.Label>Feed File</Form.Label>
+              <Form.Control
+                type="file"
+                required
+                accept=".json,.csv,.txt,.list"
+                onChange={e => setIntelForm({ ...intelForm, file: e.target.files[0] || null })}
+              />
+            </Form.Group>
+            <Row className="mb-3">
+              <Form.Group as={Col}>
+                <Form.Label>Feed Name</Form.Label>
+                <Form.Control
+                  required
+                  maxLength={100}
+                  placeholder="e.g. abuse-ch"
+                  value={intelForm.source}
+                  onChange={e => setIntelForm({ ...intelForm, source: e.target.value })}
+                />
+              </Form.Group>
+              <Form.Group as={Col}>
+                <Form.Label>Format</Form.Label>
+                <Form.Select value={intelForm.format} onChange={e => setIntelForm({ ...intelForm, format: e.target.value })}>
+                  {Object.entries(INTEL_FORMATS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </Form.Select>
+              </Form.Group>
+            </Row>
+            <Row className="mb-3">
+              <Form.Group as={Col}>
+                <Form.Label>Default Confidence</Form.Label>
+                <Form.Control
+                  type="number"
+                  min={0}
+                  max={100}
+                  title="Used for indicators the feed gives no confidence for"
+                  value={intelForm.confidence}
+                  onChange={e => setIntelForm({ ...intelForm, confidence: e.target.value })}
+                />
+              </Form.Group>
+              <Form.Group as={Col}>
+                <Form.Label>Minimum Confidence</Form.Label>
+                <Form.Control
+                  type="number"
+                  min={0}
+                  max={100}
+                  value={intelForm.min_confidence}
+                  onChange={e => setIntelForm({ ...intelForm, min_confidence: e.target.value })}
+                />
+              </Form.Group>
+            </Row>
+            <Form.Check
+              className="mb-2"
+              label="Block permanently (indicators with their own expiry keep it)"
+              checked={intelForm.permanent}
+              onChange={e => setIntelForm({ ...intelForm, permanent: e.target.checked })}
+            />
+            <Form.Group className="mb-3">
+              <Form.Label>Lifetime (minutes)</Form.Label>
+              <Form.Control
+                type="number"
+                min={1}
+                disabled={intelForm.permanent}
+                value={intelForm.expires_in_minutes}
+                onChange={e => setIntelForm({ ...intelForm, expires_in_minutes: e.target.value })}
+              />
+            </Form.Group>
+            <Form.Check
+              label="Revoke this feed's rules for addresses it no longer lists"
+              checked={intelForm.revoke_missing}
+              onChange={e => setIntelForm({ ...intelForm, revoke_missing: e.target.checked })}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowIntelModal(false)}>Cancel</Button>
+            <Button variant="primary" type="submit">Import</Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+}
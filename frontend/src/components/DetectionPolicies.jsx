@@ -0,0 +1,195 @@
+// src/components/DetectionPolicies.jsx
+
+import { useState, useEffect } from 'react';
+import { Table, Form, Button, Badge, Alert, Spinner } from 'react-bootstrap';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+// The action is the highest response level repeat offenses can climb to
+const ACTION_LABELS = {
+  observe: 'Observe',
+  alert: 'Alert',
+  rate_limit: 'Rate limit',
+  temporary_block: 'Temporary block',
+  permanent_block: 'Permanent block',
+};
+
+// Where a first offense enters the ladder
+const SEVERITY_LABELS = {
+  low: 'Low (observe)',
+  medium: 'Medium (alert)',
+  high: 'High (rate limit)',
+  critical: 'Critical (block)',
+};
+
+// The table edits the window in seconds; policies store it in milliseconds
+const toDraft = policy => ({
+  threshold_count: policy.threshold_count,
+  window_seconds: policy.window_ms / 1000,
+  rule_expiration_minutes: policy.rule_expiration_minutes ?? '',
+  action: policy.action,
+  severity: policy.severity,
+});
+
+export default function DetectionPolicies() {
+  const [policies, setPolicies] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [labelsAvailable, setLabelsAvailable] = useState(true);
+  const [isLoading, setIsLoading] = useState(true);
+  const [savingType, setSavingType] = useState(null);
+  const [status, setStatus] = useState({ type: 'idle', message: '' });
+
+  const applyPolicies = list => {
+    setPolicies(list);
+    setDrafts(Object.fromEntries(list.map(policy => [policy.threat_type, toDraft(policy)])));
+  };
+
+  useEffect(() => {
+    const fetchPolicies = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/policies`);
+        const payload = await res.json();
+        if (!res.ok) throw new Error(payload.error || `HTTP error! status: ${res.status}`);
+        applyPolicies(payload.policies || []);
+        setLabelsAvailable(payload.labels_available);
+      } catch (e) {
+        setStatus({ type: 'error', message: `Could not load detection policies: ${e.message}` });
+      }
+      setIsLoading(false);
+    };
+    fetchPolicies();
+  }, []);
+
+  const updateDraft = (threatType, field, value) => {
+    setDrafts({ ...drafts, [threatType]: { ...drafts[threatType], [field]: value } });
+  };
+
+  const replacePolicy = saved => {
+    applyPolicies(policies.map(policy => (policy.threat_type === saved.threat_type ? saved : policy)));
+  };
+
+  const handleSave = async threatType => {
+    const draft = drafts[threatType];
+    setSavingType(threatType);
+    try {
+      const res = await fetch(`${API_BASE_URL}/policies/${encodeURIComponent(threatType)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          threshold_count: Number(draft.threshold_count),
+          window_ms: Math.round(Number(draft.window_seconds) * 1000),
+          rule_expiration_minutes: draft.rule_expiration_minutes === '' ? null : Number(draft.rule_expiration_minutes),
+          action: draft.action,
+          severity: draft.severity,
+        }),
+      });
+      const saved = await res.json();
+      if (!res.ok) throw new Error(saved.error || `HTTP error! status: ${res.status}`);
+      replacePolicy(saved);
+      setStatus({ type: 'success', message: `Policy for ${threatType} saved.` });
+    } catch (e) {
+      setStatus({ type: 'error', message: e.message });
+    }
+    setSavingType(null);
+  };
+
+  const handleReset = async threatType => {
+    setSavingType(threatType);
+    try {
+      const res = await fetch(`${API_BASE_URL}/policies/${encodeURIComponent(threatType)}`, { method: 'DELETE' });
+      const defaults = await res.json();
+      if (!res.ok) throw new Error(defaults.error || `HTTP error! status: ${res.status}`);
+      replacePolicy(defaults);
+      setStatus({ type: 'success', message: `${threatType} now uses the default policy.` });
+    } catch (e) {
+      setStatus({ type: 'error', message: e.message });
+    }
+    setSavingType(null);
+  };
+
+  return (
+    <div className="settings-panel mt-4">
+      <h2 className="text-white mb-2">Detection Policies</h2>
+      <p className="text-secondary mb-4">
+        How many detections of each threat type, within what window, count as an offense, and how a source's response
+        escalates. Severity sets the level of a first offense; each further offense moves the source one level up, never
+        past the action. Changes apply to the next detection without restarting the backend.
+      </p>
+
+      {!labelsAvailable && (
+        <Alert variant="warning">The model server did not return its labels; only threat types with a saved policy are listed.</Alert>
+      )}
+      {status.type !== 'idle' && (
+        <Alert variant={status.type === 'error' ? 'danger' : 'success'} dismissible onClose={() => setStatus({ type: 'idle', message: '' })}>
+          {status.message}
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <div className="text-center p-4"><Spinner animation="border" variant="light" /></div>
+      ) : (
+        <Table variant="dark" bordered hover responsive size="sm">
+          <thead>
+            <tr>
+              <th>Threat Type</th>
+              <th>Detections (N)</th>
+              <th>Window (seconds)</th>
+              <th>Rule Lifetime (minutes)</th>
+              <th>Severity</th>
+              <th>Highest Action</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {policies.map(policy => {
+              const draft = drafts[policy.threat_type];
+              return (
+                <tr key={policy.threat_type}>
+                  <td className="align-middle">
+                    {policy.threat_type}
+                    {policy.is_default && <Badge bg="secondary" className="ms-2">Default</Badge>}
+                  </td>
+                  <td>
+                    <Form.Control size="sm" type="number" min={1} value={draft.threshold_count}
+                      onChange={e => updateDraft(policy.threat_type, 'threshold_count', e.target.value)} />
+                  </td>
+                  <td>
+                    <Form.Control size="sm" type="number" min={0.001} step="any" value={draft.window_seconds}
+                      onChange={e => updateDraft(policy.threat_type, 'window_seconds', e.target.value)} />
+                  </td>
+                  <td>
+                    <Form.Control size="sm" type="number" min={1} value={draft.rule_expiration_minutes}
+                      placeholder="Default"
+                      onChange={e => updateDraft(policy.threat_type, 'rule_expiration_minutes', e.target.value)} />
+                  </td>
+                  <td>
+                    <Form.Select size="sm" value={draft.severity} onChange={e => updateDraft(policy.threat_type, 'severity', e.target.value)}>
+                      {Object.entries(SEVERITY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </Form.Select>
+                  </td>
+                  <td>
+                    <Form.Select size="sm" value={draft.action} onChange={e => updateDraft(policy.threat_type, 'action', e.target.value)}>
+                      {Object.entries(ACTION_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </Form.Select>
+                  </td>
+                  <td className="text-nowrap">
+                    <Button size="sm" variant="primary" className="me-2" disabled={savingType === policy.threat_type}
+                      onClick={() => handleSave(policy.threat_type)}>
+                      Save
+                    </Button>
+                    {!policy.is_default && (
+                      <Button size="sm" variant="outline-secondary" disabled={savingType === policy.threat_type}
+                        onClick={() => handleReset(policy.threat_type)}>
+                        Reset
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </Table>
+      )}
+    </div>
+  );
+}
@@ -11,9 +11,13 @@ const dashboardTabs = [
   { eventKey: "1", label: "Traffic Analysis" },
   { eventKey: "2", label: "Behavior Analysis" },
   { eventKey: "3", label: "Packet Analysis" },
-  { eventKey: "4", label: "CSV Analysis" },
+  { eventKey: "4", label: "CSV / PCAP Analysis" },
   { eventKey: "5", label: "Api Analysis" },
-  { eventKey: "6", label: "Reanalyze" }
+  { eventKey: "6", label: "Reanalyze" },
+  { eventKey: "8", label: "Defense Rules" },
+  { eventKey: "10", label: "Incidents" },
+  { eventKey: "9", label: "Host Investigation" },
+  { eventKey: "7", label: "Settings" }
 ];
 
 export default function Header({ selectedTab, onChange, onDateRangeClick, reportDateRange}) {
@@ -0,0 +1,306 @@
+// src/components/HostInvestigation.jsx
+
+import { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Table, Form, Button, Badge, Alert, InputGroup, Spinner } from 'react-bootstrap';
+import SimpleAreaChart from '../charts/SimpleAreaChart';
+import SimpleLineChart from '../charts/SimpleLineChart';
+import ScatterPlot from '../charts/ScatterPlot';
+import SourceHistory from './SourceHistory';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+const STATUS_VARIANTS = { active: 'danger', expired: 'secondary', revoked: 'dark' };
+
+const formatDate = value => (value ? new Date(value).toLocaleString('en-IN') : '—');
+
+// Bucketed prediction counts (see host-investigation.js) in the shape SimpleLineChart draws
+const toThreatsOverTime = buckets => buckets.map(bucket => ({
+  time: new Date(bucket.start).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }),
+  threats: bucket.malicious,
+}));
+
+const formatLabels = labels => Object.entries(labels).map(([label, count]) => `${label} ×${count}`).join(', ');
+
+function RuleTable({ rules, emptyText }) {
+  if (rules.length === 0) return <div className="text-muted">{emptyText}</div>;
+  return (
+    <Table striped bordered hover responsive size="sm">
+      <thead>
+        <tr>
+          <th>Target</th>
+          <th>Threat Type</th>
+          <th>Level</th>
+          <th>Status</th>
+          <th>Created</th>
+          <th>Expires</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rules.map(rule => (
+          <tr key={rule.id}>
+            <td>
+              {rule.ip_address}
+              {rule.origin === 'intel' && <Badge bg="primary" className="ms-2">Intel</Badge>}
+            </td>
+            <td>{rule.threat_type}</td>
+            <td>{rule.response_level || '—'}</td>
+            <td><Badge bg={STATUS_VARIANTS[rule.status] || 'secondary'}>{rule.status}</Badge></td>
+            <td>{formatDate(rule.created_at)}</td>
+            <td>{rule.is_permanent ? 'Never' : formatDate(rule.expires_at)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
+
+export default function HostInvestigation({ ip = '', onInvestigate }) {
+  const [query, setQuery] = useState(ip);
+  const [host, setHost] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchHost = useCallback(async (address) => {
+    if (!address) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/hosts/${encodeURIComponent(address)}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setHost(data);
+    } catch (e) {
+      console.error('Failed to investigate host:', e);
+      setError(e.message);
+      setHost(null);
+    }
+    setLoading(false);
+  }, []);
+
+  // App remounts this view (key={ip}) for every new IP, so only the fetch runs here
+  useEffect(() => {
+    fetchHost(ip);
+  }, [ip, fetchHost]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const address = query.trim();
+    if (address === ip) fetchHost(address);
+    else onInvestigate(address);
+  };
+
+  const peerLink = address => (
+    <Button variant="link" className="p-0" onClick={() => onInvestigate(address)}>{address}</Button>
+  );
+
+  return (
+    <Container fluid>
+      <Form onSubmit={handleSubmit} className="mb-4">
+        <InputGroup style={{ maxWidth: 480 }}>
+          <Form.Control placeholder="IP address, e.g. 203.0.113.7" value={query} onChange={e => setQuery(e.target.value)} />
+          <Button type="submit" variant="primary" disabled={!query.trim() || loading}>Investigate</Button>
+        </InputGroup>
+      </Form>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+      {loading && <div className="text-center p-4"><Spinner animation="border" /></div>}
+      {!loading && !host && !error && (
+        <div className="text-center text-muted p-5">Enter an IP, or click a source IP in Traffic Analysis, to investigate it.</div>
+      )}
+
+      {!loading && host && (
+        <>
+          <Row className="mb-4">
+            <Col md={4}>
+              <Card className="h-100">
+                <Card.Body>
+                  <Card.Title>{host.ip}</Card.Title>
+                  {host.geo ? (
+                    <div className="text-muted mb-2">
+                      {[host.geo.city, host.geo.country_name || host.geo.country].filter(Boolean).join(', ') || 'Unknown location'}
+                      {host.geo.asn && ` · AS${host.geo.asn}${host.geo.as_org ? ` ${host.geo.as_org}` : ''}`}
+                    </div>
+                  ) : (
+                    <div className="text-muted mb-2">No GeoIP data</div>
+                  )}
+                  <SourceHistory history={host.sourceHistory} />
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col md={8}>
+              <Card className="h-100">
+                <Card.Body>
+                  <Card.Title>Stored Flows</Card.Title>
+                  <Row className="text-center">
+                    <Col><h3>{host.summary.flows}</h3><div className="text-muted">flows</div></Col>
+                    <Col><h3>{host.summary.outbound} / {host.summary.inbound}</h3><div className="text-muted">sent / received</div></Col>
+                    <Col><h3 className="text-danger">{host.summary.malicious}</h3><div className="text-muted">malicious ({Math.round(host.summary.maliciousRatio * 100)}%)</div></Col>
+                    <Col><h3>{host.summary.liveFlows} / {host.summary.analysisFlows}</h3><div className="text-muted">live / from {host.summary.analyses} analyses</div></Col>
+                  </Row>
+                  <div className="text-muted mt-3">
+                    First seen {formatDate(host.summary.firstSeen)}, last seen {formatDate(host.summary.lastSeen)}.
+                    {host.summary.truncated && ' Only the newest flows are shown.'}
+                  </div>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
+          <Row className="mb-4">
+            <Col md={6}>
+              <Card>
+                <Card.Body>
+                  <Card.Title>Malicious Flows Over Time</Card.Title>
+                  <SimpleLineChart data={toThreatsOverTime(host.timeline.buckets)} />
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col md={6}>
+              <Card>
+                <Card.Body>
+                  <Card.Title>Traffic Volume by Hour</Card.Title>
+                  <SimpleAreaChart data={host.charts.trafficVolume} />
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
+          <Row className="mb-4">
+            <Col md={6}>
+              <Card>
+                <Card.Body>
+                  <Card.Title>Flow Duration vs. Packet Count</Card.Title>
+                  <ScatterPlot
+                    data={host.charts.flowDuration}
+                    xAxis={{ key: 'duration', name: 'Duration', unit: 's' }}
+                    yAxis={{ key: 'packets', name: 'Packets', unit: '' }}
+                    zAxis={{ key: 'size', name: 'Payload Size', unit: 'bytes' }}
+                  />
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col md={6}>
+              <Card>
+                <Card.Body>
+                  <Card.Title>Packet Inter-Arrival Time (IAT)</Card.Title>
+                  <ScatterPlot
+                    data={host.charts.packetTiming}
+                    xAxis={{ key: 'iatMean', name: 'Mean IAT', unit: 'ms' }}
+                    yAxis={{ key: 'iatStd', name: 'Std Dev of IAT', unit: 'ms' }}
+                    zAxis={{ key: 'iatMean', name: 'Mean IAT', unit: 'ms' }}
+                  />
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
+          <Row className="mb-4">
+            <Col md={12}>
+              <Card>
+                <Card.Body>
+                  <Card.Title>Defense Rules</Card.Title>
+                  <h6>Current</h6>
+                  <RuleTable rules={host.rules.current} emptyText="No active rule covers this IP." />
+                  <h6 className="mt-3">Past</h6>
+                  <RuleTable rules={host.rules.past} emptyText="No expired or revoked rules." />
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
+          <Row className="mb-4">
+            <Col md={6}>
+              <Card>
+                <Card.Body>
+                  <Card.Title>Peers</Card.Title>
+                  <Table striped bordered hover responsive size="sm">
+                    <thead>
+                      <tr>
+                        <th>Peer IP</th>
+                        <th>Flows</th>
+                        <th>Malicious</th>
+                        <th>Last Seen</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {host.peers.map(peer => (
+                        <tr key={peer.ip}>
+                          <td>{peerLink(peer.ip)}</td>
+                          <td>{peer.flows}</td>
+                          <td title={formatLabels(peer.labels)}>{peer.malicious}</td>
+                          <td>{formatDate(peer.lastSeen)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </Card.Body>
+              </Card>
+            </Col>
+            <Col md={6}>
+              <Card>
+                <Card.Body>
+                  <Card.Title>Ports</Card.Title>
+                  <Table striped bordered hover responsive size="sm">
+                    <thead>
+                      <tr>
+                        <th>Port</th>
+                        <th>Direction</th>
+                        <th>Flows</th>
+                        <th>Malicious</th>
+                        <th>Last Seen</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {host.ports.map(port => (
+                        <tr key={`${port.direction}:${port.port}`}>
+                          <td>{port.port}</td>
+                          <td>{port.direction === 'outbound' ? 'Contacted' : 'Contacted on'}</td>
+                          <td>{port.flows}</td>
+                          <td title={formatLabels(port.labels)}>{port.malicious}</td>
+                          <td>{formatDate(port.lastSeen)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+
+          <Row>
+            <Col md={12}>
+              <Card>
+                <Card.Body>
+                  <Card.Title>Prediction Timeline</Card.Title>
+                  <Table striped bordered hover responsive size="sm">
+                    <thead>
+                      <tr>
+                        <th>From</th>
+                        <th>To</th>
+                        <th>Prediction</th>
+                        <th>Flows</th>
+                        <th>Peers</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[...host.timeline.runs].reverse().map((run, i) => (
+                        <tr key={i}>
+                          <td>{formatDate(run.from)}</td>
+                          <td>{formatDate(run.to)}</td>
+                          <td><Badge bg={run.malicious ? 'danger' : 'success'}>{run.prediction}</Badge></td>
+                          <td>{run.flows}</td>
+                          <td>{run.peers}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                  <div className="text-muted small">Consecutive flows with the same prediction are grouped, newest first.</div>
+                </Card.Body>
+              </Card>
+            </Col>
+          </Row>
+        </>
+      )}
+    </Container>
+  );
+}
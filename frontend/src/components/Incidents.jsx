@@ -0,0 +1,234 @@
+// src/components/Incidents.jsx
+
+import { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Table, Form, Button, Badge, Alert, Spinner } from 'react-bootstrap';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+
+const PAGE_SIZE = 50;
+const STATUS_OPTIONS = ['', 'open', 'closed', 'resolved', 'merged'];
+const STATUS_VARIANTS = { open: 'danger', closed: 'secondary', resolved: 'success', merged: 'light' };
+// Severities from the detection policies (see response-levels.js)
+const SEVERITY_VARIANTS = { low: 'secondary', medium: 'info', high: 'warning', critical: 'danger' };
+const MAX_HOSTS_SHOWN = 20;
+
+const formatDate = value => (value ? new Date(value).toLocaleString('en-IN') : '—');
+
+const formatDuration = (start, end) => {
+  const seconds = Math.round((new Date(end) - new Date(start)) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  return `${(seconds / 3600).toFixed(1)}h`;
+};
+
+export default function Incidents({ onInvestigate }) {
+  const [incidents, setIncidents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [status, setStatus] = useState('open');
+  const [offset, setOffset] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [notes, setNotes] = useState('');
+
+  const fetchIncidents = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+    if (status) params.set('status', status);
+    try {
+      const response = await fetch(`${API_BASE_URL}/incidents?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setIncidents(data.incidents);
+      setTotal(data.total);
+    } catch (e) {
+      console.error('Failed to fetch incidents:', e);
+      setError(e.message);
+    }
+    setLoading(false);
+  }, [status, offset]);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [fetchIncidents]);
+
+  const openIncident = async (id) => {
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/incidents/${id}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setSelected(data);
+      setNotes(data.notes || '');
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const updateIncident = async (changes) => {
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/incidents/${selected.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      setSelected({ ...selected, ...data });
+      fetchIncidents();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const hostLinks = ips => (
+    <div className="d-flex flex-wrap gap-2">
+      {ips.slice(0, MAX_HOSTS_SHOWN).map(ip => (
+        <Button key={ip} variant="link" className="p-0" onClick={() => onInvestigate(ip)}>{ip}</Button>
+      ))}
+      {ips.length > MAX_HOSTS_SHOWN && <span className="text-muted">and {ips.length - MAX_HOSTS_SHOWN} more</span>}
+    </div>
+  );
+
+  return (
+    <Container fluid>
+      {error && <Alert variant="danger" dismissible onClose={() => setError(null)}>{error}</Alert>}
+
+      <Card className="mb-4">
+        <Card.Body>
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <Card.Title className="mb-0">Incidents ({total})</Card.Title>
+            <Form.Select style={{ maxWidth: 200 }} value={status} onChange={e => { setStatus(e.target.value); setOffset(0); }}>
+              {STATUS_OPTIONS.map(option => <option key={option} value={option}>{option ? option[0].toUpperCase() + option.slice(1) : 'All statuses'}</option>)}
+            </Form.Select>
+          </div>
+          {loading ? (
+            <div className="text-center p-4"><Spinner animation="border" /></div>
+          ) : (
+            <Table striped bordered hover responsive size="sm">
+              <thead>
+                <tr>
+                  <th>Started</th>
+                  <th>Duration</th>
+                  <th>Threat</th>
+                  <th>Severity</th>
+                  <th>Status</th>
+                  <th>Sources</th>
+                  <th>Targets</th>
+                  <th>Detections</th>
+                  <th>Rules</th>
+                </tr>
+              </thead>
+              <tbody>
+                {incidents.length === 0 && (
+                  <tr><td colSpan={9} className="text-center text-muted">No incidents.</td></tr>
+                )}
+                {incidents.map(incident => (
+                  <tr key={incident.id} onClick={() => openIncident(incident.id)} style={{ cursor: 'pointer' }} className={selected?.id === incident.id ? 'table-active' : ''}>
+                    <td>{formatDate(incident.started_at)}</td>
+                    <td>{formatDuration(incident.started_at, incident.ended_at)}</td>
+                    <td>{incident.threat_type}</td>
+                    <td><Badge bg={SEVERITY_VARIANTS[incident.severity] || 'secondary'}>{incident.severity}</Badge></td>
+                    <td><Badge bg={STATUS_VARIANTS[incident.status] || 'secondary'} text={incident.status === 'merged' ? 'dark' : undefined}>{incident.status}</Badge></td>
+                    <td>{incident.source_count === 1 ? incident.source_ips[0] : incident.source_count}</td>
+                    <td>{incident.target_count === 1 ? incident.target_ips[0] : incident.target_count}</td>
+                    <td>{incident.detection_count}</td>
+                    <td>{incident.rule_ids.length}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+          <div className="d-flex justify-content-end gap-2">
+            <Button size="sm" variant="outline-secondary" disabled={offset === 0} onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}>Previous</Button>
+            <Button size="sm" variant="outline-secondary" disabled={offset + PAGE_SIZE >= total} onClick={() => setOffset(offset + PAGE_SIZE)}>Next</Button>
+          </div>
+        </Card.Body>
+      </Card>
+
+      {selected && (
+        <Card>
+          <Card.Body>
+            <Card.Title>
+              {selected.threat_type} incident{' '}
+              <Badge bg={SEVERITY_VARIANTS[selected.severity] || 'secondary'}>{selected.severity}</Badge>{' '}
+              <Badge bg={STATUS_VARIANTS[selected.status] || 'secondary'} text={selected.status === 'merged' ? 'dark' : undefined}>{selected.status}</Badge>
+            </Card.Title>
+            <div className="text-muted mb-3">
+              {formatDate(selected.started_at)} – {formatDate(selected.ended_at)} · {selected.detection_count} detections
+              {selected.merged_into && ` · merged into ${selected.merged_into}`}
+            </div>
+            <Row className="mb-3">
+              <Col md={6}>
+                <h6>Sources ({selected.source_count})</h6>
+                {hostLinks(selected.source_ips)}
+              </Col>
+              <Col md={6}>
+                <h6>Targets ({selected.target_count})</h6>
+                {hostLinks(selected.target_ips)}
+              </Col>
+            </Row>
+
+            <h6>Linked Rules</h6>
+            {selected.rules.length === 0 ? (
+              <div className="text-muted mb-3">No defense rule is linked to this incident.</div>
+            ) : (
+              <Table bordered size="sm" className="mb-3">
+                <tbody>
+                  {selected.rules.map(rule => (
+                    <tr key={rule.id}>
+                      <td>{rule.ip_address}</td>
+                      <td>{rule.threat_type}</td>
+                      <td>{rule.response_level || '—'}</td>
+                      <td>{rule.is_active ? 'Active' : (rule.deactivated_reason || 'Inactive')}</td>
+                      <td>{formatDate(rule.created_at)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+
+            <h6>Linked Flows ({selected.flows.length}{selected.linked_flow_count < selected.detection_count ? ` of ${selected.detection_count}` : ''})</h6>
+            <Table striped bordered hover responsive size="sm" className="mb-3">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Source IP</th>
+                  <th>Destination IP</th>
+                  <th>Port</th>
+                  <th>Prediction</th>
+                  <th>From</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.flows.map(flow => (
+                  <tr key={flow.id}>
+                    <td>{formatDate(flow.flow_time)}</td>
+                    <td>{flow.src_ip}</td>
+                    <td>{flow.dst_ip}</td>
+                    <td>{flow.dst_port ?? '—'}</td>
+                    <td><span className="badge bg-danger">{flow.prediction}</span></td>
+                    <td>{flow.source === 'live' ? 'Live ingest' : 'Analysis job'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+
+            <Form.Group className="mb-2">
+              <Form.Label>Notes</Form.Label>
+              <Form.Control as="textarea" rows={2} maxLength={2000} value={notes} onChange={e => setNotes(e.target.value)} />
+            </Form.Group>
+            <div className="d-flex gap-2">
+              <Button size="sm" variant="outline-primary" onClick={() => updateIncident({ notes })}>Save Notes</Button>
+              {['open', 'closed'].includes(selected.status) && (
+                <Button size="sm" variant="success" onClick={() => updateIncident({ status: 'resolved', notes })}>Resolve</Button>
+              )}
+            </div>
+          </Card.Body>
+        </Card>
+      )}
+    </Container>
+  );
+}
@@ -0,0 +1,55 @@
+// src/components/JobProgress.jsx
+
+import { ProgressBar, Badge } from 'react-bootstrap';
+
+const STATE_VARIANTS = {
+  queued: 'secondary',
+  running: 'primary',
+  done: 'success',
+  failed: 'danger'
+};
+
+export default function JobProgress({ job, message }) {
+  if (!job) return null;
+
+  const variant = STATE_VARIANTS[job.state] || 'secondary';
+  const hasTotal = Number.isFinite(job.total_rows) && job.total_rows > 0;
+  // Streamed files report progress by bytes read, before the row count is known
+  const hasProgress = Number.isFinite(job.progress);
+  const progress = hasProgress ? job.progress : 0;
+  const errorCount = job.error_count ?? (job.errors || []).length;
+
+  return (
+    <div className="mt-3">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <span>
+          <Badge bg={variant} className="me-2 text-uppercase">{job.state}</Badge>
+          {message}
+          {job.source_format && (
+            <Badge bg="light" text="dark" className="ms-2">{job.source_format}</Badge>
+          )}
+        </span>
+        <small className="text-muted">
+          {hasTotal
+            ? `${job.rows_processed} / ${job.total_rows} rows`
+            : `${job.rows_processed || 0} rows`}
+          {job.rules_created > 0 && `, ${job.rules_created} rule(s) created`}
+          {job.rules_escalated > 0 && `, ${job.rules_escalated} escalated`}
+          {job.flows_suppressed > 0 && `, ${job.flows_suppressed} allowlisted detection(s)`}
+        </small>
+      </div>
+      <ProgressBar
+        now={hasProgress ? progress : 100}
+        label={hasProgress ? `${progress}%` : ''}
+        variant={variant}
+        animated={job.state === 'queued' || job.state === 'running'}
+        striped={!hasProgress}
+      />
+      {errorCount > 0 && (
+        <small className="text-danger d-block mt-2">
+          {errorCount} error(s): {job.errors?.[job.errors.length - 1]?.message}
+        </small>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,8 @@ import { useState, useMemo } from 'react';
 import { Container, Row, Col, Card, Alert, Button, Form } from 'react-bootstrap';
 import { BounceLoader } from 'react-spinners';
 import { Table } from 'react-bootstrap'; 
+import RuleBuilderModal from './RuleBuilderModal';
+import ThresholdSimulation from './ThresholdSimulation';
 
 // --- ASSUMED CHART IMPORTS (Keep these consistent) ---
 import ThreatLevelGauge from '../charts/ThreatLevelGauge';
@@ -60,6 +62,23 @@ const BlockedRowStyle = {
 };
 // --- END NEW STYLES ---
 
+// The response ladder, lowest first (see response-levels.js)
+const LEVEL_LABELS = {
+  observe: 'Observe',
+  alert: 'Alert',
+  rate_limit: 'Rate limit',
+  temporary_block: 'Temporary block',
+  permanent_block: 'Permanent block',
+};
+
+// Where the rule that blocked a flow came from (blocked_origin, see analysis-transformer.js)
+const ORIGIN_BADGES = {
+  intel: { bg: 'primary', label: 'Threat intel' },
+  model: { bg: 'danger', label: 'Model detection' },
+  manual: { bg: 'warning', label: 'Manual rule' },
+  custom: { bg: 'secondary', label: 'Custom rule' },
+};
+
 
 // --- COMPONENT: ReanalyzeDashboard ---
 export default function ReanalyzeDashboard() {
@@ -73,6 +92,11 @@ export default function ReanalyzeDashboard() {
   const [packetData, setPacketData] = useState(null);
   
   const [blockedData, setBlockedData] = useState(null); // 💡 NEW STATE: For the 896 blocked flows
+  const [customRules, setCustomRules] = useState([]); // Field/operator rule groups from RuleBuilderModal
+  const [showRuleModal, setShowRuleModal] = useState(false);
+  const [replayMode, setReplayMode] = useState(true); // Replay rule creation at flow time vs. rules active now
+  const [replayData, setReplayData] = useState(null); // Per-rule blocked / missed counts from replay mode
+  const [responseLevels, setResponseLevels] = useState(null); // Flows each response level would have covered
   
   const [flowCounts, setFlowCounts] = useState({ 
     original: 0, 
@@ -154,6 +178,9 @@ export default function ReanalyzeDashboard() {
     setBehaviourData(null);
     setPacketData(null);
     setBlockedData(null); // Reset blocked data
+    setCustomRules([]);
+    setReplayData(null);
+    setResponseLevels(null);
     setFlowCounts({ original: 0, reanalyzed: 0, blocked: 0, blockedPercentage: 0 }); 
     setStatus({ type: 'idle', message: '' });
   };
@@ -169,7 +196,7 @@ export default function ReanalyzeDashboard() {
     }
   };
 
-  const reanalyzeOnBackend = async (id) => {
+  const reanalyzeOnBackend = async (id, rules = customRules, replay = replayMode) => {
     if (!id) return;
 
     try {
@@ -180,7 +207,7 @@ export default function ReanalyzeDashboard() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ analysis_id: id }),
+        body: JSON.stringify({ analysis_id: id, custom_rules: rules, mode: replay ? 'replay' : 'current' }),
       });
 
       if (res.status === 404) {
@@ -197,29 +224,63 @@ export default function ReanalyzeDashboard() {
       const originalCount = payload.original_flow_count || 0;
       const reanalyzedCount = payload.reanalyzed_flow_count || 0;
       const blockedCount = originalCount - reanalyzedCount;
-      const blockedPercentage = originalCount > 0 ? ((blockedCount / originalCount) * 100).toFixed(1) : 0;
+      // Replay mode knows how many flows were malicious, so the rate is measured against those
+      const rateBase = payload.replay ? payload.replay.summary.malicious_flows + payload.replay.summary.blocked_by_custom_rules : originalCount;
+      const blockedPercentage = rateBase > 0 ? Math.min(100, (blockedCount / rateBase) * 100).toFixed(1) : 0;
 
       setDashboardData(payload.dashboardData || null);
       setTrafficData(payload.trafficData || null);
       setBehaviourData(payload.behaviourData || null);
       setPacketData(payload.packetData || null);
       setBlockedData(payload.blockedData || null); // 💡 SETTING THE BLOCKED DATA
+      setReplayData(payload.replay || null);
+      setResponseLevels(payload.response_levels || null);
       
       setFlowCounts({ 
         original: originalCount, 
         reanalyzed: reanalyzedCount, 
         blocked: blockedCount,
-        blockedPercentage: blockedPercentage
+        blockedPercentage: blockedPercentage,
+        suppressed: payload.allowlist_suppressed || 0,
       });
 
-      setStatus({ type: 'success', message: 'Re-analysis with active rules complete.' });
+      const ruleSource = replay ? 'replayed rules' : 'active rules';
+      setStatus({
+        type: 'success',
+        message: rules.length > 0
+          ? `Re-analysis with ${ruleSource} and ${rules.length} custom rule(s) complete.`
+          : `Re-analysis with ${ruleSource} complete.`
+      });
     } catch (e) {
       setStatus({ type: 'error', message: e.message || 'An unknown error occurred during re-analysis.' });
     }
   };
 
+  const handleApplyCustomRules = (rules) => {
+    setCustomRules(rules);
+    setShowRuleModal(false);
+    reanalyzeOnBackend(analysisId.trim(), rules);
+  };
+
+  const handleToggleReplay = (e) => {
+    setReplayMode(e.target.checked);
+    reanalyzeOnBackend(analysisId.trim(), customRules, e.target.checked);
+  };
+
+  const handleClearCustomRules = () => {
+    setCustomRules([]);
+    reanalyzeOnBackend(analysisId.trim(), []);
+  };
+
   return (
     <Container fluid className="py-4">
+      <RuleBuilderModal
+        show={showRuleModal}
+        onHide={() => setShowRuleModal(false)}
+        onSubmit={handleApplyCustomRules}
+        isLoading={status.type === 'loading'}
+      />
+
       {/* Loading Overlay */}
       {status.type === 'loading' && (
         <div style={overlayStyle}>
@@ -263,11 +324,34 @@ export default function ReanalyzeDashboard() {
                 <div>
                   <Card.Title className="mb-1">Analysis ID Submitted</Card.Title>
                   <p className="mb-0 text-muted" style={{ wordBreak: 'break-all' }}>{analysisId}</p>
-                  <p className="mt-2 mb-0 text-warning">
-                    * Results reflect the current state of the defense rules (rules active **now**).
-                  </p>
+                  {replayMode ? (
+                    <p className="mt-2 mb-0 text-info">
+                      * Rules are recreated in flow-time order; a flow counts as blocked only if its rule already existed.
+                    </p>
+                  ) : (
+                    <p className="mt-2 mb-0 text-warning">
+                      * Results reflect the current state of the defense rules (rules active **now**).
+                    </p>
+                  )}
+                  <Form.Check
+                    type="switch"
+                    id="replay-mode-switch"
+                    className="mt-2"
+                    label="Replay rule creation at flow time"
+                    checked={replayMode}
+                    disabled={status.type === 'loading'}
+                    onChange={handleToggleReplay}
+                  />
                 </div>
                 <div className="d-flex gap-2">
+                  <Button variant="outline-primary" size="sm" onClick={() => setShowRuleModal(true)}>
+                    Custom Rules{customRules.length > 0 ? ` (${customRules.length})` : ''}
+                  </Button>
+                  {customRules.length > 0 && (
+                    <Button variant="outline-danger" size="sm" onClick={handleClearCustomRules}>
+                      Clear Custom Rules
+                    </Button>
+                  )}
                   <Button variant="outline-secondary" size="sm" onClick={resetAll}>
                     Change Analysis ID
                   </Button>
@@ -283,6 +367,9 @@ export default function ReanalyzeDashboard() {
             </Card.Body>
           </Card>
 
+          {/* What-if runs of the aggregation thresholds against this job */}
+          <ThresholdSimulation analysisId={analysisId.trim()} />
+
           {/* Dashboard Display (Visible only on success) */}
           {status.type === 'success' && dashboardData && (
             <>
@@ -300,7 +387,10 @@ export default function ReanalyzeDashboard() {
                         <Col md={4} className="border-end border-light">
                           <Card.Title className="mb-2 text-uppercase">Flows Successfully Blocked</Card.Title>
                           <p style={BlockCountTextStyle}>{flowCounts.blocked}</p>
-                          <small className="text-white-50">Malicious flows filtered by rules</small>
+                          <small className="text-white-50">
+                            Malicious flows filtered by rules
+                            {flowCounts.suppressed > 0 && ` (${flowCounts.suppressed} more let through by the allowlist)`}
+                          </small>
                         </Col>
                         <Col md={4}>
                           <Card.Title className="mb-2 text-uppercase">Block Success Rate</Card.Title>
@@ -314,6 +404,103 @@ export default function ReanalyzeDashboard() {
               </Row>
               {/* --- END BLOCK COUNT CARD --- */}
 
+              {/* --- REPLAYED RULE TIMELINE --- */}
+              {replayData && (
+                <Row className="mb-4">
+                  <Col md={12}>
+                    <Card>
+                      <Card.Body>
+                        <Card.Title>
+                          Rule Replay ({replayData.summary.rules_created} Rules Fired
+                          {replayData.summary.rules_escalated > 0 && `, ${replayData.summary.rules_escalated} Escalations`})
+                        </Card.Title>
+                        <Card.Text className="text-muted">
+                          {replayData.summary.missed} malicious flows got through before a rule existed
+                          ({replayData.summary.missed_without_rule} never triggered one).
+                          {replayData.summary.untimed_flows > 0 && ` ${replayData.summary.untimed_flows} flows had no usable timestamp and were not replayed.`}
+                        </Card.Text>
+                        {replayData.rules.length > 0 && (
+                          <Table striped bordered hover responsive size="sm">
+                            <thead>
+                              <tr>
+                                <th>IP Address</th>
+                                <th>Threat Type</th>
+                                <th>Level</th>
+                                <th>Source</th>
+                                <th>Fired At</th>
+                                <th>Expires</th>
+                                <th>Trigger Flow</th>
+                                <th>Blocked</th>
+                                <th>Missed Before Fire</th>
+                                <th>Benign Affected</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {replayData.rules.map((rule, i) => (
+                                <tr key={i}>
+                                  <td>{rule.ip_address}</td>
+                                  <td>{rule.threat_type}</td>
+                                  <td>
+                                    {LEVEL_LABELS[rule.response_level] || rule.response_level}
+                                    {rule.escalated_from && <small className="text-muted"> (from {LEVEL_LABELS[rule.escalated_from] || rule.escalated_from})</small>}
+                                  </td>
+                                  <td>{rule.source === 'replay' ? 'Replayed' : 'Existing'}</td>
+                                  <td>{new Date(rule.created_at).toLocaleString('en-IN')}</td>
+                                  <td>{rule.expires_at ? new Date(rule.expires_at).toLocaleString('en-IN') : 'Never'}</td>
+                                  <td>{rule.trigger_flow_id || '—'}</td>
+                                  <td>{rule.blocked}</td>
+                                  <td>{rule.missed_before_fire ?? '—'}</td>
+                                  <td>{rule.benign_affected}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </Table>
+                        )}
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                </Row>
+              )}
+              {/* --- END REPLAYED RULE TIMELINE --- */}
+
+              {/* --- RESPONSE LEVELS --- */}
+              {responseLevels && (
+                <Row className="mb-4">
+                  <Col md={12}>
+                    <Card>
+                      <Card.Body>
+                        <Card.Title>Response Levels</Card.Title>
+                        <Card.Text className="text-muted">
+                          Flows each level of the response ladder covered. Only the block levels stop traffic; rate limits are
+                          applied by the firewall agent, and observe and alert rules only record.
+                        </Card.Text>
+                        <Table striped bordered hover responsive size="sm">
+                          <thead>
+                            <tr>
+                              <th>Level</th>
+                              <th>Flows</th>
+                              <th>Malicious Flows</th>
+                              <th>Sources</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {Object.entries(LEVEL_LABELS).map(([level, label]) => (
+                              <tr key={level}>
+                                <td>{label}</td>
+                                <td>{responseLevels[level]?.flows ?? 0}</td>
+                                <td>{responseLevels[level]?.malicious_flows ?? 0}</td>
+                                <td>{responseLevels[level]?.sources ?? 0}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </Table>
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                </Row>
+              )}
+              {/* --- END RESPONSE LEVELS --- */}
+
               {/* --- BLOCKED TRAFFIC ANALYSIS --- */}
               {blockedData && blockedData.blockedCount > 0 && (
                 <Row className="mb-4">
@@ -322,6 +509,22 @@ export default function ReanalyzeDashboard() {
                             <Card.Body>
                                 <Card.Title className="text-danger">Blocked Traffic Details ({blockedData.blockedCount} Flows)</Card.Title>
                                 <Card.Text>These flows were stopped by the active rules, reducing the threat level to 0%.</Card.Text>
+                                {(blockedData.originBreakdown || []).length > 0 && (
+                                    <div className="mb-2 d-flex flex-wrap gap-2">
+                                        {blockedData.originBreakdown.map(origin => (
+                                            <span key={origin.name} className={`badge bg-${ORIGIN_BADGES[origin.name]?.bg || 'secondary'}`}>
+                                                {ORIGIN_BADGES[origin.name]?.label || origin.name}: {origin.value}
+                                            </span>
+                                        ))}
+                                    </div>
+                                )}
+                                {(blockedData.ruleBreakdown || []).length > 0 && (
+                                    <div className="mb-3 d-flex flex-wrap gap-2">
+                                        {blockedData.ruleBreakdown.map(rule => (
+                                            <span key={rule.name} className="badge bg-secondary">{rule.name}: {rule.value}</span>
+                                        ))}
+                                    </div>
+                                )}
                                 
                                 <Table striped bordered hover responsive size="sm">
                                     <thead>
@@ -331,6 +534,8 @@ export default function ReanalyzeDashboard() {
                                             <th>Port</th>
                                             <th>Protocol</th>
                                             <th>Original Threat</th>
+                                            <th>Rule Origin</th>
+                                            <th>Blocked By</th>
                                         </tr>
                                     </thead>
                                     <tbody>
@@ -342,9 +547,15 @@ export default function ReanalyzeDashboard() {
                                                 <td>{r.protocol}</td>
                                                 <td>
                                                     <span className="badge bg-danger">
-                                                        {r.type.replace('Rule_Blocked_Historical', 'BLOCKED')}
+                                                        {r.originalType || r.type.replace('Rule_Blocked_Historical', 'BLOCKED')}
+                                                    </span>
+                                                </td>
+                                                <td>
+                                                    <span className={`badge bg-${ORIGIN_BADGES[r.origin]?.bg || 'secondary'}`}>
+                                                        {ORIGIN_BADGES[r.origin]?.label || r.origin || '—'}
                                                     </span>
                                                 </td>
+                                                <td>{r.blockedBy || 'Defense rule'}</td>
                                             </tr>
                                         ))}
                                     </tbody>
@@ -1,6 +1,6 @@
 
 import React, { useState } from 'react';
-import { Modal, Button, Form, Row, Col, ListGroup, CloseButton } from 'react-bootstrap';
+import { Modal, Button, Form, Row, Col, ListGroup, CloseButton, Card } from 'react-bootstrap';
 
 const RULE_FIELDS = [
     'dst_port', 'protocol', 'flow_duration', 'tot_fwd_pkts', 
@@ -8,34 +8,66 @@ const RULE_FIELDS = [
 ];
 const OPERATORS = ['IS', 'IS_NOT', 'GREATER_THAN', 'LESS_THAN'];
 
+const COMBINATORS = [
+    { value: 'AND', label: 'Match ALL conditions' },
+    { value: 'OR', label: 'Match ANY condition' },
+];
+
+// Each group becomes one custom rule; a flow is blocked by the first group it matches
+const newGroup = (index) => ({ name: `Rule ${index + 1}`, combinator: 'AND', conditions: [] });
+
 export default function RuleBuilderModal({ show, onHide, onSubmit, isLoading }) {
-    const [rules, setRules] = useState([]);
+    const [groups, setGroups] = useState([newGroup(0)]);
+    const [activeGroup, setActiveGroup] = useState(0);
     const [currentRule, setCurrentRule] = useState({
         field: RULE_FIELDS[0],
         operator: OPERATORS[0],
         value: ''
     });
 
+    const updateGroup = (index, changes) => {
+        setGroups(groups.map((group, i) => (i === index ? { ...group, ...changes } : group)));
+    };
+
     const handleAddRule = () => {
         if (!currentRule.value.trim()) {
             alert('Please enter a value for the rule.');
             return;
         }
-        setRules([...rules, currentRule]);
+        if (['GREATER_THAN', 'LESS_THAN'].includes(currentRule.operator) && isNaN(Number(currentRule.value))) {
+            alert('GREATER_THAN and LESS_THAN need a numeric value.');
+            return;
+        }
+        const group = groups[activeGroup];
+        updateGroup(activeGroup, { conditions: [...group.conditions, { ...currentRule, value: currentRule.value.trim() }] });
         // Reset for next rule
         setCurrentRule({ field: RULE_FIELDS[0], operator: OPERATORS[0], value: '' });
     };
 
-    const handleRemoveRule = (indexToRemove) => {
-        setRules(rules.filter((_, index) => index !== indexToRemove));
+    const handleRemoveRule = (groupIndex, indexToRemove) => {
+        const group = groups[groupIndex];
+        updateGroup(groupIndex, { conditions: group.conditions.filter((_, index) => index !== indexToRemove) });
     };
 
+    const handleAddGroup = () => {
+        setGroups([...groups, newGroup(groups.length)]);
+        setActiveGroup(groups.length);
+    };
+
+    const handleRemoveGroup = (indexToRemove) => {
+        const remaining = groups.filter((_, index) => index !== indexToRemove);
+        setGroups(remaining.length > 0 ? remaining : [newGroup(0)]);
+        setActiveGroup(0);
+    };
+
+    const filledGroups = groups.filter(group => group.conditions.length > 0);
+
     const handleSubmit = () => {
-        if (rules.length === 0) {
+        if (filledGroups.length === 0) {
             alert('Please add at least one rule before applying.');
             return;
         }
-        onSubmit(rules);
+        onSubmit(filledGroups.map(group => ({ ...group, name: group.name.trim() || undefined })));
     };
 
     return (
@@ -80,26 +112,56 @@ export default function RuleBuilderModal({ show, onHide, onSubmit, isLoading })
 
                 <hr />
 
-                {/* List of Added Rules */}
-                <h6>Active Rules</h6>
-                <ListGroup>
-                    {rules.length > 0 ? (
-                        rules.map((rule, index) => (
-                            <ListGroup.Item key={index} className="d-flex justify-content-between align-items-center">
-                                <div>
-                                    <span className="fw-bold">{rule.field}</span> {rule.operator.replace('_', ' ')} <span className="text-primary">{rule.value}</span>
-                                </div>
-                                <CloseButton onClick={() => handleRemoveRule(index)} />
-                            </ListGroup.Item>
-                        ))
-                    ) : (
-                        <p className="text-muted">No rules added yet.</p>
-                    )}
-                </ListGroup>
+                {/* Rule groups: conditions inside a group are joined by its combinator */}
+                <div className="d-flex justify-content-between align-items-center mb-2">
+                    <h6 className="mb-0">Rule Groups</h6>
+                    <Button variant="outline-secondary" size="sm" onClick={handleAddGroup}>+ New Group</Button>
+                </div>
+                {groups.map((group, groupIndex) => (
+                    <Card
+                        key={groupIndex}
+                        className="mb-2"
+                        border={groupIndex === activeGroup ? 'primary' : undefined}
+                        onClick={() => setActiveGroup(groupIndex)}
+                    >
+                        <Card.Header className="d-flex gap-2 align-items-center">
+                            <Form.Control
+                                size="sm"
+                                value={group.name}
+                                maxLength={100}
+                                onChange={e => updateGroup(groupIndex, { name: e.target.value })}
+                            />
+                            <Form.Select
+                                size="sm"
+                                value={group.combinator}
+                                onChange={e => updateGroup(groupIndex, { combinator: e.target.value })}>
+                                {COMBINATORS.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                            </Form.Select>
+                            <CloseButton onClick={(e) => { e.stopPropagation(); handleRemoveGroup(groupIndex); }} />
+                        </Card.Header>
+                        <ListGroup variant="flush">
+                            {group.conditions.length > 0 ? (
+                                group.conditions.map((rule, index) => (
+                                    <ListGroup.Item key={index} className="d-flex justify-content-between align-items-center">
+                                        <div>
+                                            {index > 0 && <span className="badge bg-secondary me-2">{group.combinator}</span>}
+                                            <span className="fw-bold">{rule.field}</span> {rule.operator.replace('_', ' ')} <span className="text-primary">{rule.value}</span>
+                                        </div>
+                                        <CloseButton onClick={() => handleRemoveRule(groupIndex, index)} />
+                                    </ListGroup.Item>
+                                ))
+                            ) : (
+                                <ListGroup.Item className="text-muted">
+                                    No rules added yet.{groupIndex === activeGroup && ' New conditions are added to this group.'}
+                                </ListGroup.Item>
+                            )}
+                        </ListGroup>
+                    </Card>
+                ))}
             </Modal.Body>
             <Modal.Footer>
                 <Button variant="secondary" onClick={onHide}>Cancel</Button>
-                <Button variant="primary" onClick={handleSubmit} disabled={isLoading || rules.length === 0}>
+                <Button variant="primary" onClick={handleSubmit} disabled={isLoading || filledGroups.length === 0}>
                     {isLoading ? 'Applying...' : 'Apply Rules & Re-Analyze'}
                 </Button>
             </Modal.Footer>
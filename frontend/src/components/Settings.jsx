@@ -2,6 +2,8 @@
 
 import { useState, useEffect } from 'react';
 import { Container, Row, Col, Form, Button, Spinner } from 'react-bootstrap';
+import DetectionPolicies from './DetectionPolicies';
+import Allowlist from './Allowlist';
 import '../styles/Settings.css'; // Import our new custom styles
 
 export default function Settings() {
@@ -94,6 +96,9 @@ export default function Settings() {
           </Row>
         </Form>
       </div>
+
+      <DetectionPolicies />
+      <Allowlist />
     </Container>
   );
 }
\ No newline at end of file
@@ -0,0 +1,31 @@
+// src/components/SourceHistory.jsx
+
+import { Badge } from 'react-bootstrap';
+
+const formatDay = value => (value ? new Date(value).toLocaleDateString('en-IN') : '—');
+
+// A source IP's reputation profile (sourceHistory, see ip-profiles.js) in one table cell
+export default function SourceHistory({ history }) {
+  if (!history) {
+    return <span className="text-muted">First sighting</span>;
+  }
+
+  const ratio = Math.round(history.maliciousRatio * 100);
+  const ratioVariant = ratio >= 50 ? 'danger' : ratio > 0 ? 'warning' : 'success';
+
+  return (
+    <div className="small" title={`First seen ${formatDay(history.firstSeen)}, last seen ${formatDay(history.lastSeen)}`}>
+      <div>
+        {history.totalFlows} flows since {formatDay(history.firstSeen)}{' '}
+        <Badge bg={ratioVariant}>{ratio}% malicious</Badge>
+      </div>
+      {(history.threatLabels.length > 0 || history.ruleCount > 0) && (
+        <div className="text-muted">
+          {history.threatLabels.join(', ')}
+          {history.threatLabels.length > 0 && history.ruleCount > 0 && ' · '}
+          {history.ruleCount > 0 && `${history.ruleCount} rule${history.ruleCount === 1 ? '' : 's'}, last ${formatDay(history.lastRuleAt)}`}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+// src/components/ThresholdSimulation.jsx
+
+import { useState, useEffect } from 'react';
+import { Card, Table, Form, Button, Alert, Spinner, CloseButton } from 'react-bootstrap';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+const MAX_SETTINGS = 10;
+
+// Inputs are in seconds/minutes; the API takes the window in milliseconds
+const toRow = (setting, label) => ({
+  label,
+  threshold_count: setting.threshold_count,
+  window_seconds: setting.window_ms / 1000,
+  rule_expiration_minutes: setting.rule_expiration_minutes,
+});
+
+const FALLBACK_SETTING = { threshold_count: 1, window_ms: 10000, rule_expiration_minutes: 60 };
+
+export default function ThresholdSimulation({ analysisId }) {
+  const [rows, setRows] = useState([toRow(FALLBACK_SETTING, 'Default')]);
+  const [results, setResults] = useState(null);
+  const [status, setStatus] = useState({ type: 'idle', message: '' });
+
+  // Start from the thresholds the backend actually uses: the default policy, then each threat type's own
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/simulate/thresholds`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        if (!data?.current) return;
+        const policyRows = (data.policies || []).map(policy => toRow(policy, policy.threat_type));
+        setRows([toRow(data.current, 'Default'), ...policyRows].slice(0, MAX_SETTINGS));
+      })
+      .catch(e => console.error('Could not load current thresholds', e));
+  }, []);
+
+  const updateRow = (index, field, value) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleAddRow = () => {
+    const last = rows[rows.length - 1];
+    setRows([...rows, { ...last, label: `Candidate ${rows.length}` }]);
+  };
+
+  const handleRun = async () => {
+    setStatus({ type: 'loading', message: '' });
+    try {
+      const res = await fetch(`${API_BASE_URL}/simulate/thresholds`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          analysis_id: analysisId,
+          settings: rows.map(row => ({
+            label: row.label,
+            threshold_count: Number(row.threshold_count),
+            window_ms: Math.round(Number(row.window_seconds) * 1000),
+            rule_expiration_minutes: Number(row.rule_expiration_minutes),
+          })),
+        }),
+      });
+      const payload = await res.json();
+      if (!res.ok) throw new Error(payload.error || `Simulation failed with status: ${res.status}`);
+      setResults(payload.results);
+      setStatus({ type: 'idle', message: '' });
+    } catch (e) {
+      setStatus({ type: 'error', message: e.message });
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Body>
+        <Card.Title>Threshold Simulation</Card.Title>
+        <Card.Text className="text-muted">
+          Replay this job with different aggregation thresholds. This is a dry run: no defense rules are created.
+        </Card.Text>
+
+        <Table bordered size="sm" responsive>
+          <thead>
+            <tr>
+              <th>Label</th>
+              <th>Detections (N)</th>
+              <th>Window (seconds)</th>
+              <th>Rule Duration (minutes)</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr key={index}>
+                <td>
+                  <Form.Control size="sm" value={row.label} onChange={e => updateRow(index, 'label', e.target.value)} />
+                </td>
+                <td>
+                  <Form.Control size="sm" type="number" min={1} value={row.threshold_count} onChange={e => updateRow(index, 'threshold_count', e.target.value)} />
+                </td>
+                <td>
+                  <Form.Control size="sm" type="number" min={0.001} step="any" value={row.window_seconds} onChange={e => updateRow(index, 'window_seconds', e.target.value)} />
+                </td>
+                <td>
+                  <Form.Control size="sm" type="number" min={1} value={row.rule_expiration_minutes} onChange={e => updateRow(index, 'rule_expiration_minutes', e.target.value)} />
+                </td>
+                <td className="text-center align-middle">
+                  {rows.length > 1 && <CloseButton onClick={() => setRows(rows.filter((_, i) => i !== index))} />}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        <div className="d-flex gap-2">
+          <Button variant="outline-secondary" size="sm" onClick={handleAddRow} disabled={rows.length >= MAX_SETTINGS}>
+            + Add Candidate
+          </Button>
+          <Button variant="primary" size="sm" onClick={handleRun} disabled={status.type === 'loading'}>
+            {status.type === 'loading' ? <Spinner animation="border" size="sm" /> : 'Run Simulation'}
+          </Button>
+        </div>
+
+        {status.type === 'error' && <Alert className="mt-3 mb-0" variant="danger">{status.message}</Alert>}
+
+        {results && (
+          <Table striped bordered hover responsive size="sm" className="mt-3 mb-0">
+            <thead>
+              <tr>
+                <th>Setting</th>
+                <th>Rules Created</th>
+                <th>Flows Blocked</th>
+                <th>Flows Missed</th>
+                <th>Block Rate</th>
+                <th>Benign IPs Caught</th>
+                <th>Benign Flows Caught</th>
+                <th>Allowlisted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((result, index) => (
+                <tr key={index}>
+                  <td>
+                    <div className="fw-bold">{result.label}</div>
+                    <small className="text-muted">
+                      {result.threshold_count} in {result.window_ms / 1000}s, {result.rule_expiration_minutes} min
+                    </small>
+                  </td>
+                  <td>{result.rules_created}</td>
+                  <td>{result.flows_blocked}</td>
+                  <td>{result.flows_missed}</td>
+                  <td>{result.block_rate}%</td>
+                  <td title={result.top_benign_ips.map(ip => `${ip.ip_address} (${ip.benign_flows})`).join(', ')}>
+                    {result.benign_ips_caught}
+                  </td>
+                  <td>{result.benign_flows_caught}</td>
+                  <td>{result.flows_suppressed}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
@@ -3,9 +3,10 @@
 import StackedBarChart from '../charts/StackedBarChart';
 import SimpleAreaChart from '../charts/SimpleAreaChart';
 import BreakdownPieChart from '../charts/BreakdownPieChart'; 
-import { Container, Row, Col, Card, Table } from 'react-bootstrap';
+import { Container, Row, Col, Card, Table, Button } from 'react-bootstrap';
+import SourceHistory from './SourceHistory';
 
-export default function TrafficAnalysis({ data }) {
+export default function TrafficAnalysis({ data, onInvestigate }) {
   if (!data) {
     return <div>Loading traffic analysis data...</div>;
   }
@@ -49,16 +50,24 @@ export default function TrafficAnalysis({ data }) {
                     <th>Port</th>
                     <th>Protocol</th>
                     <th>Predicted Type</th>
+                    <th>Source History</th>
                   </tr>
                 </thead>
                 <tbody>
                   {data.recentFlows.map((flow, index) => (
                     <tr key={index}>
-                      <td>{flow.source}</td>
+                      <td>
+                        {flow.source === 'N/A' ? flow.source : (
+                          <Button variant="link" className="p-0" onClick={() => onInvestigate(flow.source)} title="Investigate this host">
+                            {flow.source}
+                          </Button>
+                        )}
+                      </td>
                       <td>{flow.dest}</td>
                       <td>{flow.port}</td>
                       <td>{flow.protocol}</td>
                       <td><span className="badge bg-danger">{flow.type}</span></td>
+                      <td><SourceHistory history={flow.sourceHistory} /></td>
                     </tr>
                   ))}
                 </tbody>
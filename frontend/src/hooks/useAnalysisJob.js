@@ -0,0 +1,85 @@
+// src/hooks/useAnalysisJob.js
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+const APP_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+const POLL_INTERVAL_MS = 1000;
+const MAX_POLL_INTERVAL_MS = 15000;
+// Consecutive failed status requests (network errors, 5xx) before the job is given up on
+const MAX_POLL_FAILURES = 5;
+const FINISHED_STATES = ['done', 'failed'];
+
+// Polls GET /jobs/:id for a background analysis job until it is done or failed.
+export default function useAnalysisJob() {
+  const [job, setJob] = useState(null);
+  const timerRef = useRef(null);
+  const controllerRef = useRef(null);
+
+  const stopPolling = useCallback(() => {
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+    }
+    // Aborts a request in flight, so a poll from an earlier job can't update or reschedule
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
+    }
+  }, []);
+
+  const startPolling = useCallback((jobId) => {
+    stopPolling();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setJob({ analysis_id: jobId, state: 'queued', rows_processed: 0, total_rows: null, progress: null, errors: [] });
+
+    const fail = (message) => {
+      setJob(prev => ({ ...prev, state: 'failed', errors: [...(prev?.errors || []), { message }] }));
+      timerRef.current = null;
+    };
+
+    let failures = 0;
+    const poll = async () => {
+      try {
+        const res = await fetch(`${APP_BASE_URL}/jobs/${jobId}`, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        if (res.status === 404) {
+          fail(`Job ${jobId} was not found.`);
+          return;
+        }
+        if (!res.ok) throw new Error(`Job status request failed with status: ${res.status}`);
+        const payload = await res.json();
+        if (controller.signal.aborted) return;
+        failures = 0;
+        setJob(payload);
+        if (FINISHED_STATES.includes(payload.state)) {
+          timerRef.current = null;
+          return;
+        }
+      } catch (e) {
+        if (controller.signal.aborted) return;
+        // The job keeps running on the server, so a dropped request is retried with backoff
+        failures++;
+        if (failures >= MAX_POLL_FAILURES) {
+          fail(e.message);
+          return;
+        }
+        timerRef.current = setTimeout(poll, Math.min(POLL_INTERVAL_MS * 2 ** failures, MAX_POLL_INTERVAL_MS));
+        return;
+      }
+      timerRef.current = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    timerRef.current = setTimeout(poll, POLL_INTERVAL_MS);
+  }, [stopPolling]);
+
+  const resetJob = useCallback(() => {
+    stopPolling();
+    setJob(null);
+  }, [stopPolling]);
+
+  // Stop polling when the component using the hook unmounts
+  useEffect(() => stopPolling, [stopPolling]);
+
+  return { job, startPolling, resetJob };
+}
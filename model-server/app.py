@@ -140,6 +140,15 @@ def predict_batch():
         return jsonify({'error': f'Prediction error: {str(e)}'}), 500
 
 
+@app.route('/labels', methods=['GET'])
+def labels():
+    """Lists the label encoder's classes (the threat types the model can predict)."""
+    if not label_encoder:
+        return jsonify({'error': 'Label encoder is not loaded. Please check server logs.'}), 500
+
+    return jsonify({'labels': [str(label) for label in label_encoder.classes_]})
+
+
 # ==============================================================================
 # 5. RUN THE FLASK APPLICATION
 # ==============================================================================